@@ -1,7 +1,10 @@
 // App.js - VetLab Pro: Comprehensive Veterinary Student Application
-// Dependencies required: @react-native-async-storage/async-storage, expo-clipboard, @expo/vector-icons, @react-native-picker/picker, react-native-svg, victory-native
+// Persistence lives in storage.js (keys, schema version, migrations); calculator math in engine.js;
+// the screen stack and vetlab:// deep links in navigation.js; strings and the active language in i18n.js;
+// the history search index in search.js.
+// Dependencies required: @react-native-async-storage/async-storage, expo-clipboard, expo-file-system, expo-sharing, expo-document-picker, @expo/vector-icons, @react-native-picker/picker, react-native-svg, victory-native
 
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useReducer, useRef } from "react";
 import {
   SafeAreaView,
   View,
@@ -15,141 +18,546 @@ import {
   FlatList,
   Platform,
   KeyboardAvoidingView,
+  BackHandler,
+  Linking,
   useColorScheme, // Use native hook for initial dark mode
 } from "react-native";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { storage, SCHEMA_VERSION, DEFAULT_RETENTION, historyId, expiredEntries } from "./storage";
+import { navigationReducer, INITIAL_NAVIGATION, currentRoute, cleanParams, parseDeepLink, historyRoute, decodeValueMap } from "./navigation";
+import { createHistoryIndex, addToHistoryIndex, searchHistoryIndex } from "./search";
+import { LANGUAGES, DEFAULT_LANGUAGE, setLanguage, getLanguage, isRTL, t, tValue, localizeDigits, formatDate, formatDayMonth, formatDateTime } from "./i18n";
+import {
+  UNITS_MAP,
+  ANALYTES,
+  unitsFor,
+  convertUnit,
+  BSA_K,
+  calcBSA,
+  calcDose,
+  CRI_RATE_UNITS,
+  calcCri,
+  FLUID_SPECIES,
+  calcFluidPlan,
+  calcBolus,
+  calcSolutionMass,
+  DILUTION_FIELDS,
+  solveC1V1,
+  MAX_DILUTION_STEPS,
+  repeatedFactors,
+  serialDilution,
+  dilutionProtocol,
+  effectivePka,
+  hendersonHasselbalch,
+  bufferPh,
+  calcTitration,
+  closestPairIndex,
+  parseNumber,
+  parseQuantity,
+  parseNumberList,
+  requirePositive,
+  optionalPositive,
+  optionalNumber,
+  optionalAmount,
+  normalizeDigits,
+  tryCalculation,
+} from "./engine";
 import * as Clipboard from "expo-clipboard";
-import { VictoryChart, VictoryLine, VictoryScatter, VictoryAxis } from "victory-native";
+import { File, Paths } from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import * as DocumentPicker from "expo-document-picker";
+import { VictoryChart, VictoryLine, VictoryScatter, VictoryAxis, VictoryArea } from "victory-native";
 import { MaterialIcons, Ionicons } from "@expo/vector-icons";
 import { Picker } from "@react-native-picker/picker";
 
-/* -------------------- Configuration & Storage Keys -------------------- */
-const HISTORY_KEY = "@vetlab_history_v3";
-const ANIMALS_KEY = "@vetlab_animals_v1";
-const MAX_HISTORY_ITEMS = 300;
-
-/* -------------------- Unit Definitions (Comprehensive System) -------------------- */
-const UNITS_MAP = {
-  // Base unit: g
-  MASS: {
-    kg: 1000,
-    g: 1,
-    mg: 1e-3,
-    ug: 1e-6,
+/* -------------------- Configuration -------------------- */
+
+// Species supported by animal records, the formulary and reference ranges
+const ANIMAL_TYPES = ["Dog", "Cat", "Horse", "Cattle", "Other"];
+
+// Drip factors (drops/mL) of the common giving sets
+const GIVING_SETS = [10, 15, 20, 60];
+
+// Syringe barrels and the volume of their smallest graduation (mL)
+const SYRINGES = [
+  { id: "insulin-0.3", label: "Insulin 0.3 mL (U-100)", capacity: 0.3, graduation: 0.005 },
+  { id: "insulin-0.5", label: "Insulin 0.5 mL (U-100)", capacity: 0.5, graduation: 0.01 },
+  { id: "insulin-1", label: "Insulin 1 mL (U-100)", capacity: 1, graduation: 0.02 },
+  { id: "tb-1", label: "Tuberculin 1 mL", capacity: 1, graduation: 0.01 },
+  { id: "3", label: "3 mL", capacity: 3, graduation: 0.1 },
+  { id: "5", label: "5 mL", capacity: 5, graduation: 0.2 },
+  { id: "10", label: "10 mL", capacity: 10, graduation: 0.2 },
+  { id: "20", label: "20 mL", capacity: 20, graduation: 1 },
+  { id: "60", label: "60 mL", capacity: 60, graduation: 1 },
+];
+
+// Display rounding: 'decimals' = fixed decimal places, 'sigfigs' = significant figures
+const DEFAULT_PRECISION = { mode: "decimals", digits: 4 };
+
+/* -------------------- Drug Formulary (Bundled, Offline) -------------------- */
+
+// Doses are mg/kg per administration (mg/m² where `doseBasis` is "m2"); a species
+// missing from `doses` has no reference range. Stock concentrations use CONC_DOSE units.
+// Teaching reference only - always confirm against a current formulary.
+const DRUG_FORMULARY = [
+  {
+    name: "Acepromazine",
+    route: "IV, IM, SC",
+    stocks: [{ conc: 2, unit: "mg/mL" }, { conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.01, max: 0.05 }, Cat: { min: 0.01, max: 0.05 }, Horse: { min: 0.02, max: 0.05 }, Cattle: { min: 0.01, max: 0.02 } },
+    notes: "Avoid in hypovolaemic patients. Giant breeds and Boxers are sensitive.",
   },
-  // Base unit: L
-  VOLUME: {
-    L: 1,
-    mL: 1e-3,
-    uL: 1e-6,
+  {
+    name: "Atropine",
+    route: "IV, IM, SC",
+    stocks: [{ conc: 0.6, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.02, max: 0.04 }, Cat: { min: 0.02, max: 0.04 }, Horse: { min: 0.01, max: 0.02 }, Cattle: { min: 0.04, max: 0.1 } },
+    notes: "Organophosphate toxicity requires much higher doses (to effect).",
   },
-  // Base unit: M
-  MOLARITY: {
-    M: 1,
-    mM: 1e-3,
-    uM: 1e-6,
+  {
+    name: "Butorphanol",
+    route: "IV, IM, SC",
+    stocks: [{ conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.2, max: 0.4 }, Cat: { min: 0.2, max: 0.4 }, Horse: { min: 0.01, max: 0.1 }, Cattle: { min: 0.02, max: 0.05 } },
+    notes: "Short duration of analgesia (1-2 h in dogs).",
   },
-  // Base unit: °C (Celsius - non-linear)
-  TEMP: {
-    C: 1,
-    F: (c) => ((c * 9) / 5 + 32),
-    K: (c) => (c + 273.15),
+  {
+    name: "Carboplatin",
+    route: "IV",
+    doseBasis: "m2",
+    stocks: [{ conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 250, max: 300 }, Cat: { min: 200, max: 240 } },
+    notes: "Cytotoxic - handle with chemotherapy precautions. Check neutrophil count before each dose; reduce dose in renal impairment.",
   },
-  // Base unit: mg/mL (Dose Concentration)
-  CONC_DOSE: {
-"mg/mL": 1,
-"g/L": 1,
-"mcg/mL": 1e-3,
-"% w/v": 10, // 1% w/v = 1g/100mL = 10mg/mL
-  }
-};
+  {
+    name: "Cyclophosphamide",
+    route: "IV, PO",
+    doseBasis: "m2",
+    stocks: [{ conc: 20, unit: "mg/mL" }],
+    doses: { Dog: { min: 200, max: 250 }, Cat: { min: 200, max: 250 } },
+    notes: "Cytotoxic. Give furosemide and encourage diuresis to reduce the risk of sterile haemorrhagic cystitis.",
+  },
+  {
+    name: "Dexamethasone",
+    route: "IV, IM",
+    stocks: [{ conc: 2, unit: "mg/mL" }, { conc: 4, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.05, max: 0.2 }, Cat: { min: 0.05, max: 0.2 }, Horse: { min: 0.02, max: 0.1 }, Cattle: { min: 0.02, max: 0.1 } },
+    notes: "Anti-inflammatory range. Do not combine with NSAIDs. May induce abortion in late pregnancy.",
+  },
+  {
+    name: "Dexmedetomidine",
+    route: "IV, IM",
+    stocks: [{ conc: 0.5, unit: "mg/mL" }, { conc: 0.1, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.002, max: 0.02 }, Cat: { min: 0.005, max: 0.04 } },
+    notes: "Reversible with atipamezole. Avoid in cardiovascular disease.",
+  },
+  {
+    name: "Diazepam",
+    route: "IV, rectal",
+    stocks: [{ conc: 5, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.2, max: 0.5 }, Cat: { min: 0.2, max: 0.5 }, Horse: { min: 0.05, max: 0.1 }, Cattle: { min: 0.1, max: 0.2 } },
+    notes: "Give IV slowly. Oral use in cats is associated with hepatic necrosis.",
+  },
+  {
+    name: "Doxorubicin",
+    route: "IV",
+    doseBasis: "m2",
+    stocks: [{ conc: 2, unit: "mg/mL" }],
+    doses: { Dog: { min: 30, max: 30 }, Cat: { min: 20, max: 25 } },
+    notes: "Cytotoxic vesicant - perivascular leakage causes severe necrosis. Dogs under 10 kg are usually dosed at 1 mg/kg. Cumulative cardiotoxicity.",
+  },
+  {
+    name: "Enrofloxacin",
+    route: "IV, IM, SC, PO",
+    stocks: [{ conc: 50, unit: "mg/mL" }, { conc: 100, unit: "mg/mL" }],
+    doses: { Dog: { min: 5, max: 20 }, Cat: { min: 5, max: 5 }, Horse: { min: 5, max: 7.5 }, Cattle: { min: 2.5, max: 5 } },
+    notes: "Do not exceed 5 mg/kg/day in cats (retinal toxicity). Avoid in growing animals.",
+  },
+  {
+    name: "Flunixin meglumine",
+    route: "IV",
+    stocks: [{ conc: 50, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.5, max: 1 }, Horse: { min: 1.1, max: 1.1 }, Cattle: { min: 1.1, max: 2.2 } },
+    notes: "IM injection in horses risks clostridial myositis. Maximum 3 days in dogs.",
+  },
+  {
+    name: "Furosemide",
+    route: "IV, IM, SC, PO",
+    stocks: [{ conc: 50, unit: "mg/mL" }, { conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 1, max: 4 }, Cat: { min: 0.5, max: 2 }, Horse: { min: 0.5, max: 1 }, Cattle: { min: 0.5, max: 1 } },
+    notes: "Monitor electrolytes and hydration status.",
+  },
+  {
+    name: "Ketamine",
+    route: "IV, IM",
+    stocks: [{ conc: 100, unit: "mg/mL" }, { conc: 50, unit: "mg/mL" }],
+    doses: { Dog: { min: 2, max: 10 }, Cat: { min: 2, max: 10 }, Horse: { min: 2.2, max: 2.2 }, Cattle: { min: 2, max: 5 } },
+    notes: "Always combine with a sedative or benzodiazepine. IV doses are at the low end of the range.",
+  },
+  {
+    name: "Lidocaine",
+    route: "IV, local",
+    stocks: [{ conc: 20, unit: "mg/mL" }, { conc: 2, unit: "% w/v" }],
+    doses: { Dog: { min: 1, max: 2 }, Cat: { min: 0.25, max: 0.5 }, Horse: { min: 1.3, max: 1.5 }, Cattle: { min: 1, max: 2 } },
+    notes: "IV bolus range shown. Cats are very sensitive to toxicity. Never use preparations with adrenaline IV.",
+  },
+  {
+    name: "Maropitant",
+    route: "IV, SC, PO",
+    stocks: [{ conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 1, max: 1 }, Cat: { min: 1, max: 1 } },
+    notes: "SC injection can be painful; refrigerating the vial reduces this.",
+  },
+  {
+    name: "Meloxicam",
+    route: "IV, SC, PO",
+    stocks: [{ conc: 5, unit: "mg/mL" }, { conc: 20, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.1, max: 0.2 }, Cat: { min: 0.05, max: 0.3 }, Horse: { min: 0.6, max: 0.6 }, Cattle: { min: 0.5, max: 0.5 } },
+    notes: "Loading dose 0.2 mg/kg in dogs, 0.1 mg/kg thereafter. Avoid in renal impairment or dehydration.",
+  },
+  {
+    name: "Oxytetracycline LA",
+    route: "IM, SC",
+    stocks: [{ conc: 200, unit: "mg/mL" }],
+    doses: { Cattle: { min: 20, max: 20 } },
+    notes: "Maximum 10 mL per injection site in cattle. Observe meat and milk withdrawal periods.",
+  },
+  {
+    name: "Propofol",
+    route: "IV",
+    stocks: [{ conc: 10, unit: "mg/mL" }],
+    doses: { Dog: { min: 2, max: 6 }, Cat: { min: 4, max: 8 } },
+    notes: "Give to effect over 60 seconds. Lower end when premedicated.",
+  },
+  {
+    name: "Vincristine",
+    route: "IV",
+    doseBasis: "m2",
+    stocks: [{ conc: 1, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.5, max: 0.75 }, Cat: { min: 0.5, max: 0.75 } },
+    notes: "Cytotoxic vesicant - strictly IV. Collies and other MDR1-mutant breeds need a dose reduction.",
+  },
+  {
+    name: "Xylazine",
+    route: "IV, IM",
+    stocks: [{ conc: 20, unit: "mg/mL" }, { conc: 100, unit: "mg/mL" }],
+    doses: { Dog: { min: 0.5, max: 1 }, Cat: { min: 0.5, max: 1 }, Horse: { min: 0.5, max: 1.1 }, Cattle: { min: 0.05, max: 0.3 } },
+    notes: "Cattle need about one tenth of the equine dose. Emetic in cats.",
+  },
+];
 
 /* -------------------- Core Helpers (Safety and Accuracy) -------------------- */
 
-// Filters input to allow only numbers and a single decimal point
-const filterNumeric = (text) => {
-  return String(text).replace(/[^0-9.]/g, "").replace(/(\..*)\./g, "$1");
+// Route parameter if it is one of a screen's options, otherwise the screen's default
+const pickOption = (value, options, fallback) => (options.includes(value) ? value : fallback);
+
+// Global display precision used by fmt; kept in sync with the app setting by setDisplayPrecision
+let displayPrecision = DEFAULT_PRECISION;
+const setDisplayPrecision = (precision) => {
+  displayPrecision = { ...DEFAULT_PRECISION, ...precision };
 };
 
-// Safely parses string input to number, returns 0 if invalid
-const safeParse = (s) => {
-  const n = Number(String(s).replace(',', '.')); // Handle common comma decimal
-  return Number.isFinite(n) && n !== null ? n : 0;
+// Rounds a number to { mode, digits } and returns it as a number
+const roundTo = (num, precision = displayPrecision) => {
+  if (!Number.isFinite(num) || num === 0) return num;
+  return precision.mode === "sigfigs"
+    ? Number(num.toPrecision(precision.digits))
+    : Number(num.toFixed(precision.digits));
 };
 
-// Formats a number to a fixed decimal place, using scientific notation for tiny numbers
-const fmt = (v, d = 4) => {
+// Formats a number with the global display precision (or `d` fixed decimals when given),
+// using scientific notation for tiny numbers in decimal mode
+const fmt = (v, d) => {
   if (v === null || v === undefined || Number.isNaN(Number(v))) return "—";
   const num = Number(v);
-  if (Math.abs(num) < 1e-4 && num !== 0) {
-    return num.toExponential(d);
+  const precision = d === undefined ? displayPrecision : { mode: "decimals", digits: d };
+  if (precision.mode === "decimals" && Math.abs(num) < 1e-4 && num !== 0) {
+    return num.toExponential(precision.digits);
   }
-  return Number(num.toFixed(d));
+  return roundTo(num, precision);
 };
 
-// Universal unit converter
-const convertUnit = (value, fromUnit, toUnit, unitType) => {
-  const map = UNITS_MAP[unitType];
-  if (!map) return value;
+const syringeLabel = (syringe) => tValue("syringes", syringe.id, syringe.label);
 
-  if (unitType === 'TEMP') {
-    let baseC = value;
-    if (fromUnit === 'F') { baseC = (value - 32) * 5 / 9; }
-    else if (fromUnit === 'K') { baseC = value - 273.15; }
+const drugNotes = (drug) => tValue("drugNotes", drug.name, drug.notes);
+
+// Engine errors in the active language; English keeps the engine's own, more specific wording
+const calcErrorMessage = (error) => tValue("calcErrors", error.field, error.message);
+
+// Smallest syringe whose barrel holds the volume in one draw
+const smallestSyringeFor = (volume) => SYRINGES.find(s => s.capacity >= volume) || SYRINGES[SYRINGES.length - 1];
+
+// Rounds a volume (mL) to the syringe's nearest graduation; fills > 1 when it exceeds the barrel
+const roundToSyringe = (volume, syringe) => {
+  if (!(volume > 0) || !syringe) return null;
+  const steps = Math.round(volume / syringe.graduation);
+  const rounded = Number((steps * syringe.graduation).toFixed(6)); // Strip floating-point noise
+  return {
+    volume: rounded,
+    errorPct: ((rounded - volume) / volume) * 100,
+    fills: Math.max(1, Math.ceil(rounded / syringe.capacity)),
+  };
+};
+
+// Returns { min, max } (mg/kg or mg/m², see drug.doseBasis) for a drug and species, or null if unlisted
+const getDoseRange = (drug, species) => {
+  if (!drug || !species) return null;
+  return drug.doses[species] || null;
+};
+
+// Classifies a dose (in the range's basis) against a range: 'low', 'high' or 'ok' (null without a range)
+const checkDoseRange = (dosePerBasis, range) => {
+  if (!range || !(dosePerBasis > 0)) return null;
+  const tolerance = 1e-9; // Guard against floating point noise at the range boundaries
+  if (dosePerBasis < range.min * (1 - tolerance)) return 'low';
+  if (dosePerBasis > range.max * (1 + tolerance)) return 'high';
+  return 'ok';
+};
+
+const doseBasisLabel = (basis) => (basis === 'm2' ? 'mg/m²' : 'mg/kg');
+
+const formatDoseRange = (range, basis = 'kg') =>
+  range.min === range.max
+    ? `${fmt(range.min)} ${doseBasisLabel(basis)}`
+    : `${fmt(range.min)} – ${fmt(range.max)} ${doseBasisLabel(basis)}`;
 
-    if (toUnit === 'C') return baseC;
-    if (toUnit === 'F') return map.F(baseC);
-    if (toUnit === 'K') return map.K(baseC);
-    return baseC;
-  }
 
-  // Linear conversions
-  const baseValue = value * map[fromUnit];
-  return baseValue / map[toUnit];
+/* -------------------- Oral Dosing (Tablets & Capsules) -------------------- */
+
+// Pieces a tablet can be split into: whole only, halves or quarters
+const TABLET_DIVISIONS = { whole: 1, half: 2, quarter: 4 };
+const MAX_TABLETS_PER_STRENGTH = 8;
+const ORAL_DEVIATION_LIMIT = 10; // % from target considered acceptable
+
+// Physical pieces handed over for `parts` fractions (e.g., ¾ = ½ + ¼ = 2 pieces)
+const tabletPieces = (parts, divisions) => {
+  const remainder = parts % divisions;
+  return Math.floor(parts / divisions) + (remainder === 3 ? 2 : remainder > 0 ? 1 : 0);
+};
+
+const FRACTION_GLYPHS = { 0.25: "¼", 0.5: "½", 0.75: "¾" };
+
+// "1½ × 50 mg" for parts of a tablet split into `divisions`
+const formatTabletCount = (parts, divisions, strength) => {
+  const whole = Math.floor(parts / divisions);
+  const fraction = (parts % divisions) / divisions;
+  const count = `${whole > 0 || fraction === 0 ? whole : ''}${FRACTION_GLYPHS[fraction] || ''}`;
+  return `${count} × ${fmt(strength)} mg`;
+};
+
+// Ranks combinations of up to two strengths for a target dose (mg). Candidates within
+// ORAL_DEVIATION_LIMIT are ordered by handling effort (pieces, splits, strengths), then deviation;
+// if none is acceptable, the closest combinations are returned.
+const rankTabletCombinations = (targetMg, strengths, divisions, limit = 3) => {
+  const unique = [...new Set(strengths.filter(s => s > 0))].sort((a, b) => b - a).slice(0, 4);
+  if (!(targetMg > 0) || unique.length === 0) return [];
+
+  const maxParts = MAX_TABLETS_PER_STRENGTH * divisions;
+  const candidates = [];
+  const addCandidate = (items) => {
+    const totalMg = items.reduce((sum, it) => sum + (it.parts * it.strength) / divisions, 0);
+    const pieces = items.reduce((sum, it) => sum + tabletPieces(it.parts, divisions), 0);
+    const splits = items.filter(it => it.parts % divisions !== 0).length;
+    const deviationPct = ((totalMg - targetMg) / targetMg) * 100;
+    candidates.push({ items, totalMg, pieces, deviationPct, effort: pieces + splits * 0.5 + (items.length - 1) * 0.5 });
+  };
+
+  unique.forEach((strength, i) => {
+    for (let a = 1; a <= maxParts; a++) {
+      addCandidate([{ strength, parts: a }]);
+      for (let j = i + 1; j < unique.length; j++) {
+        for (let b = 1; b <= maxParts; b++) {
+          addCandidate([{ strength, parts: a }, { strength: unique[j], parts: b }]);
+        }
+      }
+    }
+  });
+
+  const acceptable = candidates.filter(c => Math.abs(c.deviationPct) <= ORAL_DEVIATION_LIMIT);
+  const ranked = acceptable.length
+    ? acceptable.sort((x, y) => x.effort - y.effort || Math.abs(x.deviationPct) - Math.abs(y.deviationPct))
+    : candidates.sort((x, y) => Math.abs(x.deviationPct) - Math.abs(y.deviationPct) || x.effort - y.effort);
+  return ranked.slice(0, limit).map(c => ({
+    ...c,
+    label: c.items.map(it => formatTabletCount(it.parts, divisions, it.strength)).join(' + '),
+  }));
 };
 
 /* -------------------- Storage and History Management -------------------- */
 
-const saveHistory = async (item, setHistory) => {
+// Storage failures are shown to the user; a lost write must never look like a saved one
+const reportStorageError = (e) => {
+  Alert.alert(t("storage.errorTitle"), e?.message || t("storage.errorMessage"));
+};
+
+// `history` holds the entries read so far, newest first; `setHistoryTotal` counts every stored entry
+const saveHistory = async (item, setHistory, setHistoryTotal) => {
+  try {
+    // Results keep exact values; the precision records how the sentence was rounded
+    const newItem = { ...item, animalId: item.animalId || null, precision: displayPrecision, time: new Date().toISOString() };
+    const { entry, removed } = await storage.appendHistory(newItem);
+    setHistory(prev => [entry, ...prev.filter(i => !removed.includes(i.id))]);
+    setHistoryTotal(total => total + 1 - removed.length);
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+// Adds entries read from storage to those held, skipping ones already there, and keeps them newest first
+const mergeHistoryPage = (prev, entries) => {
+  const ids = new Set(prev.map(item => item.id));
+  return [...prev, ...entries.filter(item => !ids.has(item.id))].sort((a, b) => new Date(b.time) - new Date(a.time));
+};
+
+// Reads the newest page, plus older pinned entries so they still head the list. `paging` (a ref) keeps
+// where the next page starts (null once every entry is read) and the page read in progress.
+const loadHistory = async (paging, setHistory, setHistoryTotal) => {
   try {
-    const raw = await AsyncStorage.getItem(HISTORY_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    const newItem = { ...item, time: new Date().toISOString() };
-    arr.unshift(newItem);
-    if (arr.length > MAX_HISTORY_ITEMS) arr.length = MAX_HISTORY_ITEMS;
-    await AsyncStorage.setItem(HISTORY_KEY, JSON.stringify(arr));
-    setHistory(arr);
+    const page = await storage.loadHistoryPage();
+    const pinned = page.cursor ? await storage.loadPinnedHistory(page.cursor) : [];
+    paging.current = { cursor: page.cursor, pending: null };
+    setHistory(mergeHistoryPage(page.entries, pinned));
+    setHistoryTotal(page.total);
   } catch (e) {
-    console.error("Failed to save history:", e);
+    reportStorageError(e);
   }
 };
 
-const loadHistory = async (setHistory) => {
+// Reads the next older page, one read at a time
+const loadMoreHistory = (paging, setHistory) => {
+  const { cursor, pending } = paging.current;
+  if (pending) return pending.then(() => loadMoreHistory(paging, setHistory));
+  if (!cursor) return Promise.resolve();
+  const read = storage.loadHistoryPage({ cursor })
+    .then((page) => {
+      paging.current = { cursor: page.cursor, pending: null };
+      setHistory(prev => mergeHistoryPage(prev, page.entries));
+    })
+    .catch((e) => {
+      paging.current = { cursor, pending: null };
+      reportStorageError(e);
+    });
+  paging.current = { cursor, pending: read };
+  return read;
+};
+
+// The stored entries `match` accepts (none while it is null), newest first, read a page at a time by `loadMore`.
+// Read again from the newest page when `deps` change; passing the held history in `deps` keeps the pages in
+// step with entries saved, edited or deleted since.
+const useHistoryLookup = (match, deps) => {
+  const [lookup, setLookup] = useState({ entries: [], more: false });
+  const paging = useRef({ cursor: null, pending: null, run: 0 });
+
+  const readPage = (cursor) => {
+    const { run } = paging.current;
+    const read = storage.loadHistoryPage({ cursor, match })
+      .then((page) => {
+        if (paging.current.run !== run) return;
+        paging.current = { cursor: page.cursor, pending: null, run };
+        setLookup(prev => ({ entries: cursor ? mergeHistoryPage(prev.entries, page.entries) : page.entries, more: Boolean(page.cursor) }));
+      })
+      .catch((e) => {
+        if (paging.current.run !== run) return;
+        paging.current = { cursor, pending: null, run };
+        reportStorageError(e);
+      });
+    paging.current = { cursor, pending: read, run };
+  };
+
+  useEffect(() => {
+    paging.current = { cursor: null, pending: null, run: paging.current.run + 1 };
+    if (match) readPage(null);
+    else setLookup({ entries: [], more: false });
+  }, deps);
+
+  const loadMore = () => {
+    const { cursor, pending } = paging.current;
+    if (cursor && !pending) readPage(cursor);
+  };
+  return { ...lookup, loadMore };
+};
+
+// How many stored entries `match` accepts (null while counting or without a match), counted again when `deps` change
+const useHistoryCount = (match, deps) => {
+  const [count, setCount] = useState(null);
+  useEffect(() => {
+    let current = true;
+    setCount(null);
+    if (match) {
+      storage.countHistory(match)
+        .then((n) => { if (current) setCount(n); })
+        .catch(reportStorageError);
+    }
+    return () => { current = false; };
+  }, deps);
+  return count;
+};
+
+// Rewrites the stored history through `transform` (array in, array out), then reads its newest page again
+const updateHistory = async (transform, reloadHistory) => {
+  await storage.updateHistory(transform);
+  await reloadHistory();
+};
+
+// Detaches a deleted animal's entries: 'archive' keeps them with a name snapshot, 'remove' deletes them
+const detachAnimalHistory = (animal, action, reloadHistory) => updateHistory(
+  (arr) => action === 'remove'
+    ? arr.filter(item => !isAnimalEntry(item, animal))
+    : arr.map(item => isAnimalEntry(item, animal)
+        ? { ...item, animalId: null, archivedAnimal: { id: animal.id, name: animal.name, type: animal.type } }
+        : item),
+  reloadHistory
+);
+
+// Merges `changes` (pinned, note) into one stored entry; only its chunk is rewritten
+const updateHistoryEntry = async (entry, changes, setHistory) => {
   try {
-    const raw = await AsyncStorage.getItem(HISTORY_KEY);
-    setHistory(raw ? JSON.parse(raw) : []);
+    const updated = await storage.updateHistoryEntry(entry, changes);
+    setHistory(prev => prev.map(item => (item.id === entry.id ? updated : item)));
   } catch (e) {
-    console.error("Failed to load history:", e);
+    reportStorageError(e);
   }
 };
 
-const clearAllHistory = async (setHistory) => {
+const deleteHistoryEntry = (entry, setHistory, setHistoryTotal) => {
+  Alert.alert(
+t("history.deleteTitle"),
+t("history.deleteConfirm", { type: tValue("historyType", entry.type), date: formatDateTime(entry.time) }),
+    [
+      { text: t("common.cancel"), style: "cancel" },
+      {
+        text: t("common.delete"),
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await storage.deleteHistoryEntry(entry);
+            setHistory(prev => prev.filter(item => item.id !== entry.id));
+            setHistoryTotal(total => total - 1);
+          } catch (e) {
+            reportStorageError(e);
+          }
+        },
+      },
+    ]
+  );
+};
+
+const clearAllHistory = async (setHistory, setHistoryTotal) => {
   Alert.alert(
-"Clear History",
-"Are you sure you want to delete all calculation history? This action is irreversible.",
+t("history.clearTitle"),
+t("history.clearConfirm"),
     [
-      { text: "Cancel", style: "cancel" },
+      { text: t("common.cancel"), style: "cancel" },
       {
-        text: "Clear All",
+        text: t("history.clearAll"),
         style: "destructive",
         onPress: async () => {
           try {
-            await AsyncStorage.removeItem(HISTORY_KEY);
+            await storage.clearHistory();
             setHistory([]);
-            Alert.alert("Success", "Calculation history successfully cleared.");
+            setHistoryTotal(0);
+            Alert.alert(t("common.success"), t("history.cleared"));
           } catch (e) {
-            console.error("Failed to clear history:", e);
-            Alert.alert("Error", "Failed to clear history.");
+            reportStorageError(e);
           }
         },
       },
@@ -157,34 +565,556 @@ const clearAllHistory = async (setHistory) => {
   );
 };
 
-// CSV Export (Required Feature)
-const exportHistoryCSV = async (history) => {
-  if (history.length === 0) {
-    Alert.alert("Empty History", "No history items to export.");
+/* -------------------- Animal Records (Weight Log) -------------------- */
+
+// Weight log in chronological order (oldest first = admission weight)
+const sortedWeightLog = (animal) =>
+  [...(animal?.weightLog || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Keeps `weight` in sync with the most recent log entry
+const withWeightLog = (animal, weightLog) => {
+  const sorted = [...weightLog].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const latest = sorted[sorted.length - 1];
+  return { ...animal, weightLog: sorted, weight: latest ? latest.weight : animal.weight };
+};
+
+// % change from the admission (first) weight to the latest weight
+const weightChangePct = (animal) => {
+  const log = sortedWeightLog(animal);
+  if (log.length < 2 || !(log[0].weight > 0)) return 0;
+  return ((log[log.length - 1].weight - log[0].weight) / log[0].weight) * 100;
+};
+
+const latestWeightDate = (animal) => {
+  const log = sortedWeightLog(animal);
+  return log.length ? log[log.length - 1].date : "";
+};
+
+// Route parameter -> animal id, or "" when the link names an animal that is not on this device
+const knownAnimalId = (animals, id) => (id && animals.some(a => a.id === id) ? id : "");
+
+// Patient and weight a screen opens with; a weight given in the route overrides the animal's
+const initialPatient = (animals, params) => {
+  const animal = animals.find(a => a.id === params.animal);
+  if (!animal || params.weight) return { animal, animalId: animal ? animal.id : "", weight: params.weight || "", weightDate: "" };
+  return { animal, animalId: animal.id, weight: String(animal.weight), weightDate: latestWeightDate(animal) };
+};
+
+const loadAnimals = async (setAnimals) => {
+  try {
+    setAnimals(await storage.loadAnimals());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+// Writes the full animal list and updates app state
+const persistAnimals = async (newAnimals, setAnimals) => {
+  await storage.saveAnimals(newAnimals);
+  setAnimals(newAnimals);
+};
+
+const loadCustomBuffers = async (setCustomBuffers) => {
+  try {
+    setCustomBuffers(await storage.loadCustomBuffers());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const saveCustomBuffers = async (buffers, setCustomBuffers) => {
+  await storage.saveCustomBuffers(buffers);
+  setCustomBuffers(buffers);
+};
+
+const loadPresets = async (setPresets) => {
+  try {
+    setPresets(await storage.loadPresets());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const savePresets = async (presets, setPresets) => {
+  await storage.savePresets(presets);
+  setPresets(presets);
+};
+
+// Presets are recipes: the patient is left out so one can be applied to any animal
+const PATIENT_PARAMS = ["animal", "weight"];
+
+const presetParams = (screen, params) => {
+  const out = cleanParams(screen, params);
+  PATIENT_PARAMS.forEach(key => delete out[key]);
+  return out;
+};
+
+const loadDisplayPrecision = async (setPrecision) => {
+  try {
+    const precision = { ...DEFAULT_PRECISION, ...(await storage.loadDisplayPrecision()) };
+    setDisplayPrecision(precision);
+    setPrecision(precision);
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const saveDisplayPrecision = async (precision, setPrecision) => {
+  setDisplayPrecision(precision);
+  setPrecision(precision);
+  try {
+    await storage.saveDisplayPrecision(precision);
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const loadLanguage = async (setLanguageState) => {
+  try {
+    const language = (await storage.loadLanguage()) || DEFAULT_LANGUAGE;
+    setLanguage(language);
+    setLanguageState(getLanguage());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const saveLanguage = async (language, setLanguageState) => {
+  setLanguage(language);
+  setLanguageState(getLanguage());
+  try {
+    await storage.saveLanguage(getLanguage());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+const loadHistoryRetention = async (setRetention) => {
+  try {
+    setRetention(await storage.loadHistoryRetention());
+  } catch (e) {
+    reportStorageError(e);
+  }
+};
+
+// A stricter policy deletes entries straight away, so the user confirms how many go first (counted over every
+// stored entry, not only those read so far)
+const saveHistoryRetention = async (retention, setRetention, setHistory, setHistoryTotal) => {
+  const apply = async () => {
+    try {
+      await storage.saveHistoryRetention(retention);
+      setRetention(retention);
+      const removed = await storage.applyRetention(retention);
+      setHistory(prev => prev.filter(item => !removed.includes(item.id)));
+      setHistoryTotal(total => total - removed.length);
+    } catch (e) {
+      reportStorageError(e);
+    }
+  };
+  let expired;
+  try {
+    expired = expiredEntries(await storage.loadHistory(), retention);
+  } catch (e) {
+    reportStorageError(e);
+    return;
+  }
+  if (expired.length === 0) {
+    apply();
+    return;
+  }
+  Alert.alert(
+t("settings.retentionTitle"),
+t("settings.retentionConfirm", { count: localizeDigits(expired.length) }),
+    [
+      { text: t("common.cancel"), style: "cancel" },
+      { text: t("common.delete"), style: "destructive", onPress: apply },
+    ]
+  );
+};
+
+/* -------------------- Export (CSV & JSON) -------------------- */
+
+const EXPORT_BASE_COLUMNS = ["type", "time", "animalId", "patient", "summary", "note", "pinned"];
+
+// RFC 4180 field: quoted when it holds a comma, quote or line break; quotes are doubled
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (columns, rows) => [columns, ...rows.map(row => columns.map(c => row[c]))]
+  .map(cells => cells.map(csvCell).join(","))
+  .join("\r\n");
+
+// { a: { b: 1 }, c: [1, 2] } -> { "a.b": 1, c: "1; 2" }; arrays of objects stay JSON
+const flattenFields = (obj, prefix = "") => {
+  const out = {};
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      out[name] = value.every(v => v === null || typeof v !== "object") ? value.join("; ") : JSON.stringify(value);
+    } else if (value && typeof value === "object") {
+      Object.assign(out, flattenFields(value, name));
+    } else {
+      out[name] = value;
+    }
+  });
+  return out;
+};
+
+// Accepts YYYY-MM-DD; `endOfDay` makes an upper bound inclusive of that day
+const parseDateInput = (text, endOfDay = false) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(text).trim())) return null;
+  const date = new Date(`${String(text).trim()}T${endOfDay ? "23:59:59.999" : "00:00:00"}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// types: array of history types (empty = all); animalId: one patient ("" = all); from/to: Date or null
+const historyFilter = ({ types = [], animalId = "", from = null, to = null } = {}) => (item) => {
+  const time = new Date(item.time);
+  return (types.length === 0 || types.includes(item.type))
+    && (!animalId || item.animalId === animalId)
+    && (!from || time >= from)
+    && (!to || time <= to);
+};
+
+const filterHistory = (history, filters) => history.filter(historyFilter(filters));
+
+// One row per entry; input/result columns are grouped by calculation type in order of appearance
+const historyToCSV = (entries, animals = []) => {
+  const columns = [...EXPORT_BASE_COLUMNS];
+  const rows = entries.map(item => {
+    const fields = {
+      ...flattenFields(item.inputs, "inputs"),
+      ...flattenFields(item.result, "result"),
+    };
+    Object.keys(fields).forEach(c => { if (!columns.includes(c)) columns.push(c); });
+    const patient = item.archivedAnimal?.name || animals.find(a => a.id === item.animalId)?.name || item.inputs?.animalName || "";
+    return { type: item.type, time: item.time, animalId: item.animalId || item.archivedAnimal?.id || "", patient, summary: describeEntry(item) || "", note: item.note || "", pinned: item.pinned ? "yes" : "", ...fields };
+  });
+  return toCSV(columns, rows);
+};
+
+const ANIMAL_EXPORT_COLUMNS = ["id", "name", "type", "weight", "condition", "admittedAt", "updatedAt", "weightLog", "vitalsCount", "latestVitals"];
+
+const animalsToCSV = (animals) => toCSV(ANIMAL_EXPORT_COLUMNS, animals.map(a => {
+  const latestVitals = [...(a.vitals || [])].sort((x, y) => new Date(y.date) - new Date(x.date))[0];
+  return {
+    ...a,
+    weightLog: sortedWeightLog(a).map(e => `${e.date}=${e.weight}`).join("; "),
+    vitalsCount: (a.vitals || []).length,
+    latestVitals: latestVitals || "",
+  };
+}));
+
+const exportEnvelope = (kind, records) => JSON.stringify({
+  app: "VetLab Pro",
+  kind,
+  exportedAt: new Date().toISOString(),
+  count: records.length,
+  [kind]: records,
+}, null, 2);
+
+// Writes the export to the cache directory and opens the share sheet (clipboard where sharing is unavailable)
+const shareExportFile = async (fileName, content, mimeType) => {
+  try {
+    if (!(await Sharing.isAvailableAsync())) {
+      await Clipboard.setStringAsync(content);
+      Alert.alert(t("export.copiedTitle"), t("export.copiedMessage"));
+      return;
+    }
+    const file = new File(Paths.cache, fileName);
+    if (file.exists) file.delete();
+    file.create();
+    file.write(content);
+    await Sharing.shareAsync(file.uri, {
+      mimeType,
+      UTI: mimeType === "text/csv" ? "public.comma-separated-values-text" : "public.json",
+      dialogTitle: t("export.dialogTitle", { fileName }),
+    });
+  } catch (e) {
+    Alert.alert(t("common.error"), t("export.writeFailed"));
+  }
+};
+
+const exportFileName = (kind, format) => `vetlab-${kind}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+// format: 'csv' | 'json'; filters as in filterHistory. Reads every stored entry, not only the pages shown.
+const exportHistory = async (animals, format, filters) => {
+  let entries;
+  try {
+    entries = filterHistory(await storage.loadHistory(), filters);
+  } catch (e) {
+    reportStorageError(e);
+    return;
+  }
+  if (entries.length === 0) {
+    Alert.alert(t("export.emptyHistoryTitle"), t("export.emptyHistoryMessage"));
+    return;
+  }
+  const content = format === "json" ? exportEnvelope("history", entries) : historyToCSV(entries, animals);
+  await shareExportFile(exportFileName("history", format), content, format === "json" ? "application/json" : "text/csv");
+};
+
+const exportAnimals = async (animals, format) => {
+  if (animals.length === 0) {
+    Alert.alert(t("export.noAnimalsTitle"), t("export.noAnimalsMessage"));
     return;
   }
+  const content = format === "json" ? exportEnvelope("animals", animals) : animalsToCSV(animals);
+  await shareExportFile(exportFileName("animals", format), content, format === "json" ? "application/json" : "text/csv");
+};
+
+/* -------------------- Backup & Restore -------------------- */
+
+const BACKUP_KIND = "vetlab-backup";
+const BACKUP_VERSION = 1;
+
+// Archive sections (storage section names): whether the value is a list, and how list items are identified
+const BACKUP_SECTIONS = {
+  animals: { list: true, id: (a) => a.id },
+  history: { list: true, id: historyId },
+  customBuffers: { list: true, id: (b) => b.key },
+  presets: { list: true, id: (p) => p.id },
+  displayPrecision: { list: false },
+  language: { list: false },
+  historyRetention: { list: false },
+};
+
+// Sections of a shareable recipe set: presets plus the custom buffers they may refer to
+const RECIPE_SECTIONS = ["presets", "customBuffers"];
+
+// `schemaVersion` is the storage schema of `data`, so older archives are migrated after restore.
+// `sections` limits the archive to some sections; restoring it leaves every other section alone.
+const createBackup = async (sections) => {
+  const { schemaVersion, data } = await storage.snapshot();
+  const included = sections ? Object.fromEntries(sections.map(name => [name, data[name]])) : data;
+  return { kind: BACKUP_KIND, version: BACKUP_VERSION, schemaVersion, app: "VetLab Pro", createdAt: new Date().toISOString(), data: included };
+};
+
+// Returns the archive, or throws an Error describing why it cannot be restored
+const validateBackup = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (e) {
+    throw new Error(t("backup.errorJson"));
+  }
+  if (!archive || archive.kind !== BACKUP_KIND || !archive.data) {
+    throw new Error(t("backup.errorKind"));
+  }
+  if (!(archive.version >= 1) || archive.version > BACKUP_VERSION) {
+    throw new Error(t("backup.errorVersion", { version: archive.version }));
+  }
+  if (archive.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(t("backup.errorNewer"));
+  }
+  Object.entries(BACKUP_SECTIONS).forEach(([name, sec]) => {
+    const value = archive.data[name];
+    if (value === undefined || value === null) return;
+    if (sec.list && (!Array.isArray(value) || value.some(item => !item || sec.id(item) === undefined))) {
+      throw new Error(t("backup.errorSection", { section: name }));
+    }
+  });
+  return archive;
+};
 
-  // Define CSV columns and header
-  const header = "Type,Time,Input Values,Result Values,Summary\n";
-  const csvRows = history.map(item => {
-    // Flatten complex objects for CSV readability
-    const inputs = JSON.stringify(item.inputs).replace(/"/g, "'");
-    const results = JSON.stringify(item.result).replace(/"/g, "'");
-    const summary = item.sentence || "N/A";
+// Existing items win on id collisions; history stays newest first (the retention policy trims it after restore)
+const mergeSection = (name, current, incoming) => {
+  const sec = BACKUP_SECTIONS[name];
+  const ids = new Set(current.map(sec.id));
+  const merged = [...current, ...incoming.filter(item => !ids.has(sec.id(item)))];
+  if (name !== "history") return merged;
+  return merged.sort((a, b) => new Date(b.time) - new Date(a.time));
+};
+
+// Per-section counts: items in the archive and how many are not already stored
+const summarizeBackup = async (archive) => {
+  const current = await createBackup();
+  return Object.entries(BACKUP_SECTIONS).filter(([, sec]) => sec.list).map(([name, sec]) => {
+    const incoming = archive.data[name] || [];
+    const ids = new Set(current.data[name].map(sec.id));
+    return { name, total: incoming.length, fresh: incoming.filter(item => !ids.has(sec.id(item))).length, existing: current.data[name].length };
+  });
+};
 
-    return `${item.type},${item.time},"${inputs}","${results}","${summary}"`;
+// mode: 'replace' overwrites every section present in the archive, 'merge' adds items not already stored.
+// Migrations are re-run from the archive's schema version; they are idempotent over current data.
+const restoreBackup = async (archive, mode) => {
+  const current = await storage.snapshot();
+  const data = {};
+  Object.entries(BACKUP_SECTIONS).forEach(([name, sec]) => {
+    const incoming = archive.data[name];
+    if (incoming === undefined || incoming === null) return;
+    // Settings are only taken from the archive on merge when none are stored yet
+    if (mode !== "merge") data[name] = incoming;
+    else data[name] = sec.list ? mergeSection(name, current.data[name], incoming) : (current.data[name] || incoming);
   });
+  await storage.writeSnapshot(data);
+  await storage.migrate({ from: Math.min(archive.schemaVersion || 0, current.schemaVersion) });
+  await storage.applyRetention();
+};
+
+/* -------------------- History Sentences -------------------- */
+
+// Localised numbers for regenerated sentences: `num` rounds a computed value, `raw` keeps what the user typed
+const num = (v, d) => localizeDigits(fmt(v, d));
+const raw = (v) => localizeDigits(v);
+
+const entryAnimal = (inputs) => (!inputs.animalName || inputs.animalName === 'Unknown Animal' ? t("history.unknownAnimal") : inputs.animalName);
+
+const entrySpecies = (inputs) => tValue("species", inputs.species);
+
+const signedPct = (v) => `${v >= 0 ? '+' : ''}${num(v, 1)}`;
+
+// Entries saved with the dose range name the species and range; older ones only the direction
+const rangeWarning = (status, inputs, result) => {
+  if (status !== 'low' && status !== 'high') return '';
+  if (!result.doseRange || !inputs.species) return t(`historySentence.range_${status}`);
+  return t(`historySentence.rangeOf_${status}`, { species: entrySpecies(inputs), range: localizeDigits(formatDoseRange(result.doseRange, result.doseRangeBasis)) });
+};
 
-  const csvString = header + csvRows.join('\n');
+// Effective pKa when the entry recorded one
+const pKaNote = (inputs) => {
+  const pKa = inputs.pKaEffective ?? inputs.pKa;
+  return Number.isFinite(pKa) ? t("historySentence.pKa", { pKa: num(pKa, 2) }) : '';
+};
+
+// One builder per history type; each returns null when the entry lacks what it needs (older or edited entries)
+const HISTORY_SENTENCES = {
+  "Dose Calculation": ({ inputs, result }) => {
+    if (!(result.totalDoseMg > 0)) return null;
+    const drug = inputs.drugName && inputs.drugName !== 'Unspecified drug' ? inputs.drugName : t("history.unspecifiedDrug");
+    const base = { drug, animal: entryAnimal(inputs), weight: raw(inputs.weight), mg: num(result.totalDoseMg) };
+    if (inputs.route === 'oral') {
+      return t("historySentence.doseOral", { ...base, combination: raw(result.combination), delivered: num(result.deliveredMg), perKg: num(result.deliveredMgPerKg), deviation: signedPct(result.deviationPct) }) + rangeWarning(result.rangeStatus, inputs, result);
+    }
+    const unit = inputs.doseUnit || 'mg';
+    let basis = '';
+    if (inputs.doseBasis === 'm2') basis = t("historySentence.doseBasisM2", { dose: raw(inputs.dose), unit, bsa: num(result.bsa) });
+    else if (inputs.dose !== undefined) basis = t("historySentence.doseBasisKg", { dose: raw(inputs.dose), unit });
+    const draw = result.syringeId
+      ? t("historySentence.doseDraw", { volume: num(result.volRounded), syringe: syringeLabel({ id: result.syringeId, label: result.syringe }), actual: num(result.actualDoseMg), error: signedPct(result.roundingErrorPct) })
+      : '';
+    return t("historySentence.dose", { ...base, basis, draw, volume: num(result.volNeeded), conc: raw(inputs.conc), concUnit: inputs.concUnit, rate: num(result.mlHrRate) }) + rangeWarning(result.rangeStatus, inputs, result);
+  },
+  "CRI Calculation": ({ inputs, result }) => {
+    const unit = inputs.rateUnit === "U/kg/hr" ? "U" : "mg";
+    const base = { animal: entryAnimal(inputs), weight: raw(inputs.weight), rate: raw(inputs.rate), rateUnit: inputs.rateUnit, unit, stock: `${raw(inputs.conc)} ${inputs.concUnit}` };
+    return inputs.mode === 'pump'
+      ? t("historySentence.criPump", { ...base, amount: num(result.amountPerHr), mlHr: num(result.drugMlHr) })
+      : t("historySentence.criBag", { ...base, amount: num(result.amountToAdd), volume: num(result.volumeToAdd), bag: raw(inputs.bagSize), fluidRate: raw(inputs.fluidRate), drops: num(result.dripRate), dropFactor: raw(inputs.dropFactor ?? 20) });
+  },
+  "Fluid Therapy Plan": ({ inputs, result }) => {
+    const base = { animal: entryAnimal(inputs), species: entrySpecies(inputs), weight: raw(inputs.weight) };
+    if (inputs.mode === 'bolus') {
+      const shock = result.shockDose > 0 ? t("historySentence.fluidShock", { volume: num(result.shockDose) }) : '';
+      return t("historySentence.fluidBolus", { ...base, volume: num(result.volume), dose: raw(inputs.bolusDose), minutes: raw(inputs.bolusTime), rate: num(result.rate) }) + shock;
+    }
+    return t("historySentence.fluidPlan", { ...base, maintenance: num(result.maintenanceHr), deficit: num(result.deficit), period: raw(inputs.period), losses: num(result.lossesHr), total: num(result.totalHr), total24h: num(result.total24h) });
+  },
+  "Solution Calculation": ({ inputs, result }) => t("historySentence.solution", {
+    conc: raw(inputs.conc), concUnit: inputs.concUnit, volume: raw(inputs.volume), volUnit: inputs.volUnit, mw: raw(inputs.mw), grams: num(result.gramsNeeded),
+  }),
+  "Stock Dilution": ({ inputs, result }) => {
+    const units = inputs.units || {};
+    const side = (k) => `${k === inputs.unknown ? num(result.solved) : raw(inputs[k])} ${units[k]}`;
+    return t("historySentence.stock", { V1: side('V1'), C1: side('C1'), V2: side('V2'), C2: side('C2'), diluent: num(result.diluent), unit: units.V2, factor: num(result.dilutionFactor) });
+  },
+  "Serial Dilution": ({ inputs, result }) => {
+    const factors = inputs.factors || [];
+    const repeated = factors.every(f => String(f) === String(inputs.dilutionFactor));
+    const protocol = result.protocol || [];
+    return t("historySentence.serial", {
+      start: raw(inputs.startConc),
+      unit: inputs.concUnit,
+      factors: repeated
+        ? t("historySentence.serialFactor", { factor: raw(inputs.dilutionFactor) })
+        : t("historySentence.serialFactors", { factors: factors.map(raw).join(t("common.listSeparator")) }),
+      steps: raw(factors.length || inputs.steps),
+      final: num(result.finalConc),
+      volumes: protocol.length
+        ? t("historySentence.serialVolumes", { volume: raw(inputs.finalVolume), unit: inputs.volUnit, transfer: num(protocol[0].transfer) })
+        : '',
+    });
+  },
+  "Buffer Calculation": ({ inputs, result }) => {
+    const buffer = bufferLabel(inputs.bufferName);
+    if (inputs.mode === 'titrate') {
+      return t("historySentence.bufferTitrate", { volume: raw(inputs.analyteVol), conc: raw(inputs.analyteConc), analyte: inputs.analyteName || t("historySentence.analyte"), titrant: inputs.titrant, titrantVolume: num(result.titrantVolume), titrantConc: raw(inputs.titrantConc), pH: raw(inputs.pH), pKa: pKaNote(inputs) });
+    }
+    if (inputs.mode === 'reverse') {
+      return t("historySentence.bufferReverse", { buffer, acidMmol: num(result.nAcid * 1000), acid: inputs.acidName, baseMmol: num(result.nBase * 1000), base: inputs.saltName, temperature: raw(inputs.temperature), pH: num(result.pH, 2) });
+    }
+    return t("historySentence.bufferPrepare", { buffer, pH: raw(inputs.pH), temperature: raw(inputs.temperature), pKa: pKaNote(inputs), ratio: num(result.ratio), acidMass: num(result.acidMass), acid: inputs.acidName, saltMass: num(result.saltMass), base: inputs.saltName, volume: raw(inputs.totalVol), conc: raw(inputs.totalConc) });
+  },
+  "Unit Conversion": ({ inputs, result }) => {
+    const text = t("historySentence.conversion", { value: raw(inputs.value), from: inputs.fromUnit, result: num(result.convertedValue), to: inputs.toUnit, category: tValue("conversionCategories", inputs.category) });
+    return inputs.analyte ? `${tValue("analytes", inputs.analyteKey, inputs.analyte)}: ${text}` : text;
+  },
+  "Lab Panel": ({ inputs, result }) => {
+    const panel = LAB_PANELS[inputs.panel];
+    const flags = result.flags || {};
+    const abnormal = panel.analytes.filter(a => flags[a.key])
+      .map(a => `${analyteName(a)} ${t(`flags.${flags[a.key]}`)} (${num(inputs.values[a.key])} ${a.unit})`);
+    const base = { panel: panelName(inputs.panel), animal: entryAnimal(inputs), species: entrySpecies(inputs), count: raw(Object.keys(inputs.values).length) };
+    return abnormal.length
+      ? t("historySentence.labAbnormal", { ...base, abnormal: abnormal.join(t("common.listSeparator")) })
+      : t("historySentence.labNormal", base);
+  },
+  "Clinical Note": ({ inputs }) => inputs.note || null,
+};
 
+// Summary of a history entry in the active language, rebuilt from its stored inputs and results. Entries saved
+// before summaries were rebuilt also carry an English `sentence`, used when they lack what the builder needs.
+const describeEntry = (item) => {
+  const build = HISTORY_SENTENCES[item.type];
+  if (!build || !item.inputs || !item.result) return item.sentence;
   try {
-    await Clipboard.setStringAsync(csvString);
-    Alert.alert("CSV Copied!", `${history.length} records copied to clipboard. You can now paste this data into a spreadsheet app.`);
+    return build(item) || item.sentence;
   } catch (e) {
-    Alert.alert("Error", "Failed to copy data to clipboard.");
+    return item.sentence;
   }
 };
 
+/* -------------------- Animal Records (Treatment Timeline) -------------------- */
+
+// Legacy entries are linked by the storage migrations, so the id is authoritative
+const isAnimalEntry = (item, animal) => item.animalId === animal.id;
+
+const TIMELINE_ICONS = {
+  "Dose Calculation": "eyedrop-outline",
+  "CRI Calculation": "speedometer-outline",
+  "Fluid Therapy Plan": "medkit-outline",
+  "Lab Panel": "document-text-outline",
+  "Buffer Calculation": "scale-outline",
+  "Clinical Note": "create-outline",
+  Weight: "barbell-outline",
+  Vitals: "pulse-outline",
+};
+
+// Events on an animal's timeline: its `linked` history entries (counted in storage) plus its weight log and vitals
+const animalEventCount = (animal, linked) => linked + sortedWeightLog(animal).length + (animal.vitals || []).length;
+
+// History entries, weight log and vitals of one animal, newest first
+const buildAnimalTimeline = (animal, history) => {
+  if (!animal) return [];
+  const events = history
+    .filter(item => isAnimalEntry(item, animal))
+    .map(item => ({ key: `h-${item.id}`, time: item.time, kind: item.type, text: describeEntry(item) }));
+  sortedWeightLog(animal).forEach(e => {
+    events.push({ key: `w-${e.date}`, time: e.date, kind: "Weight", text: t("timeline.weightRecorded", { weight: fmt(e.weight) }) });
+  });
+  (animal.vitals || []).forEach(v => {
+    const readings = VITAL_PARAMS.filter(p => v[p.key] !== null && v[p.key] !== undefined)
+      .map(p => `${vitalLabel(p)} ${fmt(v[p.key], 1)}${p.unit.startsWith('/') ? '' : ' '}${p.unit}`);
+    if (v.mm) readings.push(`${t("vitals.mmShort")} ${tValue("mucousMembranes", v.mm)}`);
+    events.push({ key: `v-${v.id}`, time: v.date, kind: "Vitals", text: readings.join(t("common.listSeparator")) });
+  });
+  return events.sort((a, b) => new Date(b.time) - new Date(a.time));
+};
+
 /* -------------------- Theming and Global Styles -------------------- */
 
 const baseStyles = StyleSheet.create({
@@ -218,18 +1148,22 @@ const baseStyles = StyleSheet.create({
   darkSep: { backgroundColor: "#1e354d" },
 });
 
-const getStyles = (isDark) => ({
+// Text alignment for right-to-left languages; layout itself is mirrored by the root view's direction
+const RTL_TEXT = { textAlign: 'right', writingDirection: 'rtl' };
+
+const getStyles = (isDark, rtl = false) => ({
   isDark,
+  rtl,
   container: isDark ? baseStyles.darkContainer : baseStyles.container,
   header: { ...baseStyles.header, ...(isDark ? baseStyles.darkHeader : baseStyles.lightHeader) },
   headerTitle: { ...baseStyles.headerTitle, ...(isDark ? baseStyles.darkHeaderTitle : baseStyles.lightHeaderTitle) },
   card: { ...baseStyles.card, ...(isDark ? baseStyles.darkCard : baseStyles.lightCard) },
-  title: { ...baseStyles.title, ...(isDark ? baseStyles.darkTitle : baseStyles.lightTitle) },
-  label: { ...baseStyles.label, ...(isDark ? baseStyles.darkLabel : baseStyles.lightLabel) },
-  input: { ...baseStyles.input, ...(isDark ? baseStyles.darkInput : baseStyles.lightInput) },
+  title: { ...baseStyles.title, ...(isDark ? baseStyles.darkTitle : baseStyles.lightTitle), ...(rtl && RTL_TEXT) },
+  label: { ...baseStyles.label, ...(isDark ? baseStyles.darkLabel : baseStyles.lightLabel), ...(rtl && RTL_TEXT) },
+  input: { ...baseStyles.input, ...(isDark ? baseStyles.darkInput : baseStyles.lightInput), ...(rtl && RTL_TEXT) },
   btn: baseStyles.btn,
   btnText: baseStyles.btnText,
-  result: { ...baseStyles.result, ...(isDark ? baseStyles.darkResult : baseStyles.lightResult) },
+  result: { ...baseStyles.result, ...(isDark ? baseStyles.darkResult : baseStyles.lightResult), ...(rtl && RTL_TEXT) },
   sep: { ...baseStyles.sep, ...(isDark ? baseStyles.darkSep : baseStyles.lightSep) },
   pickerStyle: { 
     height: 50, 
@@ -247,13 +1181,13 @@ const getStyles = (isDark) => ({
     marginBottom: 10,
     backgroundColor: isDark ? '#1e354d' : '#fff',
   },
-  navIconContainer: { marginRight: 15, padding: 12, borderRadius: 10, backgroundColor: isDark ? '#0b1521' : '#eaf2ff' },
-  navTitle: { ...baseStyles.title, fontSize: 16, marginBottom: 0 },
-  navDesc: { color: isDark ? '#a0b0c0' : '#666', fontSize: 12, marginTop: 2 },
+  navIconContainer: { marginEnd: 15, padding: 12, borderRadius: 10, backgroundColor: isDark ? '#0b1521' : '#eaf2ff' },
+  navTitle: { ...baseStyles.title, fontSize: 16, marginBottom: 0, ...(rtl && RTL_TEXT) },
+  navDesc: { color: isDark ? '#a0b0c0' : '#666', fontSize: 12, marginTop: 2, ...(rtl && RTL_TEXT) },
   historyItem: { ...baseStyles.card, backgroundColor: isDark ? '#1e354d' : '#fff' },
-  historyType: { ...baseStyles.title, fontSize: 16, color: '#2d7fe8' },
-  historyInputs: { color: isDark ? '#bcd4ff' : '#444', fontSize: 13 },
-  historyResult: { ...baseStyles.result, fontSize: 14, marginTop: 4, color: isDark ? '#4ade80' : '#10b981' },
+  historyType: { ...baseStyles.title, fontSize: 16, color: '#2d7fe8', ...(rtl && RTL_TEXT) },
+  historyInputs: { color: isDark ? '#bcd4ff' : '#444', fontSize: 13, ...(rtl && RTL_TEXT) },
+  historyResult: { ...baseStyles.result, fontSize: 14, marginTop: 4, color: isDark ? '#4ade80' : '#10b981', ...(rtl && RTL_TEXT) },
   historyDate: { color: isDark ? '#6a788e' : '#aaa', fontSize: 10, alignSelf: 'flex-end', marginTop: 5 },
 });
 
@@ -289,13 +1223,63 @@ const NavCard = ({ icon, name, desc, onPress, styles, iconColor = "#2d7fe8" }) =
 </TouchableOpacity>
 );
 
-const UnitPicker = ({ styles, unitType, selectedValue, onValueChange }) => {
-  const units = Object.keys(UNITS_MAP[unitType] || {});
+// Numeric field for every calculator: accepts arithmetic ("12.5*2"), negatives, 5e-3 and a unit suffix
+// ("15 lb", "250 mcg") converted into `unit`. The screen receives the evaluated number as text; an invalid
+// entry is passed on as typed (so it parses to NaN, not 0) and the reason is shown under the field.
+const NumericInput = ({ styles, value, onChangeValue, unit, unitType, substance, placeholder, placeholderTextColor, style, inputStyle }) => {
+  const [text, setText] = useState(value ?? "");
+  const [error, setError] = useState(null);
+  const reported = useRef(value);
+  const lastUnit = useRef(unit);
+
+  const evaluate = (input) => {
+    setText(input);
+    const parsed = tryCalculation(() => parseQuantity(input, { unit, unitType, substance }));
+    setError(parsed.error ? calcErrorMessage(parsed.error) : null);
+    const next = parsed.error ? input : (parsed.result === undefined ? "" : String(parsed.result));
+    reported.current = next;
+    onChangeValue(next);
+  };
+
+  // Values set by the screen (route pre-fill, an animal's weight, a unit toggle that converts the value)
+  // replace what was typed; otherwise a unit switch re-evaluates the text so a suffix ("15 lb") converts again
+  useEffect(() => {
+    const unitChanged = lastUnit.current !== unit;
+    lastUnit.current = unit;
+    if (value !== reported.current) {
+      reported.current = value;
+      setText(value ?? "");
+      setError(null);
+    } else if (unitChanged && text) {
+      evaluate(text);
+    }
+  }, [value, unit]);
+
   return (
-<View style={{ width: '30%', marginLeft: 10 }}>
-<Picker
-        style={styles.pickerStyle}
-        selectedValue={selectedValue}
+<View style={style}>
+<TextInput
+        style={[styles.input, inputStyle, error ? { borderColor: '#ef4444' } : null]}
+        onChangeText={evaluate}
+        value={text}
+        keyboardType="default"
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder={placeholder}
+        placeholderTextColor={placeholderTextColor}
+      />
+      {error && <Text style={{ ...styles.label, fontSize: 12, marginTop: 4, color: '#ef4444' }}>{error}</Text>}
+</View>
+  );
+};
+
+// `unitType` may be an array of categories to offer their units together (e.g., molar and mass concentrations)
+const UnitPicker = ({ styles, unitType, selectedValue, onValueChange, substance }) => {
+  const units = [].concat(unitType).flatMap(t => unitsFor(t, substance));
+  return (
+<View style={{ width: '30%', marginStart: 10 }}>
+<Picker
+        style={styles.pickerStyle}
+        selectedValue={selectedValue}
         onValueChange={onValueChange}
         dropdownIconColor={styles.isDark ? '#fff' : '#333'}
         itemStyle={styles.pickerItemStyle}
@@ -307,16 +1291,159 @@ const UnitPicker = ({ styles, unitType, selectedValue, onValueChange }) => {
 };
 
 
+// Patient selector shared by the calculators; reports the chosen animal (or undefined)
+const AnimalPicker = ({ styles, animals, selectedId, onSelect, placeholder = t("picker.selectOrManual") }) => (
+<View style={styles.pickerStyle}>
+    <Picker
+        selectedValue={selectedId}
+        onValueChange={(id) => onSelect(id, animals.find(a => a.id === id))}
+        itemStyle={styles.pickerItemStyle}
+        dropdownIconColor={styles.isDark ? '#fff' : '#333'}
+    >
+        <Picker.Item label={placeholder} value="" />
+        {animals.map(a =><Picker.Item key={a.id} label={t("picker.animalOption", { name: a.name, weight: fmt(a.weight) })} value={a.id} />)}
+    </Picker>
+</View>
+);
+
+// Lets a calculator use the latest or a historical weight from the animal's log
+const WeightLogPicker = ({ styles, animal, selectedDate, onSelect }) => {
+  const log = sortedWeightLog(animal).reverse();
+  if (log.length < 2) return null;
+  return (
+    <>
+      <Text style={styles.label}>{t("picker.weightUsed")}</Text>
+      <View style={styles.pickerStyle}>
+        <Picker
+          selectedValue={selectedDate}
+          onValueChange={(date) => onSelect(log.find(e => e.date === date))}
+          itemStyle={styles.pickerItemStyle}
+          dropdownIconColor={styles.isDark ? '#fff' : '#333'}
+        >
+          {log.map((e, i) =><Picker.Item key={e.date} label={t(i === 0 ? "picker.weightLatest" : "picker.weightLogged", { weight: fmt(e.weight), date: formatDate(e.date) })} value={e.date} />)}
+        </Picker>
+      </View>
+    </>
+  );
+};
+
+// Horizontal chip selector for short option lists (e.g., giving sets, modes)
+const OptionChips = ({ styles, options, selectedValue, onSelect }) => (
+<View style={{ flexDirection: 'row', flexWrap: 'wrap', marginTop: 6 }}>
+    {options.map(opt => {
+        const active = opt.value === selectedValue;
+        return (
+            <TouchableOpacity
+                key={String(opt.value)}
+                onPress={() => onSelect(opt.value)}
+                style={{ paddingVertical: 8, paddingHorizontal: 12, marginEnd: 8, marginBottom: 8, borderRadius: 20, backgroundColor: active ? '#2d7fe8' : (styles.isDark ? '#1e354d' : '#f0f0f0') }}
+            >
+                <Text style={{ color: active ? '#fff' : (styles.isDark ? '#d8e8ff' : '#333'), fontWeight: '700', fontSize: 13 }}>{opt.label}</Text>
+            </TouchableOpacity>
+        );
+    })}
+</View>
+);
+
+// Saved forms of one calculator: tap a name to apply it (the current patient is kept), star it to list it
+// on the home screen, or save the current form under a new or existing name
+const PresetBar = ({ styles, screen, params, presets, setPresets, applyPreset }) => {
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState("");
+    const own = presets.filter(p => p.screen === screen);
+
+    const save = async () => {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            Alert.alert(t("common.inputError"), t("presets.errorName"));
+            return;
+        }
+        const existing = own.find(p => p.name.toLowerCase() === trimmed.toLowerCase());
+        const preset = {
+            id: existing ? existing.id : `preset_${Date.now()}`,
+            name: trimmed,
+            screen,
+            params: presetParams(screen, params),
+            favourite: existing ? existing.favourite : false,
+            updatedAt: new Date().toISOString(),
+        };
+        try {
+            await savePresets(existing ? presets.map(p => (p.id === existing.id ? preset : p)) : [...presets, preset], setPresets);
+            setName("");
+            Alert.alert(t("common.success"), t(existing ? "presets.updated" : "presets.saved", { name: trimmed }));
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const toggleFavourite = async (preset) => {
+        try {
+            await savePresets(presets.map(p => (p.id === preset.id ? { ...p, favourite: !p.favourite } : p)), setPresets);
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const deletePreset = (preset) => {
+        Alert.alert(t("presets.deleteTitle"), t("presets.deleteConfirm", { name: preset.name }), [
+            { text: t("common.cancel"), style: "cancel" },
+            { text: t("common.delete"), style: "destructive", onPress: async () => {
+                try {
+                    await savePresets(presets.filter(p => p.id !== preset.id), setPresets);
+                } catch (e) {
+                    reportStorageError(e);
+                }
+            }}
+        ]);
+    };
+
+    return (
+<View style={{ marginBottom: 6 }}>
+<TouchableOpacity onPress={() => setOpen(!open)} style={{ flexDirection: 'row', alignItems: 'center', paddingVertical: 4 }}>
+<MaterialIcons name="bookmarks" size={18} color="#2d7fe8" />
+<Text style={{ ...styles.label, marginTop: 0, marginStart: 6, color: '#2d7fe8' }}>{t(open ? "presets.hide" : "presets.show", { count: localizeDigits(own.length) })}</Text>
+</TouchableOpacity>
+            {open && (
+<View style={{ ...styles.card, padding: 12, marginTop: 8 }}>
+                    {own.length === 0 && <Text style={styles.historyInputs}>{t("presets.empty")}</Text>}
+                    {own.map(preset => (
+<View key={preset.id} style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
+<TouchableOpacity style={{ flex: 1 }} onPress={() => applyPreset(preset, { animal: params.animal, weight: params.weight })}>
+<Text style={{ ...styles.label, marginTop: 0, color: '#2d7fe8' }}>{preset.name}</Text>
+</TouchableOpacity>
+<TouchableOpacity onPress={() => toggleFavourite(preset)} style={{ padding: 4, marginEnd: 6 }} accessibilityLabel={t(preset.favourite ? "presets.unfavourite" : "presets.favourite")}>
+<MaterialIcons name={preset.favourite ? "star" : "star-border"} size={22} color="#f59e0b" />
+</TouchableOpacity>
+<TouchableOpacity onPress={() => deletePreset(preset)} style={{ padding: 4 }} accessibilityLabel={t("common.delete")}>
+<MaterialIcons name="delete-outline" size={20} color="#ef4444" />
+</TouchableOpacity>
+</View>
+                    ))}
+<TextInput style={styles.input} onChangeText={setName} value={name} placeholder={t("presets.namePlaceholder")} placeholderTextColor={styles.isDark ? '#a0b0c0' : '#888'} />
+<TouchableOpacity style={{ ...styles.btn, marginTop: 10, backgroundColor: '#10b981' }} onPress={save}>
+<Text style={styles.btnText}>{t("presets.saveCurrent")}</Text>
+</TouchableOpacity>
+</View>
+            )}
+</View>
+    );
+};
+
+
 /* -------------------- 1. Animal Management Screen -------------------- */
 
-const AnimalManagementScreen = ({ styles, setAnimals, animals }) => {
+const AnimalManagementScreen = ({ styles, setAnimals, animals, history, reloadHistory, openTimeline }) => {
     const [name, setName] = useState("");
     const [type, setType] = useState("Dog");
     const [weight, setWeight] = useState("");
     const [condition, setCondition] = useState("");
     const [editingId, setEditingId] = useState(null);
+    const [detailId, setDetailId] = useState(null);
+    const [newWeight, setNewWeight] = useState("");
 
-    const animalTypes = useMemo(() => ["Dog", "Cat", "Horse", "Cattle", "Other"], []);
+    const detailAnimal = animals.find(a => a.id === detailId);
+    // Counted in storage, so entries older than the pages held are included
+    const detailLinked = useHistoryCount(detailAnimal ? (item => isAnimalEntry(item, detailAnimal)) : null, [detailId, history]);
 
     useEffect(() => {
         if (editingId !== null) {
@@ -331,59 +1458,182 @@ const AnimalManagementScreen = ({ styles, setAnimals, animals }) => {
     }, [editingId, animals]);
 
     const saveAnimal = async () => {
-        const W = safeParse(weight);
-        if (!name || W <= 0) {
-            Alert.alert("Input Error", "Please enter a valid name and weight.");
+        const weightCalc = tryCalculation(() => requirePositive(parseNumber(weight), "weight", "Weight"));
+        if (!name || weightCalc.error) {
+            Alert.alert(t("common.inputError"), t("animals.errorNameWeight"));
             return;
         }
-
-        const newAnimal = {
-            id: editingId || Date.now().toString(),
-            name,
-            type,
-            weight: W,
-            condition,
-            updatedAt: new Date().toISOString(),
-        };
+        const W = weightCalc.result;
+
+        const now = new Date().toISOString();
+        const existing = animals.find(a => a.id === editingId);
+        const fields = { name, type, condition, updatedAt: now };
+
+        // Editing keeps the weight log and only appends when the weight actually changed
+        let newAnimal;
+        if (existing) {
+            const log = sortedWeightLog(existing);
+            const latest = log[log.length - 1];
+            newAnimal = latest && latest.weight === W
+                ? { ...existing, ...fields }
+                : withWeightLog({ ...existing, ...fields }, [...log, { date: now, weight: W }]);
+        } else {
+            newAnimal = { id: Date.now().toString(), ...fields, weight: W, admittedAt: now, weightLog: [{ date: now, weight: W }] };
+        }
 
         const newAnimals = editingId 
             ? animals.map(a => a.id === editingId ? newAnimal : a)
             : [...animals, newAnimal];
 
         try {
-            await AsyncStorage.setItem(ANIMALS_KEY, JSON.stringify(newAnimals));
-            setAnimals(newAnimals);
-            Alert.alert("Success", `Animal ${editingId ? 'updated' : 'added'} successfully!`);
+            await persistAnimals(newAnimals, setAnimals);
+            Alert.alert(t("common.success"), t(editingId ? "animals.updated" : "animals.added"));
             setName("");
             setWeight("");
             setCondition("");
             setEditingId(null);
         } catch (e) {
-            console.error("Failed to save animal:", e);
+            reportStorageError(e);
         }
     };
 
-    const deleteAnimal = (id) => {
-        Alert.alert("Delete Animal", "Are you sure you want to delete this animal's record?", [
-            { text: "Cancel", style: "cancel" },
-            { text: "Delete", style: "destructive", onPress: async () => {
-                const newAnimals = animals.filter(a => a.id !== id);
-                await AsyncStorage.setItem(ANIMALS_KEY, JSON.stringify(newAnimals));
-                setAnimals(newAnimals);
+    // Linked entries are counted in storage, since the pages held may not reach the animal's oldest ones
+    const deleteAnimal = async (id) => {
+        const animal = animals.find(a => a.id === id);
+        let linked;
+        try {
+            linked = await storage.countHistory(item => isAnimalEntry(item, animal));
+        } catch (e) {
+            reportStorageError(e);
+            return;
+        }
+        const remove = async (historyAction) => {
+            try {
+                await persistAnimals(animals.filter(a => a.id !== id), setAnimals);
+                if (linked > 0) await detachAnimalHistory(animal, historyAction, reloadHistory);
                 setEditingId(null);
-            }}
-        ]);
+                if (detailId === id) setDetailId(null);
+            } catch (e) {
+                reportStorageError(e);
+            }
+        };
+
+        if (linked === 0) {
+            Alert.alert(t("animals.deleteTitle"), t("animals.deleteConfirm"), [
+                { text: t("common.cancel"), style: "cancel" },
+                { text: t("common.delete"), style: "destructive", onPress: () => remove('archive') },
+            ]);
+            return;
+        }
+        Alert.alert(
+            t("animals.deleteTitle"),
+            t(linked === 1 ? "animals.deleteLinkedOne" : "animals.deleteLinkedMany", { name: animal.name, count: linked }),
+            [
+                { text: t("common.cancel"), style: "cancel" },
+                { text: t("animals.archiveHistory"), onPress: () => remove('archive') },
+                { text: t("animals.deleteHistory"), style: "destructive", onPress: () => remove('remove') },
+            ]
+        );
+    };
+
+    const updateWeightLog = async (animal, weightLog) => {
+        const updated = { ...withWeightLog(animal, weightLog), updatedAt: new Date().toISOString() };
+        const newAnimals = animals.map(a => a.id === animal.id ? updated : a);
+        try {
+            await persistAnimals(newAnimals, setAnimals);
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const recordWeight = async () => {
+        const weightCalc = tryCalculation(() => requirePositive(parseNumber(newWeight), "weight", "Weight"));
+        if (!detailAnimal || weightCalc.error) {
+            Alert.alert(t("common.inputError"), t("animals.errorWeight"));
+            return;
+        }
+        await updateWeightLog(detailAnimal, [...sortedWeightLog(detailAnimal), { date: new Date().toISOString(), weight: weightCalc.result }]);
+        setNewWeight("");
+    };
+
+    const deleteWeightEntry = (date) => {
+        const log = sortedWeightLog(detailAnimal);
+        if (log.length <= 1) {
+            Alert.alert(t("animals.weightLog"), t("animals.errorLastWeight"));
+            return;
+        }
+        updateWeightLog(detailAnimal, log.filter(e => e.date !== date));
+    };
+
+    const renderDetail = () => {
+        if (!detailAnimal) return null;
+        const log = sortedWeightLog(detailAnimal);
+        const admission = log[0];
+        const change = weightChangePct(detailAnimal);
+        const chartData = log.map(e => ({ x: new Date(e.date), y: e.weight }));
+        const axisStyle = { axisLabel: { padding: 35, fill: styles.label.color }, tickLabels: { fill: styles.label.color, fontSize: 9 } };
+
+        return (
+            <View style={{ ...styles.card, padding: 12, borderWidth: 1, borderColor: '#2d7fe8' }}>
+                <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Text style={styles.title}>{t("animals.weightTrend", { name: detailAnimal.name })}</Text>
+                    <TouchableOpacity onPress={() => setDetailId(null)} style={{ padding: 4 }}>
+                        <MaterialIcons name="close" size={22} color={styles.title.color} />
+                    </TouchableOpacity>
+                </View>
+                <Text style={styles.label}>{t("animals.admission", { weight: fmt(admission?.weight), date: admission ? formatDate(admission.date) : '—' })}</Text>
+                <Text style={{ ...styles.label, marginTop: 4 }}>{t("animals.latest", { weight: fmt(detailAnimal.weight) })}</Text>
+                <Text style={{ ...styles.result, color: Math.abs(change) >= 5 ? '#ef4444' : '#10b981' }}>
+                    {t("animals.changeSinceAdmission", { change: `${change > 0 ? '+' : ''}${fmt(change, 1)}` })}
+                </Text>
+                <TouchableOpacity style={{ ...styles.btn, marginTop: 10, backgroundColor: '#0ea5e9' }} onPress={() => openTimeline(detailAnimal.id)}>
+                    <Text style={styles.btnText}>{t("animals.timelineButton", { count: detailLinked === null ? "…" : animalEventCount(detailAnimal, detailLinked) })}</Text>
+                </TouchableOpacity>
+
+                {chartData.length > 1 && (
+                    <VictoryChart
+                        scale={{ x: "time" }}
+                        domainPadding={15}
+                        padding={{ top: 20, bottom: 50, left: 55, right: 25 }}
+                        height={240}
+                        style={{ parent: { backgroundColor: styles.card.backgroundColor, borderRadius: 16 } }}
+                    >
+                        <VictoryAxis tickFormat={formatDayMonth} style={axisStyle} />
+                        <VictoryAxis dependentAxis label={t("animals.weightAxis")} style={{ ...axisStyle, axisLabel: { ...axisStyle.axisLabel, padding: 40 } }} />
+                        <VictoryLine data={chartData} style={{ data: { stroke: "#4ade80", strokeWidth: 3 } }} />
+                        <VictoryScatter data={chartData} size={4} style={{ data: { fill: "#2d7fe8" } }} />
+                    </VictoryChart>
+                )}
+
+                <Text style={styles.label}>{t("animals.recordWeight")}</Text>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                    <NumericInput styles={styles} style={{ flex: 1 }} value={newWeight} onChangeValue={setNewWeight} unit="kg" unitType="MASS" placeholder={t("animals.newWeightPlaceholder")} />
+                    <TouchableOpacity onPress={recordWeight} style={{ marginStart: 10, marginTop: 6, padding: 12, backgroundColor: '#2d7fe8', borderRadius: 10 }}>
+                        <MaterialIcons name="add" size={22} color="#fff" />
+                    </TouchableOpacity>
+                </View>
+
+                {[...log].reverse().map(e => (
+                    <View key={e.date} style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginTop: 8 }}>
+                        <Text style={styles.historyInputs}>{t("animals.logEntry", { date: formatDate(e.date), weight: fmt(e.weight) })}</Text>
+                        <TouchableOpacity onPress={() => deleteWeightEntry(e.date)} style={{ padding: 4 }}>
+                            <MaterialIcons name="delete-outline" size={18} color="#ef4444" />
+                        </TouchableOpacity>
+                    </View>
+                ))}
+            </View>
+        );
     };
 
     const renderAnimalItem = ({ item }) => (
 <View style={{ ...styles.card, padding: 12, marginBottom: 10, flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
-<View>
-<Text style={styles.title}>{item.name} ({item.type})</Text>
-<Text style={styles.label}>Weight: {fmt(item.weight)} kg</Text>
-<Text style={{ ...styles.label, marginTop: 4 }}>Condition: {item.condition || 'Healthy'}</Text>
-</View>
+<TouchableOpacity style={{ flex: 1 }} onPress={() => setDetailId(detailId === item.id ? null : item.id)}>
+<Text style={styles.title}>{item.name} ({tValue("species", item.type)})</Text>
+<Text style={styles.label}>{t("animals.weightLine", { weight: fmt(item.weight) })}{item.weightLog?.length > 1 ? t("animals.sinceAdmission", { change: `${weightChangePct(item) > 0 ? '+' : ''}${fmt(weightChangePct(item), 1)}` }) : ''}</Text>
+<Text style={{ ...styles.label, marginTop: 4 }}>{t("animals.conditionLine", { condition: item.condition || t("animals.healthy") })}</Text>
+</TouchableOpacity>
 <View style={{ flexDirection: 'row' }}>
-<TouchableOpacity onPress={() => setEditingId(item.id)} style={{ padding: 8, marginRight: 10, backgroundColor: '#f59e0b', borderRadius: 8 }}>
+<TouchableOpacity onPress={() => setEditingId(item.id)} style={{ padding: 8, marginEnd: 10, backgroundColor: '#f59e0b', borderRadius: 8 }}>
 <MaterialIcons name="edit" size={20} color="#fff" />
 </TouchableOpacity>
 <TouchableOpacity onPress={() => deleteAnimal(item.id)} style={{ padding: 8, backgroundColor: '#ef4444', borderRadius: 8 }}>
@@ -394,141 +1644,918 @@ const AnimalManagementScreen = ({ styles, setAnimals, animals }) => {
     );
 
     return (
-<FormScreenWrapper title="🐾 Animal Health Management" styles={styles}>
-<Text style={styles.label}>Animal Name</Text>
-<TextInput style={styles.input} onChangeText={setName} value={name} placeholder="e.g., Buddy" />
+<FormScreenWrapper title={t("animals.title")} styles={styles}>
+<Text style={styles.label}>{t("animals.name")}</Text>
+<TextInput style={styles.input} onChangeText={setName} value={name} placeholder={t("animals.namePlaceholder")} />
 
-<Text style={styles.label}>Species</Text>
+<Text style={styles.label}>{t("common.species")}</Text>
 <View style={styles.pickerStyle}>
 <Picker selectedValue={type} onValueChange={setType} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
-                    {animalTypes.map(t =><Picker.Item key={t} label={t} value={t} />)}
+                    {ANIMAL_TYPES.map(sp =><Picker.Item key={sp} label={tValue("species", sp)} value={sp} />)}
 </Picker>
 </View>
 
-<Text style={styles.label}>Weight (kg)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setWeight(filterNumeric(t))} value={weight} keyboardType="numeric" placeholder="e.g., 15.5" />
+<Text style={styles.label}>{t("common.weightKg")}</Text>
+<NumericInput styles={styles} value={weight} onChangeValue={setWeight} unit="kg" unitType="MASS" placeholder={t("animals.weightPlaceholder")} />
 
-<Text style={styles.label}>Medical Condition</Text>
-<TextInput style={styles.input} onChangeText={setCondition} value={condition} placeholder="e.g., Renal Failure, Post-Op" />
+<Text style={styles.label}>{t("animals.condition")}</Text>
+<TextInput style={styles.input} onChangeText={setCondition} value={condition} placeholder={t("animals.conditionPlaceholder")} />
 
 <TouchableOpacity style={styles.btn} onPress={saveAnimal}>
-<Text style={styles.btnText}>{editingId ? "Update Animal Record" : "Add New Animal"}</Text>
+<Text style={styles.btnText}>{editingId ? t("animals.update") : t("animals.add")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.title}>Registered Animals ({animals.length})</Text>
+<Text style={styles.title}>{t("animals.registered", { count: animals.length })}</Text>
+            {animals.length > 0 && (
+<View style={{ flexDirection: 'row', marginBottom: 8 }}>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginEnd: 10, marginTop: 0, backgroundColor: '#f59e0b' }} onPress={() => exportAnimals(animals, 'csv')}>
+<Text style={styles.btnText}>{t("export.csv")}</Text>
+</TouchableOpacity>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginTop: 0, backgroundColor: '#f59e0b' }} onPress={() => exportAnimals(animals, 'json')}>
+<Text style={styles.btnText}>{t("export.json")}</Text>
+</TouchableOpacity>
+</View>
+            )}
+<Text style={{ ...styles.label, fontSize: 11, marginTop: 0, marginBottom: 8 }}>{t("animals.tapHint")}</Text>
+            {renderDetail()}
 
 <FlatList
                 data={animals}
                 renderItem={renderAnimalItem}
                 keyExtractor={item => item.id}
                 scrollEnabled={false}
-                ListEmptyComponent={<Text style={{ ...styles.label, textAlign: 'center' }}>No animals tracked yet.</Text>}
+                ListEmptyComponent={<Text style={{ ...styles.label, textAlign: 'center' }}>{t("animals.empty")}</Text>}
             />
 </FormScreenWrapper>
     );
 };
 
 
-/* -------------------- 2. Dose Calculation Screen -------------------- */
+/* -------------------- 1a. Animal Treatment Timeline Screen -------------------- */
 
-const DoseScreen = ({ styles, saveHistory, animals }) => {
-    const [weight, setWeight] = useState("");
-    const [dose, setDose] = useState("");
-    const [doseUnit, setDoseUnit] = useState("mg/kg"); // Base unit for dose amount per kg
-    const [conc, setConc] = useState(""); // Concentration of stock solution
-    const [concUnit, setConcUnit] = useState("mg/mL");
-    const [time, setTime] = useState(""); // Infusion time in minutes
-    const [selectedAnimalId, setSelectedAnimalId] = useState("");
-
-    const { totalDoseMg, volNeeded, mlHrRate, dropRate } = useMemo(() => {
-        const W = safeParse(weight);
-        const D = safeParse(dose);
-        const C = safeParse(conc);
-        const T = safeParse(time); // Time in minutes
-        const DF = 20; // Standard drop factor
-
-        if (W <= 0 || D <= 0 || C <= 0) return {};
-
-        // 1. Convert Dose to mg/kg
-        const D_mg_kg = convertUnit(D, doseUnit, 'mg/kg', 'MASS');
-
-        // 2. Convert Concentration to mg/mL
-        const C_mg_mL = convertUnit(C, concUnit, 'mg/mL', 'CONC_DOSE');
-
-        // Total Dose (mg)
-        const totalDoseMg = W * D_mg_kg;
-
-        // Volume Needed (mL)
-        const volNeeded = totalDoseMg / C_mg_mL;
-
-        let mlHrRate = 0, dropRate = 0;
-        if (volNeeded > 0 && T > 0) {
-            mlHrRate = (volNeeded / T) * 60;
-            dropRate = (volNeeded * DF) / T;
+const AnimalTimelineScreen = ({ styles, animals, history, saveHistory, initialAnimalId, onAnimalChange }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(initialAnimalId || "");
+    const [note, setNote] = useState("");
+
+    const animal = animals.find(a => a.id === selectedAnimalId);
+    // The animal's entries are read from storage a page at a time, however old; the total is counted there
+    const match = animal ? (item => isAnimalEntry(item, animal)) : null;
+    const linked = useHistoryLookup(match, [selectedAnimalId, history]);
+    const linkedCount = useHistoryCount(match, [selectedAnimalId, history]);
+
+    // Until every entry is read, the timeline stops at the oldest one read so older weights and vitals wait for their page
+    const timeline = useMemo(() => {
+        const events = buildAnimalTimeline(animal, linked.entries);
+        const oldest = linked.more ? linked.entries[linked.entries.length - 1] : null;
+        return oldest ? events.filter(ev => new Date(ev.time) >= new Date(oldest.time)) : events;
+    }, [animal, linked.entries, linked.more]);
+
+    const addNote = () => {
+        if (!animal || !note.trim()) {
+            Alert.alert(t("common.inputError"), t("timeline.errorNote"));
+            return;
+        }
+        const text = note.trim();
+        saveHistory({ type: "Clinical Note", animalId: animal.id, inputs: { animalName: animal.name, note: text }, result: {} }, saveHistory);
+        setNote("");
+    };
+
+    return (
+<FormScreenWrapper title={t("timeline.title")} styles={styles}>
+<Text style={styles.label}>{t("common.patient")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => { setSelectedAnimalId(id); onAnimalChange(id); }} placeholder={t("picker.selectAnimal")} />
+
+            {animal && (
+                <>
+                    <Text style={styles.label}>{t("timeline.summary", { species: tValue("species", animal.type), weight: fmt(animal.weight), condition: animal.condition || t("animals.healthy") })}</Text>
+
+                    <Text style={styles.label}>{t("timeline.addNote")}</Text>
+                    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                        <TextInput style={[styles.input, { flex: 1 }]} onChangeText={setNote} value={note} placeholder={t("timeline.notePlaceholder")} multiline />
+                        <TouchableOpacity onPress={addNote} style={{ marginStart: 10, marginTop: 6, padding: 12, backgroundColor: '#2d7fe8', borderRadius: 10 }}>
+                            <MaterialIcons name="add" size={22} color="#fff" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <View style={styles.sep} />
+                    <Text style={styles.title}>{t("timeline.events", { count: linkedCount === null ? "…" : animalEventCount(animal, linkedCount) })}</Text>
+                    {timeline.length === 0 && <Text style={{ ...styles.label, textAlign: 'center' }}>{t("timeline.empty", { name: animal.name })}</Text>}
+                    {timeline.map(ev => (
+                        <View key={ev.key} style={{ flexDirection: 'row', marginTop: 10 }}>
+                            <Ionicons name={TIMELINE_ICONS[ev.kind] || "flask-outline"} size={20} color="#2d7fe8" style={{ marginEnd: 10, marginTop: 2 }} />
+                            <View style={{ flex: 1 }}>
+                                <Text style={styles.historyType}>{tValue("historyType", ev.kind)}</Text>
+                                <Text style={styles.historyInputs}>{ev.text}</Text>
+                                <Text style={{ ...styles.historyDate, alignSelf: 'flex-start' }}>{formatDateTime(ev.time)}</Text>
+                            </View>
+                        </View>
+                    ))}
+                    {linked.more && (
+                        <TouchableOpacity style={{ ...styles.btn, backgroundColor: '#6b7280' }} onPress={linked.loadMore}>
+                            <Text style={styles.btnText}>{t("common.showOlder")}</Text>
+                        </TouchableOpacity>
+                    )}
+                </>
+            )}
+</FormScreenWrapper>
+    );
+};
+
+/* -------------------- 1b. Vital Signs Screen -------------------- */
+
+// Numeric vital parameters; temperature is stored in °C
+const VITAL_PARAMS = [
+  { key: "temp", unit: "°C" },
+  { key: "hr", unit: "bpm" },
+  { key: "rr", unit: "br/min" },
+  { key: "crt", unit: "s" },
+  { key: "pain", unit: "/10" },
+];
+
+const vitalLabel = (param) => t(`vitals.${param.key}`);
+
+// Adult resting reference ranges. Pain score above 3/10 warrants analgesia review.
+const VITAL_RANGES = {
+  Dog: { temp: { min: 37.5, max: 39.2 }, hr: { min: 60, max: 140 }, rr: { min: 10, max: 30 }, crt: { min: 1, max: 2 }, pain: { min: 0, max: 3 } },
+  Cat: { temp: { min: 37.8, max: 39.2 }, hr: { min: 140, max: 220 }, rr: { min: 20, max: 40 }, crt: { min: 1, max: 2 }, pain: { min: 0, max: 3 } },
+  Horse: { temp: { min: 37.2, max: 38.3 }, hr: { min: 28, max: 44 }, rr: { min: 8, max: 16 }, crt: { min: 1, max: 2 }, pain: { min: 0, max: 3 } },
+  Cattle: { temp: { min: 38.0, max: 39.3 }, hr: { min: 48, max: 84 }, rr: { min: 26, max: 50 }, crt: { min: 1, max: 2 }, pain: { min: 0, max: 3 } },
+  Other: { pain: { min: 0, max: 3 } },
+};
+
+const MM_COLOURS = ["Pink", "Pale", "White", "Cyanotic", "Icteric", "Injected"];
+
+// Returns 'low', 'high' or 'ok' for a reading, or null when there is no range or value
+const flagVital = (species, key, value) => {
+  const range = (VITAL_RANGES[species] || VITAL_RANGES.Other)[key];
+  if (!range || !Number.isFinite(value)) return null;
+  if (value < range.min) return 'low';
+  if (value > range.max) return 'high';
+  return 'ok';
+};
+
+const FLAG_COLORS = { low: '#3b82f6', high: '#ef4444', ok: '#10b981' };
+
+const VitalsScreen = ({ styles, animals, setAnimals, params = {} }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal));
+    const [temp, setTemp] = useState("");
+    const [tempUnit, setTempUnit] = useState("C");
+    const [hr, setHr] = useState("");
+    const [rr, setRr] = useState("");
+    const [crt, setCrt] = useState("");
+    const [mm, setMm] = useState("Pink");
+    const [pain, setPain] = useState("");
+    const [chartParam, setChartParam] = useState("temp");
+
+    const animal = animals.find(a => a.id === selectedAnimalId);
+    const species = animal?.type || "Other";
+    const vitals = useMemo(
+        () => [...(animal?.vitals || [])].sort((a, b) => new Date(b.date) - new Date(a.date)),
+        [animal]
+    );
+
+    const saveVitals = async () => {
+        if (!animal) {
+            Alert.alert(t("common.inputError"), t("vitals.errorAnimal"));
+            return;
+        }
+        // Empty fields stay null so they are neither flagged nor charted; anything typed must be valid
+        const readings = tryCalculation(() => ({
+            temp: optionalNumber(parseNumber(temp), "temp", "Temperature"),
+            hr: optionalPositive(parseNumber(hr), "hr", "Heart rate"),
+            rr: optionalPositive(parseNumber(rr), "rr", "Respiratory rate"),
+            crt: optionalPositive(parseNumber(crt), "crt", "Capillary refill time"),
+            pain: optionalNumber(parseNumber(pain), "pain", "Pain score"),
+        }));
+        if (readings.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(readings.error));
+            return;
+        }
+        const { temp: T, hr: HR, rr: RR, crt: CRT, pain: PAIN } = readings.result;
+        const entry = {
+            id: Date.now().toString(),
+            date: new Date().toISOString(),
+            temp: T === null ? null : convertUnit(T, tempUnit, 'C', 'TEMP'),
+            hr: HR,
+            rr: RR,
+            crt: CRT,
+            mm,
+            pain: PAIN,
+        };
+        if (VITAL_PARAMS.every(p => entry[p.key] === null)) {
+            Alert.alert(t("common.inputError"), t("vitals.errorEmpty"));
+            return;
+        }
+
+        const updated = { ...animal, vitals: [...(animal.vitals || []), entry], updatedAt: entry.date };
+        try {
+            await persistAnimals(animals.map(a => a.id === animal.id ? updated : a), setAnimals);
+            setTemp(""); setHr(""); setRr(""); setCrt(""); setPain(""); setMm("Pink");
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const deleteVitals = (id) => {
+        Alert.alert(t("vitals.deleteTitle"), t("vitals.deleteConfirm"), [
+            { text: t("common.cancel"), style: "cancel" },
+            { text: t("common.delete"), style: "destructive", onPress: async () => {
+                const updated = { ...animal, vitals: (animal.vitals || []).filter(v => v.id !== id) };
+                await persistAnimals(animals.map(a => a.id === animal.id ? updated : a), setAnimals).catch(reportStorageError);
+            }}
+        ]);
+    };
+
+    const renderValue = (param, value) => {
+        if (value === null || value === undefined) return null;
+        const flag = flagVital(species, param.key, value);
+        const shown = param.key === 'temp' ? `${fmt(convertUnit(value, 'C', tempUnit, 'TEMP'), 1)} °${tempUnit}` : `${fmt(value, 1)} ${param.unit}`;
+        return (
+            <Text key={param.key} style={{ ...styles.historyInputs, color: flag && flag !== 'ok' ? FLAG_COLORS[flag] : styles.historyInputs.color }}>
+                {vitalLabel(param)}: {shown}{flag && flag !== 'ok' ? ` (${t(`flags.${flag}`)})` : ''}
+            </Text>
+        );
+    };
+
+    const chartRange = (VITAL_RANGES[species] || VITAL_RANGES.Other)[chartParam];
+    const chartData = useMemo(() => [...vitals].reverse()
+        .filter(v => v[chartParam] !== null && v[chartParam] !== undefined)
+        .map(v => ({ x: new Date(v.date), y: v[chartParam] })), [vitals, chartParam]);
+    const chartUnit = VITAL_PARAMS.find(p => p.key === chartParam).unit;
+    const axisStyle = { axisLabel: { padding: 35, fill: styles.label.color }, tickLabels: { fill: styles.label.color, fontSize: 9 } };
+
+    const rangeHint = (key) => {
+        const range = (VITAL_RANGES[species] || VITAL_RANGES.Other)[key];
+        if (!range) return "";
+        if (key === 'temp') {
+            return ` (${fmt(convertUnit(range.min, 'C', tempUnit, 'TEMP'), 1)}–${fmt(convertUnit(range.max, 'C', tempUnit, 'TEMP'), 1)})`;
         }
+        return ` (${range.min}–${range.max})`;
+    };
+
+    return (
+<FormScreenWrapper title={t("vitals.title")} styles={styles}>
+<Text style={styles.label}>{t("common.selectAnimal")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} />
+            {animal && !VITAL_RANGES[animal.type]?.hr && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("vitals.noRanges", { species: tValue("species", animal.type) })}</Text>
+            )}
+
+<Text style={styles.label}>{t("vitals.temp")}{rangeHint('temp')}</Text>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<NumericInput styles={styles} style={{ flex: 1 }} value={temp} onChangeValue={setTemp} unit={tempUnit} unitType="TEMP" placeholder={t("vitals.tempPlaceholder")} />
+<UnitPicker styles={styles} unitType="TEMP" selectedValue={tempUnit} onValueChange={setTempUnit} />
+</View>
+
+<Text style={styles.label}>{t("vitals.hrLabel")}{rangeHint('hr')}</Text>
+<NumericInput styles={styles} value={hr} onChangeValue={setHr} unit="bpm" placeholder={t("vitals.hrPlaceholder")} />
 
-        return { totalDoseMg, volNeeded, mlHrRate, dropRate };
-    }, [weight, dose, doseUnit, conc, concUnit, time]);
+<Text style={styles.label}>{t("vitals.rrLabel")}{rangeHint('rr')}</Text>
+<NumericInput styles={styles} value={rr} onChangeValue={setRr} unit="br/min" placeholder={t("vitals.rrPlaceholder")} />
+
+<Text style={styles.label}>{t("vitals.crtLabel")}{rangeHint('crt')}</Text>
+<NumericInput styles={styles} value={crt} onChangeValue={setCrt} unit="s" placeholder={t("vitals.crtPlaceholder")} />
+
+<Text style={styles.label}>{t("vitals.mmLabel")}</Text>
+<OptionChips styles={styles} options={MM_COLOURS.map(c => ({ value: c, label: tValue("mucousMembranes", c) }))} selectedValue={mm} onSelect={setMm} />
+
+<Text style={styles.label}>{t("vitals.painLabel")}</Text>
+<NumericInput styles={styles} value={pain} onChangeValue={setPain} placeholder={t("vitals.painPlaceholder")} />
+
+<TouchableOpacity style={styles.btn} onPress={saveVitals}>
+<Text style={styles.btnText}>{t("vitals.record")}</Text>
+</TouchableOpacity>
+
+            {animal && (
+<>
+<View style={styles.sep} />
+<Text style={styles.title}>{t("vitals.trend")}</Text>
+<OptionChips styles={styles} options={VITAL_PARAMS.map(p => ({ value: p.key, label: vitalLabel(p) }))} selectedValue={chartParam} onSelect={setChartParam} />
+                    {chartData.length > 1 ? (
+<VictoryChart
+                            scale={{ x: "time" }}
+                            domainPadding={15}
+                            padding={{ top: 20, bottom: 50, left: 55, right: 25 }}
+                            height={240}
+                            style={{ parent: { backgroundColor: styles.card.backgroundColor, borderRadius: 16 } }}
+>
+<VictoryAxis tickFormat={formatDayMonth} style={axisStyle} />
+<VictoryAxis dependentAxis label={chartUnit} style={{ ...axisStyle, axisLabel: { ...axisStyle.axisLabel, padding: 40 } }} />
+                            {chartRange && [chartRange.min, chartRange.max].map(limit => (
+<VictoryLine
+                                    key={limit}
+                                    data={[{ x: chartData[0].x, y: limit }, { x: chartData[chartData.length - 1].x, y: limit }]}
+                                    style={{ data: { stroke: "#f59e0b", strokeWidth: 1, strokeDasharray: "4,4" } }}
+                                />
+                            ))}
+<VictoryLine data={chartData} style={{ data: { stroke: "#4ade80", strokeWidth: 3 } }} />
+<VictoryScatter
+                                data={chartData}
+                                size={4}
+                                style={{ data: { fill: ({ datum }) => FLAG_COLORS[flagVital(species, chartParam, datum.y)] || "#2d7fe8" } }}
+                            />
+</VictoryChart>
+                    ) : (
+<Text style={{ ...styles.label, fontSize: 12 }}>{t("vitals.trendHint")}</Text>
+                    )}
+
+<View style={styles.sep} />
+<Text style={styles.title}>{t("vitals.readings", { count: vitals.length })}</Text>
+                    {vitals.map(v => (
+<View key={v.id} style={styles.historyItem}>
+<View style={{ flexDirection: 'row', justifyContent: 'space-between' }}>
+<Text style={styles.historyDate}>{formatDateTime(v.date)}</Text>
+<TouchableOpacity onPress={() => deleteVitals(v.id)}>
+<MaterialIcons name="delete-outline" size={18} color="#ef4444" />
+</TouchableOpacity>
+</View>
+                            {VITAL_PARAMS.map(p => renderValue(p, v[p.key]))}
+<Text style={{ ...styles.historyInputs, color: v.mm && v.mm !== 'Pink' ? FLAG_COLORS.high : styles.historyInputs.color }}>
+                                {t("vitals.mmLine", { value: v.mm ? tValue("mucousMembranes", v.mm) : '—' })}
+</Text>
+</View>
+                    ))}
+</>
+            )}
+</FormScreenWrapper>
+    );
+};
+
+
+/* -------------------- 1c. Clinical Pathology (Lab Results) Screen -------------------- */
+
+// Reference intervals are in conventional units; SI value = conventional × siFactor
+const LAB_PANELS = {
+  CBC: {
+    name: "Haematology (CBC)",
+    analytes: [
+      { key: "wbc", name: "WBC", unit: "×10³/µL", siUnit: "×10⁹/L", siFactor: 1, ranges: { Dog: [5.5, 16.9], Cat: [5.5, 19.5], Horse: [5.4, 14.3], Cattle: [4.0, 12.0] } },
+      { key: "neut", name: "Neutrophils", unit: "×10³/µL", siUnit: "×10⁹/L", siFactor: 1, ranges: { Dog: [3.0, 11.5], Cat: [2.5, 12.5], Horse: [2.3, 8.6], Cattle: [0.6, 4.0] } },
+      { key: "lymph", name: "Lymphocytes", unit: "×10³/µL", siUnit: "×10⁹/L", siFactor: 1, ranges: { Dog: [1.0, 4.8], Cat: [1.5, 7.0], Horse: [1.5, 7.7], Cattle: [2.5, 7.5] } },
+      { key: "rbc", name: "RBC", unit: "×10⁶/µL", siUnit: "×10¹²/L", siFactor: 1, ranges: { Dog: [5.5, 8.5], Cat: [5.0, 10.0], Horse: [6.8, 12.9], Cattle: [5.0, 10.0] } },
+      { key: "hgb", name: "Haemoglobin", unit: "g/dL", siUnit: "g/L", siFactor: 10, ranges: { Dog: [12, 18], Cat: [8, 15], Horse: [11, 19], Cattle: [8, 15] } },
+      { key: "hct", name: "Haematocrit", unit: "%", siUnit: "L/L", siFactor: 0.01, ranges: { Dog: [37, 55], Cat: [30, 45], Horse: [32, 53], Cattle: [24, 46] } },
+      { key: "mcv", name: "MCV", unit: "fL", siUnit: "fL", siFactor: 1, ranges: { Dog: [60, 77], Cat: [39, 55], Horse: [37, 58], Cattle: [40, 60] } },
+      { key: "plt", name: "Platelets", unit: "×10³/µL", siUnit: "×10⁹/L", siFactor: 1, ranges: { Dog: [175, 500], Cat: [300, 800], Horse: [100, 350], Cattle: [100, 800] } },
+    ],
+  },
+  BIOCHEM: {
+    name: "Biochemistry",
+    analytes: [
+      { key: "glu", name: "Glucose", unit: "mg/dL", siUnit: "mmol/L", siFactor: 0.0555, ranges: { Dog: [70, 138], Cat: [64, 170], Horse: [62, 134], Cattle: [45, 75] } },
+      { key: "bun", name: "Urea (BUN)", unit: "mg/dL", siUnit: "mmol/L", siFactor: 0.357, ranges: { Dog: [7, 27], Cat: [16, 36], Horse: [10, 24], Cattle: [10, 25] } },
+      { key: "crea", name: "Creatinine", unit: "mg/dL", siUnit: "µmol/L", siFactor: 88.4, ranges: { Dog: [0.5, 1.8], Cat: [0.8, 2.4], Horse: [1.2, 1.9], Cattle: [1.0, 2.0] } },
+      { key: "alt", name: "ALT", unit: "U/L", siUnit: "U/L", siFactor: 1, ranges: { Dog: [10, 125], Cat: [12, 130], Horse: [3, 23], Cattle: [11, 40] } },
+      { key: "alp", name: "ALP", unit: "U/L", siUnit: "U/L", siFactor: 1, ranges: { Dog: [23, 212], Cat: [14, 111], Horse: [143, 395], Cattle: [0, 488] } },
+      { key: "tbil", name: "Total Bilirubin", unit: "mg/dL", siUnit: "µmol/L", siFactor: 17.1, ranges: { Dog: [0, 0.9], Cat: [0, 0.9], Horse: [0.5, 2.3], Cattle: [0.01, 0.5] } },
+      { key: "tp", name: "Total Protein", unit: "g/dL", siUnit: "g/L", siFactor: 10, ranges: { Dog: [5.2, 8.2], Cat: [5.7, 8.9], Horse: [5.2, 7.9], Cattle: [6.7, 7.5] } },
+      { key: "alb", name: "Albumin", unit: "g/dL", siUnit: "g/L", siFactor: 10, ranges: { Dog: [2.3, 4.0], Cat: [2.2, 4.0], Horse: [2.6, 3.7], Cattle: [2.5, 3.8] } },
+      { key: "ca", name: "Calcium", unit: "mg/dL", siUnit: "mmol/L", siFactor: 0.2495, ranges: { Dog: [7.9, 12.0], Cat: [7.8, 11.3], Horse: [11.2, 13.6], Cattle: [9.7, 12.4] } },
+      { key: "phos", name: "Phosphorus", unit: "mg/dL", siUnit: "mmol/L", siFactor: 0.3229, ranges: { Dog: [2.5, 6.8], Cat: [3.1, 7.5], Horse: [3.1, 5.6], Cattle: [5.6, 6.5] } },
+      { key: "na", name: "Sodium", unit: "mEq/L", siUnit: "mmol/L", siFactor: 1, ranges: { Dog: [144, 160], Cat: [150, 165], Horse: [132, 146], Cattle: [132, 152] } },
+      { key: "k", name: "Potassium", unit: "mEq/L", siUnit: "mmol/L", siFactor: 1, ranges: { Dog: [3.5, 5.8], Cat: [3.5, 5.8], Horse: [2.4, 4.7], Cattle: [3.9, 5.8] } },
+      { key: "cl", name: "Chloride", unit: "mEq/L", siUnit: "mmol/L", siFactor: 1, ranges: { Dog: [109, 122], Cat: [112, 129], Horse: [99, 109], Cattle: [97, 111] } },
+    ],
+  },
+};
+
+// Flags a conventional-unit result against the species interval: 'low', 'high', 'ok' or null
+const flagAnalyte = (analyte, species, value) => {
+  const range = analyte.ranges[species];
+  if (!range || !Number.isFinite(value)) return null;
+  if (value < range[0]) return 'low';
+  if (value > range[1]) return 'high';
+  return 'ok';
+};
+
+const toAnalyteUnit = (analyte, conventionalValue, system) =>
+  system === 'SI' ? conventionalValue * analyte.siFactor : conventionalValue;
+
+const fromAnalyteUnit = (analyte, value, system) =>
+  system === 'SI' ? value / analyte.siFactor : value;
+
+const panelName = (key) => tValue("labPanels", key, LAB_PANELS[key].name);
+const analyteName = (analyte) => tValue("labAnalytes", analyte.key, analyte.name);
+
+const LabScreen = ({ styles, saveHistory, animals, history, params = {} }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal));
+    const [panelKey, setPanelKey] = useState(pickOption(params.panel, Object.keys(LAB_PANELS), "CBC"));
+    const [unitSystem, setUnitSystem] = useState("conv"); // Default for all analytes: 'conv' or 'SI'
+    const [unitOverrides, setUnitOverrides] = useState({}); // Per-analyte unit system
+    const [values, setValues] = useState(() => decodeValueMap(params.values)); // Text as typed, in each analyte's displayed unit
+    const [compareId, setCompareId] = useState("");
+
+    const animal = animals.find(a => a.id === selectedAnimalId);
+    const species = animal?.type;
+    const panel = LAB_PANELS[panelKey];
+
+    // Earlier panels to compare with are read from storage a page at a time, so they can be older than the pages held
+    const priorPanels = useHistoryLookup(
+        animal ? (h => h.type === "Lab Panel" && h.animalId === animal.id && h.inputs?.panel === panelKey) : null,
+        [selectedAnimalId, panelKey, history]
+    );
+    const comparePanel = priorPanels.entries.find(p => p.id === compareId);
+
+    const systemFor = (analyte) => unitOverrides[analyte.key] || unitSystem;
+
+    // Converts any typed value so the displayed number keeps its meaning
+    const convertTyped = (analyte, from, to) => {
+        const text = values[analyte.key];
+        const value = parseNumber(text);
+        // Invalid text is left as typed for the user to correct
+        if (!Number.isFinite(value) || from === to) return text;
+        const conventional = fromAnalyteUnit(analyte, value, from);
+        return String(fmt(toAnalyteUnit(analyte, conventional, to)));
+    };
+
+    const switchAllUnits = (system) => {
+        const nextValues = { ...values };
+        panel.analytes.forEach(a => { nextValues[a.key] = convertTyped(a, systemFor(a), system); });
+        setValues(nextValues);
+        setUnitOverrides({});
+        setUnitSystem(system);
+    };
+
+    const toggleAnalyteUnit = (analyte) => {
+        const from = systemFor(analyte);
+        const to = from === 'SI' ? 'conv' : 'SI';
+        setValues({ ...values, [analyte.key]: convertTyped(analyte, from, to) });
+        setUnitOverrides({ ...unitOverrides, [analyte.key]: to });
+    };
+
+    // The typed value in conventional units, null when empty; throws a CalculationError when it is not a number
+    const conventionalValue = (analyte) => {
+        const value = optionalNumber(parseNumber(values[analyte.key]), "value", analyteName(analyte));
+        return value === null ? null : fromAnalyteUnit(analyte, value, systemFor(analyte));
+    };
+
+    const handlePanel = (key) => {
+        setPanelKey(key);
+        setValues({});
+        setCompareId("");
+    };
+
+    const savePanel = () => {
+        if (!animal) {
+            Alert.alert(t("common.inputError"), t("lab.errorAnimal"));
+            return;
+        }
+        const read = tryCalculation(() => panel.analytes.map(a => [a, conventionalValue(a)]));
+        if (read.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(read.error));
+            return;
+        }
+        const stored = {};
+        const flags = {};
+        read.result.forEach(([a, v]) => {
+            if (v === null) return;
+            stored[a.key] = v;
+            const flag = flagAnalyte(a, species, v);
+            if (flag && flag !== 'ok') flags[a.key] = flag;
+        });
+        if (Object.keys(stored).length === 0) {
+            Alert.alert(t("common.inputError"), t("lab.errorEmpty"));
+            return;
+        }
+        const inputs = { panel: panelKey, animalName: animal.name, species, values: stored };
+        saveHistory({ type: "Lab Panel", animalId: animal.id, inputs, result: { flags, abnormalCount: Object.keys(flags).length } }, saveHistory);
+        setValues({});
+    };
+
+    const renderAnalyte = (analyte) => {
+        const system = systemFor(analyte);
+        const unit = system === 'SI' ? analyte.siUnit : analyte.unit;
+        const range = species ? analyte.ranges[species] : null;
+        const v = tryCalculation(() => conventionalValue(analyte)).result ?? null;
+        const flag = species ? flagAnalyte(analyte, species, v) : null;
+        const prior = comparePanel?.inputs?.values?.[analyte.key];
+        const priorFlag = species && prior !== undefined ? flagAnalyte(analyte, species, prior) : null;
+
+        return (
+            <View key={analyte.key} style={{ marginTop: 10 }}>
+                <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Text style={{ ...styles.label, marginTop: 0 }}>
+                        {analyteName(analyte)}
+                        {range ? `  (${fmt(toAnalyteUnit(analyte, range[0], system))}–${fmt(toAnalyteUnit(analyte, range[1], system))})` : ''}
+                    </Text>
+                    {flag && flag !== 'ok' && (
+                        <Text style={{ color: FLAG_COLORS[flag], fontWeight: '800' }}>{flag === 'low' ? t("lab.lowMark") : t("lab.highMark")}</Text>
+                    )}
+                </View>
+                <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                    <NumericInput
+                        styles={styles}
+                        style={{ flex: 1 }}
+                        inputStyle={flag && flag !== 'ok' ? { borderColor: FLAG_COLORS[flag] } : null}
+                        onChangeValue={(v) => setValues({ ...values, [analyte.key]: v })}
+                        value={values[analyte.key] || ""}
+                        unit={unit}
+                        placeholder={t("lab.resultPlaceholder")}
+                    />
+                    <TouchableOpacity onPress={() => toggleAnalyteUnit(analyte)} style={{ width: '30%', marginStart: 10, marginTop: 6, padding: 12, borderRadius: 10, backgroundColor: styles.pickerStyle.backgroundColor }}>
+                        <Text style={{ color: styles.pickerStyle.color, textAlign: 'center', fontWeight: '700' }}>{unit} ⇄</Text>
+                    </TouchableOpacity>
+                </View>
+                {prior !== undefined && (
+                    <Text style={{ ...styles.historyInputs, marginTop: 4 }}>
+                        {t("lab.prior", { value: fmt(toAnalyteUnit(analyte, prior, system)), unit })}
+                        {v !== null ? `  (Δ ${v - prior >= 0 ? '+' : ''}${fmt(toAnalyteUnit(analyte, v - prior, system))})` : ''}
+                        {priorFlag && priorFlag !== 'ok' ? `  [${t(`flags.${priorFlag}`)}]` : ''}
+                    </Text>
+                )}
+            </View>
+        );
+    };
+
+    return (
+<FormScreenWrapper title={t("lab.title")} styles={styles}>
+<Text style={styles.label}>{t("common.selectAnimal")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => { setSelectedAnimalId(id); setCompareId(""); }} />
+            {animal && !LAB_PANELS.CBC.analytes[0].ranges[species] && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("lab.noRanges", { species: tValue("species", species) })}</Text>
+            )}
+
+<Text style={styles.label}>{t("lab.panel")}</Text>
+<OptionChips styles={styles} options={Object.keys(LAB_PANELS).map(k => ({ value: k, label: panelName(k) }))} selectedValue={panelKey} onSelect={handlePanel} />
+
+<Text style={styles.label}>{t("lab.units")}</Text>
+<OptionChips styles={styles} options={[{ value: 'conv', label: t("lab.conventional") }, { value: 'SI', label: 'SI' }]} selectedValue={unitSystem} onSelect={switchAllUnits} />
+
+            {priorPanels.entries.length > 0 && (
+<>
+<Text style={styles.label}>{t("lab.compare")}</Text>
+<View style={styles.pickerStyle}>
+<Picker selectedValue={compareId} onValueChange={setCompareId} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+<Picker.Item label={t("lab.noComparison")} value="" />
+                            {priorPanels.entries.map(p =><Picker.Item key={p.id} label={formatDateTime(p.time)} value={p.id} />)}
+</Picker>
+</View>
+                {priorPanels.more && (
+<TouchableOpacity style={{ ...styles.btn, backgroundColor: '#6b7280' }} onPress={priorPanels.loadMore}>
+<Text style={styles.btnText}>{t("common.showOlder")}</Text>
+</TouchableOpacity>
+                )}
+</>
+            )}
 
-    const handleAnimalSelect = (id) => {
+            {panel.analytes.map(renderAnalyte)}
+
+<TouchableOpacity style={styles.btn} onPress={savePanel}>
+<Text style={styles.btnText}>{t("lab.save", { panel: panelName(panelKey) })}</Text>
+</TouchableOpacity>
+<Text style={{ ...styles.label, fontSize: 11 }}>{t("lab.footnote")}</Text>
+</FormScreenWrapper>
+    );
+};
+
+
+/* -------------------- 2. Dose Calculation Screen -------------------- */
+
+const DoseScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [initial] = useState(() => initialPatient(animals, params));
+    const linkedDrug = DRUG_FORMULARY.find(d => d.name === params.drug);
+    const [weight, setWeight] = useState(initial.weight);
+    const [dose, setDose] = useState(params.dose || "");
+    const [doseUnit, setDoseUnit] = useState(pickOption(params.doseUnit, Object.keys(UNITS_MAP.MASS), "mg")); // Mass unit of the dose, per kg of body weight
+    const [conc, setConc] = useState(params.conc || (linkedDrug ? String(linkedDrug.stocks[0].conc) : "")); // Concentration of stock solution
+    const [concUnit, setConcUnit] = useState(pickOption(params.concUnit, Object.keys(UNITS_MAP.CONC_DOSE), linkedDrug ? linkedDrug.stocks[0].unit : "mg/mL"));
+    const [time, setTime] = useState(params.time || ""); // Infusion time in minutes
+    const [selectedAnimalId, setSelectedAnimalId] = useState(initial.animalId);
+    const [drugName, setDrugName] = useState(linkedDrug ? linkedDrug.name : ""); // Empty = free entry, no formulary check
+    const [stockIndex, setStockIndex] = useState(0);
+    const [doseBasis, setDoseBasis] = useState(pickOption(params.doseBasis, ["kg", "m2"], linkedDrug?.doseBasis || "kg")); // 'kg' = per kg body weight, 'm2' = per m² body surface area
+    const [bsaSpecies, setBsaSpecies] = useState("Dog"); // Used for BSA when no animal is selected
+    const [weightDate, setWeightDate] = useState(initial.weightDate); // Weight log entry used, empty = manual weight
+    const [route, setRoute] = useState(pickOption(params.route, ["injectable", "oral"], "injectable")); // 'injectable' = liquid stock, 'oral' = tablets/capsules
+    const [oralForm, setOralForm] = useState(pickOption(params.oralForm, ["tablet", "capsule"], "tablet")); // 'tablet' | 'capsule'
+    const [strengths, setStrengths] = useState(params.strengths || ""); // Available strengths in mg, e.g., "25; 50; 100"
+    const [splitting, setSplitting] = useState(pickOption(params.splitting, Object.keys(TABLET_DIVISIONS), "half")); // Key of TABLET_DIVISIONS
+    const [syringeId, setSyringeId] = useState(pickOption(params.syringe, ["auto", ...SYRINGES.map(s => s.id)], "")); // Empty = exact volume, 'auto' = smallest syringe that fits
+
+    const selectedAnimal = animals.find(a => a.id === selectedAnimalId);
+    const drug = DRUG_FORMULARY.find(d => d.name === drugName);
+    const drugBasis = drug?.doseBasis || 'kg';
+    const doseRange = getDoseRange(drug, selectedAnimal?.type);
+    const species = selectedAnimal ? selectedAnimal.type : (doseBasis === 'm2' ? bsaSpecies : null);
+
+    const doseCalc = useMemo(() => tryCalculation(() => calcDose({
+        weightKg: parseNumber(weight),
+        dose: parseNumber(dose),
+        doseUnit,
+        doseBasis,
+        species,
+        // Oral doses do not use a liquid stock
+        concentration: route === 'oral' ? null : parseNumber(conc),
+        concUnit,
+        infusionMinutes: route === 'oral' ? null : parseNumber(time),
+    })), [weight, dose, doseUnit, conc, concUnit, time, doseBasis, species, route]);
+    const { totalDoseMg, volumeMl: volNeeded, mlPerHr: mlHrRate, dropsPerMin: dropRate, mgPerKg, mgPerM2, bsa } = doseCalc.result || {};
+    // Only read where a dose was calculated, so calcDose has already validated it
+    const weightKg = parseNumber(weight);
+
+    const divisions = oralForm === 'capsule' ? 1 : TABLET_DIVISIONS[splitting];
+    // A bare comma is a decimal mark, so strengths are separated by ";" or spaces; any invalid one blocks the search
+    const strengthList = useMemo(() => parseNumberList(strengths), [strengths]);
+    const strengthsInvalid = strengthList.some(s => !(s > 0));
+    const oralOptions = useMemo(() => {
+        if (route !== 'oral' || strengthsInvalid) return [];
+        return rankTabletCombinations(totalDoseMg, strengthList, divisions);
+    }, [route, strengthList, strengthsInvalid, totalDoseMg, divisions]);
+    const oralBest = oralOptions[0];
+
+    // Range checks are done in the formulary's basis, whichever basis the dose was entered in
+    const checkedDose = drugBasis === 'm2' ? mgPerM2 : mgPerKg;
+    const rangeStatus = checkDoseRange(checkedDose, doseRange);
+
+    // Volume as drawn up on the chosen syringe, and the dose that volume actually delivers
+    const syringe = syringeId === 'auto' ? (volNeeded > 0 ? smallestSyringeFor(volNeeded) : null) : SYRINGES.find(s => s.id === syringeId);
+    const drawn = route === 'injectable' ? roundToSyringe(volNeeded, syringe) : null;
+    const actualDoseMg = drawn ? (totalDoseMg * drawn.volume) / volNeeded : null;
+
+    // Delivered oral dose in the formulary's basis, checked separately from the target
+    const deliveredDose = oralBest && totalDoseMg > 0 ? (checkedDose * oralBest.totalMg) / totalDoseMg : null;
+    const deliveredStatus = route === 'oral' ? checkDoseRange(deliveredDose, doseRange) : null;
+
+    const handleAnimalSelect = (id, animal) => {
         setSelectedAnimalId(id);
-        const animal = animals.find(a => a.id === id);
+        setWeightDate(latestWeightDate(animal));
         if (animal) {
             setWeight(String(animal.weight));
         }
     };
 
+    const handleWeightEntry = (entry) => {
+        setWeightDate(entry.date);
+        setWeight(String(entry.weight));
+    };
+
+    const applyStock = (selectedDrug, index) => {
+        const stock = selectedDrug.stocks[index];
+        setStockIndex(index);
+        setConc(String(stock.conc));
+        setConcUnit(stock.unit);
+    };
+
+    const handleDrugSelect = (name) => {
+        setDrugName(name);
+        const selectedDrug = DRUG_FORMULARY.find(d => d.name === name);
+        if (selectedDrug) {
+            applyStock(selectedDrug, 0);
+            setDoseBasis(selectedDrug.doseBasis || 'kg');
+        }
+    };
+
     const calculate = () => {
+        if (doseCalc.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(doseCalc.error));
+            return;
+        }
+        if (route === 'injectable' && !volNeeded) {
+            Alert.alert(t("common.inputError"), t("dose.errorConc"));
+            return;
+        }
+        // The species range the dose was checked against, for the history summary
+        const rangeFields = doseRange ? { doseRange, doseRangeBasis: drugBasis } : {};
+        if (route === 'oral') {
+            if (strengthsInvalid) {
+                Alert.alert(t("common.inputError"), t("dose.strengthsInvalid"));
+                return;
+            }
+            if (!oralBest) {
+                Alert.alert(t("common.inputError"), t("dose.errorOral"));
+                return;
+            }
+            const animalName = selectedAnimal?.name || 'Unknown Animal';
+            const drugLabel = drug ? drug.name : 'Unspecified drug';
+            const inputs = { route, drugName: drugLabel, weight, weightDate, dose, doseUnit, doseBasis, oralForm, strengths, splitting: oralForm === 'capsule' ? 'whole' : splitting, animalName, species };
+            const result = {
+                totalDoseMg,
+                combination: oralBest.label,
+                deliveredMg: oralBest.totalMg,
+                deliveredMgPerKg: oralBest.totalMg / weightKg,
+                deviationPct: oralBest.deviationPct,
+                mgPerKg,
+                mgPerM2,
+                bsa,
+                rangeStatus: deliveredStatus,
+                ...rangeFields,
+            };
+            saveHistory({ type: "Dose Calculation", animalId: selectedAnimal?.id, inputs, result }, saveHistory);
+            return;
+        }
         if (totalDoseMg > 0) {
-            const animalName = animals.find(a => a.id === selectedAnimalId)?.name || 'Unknown Animal';
-            const inputs = { weight, dose, doseUnit, conc, concUnit, time, animalName };
-            const result = { totalDoseMg, volNeeded, mlHrRate, dropRate };
-            const sentence = `Dose for ${animalName} (${weight}kg): ${totalDoseMg} mg required, volume ${fmt(volNeeded)} mL from ${conc} ${concUnit} stock. Infusion rate: ${fmt(mlHrRate)} mL/hr.`;
+            const animalName = selectedAnimal?.name || 'Unknown Animal';
+            const drugLabel = drug ? drug.name : 'Unspecified drug';
+            const inputs = { route, drugName: drugLabel, weight, weightDate, dose, doseUnit, doseBasis, conc, concUnit, time, syringeId, animalName, species };
+            const result = { totalDoseMg, volNeeded, mlHrRate, dropRate, mgPerKg, mgPerM2, bsa, rangeStatus, ...rangeFields };
+            if (drawn) {
+                Object.assign(result, { syringe: syringe.label, syringeId: syringe.id, volRounded: drawn.volume, actualDoseMg, roundingErrorPct: drawn.errorPct, syringeFills: drawn.fills });
+            }
+            saveHistory({ type: "Dose Calculation", animalId: selectedAnimal?.id, inputs, result }, saveHistory);
+        }
+    };
 
-            saveHistory({ type: "Dose Calculation", inputs, result, sentence }, saveHistory);
+    const renderRangeStatus = () => {
+        if (!drug) return null;
+        if (!selectedAnimal) {
+            return <Text style={{ ...styles.label, fontSize: 12 }}>{t("dose.selectForRange")}</Text>;
         }
+        if (!doseRange) {
+            return <Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("dose.noRange", { species: tValue("species", selectedAnimal.type) })}</Text>;
+        }
+        if (drugBasis === 'm2' && !calcBSA(1, selectedAnimal.type)) {
+            return <Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("dose.bsaSpecies")}</Text>;
+        }
+        if (!rangeStatus) return null;
+        if (rangeStatus === 'ok') {
+            return <Text style={{ ...styles.result, color: '#10b981' }}>{t("dose.withinRange", { dose: `${fmt(checkedDose)} ${doseBasisLabel(drugBasis)}`, species: tValue("species", selectedAnimal.type), range: formatDoseRange(doseRange, drugBasis) })}</Text>;
+        }
+        return (
+            <View style={{ marginTop: 10, padding: 12, borderRadius: 10, backgroundColor: '#fee2e2' }}>
+                <Text style={{ color: '#b91c1c', fontWeight: '800' }}>
+                    {t(rangeStatus === 'low' ? "dose.belowRange" : "dose.aboveRange", { dose: `${fmt(checkedDose)} ${doseBasisLabel(drugBasis)}`, species: tValue("species", selectedAnimal.type), drug: drug.name, range: formatDoseRange(doseRange, drugBasis) })}
+                </Text>
+            </View>
+        );
     };
 
+    // The form as route parameters, for saving it as a preset
+    const formParams = { animal: selectedAnimalId, weight, drug: drugName, route, dose, doseUnit, doseBasis, conc, concUnit, time, syringe: syringeId, oralForm, strengths, splitting };
+
     return (
-<FormScreenWrapper title="💊 Dose & Infusion Rate Calculator" styles={styles}>
-<Text style={styles.label}>Select Animal (Optional)</Text>
+<FormScreenWrapper title={t("dose.title")} styles={styles}>
+<PresetBar styles={styles} screen="Dose" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.selectAnimalOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={handleAnimalSelect} />
+<WeightLogPicker styles={styles} animal={selectedAnimal} selectedDate={weightDate} onSelect={handleWeightEntry} />
+
+<Text style={styles.label}>{t("dose.drug")}</Text>
 <View style={styles.pickerStyle}>
-<Picker selectedValue={selectedAnimalId} onValueChange={handleAnimalSelect} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
-<Picker.Item label="— Select or Manually Enter Weight —" value="" />
-                    {animals.map(a =><Picker.Item key={a.id} label={`${a.name} (${fmt(a.weight)} kg)`} value={a.id} />)}
+<Picker selectedValue={drugName} onValueChange={handleDrugSelect} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+<Picker.Item label={t("dose.freeEntry")} value="" />
+                    {DRUG_FORMULARY.map(d =><Picker.Item key={d.name} label={d.name} value={d.name} />)}
 </Picker>
 </View>
+            {drug && (
+                <>
+                    {drug.stocks.length > 1 && (
+                        <>
+                            <Text style={styles.label}>{t("dose.stockStrength")}</Text>
+                            <View style={styles.pickerStyle}>
+                                <Picker selectedValue={stockIndex} onValueChange={(i) => applyStock(drug, i)} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+                                    {drug.stocks.map((st, i) =><Picker.Item key={i} label={`${st.conc} ${st.unit}`} value={i} />)}
+                                </Picker>
+                            </View>
+                        </>
+                    )}
+                    <Text style={{ ...styles.label, fontSize: 12 }}>{t("dose.route", { route: drug.route })}</Text>
+                    {selectedAnimal && doseRange && (
+                        <Text style={{ ...styles.label, fontSize: 12, marginTop: 4 }}>{t("dose.speciesRange", { species: tValue("species", selectedAnimal.type), range: formatDoseRange(doseRange, drugBasis) })}</Text>
+                    )}
+                    <Text style={{ ...styles.label, fontSize: 12, marginTop: 4, fontWeight: '400' }}>{drugNotes(drug)}</Text>
+                </>
+            )}
 
-<Text style={styles.label}>Patient Weight (kg)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setWeight(filterNumeric(t))} value={weight} keyboardType="numeric" placeholder="e.g., 15.5" />
+<Text style={styles.label}>{t("common.patientWeight")}</Text>
+<NumericInput styles={styles} value={weight} onChangeValue={setWeight} unit="kg" unitType="MASS" placeholder={t("animals.weightPlaceholder")} />
 
-<Text style={styles.label}>Dose per kg</Text>
+<Text style={styles.label}>{t("dose.basis")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'kg', label: t("dose.perKg") }, { value: 'm2', label: t("dose.perM2") }]}
+                selectedValue={doseBasis}
+                onSelect={setDoseBasis}
+            />
+            {doseBasis === 'm2' && !selectedAnimal && (
+                <>
+                    <Text style={styles.label}>{t("dose.bsaSpeciesLabel")}</Text>
+                    <OptionChips
+                        styles={styles}
+                        options={Object.keys(BSA_K).map(sp => ({ value: sp, label: `${tValue("species", sp)} (K = ${BSA_K[sp]})` }))}
+                        selectedValue={bsaSpecies}
+                        onSelect={setBsaSpecies}
+                    />
+                </>
+            )}
+            {doseBasis === 'm2' && selectedAnimal && !BSA_K[selectedAnimal.type] && (
+                <Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dose.noBsa", { species: tValue("species", selectedAnimal.type) })}</Text>
+            )}
+
+<Text style={styles.label}>{doseBasis === 'm2' ? t("dose.dosePerM2") : t("dose.dosePerKg")}</Text>
 <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-<TextInput style={[styles.input, { flex: 1 }]} onChangeText={(t) => setDose(filterNumeric(t))} value={dose} keyboardType="numeric" placeholder="Dose amount" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={dose} onChangeValue={setDose} unit={doseUnit} unitType="MASS" placeholder={t("dose.dosePlaceholder")} />
 <UnitPicker styles={styles} unitType="MASS" selectedValue={doseUnit} onValueChange={setDoseUnit} />
 </View>
 
-<Text style={styles.label}>Stock Concentration</Text>
+<Text style={styles.label}>{t("dose.formulation")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'injectable', label: t("dose.injectable") }, { value: 'oral', label: t("dose.oral") }]}
+                selectedValue={route}
+                onSelect={setRoute}
+            />
+
+            {route === 'injectable' ? (
+<>
+<Text style={styles.label}>{t("common.stockConc")}</Text>
 <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-<TextInput style={[styles.input, { flex: 1 }]} onChangeText={(t) => setConc(filterNumeric(t))} value={conc} keyboardType="numeric" placeholder="Concentration value" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={conc} onChangeValue={setConc} unit={concUnit} unitType="CONC_DOSE" placeholder={t("common.concPlaceholder")} />
 <UnitPicker styles={styles} unitType="CONC_DOSE" selectedValue={concUnit} onValueChange={setConcUnit} />
 </View>
 
-<Text style={styles.label}>Infusion Time (minutes) (Optional for Rate)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setTime(filterNumeric(t))} value={time} keyboardType="numeric" placeholder="e.g., 30 minutes" />
+<Text style={styles.label}>{t("dose.syringe")}</Text>
+<View style={styles.pickerStyle}>
+<Picker selectedValue={syringeId} onValueChange={setSyringeId} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+<Picker.Item label={t("dose.exactVolume")} value="" />
+<Picker.Item label={t("dose.autoSyringe")} value="auto" />
+                        {SYRINGES.map(s =><Picker.Item key={s.id} label={t("dose.syringeOption", { syringe: syringeLabel(s), graduation: s.graduation })} value={s.id} />)}
+</Picker>
+</View>
+
+<Text style={styles.label}>{t("dose.infusionTime")}</Text>
+<NumericInput styles={styles} value={time} onChangeValue={setTime} unit="min" placeholder={t("dose.timePlaceholder")} />
+</>
+            ) : (
+<>
+<OptionChips
+                        styles={styles}
+                        options={[{ value: 'tablet', label: t("dose.tablet") }, { value: 'capsule', label: t("dose.capsule") }]}
+                        selectedValue={oralForm}
+                        onSelect={setOralForm}
+                    />
+<Text style={styles.label}>{t("dose.strengths")}</Text>
+<TextInput style={styles.input} onChangeText={(t) => setStrengths(normalizeDigits(t).replace(/[^0-9.,;؛\s]/g, ""))} value={strengths} keyboardType="numbers-and-punctuation" placeholder={t("dose.strengthsPlaceholder")} />
+                    {strengthsInvalid && <Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dose.strengthsInvalid")}</Text>}
+                    {oralForm === 'tablet' && (
+<>
+<Text style={styles.label}>{t("dose.splitting")}</Text>
+<OptionChips
+                                styles={styles}
+                                options={[{ value: 'whole', label: t("dose.whole") }, { value: 'half', label: t("dose.halved") }, { value: 'quarter', label: t("dose.quartered") }]}
+                                selectedValue={splitting}
+                                onSelect={setSplitting}
+                            />
+</>
+                    )}
+</>
+            )}
 
 <TouchableOpacity style={styles.btn} onPress={calculate}>
-<Text style={styles.btnText}>Calculate Dose and Volume</Text>
+<Text style={styles.btnText}>{route === 'oral' ? t("dose.calculateOral") : t("dose.calculate")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.result}>Total Dose Required: <Text style={{ color: '#4ade80' }}>{fmt(totalDoseMg)} mg</Text></Text>
-<Text style={styles.result}>Volume Needed from Stock: <Text style={{ color: '#4ade80' }}>{fmt(volNeeded)} mL</Text></Text>
-            {safeParse(time) > 0 && (
+            {bsa > 0 && (
+<Text style={styles.result}>{t("dose.bsa")} <Text style={{ color: '#4ade80' }}>{fmt(bsa)} m²</Text></Text>
+            )}
+<Text style={styles.result}>{t("dose.totalDose")} <Text style={{ color: '#4ade80' }}>{fmt(totalDoseMg)} mg</Text></Text>
+            {doseBasis === 'm2' && mgPerKg > 0 && (
+<Text style={styles.result}>{t("dose.equivalent")} <Text style={{ color: '#4ade80' }}>{fmt(mgPerKg)} mg/kg</Text></Text>
+            )}
+            {route === 'injectable' && (
+<Text style={styles.result}>{t("dose.volume")} <Text style={{ color: '#4ade80' }}>{fmt(volNeeded)} mL</Text></Text>
+            )}
+            {drawn && (
 <>
-<Text style={styles.result}>Infusion Rate: <Text style={{ color: '#4ade80' }}>{fmt(mlHrRate)} mL/hr</Text></Text>
-<Text style={styles.result}>Drop Rate (20 gtt/mL set): <Text style={{ color: '#4ade80' }}>{fmt(dropRate)} drops/min</Text></Text>
+<Text style={styles.result}>{t("dose.drawUp", { syringe: syringeLabel(syringe) })} <Text style={{ color: '#4ade80' }}>{fmt(drawn.volume)} mL</Text></Text>
+<Text style={styles.result}>{t("dose.actualDose")} <Text style={{ color: '#4ade80' }}>{fmt(actualDoseMg)} mg ({fmt(actualDoseMg / weightKg)} mg/kg)</Text></Text>
+<Text style={{ ...styles.result, color: Math.abs(drawn.errorPct) > 5 ? '#ef4444' : styles.result.color }}>
+                        {t("dose.roundingError", { error: `${drawn.errorPct >= 0 ? '+' : ''}${fmt(drawn.errorPct, 1)}` })}
+</Text>
+                    {drawn.volume === 0 && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dose.belowGraduation")}</Text>
+                    )}
+                    {drawn.fills > 1 && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("dose.exceedsBarrel", { fills: drawn.fills })}</Text>
+                    )}
+</>
+            )}
+            {route === 'oral' && oralBest && (
+<>
+<Text style={styles.result}>{t("dose.givePerDose")} <Text style={{ color: '#4ade80' }}>{oralBest.label}</Text></Text>
+<Text style={styles.result}>{t("dose.delivered")} <Text style={{ color: '#4ade80' }}>{fmt(oralBest.totalMg)} mg ({fmt(oralBest.totalMg / weightKg)} mg/kg)</Text></Text>
+<Text style={{ ...styles.result, color: Math.abs(oralBest.deviationPct) > ORAL_DEVIATION_LIMIT ? '#ef4444' : styles.result.color }}>
+                        {t("dose.deviation", { deviation: `${oralBest.deviationPct >= 0 ? '+' : ''}${fmt(oralBest.deviationPct, 1)}` })}
+</Text>
+                    {Math.abs(oralBest.deviationPct) > ORAL_DEVIATION_LIMIT && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dose.noCombination", { limit: ORAL_DEVIATION_LIMIT })}</Text>
+                    )}
+                    {deliveredStatus && deliveredStatus !== 'ok' && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t(deliveredStatus === 'low' ? "dose.deliveredBelow" : "dose.deliveredAbove", { species: tValue("species", selectedAnimal.type), range: formatDoseRange(doseRange, drugBasis) })}</Text>
+                    )}
+                    {oralOptions.length > 1 && (
+<Text style={{ ...styles.label, fontSize: 12 }}>
+                            {t("dose.alternatives", { list: oralOptions.slice(1).map(o => `${o.label} (${o.deviationPct >= 0 ? '+' : ''}${fmt(o.deviationPct, 1)}%)`).join('; ') })}
+</Text>
+                    )}
+</>
+            )}
+            {renderRangeStatus()}
+            {route === 'injectable' && mlHrRate > 0 && (
+<>
+<Text style={styles.result}>{t("dose.infusionRate")} <Text style={{ color: '#4ade80' }}>{fmt(mlHrRate)} mL/hr</Text></Text>
+<Text style={styles.result}>{t("dose.dropRate")} <Text style={{ color: '#4ade80' }}>{t("common.dropsPerMin", { value: fmt(dropRate) })}</Text></Text>
 </>
             )}
 </FormScreenWrapper>
@@ -536,59 +2563,348 @@ const DoseScreen = ({ styles, saveHistory, animals }) => {
 };
 
 
-/* -------------------- 3. Solution Calculation Screen -------------------- */
+/* -------------------- 2b. Constant Rate Infusion (CRI) Screen -------------------- */
+
+const CriScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [initial] = useState(() => initialPatient(animals, params));
+    const [selectedAnimalId, setSelectedAnimalId] = useState(initial.animalId);
+    const [weight, setWeight] = useState(initial.weight);
+    const [rate, setRate] = useState(params.rate || "");
+    const [rateUnit, setRateUnit] = useState(pickOption(params.rateUnit, CRI_RATE_UNITS, "mcg/kg/min"));
+    const [conc, setConc] = useState(params.conc || "");
+    const [concUnit, setConcUnit] = useState(pickOption(params.concUnit, Object.keys(UNITS_MAP.CONC_DOSE), "mg/mL"));
+    const [mode, setMode] = useState(pickOption(params.mode, ["pump", "bag"], "pump")); // 'pump' = neat stock via syringe driver, 'bag' = additive to fluid bag
+    const [fluidRate, setFluidRate] = useState(params.fluidRate || ""); // mL/hr of the carrier fluid
+    const [bagSize, setBagSize] = useState(params.bagSize || ""); // mL
+    const [dropFactor, setDropFactor] = useState(GIVING_SETS.find(df => String(df) === params.dropFactor) || 20);
+    const [weightDate, setWeightDate] = useState(initial.weightDate); // Weight log entry used, empty = manual weight
+
+    const isUnits = rateUnit === "U/kg/hr";
+    const amountUnit = isUnits ? "U" : "mg";
+
+    const criCalc = useMemo(() => tryCalculation(() => calcCri({
+        weightKg: parseNumber(weight),
+        rate: parseNumber(rate),
+        rateUnit,
+        concentration: parseNumber(conc),
+        concUnit,
+        mode,
+        bagMl: parseNumber(bagSize),
+        fluidRateMlHr: parseNumber(fluidRate),
+        dropFactor,
+    })), [weight, rate, rateUnit, conc, concUnit, mode, fluidRate, bagSize, dropFactor]);
+    const calc = criCalc.result || {};
+
+    const handleAnimalSelect = (id, animal) => {
+        setSelectedAnimalId(id);
+        setWeightDate(latestWeightDate(animal));
+        if (animal) setWeight(String(animal.weight));
+    };
+
+    const handleWeightEntry = (entry) => {
+        setWeightDate(entry.date);
+        setWeight(String(entry.weight));
+    };
+
+    const calculate = () => {
+        if (criCalc.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(criCalc.error));
+            return;
+        }
+        const animalName = animals.find(a => a.id === selectedAnimalId)?.name || 'Unknown Animal';
+        const inputs = { weight, weightDate, rate, rateUnit, conc, concUnit: isUnits ? 'U/mL' : concUnit, mode, fluidRate, bagSize, dropFactor, animalName };
+        saveHistory({ type: "CRI Calculation", animalId: selectedAnimalId, inputs, result: { ...calc } }, saveHistory);
+    };
 
-const SolutionScreen = ({ styles, saveHistory }) => {
-    const [mw, setMw] = useState("");
-    const [conc, setConc] = useState("");
-    const [volume, setVolume] = useState("");
-    const [concUnit, setConcUnit] = useState("M");
-    const [volUnit, setVolUnit] = useState("mL");
+    // The form as route parameters, for saving it as a preset
+    const formParams = { animal: selectedAnimalId, weight, rate, rateUnit, conc, concUnit, mode, fluidRate, bagSize, dropFactor };
+
+    return (
+<FormScreenWrapper title={t("cri.title")} styles={styles}>
+<PresetBar styles={styles} screen="CRI" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.selectAnimalOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={handleAnimalSelect} />
+<WeightLogPicker styles={styles} animal={animals.find(a => a.id === selectedAnimalId)} selectedDate={weightDate} onSelect={handleWeightEntry} />
 
-    const g_result = useMemo(() => {
-        const MW = safeParse(mw);
-        const C = safeParse(conc);
-        const V = safeParse(volume);
+<Text style={styles.label}>{t("common.patientWeight")}</Text>
+<NumericInput styles={styles} value={weight} onChangeValue={setWeight} unit="kg" unitType="MASS" placeholder={t("animals.weightPlaceholder")} />
+
+<Text style={styles.label}>{t("cri.rate")}</Text>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<NumericInput styles={styles} style={{ flex: 1 }} value={rate} onChangeValue={setRate} unit={rateUnit} unitType="DOSE_RATE" placeholder={t("cri.ratePlaceholder")} />
+<View style={{ width: '40%', marginStart: 10 }}>
+<Picker style={styles.pickerStyle} selectedValue={rateUnit} onValueChange={setRateUnit} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+                        {CRI_RATE_UNITS.map(u =><Picker.Item key={u} label={u} value={u} />)}
+</Picker>
+</View>
+</View>
 
-        if (MW <= 0 || V <= 0 || C <= 0) return 0;
+<Text style={styles.label}>{t("common.stockConc")}</Text>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<NumericInput styles={styles} style={{ flex: 1 }} value={conc} onChangeValue={setConc} unit={isUnits ? "U/mL" : concUnit} unitType="CONC_DOSE" placeholder={t("common.concPlaceholder")} />
+                {isUnits
+                    ? <Text style={{ ...styles.label, width: '30%', marginStart: 10, marginTop: 6 }}>U/mL</Text>
+                    : <UnitPicker styles={styles} unitType="CONC_DOSE" selectedValue={concUnit} onValueChange={setConcUnit} />}
+</View>
 
-        const V_L = convertUnit(V, volUnit, 'L', 'VOLUME');
+<Text style={styles.label}>{t("cri.method")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'pump', label: t("cri.pump") }, { value: 'bag', label: t("cri.bag") }]}
+                selectedValue={mode}
+                onSelect={setMode}
+            />
 
-        if (concUnit === '% w/v') {
-            // Mass (g) = % w/v * Volume (mL) / 100
-            const V_mL = convertUnit(V, volUnit, 'mL', 'VOLUME');
-            return (C * V_mL) / 100;
+            {mode === 'bag' && (
+<>
+<Text style={styles.label}>{t("cri.bagSize")}</Text>
+<NumericInput styles={styles} value={bagSize} onChangeValue={setBagSize} unit="mL" unitType="VOLUME" placeholder={t("cri.bagSizePlaceholder")} />
+<Text style={styles.label}>{t("cri.fluidRate")}</Text>
+<NumericInput styles={styles} value={fluidRate} onChangeValue={setFluidRate} unit="mL/hr" placeholder={t("cri.fluidRatePlaceholder")} />
+</>
+            )}
+
+<Text style={styles.label}>{t("cri.givingSet")}</Text>
+<OptionChips
+                styles={styles}
+                options={GIVING_SETS.map(df => ({ value: df, label: `${df} gtt/mL` }))}
+                selectedValue={dropFactor}
+                onSelect={setDropFactor}
+            />
+
+<TouchableOpacity style={styles.btn} onPress={calculate}>
+<Text style={styles.btnText}>{t("cri.calculate")}</Text>
+</TouchableOpacity>
+
+<View style={styles.sep} />
+<Text style={styles.result}>{t("cri.delivered")} <Text style={{ color: '#4ade80' }}>{fmt(calc.amountPerHr)} {amountUnit}/hr</Text></Text>
+<Text style={styles.result}>{t("cri.stockRate")} <Text style={{ color: '#4ade80' }}>{fmt(calc.drugMlHr)} mL/hr</Text></Text>
+            {mode === 'bag' && (
+<>
+<Text style={styles.result}>{t("cri.toAdd")} <Text style={{ color: '#4ade80' }}>{t("cri.toAddValue", { amount: fmt(calc.amountToAdd), unit: amountUnit, volume: fmt(calc.volumeToAdd) })}</Text></Text>
+<Text style={styles.result}>{t("cri.finalConc")} <Text style={{ color: '#4ade80' }}>{fmt(calc.finalConc)} {amountUnit}/mL</Text></Text>
+<Text style={styles.result}>{t("cri.bagDuration")} <Text style={{ color: '#4ade80' }}>{fmt(calc.bagHours)} hr</Text></Text>
+<Text style={{ ...styles.label, fontSize: 11 }}>{t("cri.footnote")}</Text>
+</>
+            )}
+<Text style={styles.result}>{t("cri.dripRate", { dropFactor })} <Text style={{ color: '#4ade80' }}>{t("common.dropsPerMin", { value: fmt(calc.dripRate) })}</Text></Text>
+</FormScreenWrapper>
+    );
+};
+
+
+/* -------------------- 2c. Fluid Therapy Planner Screen -------------------- */
+
+const FluidScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [initial] = useState(() => initialPatient(animals, params));
+    const [selectedAnimalId, setSelectedAnimalId] = useState(initial.animalId);
+    const [species, setSpecies] = useState(initial.animal ? initial.animal.type : pickOption(params.species, Object.keys(FLUID_SPECIES), "Dog"));
+    const [weight, setWeight] = useState(initial.weight);
+    const [mode, setMode] = useState(pickOption(params.mode, ["plan", "bolus"], "plan")); // 'plan' = maintenance + deficit + losses, 'bolus' = shock bolus
+    const [dehydration, setDehydration] = useState(params.dehydration || ""); // % body weight
+    const [losses, setLosses] = useState(params.losses || ""); // Ongoing losses, mL/day
+    const [period, setPeriod] = useState(params.period || "24"); // Deficit replacement period, hours
+    const [bolusDose, setBolusDose] = useState(params.bolusDose || String((FLUID_SPECIES[species] || FLUID_SPECIES.Other).bolus)); // mL/kg
+    const [bolusTime, setBolusTime] = useState(params.bolusTime || "15"); // minutes
+    const [weightDate, setWeightDate] = useState(initial.weightDate); // Weight log entry used, empty = manual weight
+
+    const speciesInfo = FLUID_SPECIES[species] || FLUID_SPECIES.Other;
+
+    const planCalc = useMemo(() => tryCalculation(() => calcFluidPlan({
+        weightKg: parseNumber(weight),
+        species,
+        dehydrationPct: parseNumber(dehydration),
+        lossesPerDay: parseNumber(losses),
+        periodHours: parseNumber(period),
+    })), [weight, dehydration, losses, period, species]);
+    const plan = planCalc.result || {};
+
+    const bolusCalc = useMemo(() => tryCalculation(() => calcBolus({
+        weightKg: parseNumber(weight),
+        species,
+        bolusMlPerKg: parseNumber(bolusDose),
+        minutes: parseNumber(bolusTime),
+    })), [weight, bolusDose, bolusTime, species]);
+    const bolus = bolusCalc.result || {};
+
+    const handleSpecies = (sp) => {
+        setSpecies(sp);
+        setBolusDose(String((FLUID_SPECIES[sp] || FLUID_SPECIES.Other).bolus));
+    };
+
+    const handleAnimalSelect = (id, animal) => {
+        setSelectedAnimalId(id);
+        setWeightDate(latestWeightDate(animal));
+        if (animal) {
+            setWeight(String(animal.weight));
+            handleSpecies(animal.type);
         }
+    };
+
+    const handleWeightEntry = (entry) => {
+        setWeightDate(entry.date);
+        setWeight(String(entry.weight));
+    };
 
-        // Standard Molarity calculation: M * Volume(L) * MW
-        if (concUnit === 'M') {
-            return C * V_L * MW;
+    const calculate = () => {
+        const animal = animals.find(a => a.id === selectedAnimalId);
+        const animalName = animal?.name || 'Unknown Animal';
+        if (mode === 'plan') {
+            if (planCalc.error) {
+                Alert.alert(t("common.inputError"), calcErrorMessage(planCalc.error));
+                return;
+            }
+            const inputs = { mode, species, weight, weightDate, dehydration, losses, period, animalName };
+            const { chartData, ...result } = plan;
+            saveHistory({ type: "Fluid Therapy Plan", animalId: animal?.id, inputs, result }, saveHistory);
+        } else {
+            if (bolusCalc.error) {
+                Alert.alert(t("common.inputError"), calcErrorMessage(bolusCalc.error));
+                return;
+            }
+            const inputs = { mode, species, weight, weightDate, bolusDose, bolusTime, animalName };
+            saveHistory({ type: "Fluid Therapy Plan", animalId: animal?.id, inputs, result: bolus }, saveHistory);
         }
+    };
+
+    const axisStyle = { axisLabel: { padding: 35, fill: styles.label.color }, tickLabels: { fill: styles.label.color, fontSize: 10 } };
+
+    // The form as route parameters, for saving it as a preset
+    const formParams = { animal: selectedAnimalId, weight, species, mode, dehydration, losses, period, bolusDose, bolusTime };
+
+    return (
+<FormScreenWrapper title={t("fluids.title")} styles={styles}>
+<PresetBar styles={styles} screen="Fluids" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.selectAnimalOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={handleAnimalSelect} />
+<WeightLogPicker styles={styles} animal={animals.find(a => a.id === selectedAnimalId)} selectedDate={weightDate} onSelect={handleWeightEntry} />
+
+<Text style={styles.label}>{t("common.species")}</Text>
+<View style={styles.pickerStyle}>
+<Picker selectedValue={species} onValueChange={handleSpecies} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+                    {ANIMAL_TYPES.map(sp =><Picker.Item key={sp} label={tValue("species", sp)} value={sp} />)}
+</Picker>
+</View>
 
-        // Convert input conc to Molarity, then calculate g
-        const C_M = convertUnit(C, concUnit, 'M', 'MOLARITY');
-        return C_M * V_L * MW;
+<Text style={styles.label}>{t("common.patientWeight")}</Text>
+<NumericInput styles={styles} value={weight} onChangeValue={setWeight} unit="kg" unitType="MASS" placeholder={t("animals.weightPlaceholder")} />
+
+<Text style={styles.label}>{t("common.mode")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'plan', label: t("fluids.plan") }, { value: 'bolus', label: t("fluids.bolus") }]}
+                selectedValue={mode}
+                onSelect={setMode}
+            />
+
+            {mode === 'plan' ? (
+<>
+<Text style={styles.label}>{t("fluids.dehydration")}</Text>
+<NumericInput styles={styles} value={dehydration} onChangeValue={setDehydration} unit="%" placeholder={t("fluids.dehydrationPlaceholder")} />
+<Text style={styles.label}>{t("fluids.losses")}</Text>
+<NumericInput styles={styles} value={losses} onChangeValue={setLosses} unit="mL/day" placeholder={t("fluids.lossesPlaceholder")} />
+<Text style={styles.label}>{t("fluids.period")}</Text>
+<NumericInput styles={styles} value={period} onChangeValue={setPeriod} unit="hr" placeholder={t("fluids.periodPlaceholder")} />
+</>
+            ) : (
+<>
+<Text style={styles.label}>{t("fluids.bolusDose")}</Text>
+<NumericInput styles={styles} value={bolusDose} onChangeValue={setBolusDose} unit="mL/kg" placeholder={t("fluids.bolusDosePlaceholder")} />
+<Text style={styles.label}>{t("fluids.bolusTime")}</Text>
+<NumericInput styles={styles} value={bolusTime} onChangeValue={setBolusTime} unit="min" placeholder={t("fluids.bolusTimePlaceholder")} />
+</>
+            )}
 
-    }, [mw, conc, volume, concUnit, volUnit]);
+<TouchableOpacity style={styles.btn} onPress={calculate}>
+<Text style={styles.btnText}>{mode === 'plan' ? t("fluids.savePlan") : t("fluids.saveBolus")}</Text>
+</TouchableOpacity>
+
+<View style={styles.sep} />
+            {mode === 'plan' ? (
+<>
+<Text style={styles.result}>{t("fluids.maintenance", { formula: speciesInfo.formula })} <Text style={{ color: '#4ade80' }}>{fmt(plan.maintenanceDay)} mL/day ({fmt(plan.maintenanceHr)} mL/hr)</Text></Text>
+<Text style={styles.result}>{t("fluids.deficit")} <Text style={{ color: '#4ade80' }}>{fmt(plan.deficit)} mL ({fmt(plan.deficitHr)} mL/hr)</Text></Text>
+<Text style={styles.result}>{t("fluids.ongoingLosses")} <Text style={{ color: '#4ade80' }}>{fmt(plan.lossesHr)} mL/hr</Text></Text>
+<Text style={styles.result}>{t("fluids.totalRate")} <Text style={{ color: '#4ade80' }}>{fmt(plan.totalHr)} mL/hr</Text></Text>
+                    {plan.deficitHr > 0 && parseNumber(period) < 24 && (
+<Text style={styles.result}>{t("fluids.rateAfter")} <Text style={{ color: '#4ade80' }}>{fmt(plan.rateAfterDeficit)} mL/hr</Text></Text>
+                    )}
+<Text style={styles.result}>{t("fluids.volume24h")} <Text style={{ color: '#4ade80' }}>{fmt(plan.total24h)} mL</Text></Text>
+                    {plan.chartData && (
+<View style={{ height: 300, paddingVertical: 10 }}>
+<Text style={styles.title}>{t("fluids.chartTitle")}</Text>
+<VictoryChart
+                                domainPadding={10}
+                                padding={{ top: 20, bottom: 50, left: 60, right: 30 }}
+                                height={280}
+                                style={{ parent: { backgroundColor: styles.card.backgroundColor, borderRadius: 16 } }}
+>
+<VictoryAxis label={t("fluids.hourAxis")} tickValues={[0, 4, 8, 12, 16, 20, 24]} style={axisStyle} />
+<VictoryAxis dependentAxis label={t("fluids.rateAxis")} style={{ ...axisStyle, axisLabel: { ...axisStyle.axisLabel, padding: 45 } }} />
+<VictoryLine data={plan.chartData} interpolation="stepAfter" style={{ data: { stroke: "#2d7fe8", strokeWidth: 3 } }} />
+</VictoryChart>
+</View>
+                    )}
+</>
+            ) : (
+<>
+<Text style={styles.result}>{t("fluids.bolusVolume")} <Text style={{ color: '#4ade80' }}>{fmt(bolus.volume)} mL</Text></Text>
+<Text style={styles.result}>{t("fluids.bolusRate")} <Text style={{ color: '#4ade80' }}>{fmt(bolus.rate)} mL/hr</Text></Text>
+<Text style={styles.result}>{t("fluids.shockDose", { volume: speciesInfo.shockVolume })} <Text style={{ color: '#4ade80' }}>{fmt(bolus.shockDose)} mL</Text></Text>
+<Text style={{ ...styles.label, fontSize: 11 }}>{t("fluids.footnote")}</Text>
+</>
+            )}
+</FormScreenWrapper>
+    );
+};
+
+
+/* -------------------- 3. Solution Calculation Screen -------------------- */
+
+const SolutionScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal)); // Optional patient the calculation is for
+    const [mw, setMw] = useState(params.mw || "");
+    const [conc, setConc] = useState(params.conc || "");
+    const [volume, setVolume] = useState(params.volume || "");
+    const [concUnit, setConcUnit] = useState(pickOption(params.concUnit, ["M", "mM", "uM", "% w/v"], "M"));
+    const [volUnit, setVolUnit] = useState(pickOption(params.volUnit, Object.keys(UNITS_MAP.VOLUME), "mL"));
+
+    const massCalc = useMemo(() => tryCalculation(() => calcSolutionMass({
+        mw: parseNumber(mw),
+        concentration: parseNumber(conc),
+        concUnit,
+        volume: parseNumber(volume),
+        volUnit,
+    })), [mw, conc, volume, concUnit, volUnit]);
+    const g_result = massCalc.result || 0;
 
     const calculate = () => {
+        if (massCalc.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(massCalc.error));
+            return;
+        }
         if (g_result > 0) {
             const inputs = { mw, conc, concUnit, volume, volUnit };
             const result = { gramsNeeded: g_result };
-            const sentence = `To make a solution of ${conc} ${concUnit} in ${volume} ${volUnit} (MW: ${mw}), ${fmt(g_result)} grams are needed.`;
-            saveHistory({ type: "Solution Calculation", inputs, result, sentence }, saveHistory);
+            saveHistory({ type: "Solution Calculation", animalId: selectedAnimalId, inputs, result }, saveHistory);
         }
     };
 
-    return (
-<FormScreenWrapper title="🔬 Solution & Grams Needed" styles={styles}>
-<Text style={styles.label}>Molecular Weight (MW - g/mol)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setMw(filterNumeric(t))} value={mw} keyboardType="numeric" placeholder="e.g., 58.44 (NaCl)" />
+    // The form as route parameters, for saving it as a preset
+    const formParams = { animal: selectedAnimalId, mw, conc, concUnit, volume, volUnit };
 
-<Text style={styles.label}>Target Concentration</Text>
+    return (
+<FormScreenWrapper title={t("solution.title")} styles={styles}>
+<PresetBar styles={styles} screen="Solution" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.patientOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} placeholder={t("picker.noPatient")} />
+<Text style={styles.label}>{t("solution.mw")}</Text>
+<NumericInput styles={styles} value={mw} onChangeValue={setMw} unit="g/mol" placeholder={t("common.mwPlaceholder")} />
+
+<Text style={styles.label}>{t("solution.targetConc")}</Text>
 <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-<TextInput style={[styles.input, { flex: 1 }]} onChangeText={(t) => setConc(filterNumeric(t))} value={conc} keyboardType="numeric" placeholder="Concentration value" />
-<View style={{ width: '30%', marginLeft: 10 }}>
+<NumericInput styles={styles} style={{ flex: 1 }} value={conc} onChangeValue={setConc} unit={concUnit} unitType={CONC_FAMILIES} placeholder={t("common.concPlaceholder")} />
+<View style={{ width: '30%', marginStart: 10 }}>
 <Picker style={styles.pickerStyle} selectedValue={concUnit} onValueChange={setConcUnit} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
 <Picker.Item label="M" value="M" />
 <Picker.Item label="mM" value="mM" />
@@ -598,19 +2914,127 @@ const SolutionScreen = ({ styles, saveHistory }) => {
 </View>
 </View>
 
-<Text style={styles.label}>Final Volume</Text>
+<Text style={styles.label}>{t("solution.finalVolume")}</Text>
 <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-<TextInput style={[styles.input, { flex: 1 }]} onChangeText={(t) => setVolume(filterNumeric(t))} value={volume} keyboardType="numeric" placeholder="Volume value" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={volume} onChangeValue={setVolume} unit={volUnit} unitType="VOLUME" placeholder={t("common.volumePlaceholder")} />
 <UnitPicker styles={styles} unitType="VOLUME" selectedValue={volUnit} onValueChange={setVolUnit} />
 </View>
 
 <TouchableOpacity style={styles.btn} onPress={calculate}>
-<Text style={styles.btnText}>Calculate Grams Required</Text>
+<Text style={styles.btnText}>{t("solution.calculate")}</Text>
+</TouchableOpacity>
+
+<View style={styles.sep} />
+<Text style={styles.result}>{t("solution.grams")} <Text style={{ color: '#4ade80' }}>{fmt(g_result)} g</Text></Text>
+<Text style={{ ...styles.label, marginTop: 12, fontSize: 11 }}>{t("solution.footnote")}</Text>
+</FormScreenWrapper>
+    );
+};
+
+
+/* -------------------- 3b. Stock Dilution Solver (C1V1 = C2V2) -------------------- */
+
+const CONC_FAMILIES = ['MOLARITY', 'CONC_DOSE'];
+
+const StockDilutionScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal)); // Optional patient the calculation is for
+    const [fields, setFields] = useState({ C1: params.c1 || "", V1: params.v1 || "", C2: params.c2 || "", V2: params.v2 || "" });
+    const [units, setUnits] = useState(() => {
+        const concUnits = CONC_FAMILIES.flatMap(type => Object.keys(UNITS_MAP[type]));
+        const volUnits = Object.keys(UNITS_MAP.VOLUME);
+        return {
+            C1: pickOption(params.c1Unit, concUnits, "M"),
+            V1: pickOption(params.v1Unit, volUnits, "mL"),
+            C2: pickOption(params.c2Unit, concUnits, "mM"),
+            V2: pickOption(params.v2Unit, volUnits, "mL"),
+        };
+    });
+    const [mw, setMw] = useState(params.mw || "");
+
+    const setField = (key, value) => setFields({ ...fields, [key]: value });
+    const setUnit = (key, unit) => setUnits({ ...units, [key]: unit });
+
+    const solution = useMemo(() => {
+        const values = {};
+        DILUTION_FIELDS.forEach(k => { values[k] = parseNumber(fields[k]); });
+        const calc = tryCalculation(() => solveC1V1({ values, units, mw: parseNumber(mw) }));
+        if (calc.error) return { error: calcErrorMessage(calc.error) };
+        const warning = calc.result.concentrating ? t("stock.concentrating") : null;
+        return { ...calc.result, warning };
+    }, [fields, units, mw]);
+
+    const calculate = () => {
+        if (solution.error) {
+            Alert.alert(t("common.inputError"), solution.error);
+            return;
+        }
+        if (solution.warning) {
+            Alert.alert(t("stock.checkInputs"), solution.warning);
+            return;
+        }
+        const inputs = { ...fields, units, mw, unknown: solution.unknown };
+        const result = { solved: solution.solved, solvedUnit: units[solution.unknown], diluent: solution.diluent, diluentUnit: units.V2, dilutionFactor: solution.dilutionFactor };
+        saveHistory({ type: "Stock Dilution", animalId: selectedAnimalId, inputs, result }, saveHistory);
+    };
+
+    const fieldMeta = {
+        C1: { label: t("stock.c1"), types: CONC_FAMILIES },
+        V1: { label: t("stock.v1"), types: 'VOLUME' },
+        C2: { label: t("stock.c2"), types: CONC_FAMILIES },
+        V2: { label: t("stock.v2"), types: 'VOLUME' },
+    };
+
+    // The form as route parameters, for saving it as a preset
+    const formParams = {
+        animal: selectedAnimalId, mw,
+        c1: fields.C1, c1Unit: units.C1, v1: fields.V1, v1Unit: units.V1, c2: fields.C2, c2Unit: units.C2, v2: fields.V2, v2Unit: units.V2,
+    };
+
+    return (
+<FormScreenWrapper title={t("stock.title")} styles={styles}>
+<PresetBar styles={styles} screen="Stock" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.patientOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} placeholder={t("picker.noPatient")} />
+<Text style={{ ...styles.label, fontSize: 12, marginTop: 0 }}>{t("stock.hint")}</Text>
+            {DILUTION_FIELDS.map(k => (
+                <View key={k}>
+                    <Text style={styles.label}>{fieldMeta[k].label}</Text>
+                    <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                        <NumericInput
+                            styles={styles}
+                            style={{ flex: 1 }}
+                            inputStyle={k === solution.unknown ? { borderColor: '#4ade80' } : null}
+                            onChangeValue={(v) => setField(k, v)}
+                            value={fields[k]}
+                            unit={units[k]}
+                            unitType={fieldMeta[k].types}
+                            placeholder={k === solution.unknown ? `= ${fmt(solution.solved)}` : t("common.value")}
+                            placeholderTextColor={k === solution.unknown ? '#4ade80' : undefined}
+                        />
+                        <UnitPicker styles={styles} unitType={fieldMeta[k].types} selectedValue={units[k]} onValueChange={(u) => setUnit(k, u)} />
+                    </View>
+                </View>
+            ))}
+
+<Text style={styles.label}>{t("stock.mw")}</Text>
+<NumericInput styles={styles} value={mw} onChangeValue={setMw} unit="g/mol" placeholder={t("common.mwPlaceholder")} />
+
+<TouchableOpacity style={styles.btn} onPress={calculate}>
+<Text style={styles.btnText}>{t("stock.solve")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.result}>Grams Required: <Text style={{ color: '#4ade80' }}>{fmt(g_result)} g</Text></Text>
-<Text style={{ ...styles.label, marginTop: 12, fontSize: 11 }}>*MW is not required for % w/v calculation.</Text>
+            {solution.error ? (
+<Text style={{ ...styles.label, color: '#f59e0b' }}>{solution.error}</Text>
+            ) : (
+<>
+<Text style={styles.result}>{solution.unknown}: <Text style={{ color: '#4ade80' }}>{fmt(solution.solved)} {units[solution.unknown]}</Text></Text>
+<Text style={styles.result}>{t("stock.drawUp")} <Text style={{ color: '#4ade80' }}>{fmt(solution.stockVolume)} {units.V2}</Text></Text>
+<Text style={styles.result}>{t("stock.diluent")} <Text style={{ color: '#4ade80' }}>{fmt(solution.diluent)} {units.V2}</Text></Text>
+<Text style={styles.result}>{t("stock.dilution")} <Text style={{ color: '#4ade80' }}>1:{fmt(solution.dilutionFactor)}</Text></Text>
+                    {solution.warning && <Text style={{ ...styles.label, color: '#ef4444' }}>⚠️ {solution.warning}</Text>}
+</>
+            )}
 </FormScreenWrapper>
     );
 };
@@ -618,80 +3042,207 @@ const SolutionScreen = ({ styles, saveHistory }) => {
 
 /* -------------------- 4. Serial Dilution + Chart Screen -------------------- */
 
-const DilutionScreen = ({ styles, saveHistory }) => {
-    const [startConc, setStartConc] = useState("");
-    const [dilutionFactor, setDilutionFactor] = useState("");
-    const [steps, setSteps] = useState("");
-    const [concUnit, setConcUnit] = useState("M");
+const PLATE_ROWS = "ABCDEFGH";
+const PLATE_COLUMNS = 12;
 
-    const dilutionData = useMemo(() => {
-        const C0 = safeParse(startConc);
-        const DF = safeParse(dilutionFactor);
-        const S = safeParse(steps);
+// Parses "2; 2; 5; 10" into per-step factors (a bare comma is a decimal mark, see parseNumberList);
+// returns null when any factor is invalid
+const parseFactorList = (text) => {
+    const factors = parseNumberList(text);
+    if (factors.length === 0) return null;
+    return factors.every(f => f > 1) ? factors : null;
+};
 
-        if (C0 <= 0 || DF <= 1 || S <= 0 || S > 10) return []; // Limit steps for performance/viewing
+// Plain-text protocol table suitable for pasting into a lab notebook or spreadsheet
+const formatProtocolTable = (protocol, concUnit, volUnit) => {
+    const header = `Tube\tWell\tFactor\tTransfer (${volUnit})\tDiluent (${volUnit})\tConcentration (${concUnit})`;
+    const rows = protocol.map(t =>
+        `${t.tube}\t${t.well}\t${t.factor ? `1:${fmt(t.factor)}` : 'stock'}\t${fmt(t.transfer)}\t${fmt(t.diluent)}\t${fmt(t.conc)}`
+    );
+    return [header, ...rows].join('\n');
+};
 
-        let currentC = C0;
-        const data = [{ x: 0, y: C0, label: `Start: ${fmt(C0)} ${concUnit}` }];
+const DilutionScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal)); // Optional patient the calculation is for
+    const [startConc, setStartConc] = useState(params.start || "");
+    const [dilutionFactor, setDilutionFactor] = useState(params.factor || "");
+    const [steps, setSteps] = useState(params.steps || "");
+    const [concUnit, setConcUnit] = useState(pickOption(params.concUnit, Object.keys(UNITS_MAP.MOLARITY), "M"));
+    const [finalVolume, setFinalVolume] = useState(params.finalVolume || ""); // Volume left in every tube
+    const [volUnit, setVolUnit] = useState(pickOption(params.volUnit, Object.keys(UNITS_MAP.VOLUME), "uL"));
+    const [useCustomFactors, setUseCustomFactors] = useState(Boolean(params.factors));
+    const [customFactors, setCustomFactors] = useState(params.factors || ""); // e.g., "2; 2; 5; 10"
+
+    const factors = useMemo(() => {
+        if (useCustomFactors) return parseFactorList(customFactors) || [];
+        return tryCalculation(() => repeatedFactors(parseNumber(dilutionFactor), parseNumber(steps))).result || [];
+    }, [useCustomFactors, customFactors, dilutionFactor, steps]);
+
+    const tooManySteps = factors.length > MAX_DILUTION_STEPS;
+
+    const dilutionCalc = useMemo(
+        () => tryCalculation(() => serialDilution({ startConc: parseNumber(startConc), factors })),
+        [startConc, factors]
+    );
 
-        for (let i = 1; i <= S; i++) {
-            currentC /= DF;
-            data.push({ x: i, y: currentC, label: `Step ${i}: ${fmt(currentC)} ${concUnit}` });
+    const dilutionData = useMemo(() => (dilutionCalc.result || []).map((c, i) => ({
+        x: i,
+        y: c,
+        label: i === 0 ? t("dilution.pointStart", { conc: `${fmt(c)} ${concUnit}` }) : t("dilution.pointStep", { step: i, conc: `${fmt(c)} ${concUnit}` }),
+    })), [dilutionCalc, concUnit]);
+
+    // Every tube keeps the final volume after its transfer out
+    const protocol = useMemo(() => {
+        if (!dilutionCalc.result) return [];
+        const tubes = tryCalculation(() => dilutionProtocol({ factors, concentrations: dilutionCalc.result, finalVolume: parseNumber(finalVolume) })).result;
+        if (!tubes) return [];
+
+        return tubes.map((t, i) => ({
+            ...t,
+            well: `${PLATE_ROWS[Math.floor(i / PLATE_COLUMNS)]}${(i % PLATE_COLUMNS) + 1}`,
+        }));
+    }, [dilutionCalc, factors, finalVolume]);
+
+    const copyProtocol = async () => {
+        try {
+            await Clipboard.setStringAsync(formatProtocolTable(protocol, concUnit, volUnit));
+            Alert.alert(t("dilution.copiedTitle"), t("dilution.copiedMessage"));
+        } catch (e) {
+            Alert.alert(t("common.error"), t("dilution.copyFailed"));
         }
-        return data;
-    }, [startConc, dilutionFactor, steps, concUnit]);
+    };
 
     const calculate = () => {
+        if (useCustomFactors && factors.length === 0) {
+            Alert.alert(t("common.inputError"), t("dilution.errorFactors"));
+            return;
+        }
+        if (!useCustomFactors) {
+            const factorCalc = tryCalculation(() => repeatedFactors(parseNumber(dilutionFactor), parseNumber(steps)));
+            if (factorCalc.error) {
+                Alert.alert(t("common.inputError"), calcErrorMessage(factorCalc.error));
+                return;
+            }
+        }
+        if (dilutionCalc.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(dilutionCalc.error));
+            return;
+        }
         if (dilutionData.length > 0) {
             const finalConc = dilutionData[dilutionData.length - 1].y;
-            const inputs = { startConc, dilutionFactor, steps, concUnit };
-            const result = { finalConc, data: dilutionData.map(d => ({ step: d.x, conc: d.y })) };
-            const sentence = `Serial dilution of ${startConc} ${concUnit} with factor ${dilutionFactor} for ${steps} steps. Final concentration: ${fmt(finalConc)} ${concUnit}.`;
-            saveHistory({ type: "Serial Dilution", inputs, result, sentence }, saveHistory);
+            const inputs = { startConc, dilutionFactor, steps, concUnit, finalVolume, volUnit, factors };
+            const result = {
+                finalConc,
+                data: dilutionData.map(d => ({ step: d.x, conc: d.y })),
+                protocol,
+                protocolTable: protocol.length ? formatProtocolTable(protocol, concUnit, volUnit) : null,
+            };
+            saveHistory({ type: "Serial Dilution", animalId: selectedAnimalId, inputs, result }, saveHistory);
+        }
+    };
+
+    const axisColor = styles.label.color;
+    const logC0 = dilutionData.length ? Math.log10(dilutionData[0].y) : 0;
+    const logRange = dilutionData.length > 1 ? logC0 - Math.log10(dilutionData[dilutionData.length - 1].y) : 1;
+
+    const renderPlate = () => {
+        const rows = [];
+        for (let r = 0; r * PLATE_COLUMNS < protocol.length; r++) {
+            rows.push(protocol.slice(r * PLATE_COLUMNS, (r + 1) * PLATE_COLUMNS));
         }
+        return rows.map((row, r) => (
+            <View key={r} style={{ flexDirection: 'row', alignItems: 'center', marginTop: 6 }}>
+                <Text style={{ ...styles.label, marginTop: 0, width: 16 }}>{PLATE_ROWS[r]}</Text>
+                {row.map(t => {
+                    // Darker wells hold higher concentrations (log scale)
+                    const shade = 1 - (logC0 - Math.log10(t.conc)) / (logRange || 1);
+                    return (
+                        <View key={t.tube} style={{ width: 22, height: 22, borderRadius: 11, marginEnd: 3, alignItems: 'center', justifyContent: 'center', borderWidth: 1, borderColor: '#2d7fe8', backgroundColor: `rgba(45, 127, 232, ${0.1 + 0.8 * shade})` }}>
+                            <Text style={{ fontSize: 8, color: shade > 0.5 ? '#fff' : axisColor }}>{t.tube}</Text>
+                        </View>
+                    );
+                })}
+            </View>
+        ));
+    };
+
+    // The form as route parameters, for saving it as a preset
+    const formParams = {
+        animal: selectedAnimalId, start: startConc, concUnit, factor: dilutionFactor, steps, factors: useCustomFactors ? customFactors : "", finalVolume, volUnit,
     };
 
     return (
-<FormScreenWrapper title="📈 Serial Dilution & Chart" styles={styles}>
-<Text style={styles.label}>Starting Concentration</Text>
+<FormScreenWrapper title={t("dilution.title")} styles={styles}>
+<PresetBar styles={styles} screen="Dilution" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.patientOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} placeholder={t("picker.noPatient")} />
+<Text style={styles.label}>{t("dilution.start")}</Text>
 <View style={{ flexDirection: 'row', alignItems: 'center' }}>
-<TextInput style={[styles.input, { flex: 1 }]} onChangeText={(t) => setStartConc(filterNumeric(t))} value={startConc} keyboardType="numeric" placeholder="C0" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={startConc} onChangeValue={setStartConc} unit={concUnit} unitType="MOLARITY" placeholder="C0" />
 <UnitPicker styles={styles} unitType="MOLARITY" selectedValue={concUnit} onValueChange={setConcUnit} />
 </View>
 
-<Text style={styles.label}>Dilution Factor (e.g., 10 for 1:10)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setDilutionFactor(filterNumeric(t))} value={dilutionFactor} keyboardType="numeric" placeholder="e.g., 10" />
+<Text style={styles.label}>{t("dilution.factors")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: false, label: t("dilution.sameFactor") }, { value: true, label: t("dilution.perStep") }]}
+                selectedValue={useCustomFactors}
+                onSelect={setUseCustomFactors}
+            />
+            {useCustomFactors ? (
+<>
+<Text style={styles.label}>{t("dilution.factorList", { max: MAX_DILUTION_STEPS })}</Text>
+<TextInput style={styles.input} onChangeText={(t) => setCustomFactors(normalizeDigits(t).replace(/[^0-9.,;؛\s]/g, ""))} value={customFactors} keyboardType="numbers-and-punctuation" placeholder={t("dilution.factorListPlaceholder")} />
+                    {customFactors !== "" && !parseFactorList(customFactors) && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dilution.factorInvalid")}</Text>
+                    )}
+</>
+            ) : (
+<>
+<Text style={styles.label}>{t("dilution.factor")}</Text>
+<NumericInput styles={styles} value={dilutionFactor} onChangeValue={setDilutionFactor} placeholder={t("dilution.factorPlaceholder")} />
 
-<Text style={styles.label}>Number of Steps (Max 10)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setSteps(filterNumeric(t))} value={steps} keyboardType="numeric" placeholder="e.g., 5" />
+<Text style={styles.label}>{t("dilution.steps", { max: MAX_DILUTION_STEPS })}</Text>
+<NumericInput styles={styles} value={steps} onChangeValue={setSteps} placeholder={t("dilution.stepsPlaceholder")} />
+</>
+            )}
+            {tooManySteps && <Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("dilution.tooManySteps", { max: MAX_DILUTION_STEPS })}</Text>}
+
+<Text style={styles.label}>{t("dilution.finalVolume")}</Text>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<NumericInput styles={styles} style={{ flex: 1 }} value={finalVolume} onChangeValue={setFinalVolume} unit={volUnit} unitType="VOLUME" placeholder={t("dilution.finalVolumePlaceholder")} />
+<UnitPicker styles={styles} unitType="VOLUME" selectedValue={volUnit} onValueChange={setVolUnit} />
+</View>
 
 <TouchableOpacity style={styles.btn} onPress={calculate}>
-<Text style={styles.btnText}>Calculate & Visualize Dilution</Text>
+<Text style={styles.btnText}>{t("dilution.calculate")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
             {dilutionData.length > 0 && (
-<View style={{ height: 300, paddingVertical: 10 }}>
-<Text style={styles.title}>Concentration Over Steps</Text>
+<View style={{ paddingVertical: 10 }}>
+<Text style={styles.title}>{t("dilution.chartTitle")}</Text>
 <VictoryChart 
+                        scale={{ y: "log" }}
                         domainPadding={20} 
-                        padding={{ top: 20, bottom: 50, left: 60, right: 30 }}
+                        padding={{ top: 20, bottom: 50, left: 70, right: 30 }}
                         height={280}
                         style={{ parent: { backgroundColor: styles.card.backgroundColor, borderRadius: 16 } }}
 >
 <VictoryAxis 
-                            label="Dilution Step (x)"
+                            label={t("dilution.stepAxis")}
                             style={{ 
-                                axisLabel: { padding: 30, fill: styles.darkLabel.color },
-                                tickLabels: { fill: styles.darkLabel.color } 
+                                axisLabel: { padding: 30, fill: axisColor },
+                                tickLabels: { fill: axisColor } 
                             }} 
                         />
 <VictoryAxis 
                             dependentAxis 
-                            label={`Concentration (${concUnit})`} 
+                            label={t("dilution.concAxis", { unit: concUnit })} 
+                            tickFormat={(t) => Number(t).toExponential(0)}
                             style={{ 
-                                axisLabel: { padding: 40, fill: styles.darkLabel.color },
-                                tickLabels: { fill: styles.darkLabel.color } 
+                                axisLabel: { padding: 50, fill: axisColor },
+                                tickLabels: { fill: axisColor, fontSize: 10 } 
                             }} 
                         />
 <VictoryLine 
@@ -708,7 +3259,38 @@ const DilutionScreen = ({ styles, saveHistory }) => {
                             style={{ data: { fill: "#2d7fe8" } }}
                         />
 </VictoryChart>
-<Text style={styles.result}>Final Concentration: <Text style={{ color: '#4ade80' }}>{fmt(dilutionData[dilutionData.length - 1].y)} {concUnit}</Text></Text>
+<Text style={styles.result}>{t("dilution.finalConc")} <Text style={{ color: '#4ade80' }}>{fmt(dilutionData[dilutionData.length - 1].y)} {concUnit}</Text></Text>
+</View>
+            )}
+
+            {protocol.length > 0 && (
+<View style={{ paddingVertical: 10 }}>
+<View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' }}>
+<Text style={styles.title}>{t("dilution.protocol")}</Text>
+<TouchableOpacity onPress={copyProtocol} style={{ flexDirection: 'row', alignItems: 'center', padding: 6 }}>
+<MaterialIcons name="content-copy" size={18} color="#2d7fe8" />
+<Text style={{ color: '#2d7fe8', fontWeight: '700', marginStart: 4 }}>{t("common.copy")}</Text>
+</TouchableOpacity>
+</View>
+<Text style={{ ...styles.label, fontSize: 11, marginTop: 0 }}>{t("dilution.protocolHint", { volume: `${finalVolume} ${volUnit}` })}</Text>
+<View style={{ flexDirection: 'row', marginTop: 8 }}>
+                        {[t("dilution.colTube"), t("dilution.colWell"), t("dilution.colTransfer"), t("dilution.colDiluent"), t("dilution.colConc", { unit: concUnit })].map(h => (
+<Text key={h} style={{ ...styles.historyInputs, flex: 1, fontWeight: '800' }}>{h}</Text>
+                        ))}
+</View>
+                    {protocol.map(tube => (
+<View key={tube.tube} style={{ flexDirection: 'row', marginTop: 4 }}>
+<Text style={{ ...styles.historyInputs, flex: 1 }}>{tube.tube === 0 ? t("dilution.stock") : tube.tube}</Text>
+<Text style={{ ...styles.historyInputs, flex: 1 }}>{tube.well}</Text>
+<Text style={{ ...styles.historyInputs, flex: 1 }}>{fmt(tube.transfer, 2)}</Text>
+<Text style={{ ...styles.historyInputs, flex: 1 }}>{fmt(tube.diluent, 2)}</Text>
+<Text style={{ ...styles.historyInputs, flex: 1 }}>{fmt(tube.conc, 3)}</Text>
+</View>
+                    ))}
+<Text style={{ ...styles.label, fontSize: 11 }}>{t("dilution.volumesNote", { unit: volUnit })}</Text>
+
+<Text style={{ ...styles.title, marginTop: 12 }}>{t("dilution.plate")}</Text>
+                    {renderPlate()}
 </View>
             )}
 </FormScreenWrapper>
@@ -717,81 +3299,463 @@ const DilutionScreen = ({ styles, saveHistory }) => {
 
 /* -------------------- 5. Buffer Calculation Screen -------------------- */
 
-const BufferScreen = ({ styles, saveHistory }) => {
-    const [pH, setPh] = useState("");
-    const [pKa, setPka] = useState("");
-    const [mwAcid, setMwAcid] = useState("");
-    const [mwSalt, setMwSalt] = useState("");
-    const [totalVol, setTotalVol] = useState(""); // mL
-    const [totalConc, setTotalConc] = useState(""); // M
-
-    // Calculate Ratio [A-]/[HA] and required mass of components (g)
-    const { ratio, acidMass, saltMass } = useMemo(() => {
-        const pHVal = safeParse(pH);
-        const pKaVal = safeParse(pKa);
-        const MWa = safeParse(mwAcid);
-        const MWs = safeParse(mwSalt);
-        const V = safeParse(totalVol); // mL
-        const C = safeParse(totalConc); // M
-
-        if (pKaVal <= 0 || V <= 0 || C <= 0 || MWa <= 0 || MWs <= 0) return {};
-
-        // Calculate Ratio [A-]/[HA]
-        const diff = pHVal - pKaVal;
-        const ratio = Math.pow(10, diff);
-
-        // Calculate Molar Fractions
-        const X_Salt = ratio / (1 + ratio); // Fraction of Conjugate Base (A-)
-        const X_Acid = 1 / (1 + ratio); // Fraction of Weak Acid (HA)
+// pKa values at 25 °C with temperature coefficients (dpKa/dT per °C). acidCharge is the
+// charge of the acid form of each pair, used for the ionic-strength (Davies) correction.
+const BUFFER_LIBRARY = [
+  {
+    key: "phosphate",
+    name: "Phosphate",
+    pairs: [
+      { pKa: 2.15, dpKadT: 0.0044, acidCharge: 0, acid: { name: "H₃PO₄", mw: 98.00 }, base: { name: "NaH₂PO₄", mw: 119.98 } },
+      { pKa: 7.20, dpKadT: -0.0028, acidCharge: -1, acid: { name: "NaH₂PO₄", mw: 119.98 }, base: { name: "Na₂HPO₄", mw: 141.96 } },
+      { pKa: 12.33, dpKadT: -0.026, acidCharge: -2, acid: { name: "Na₂HPO₄", mw: 141.96 }, base: { name: "Na₃PO₄", mw: 163.94 } },
+    ],
+  },
+  {
+    key: "tris",
+    name: "Tris",
+    pairs: [{ pKa: 8.06, dpKadT: -0.028, acidCharge: 1, acid: { name: "Tris-HCl", mw: 157.60 }, base: { name: "Tris base", mw: 121.14 } }],
+  },
+  {
+    key: "hepes",
+    name: "HEPES",
+    pairs: [{ pKa: 7.48, dpKadT: -0.014, acidCharge: 0, acid: { name: "HEPES (free acid)", mw: 238.30 }, base: { name: "HEPES sodium salt", mw: 260.29 } }],
+  },
+  {
+    key: "mops",
+    name: "MOPS",
+    pairs: [{ pKa: 7.20, dpKadT: -0.015, acidCharge: 0, acid: { name: "MOPS (free acid)", mw: 209.26 }, base: { name: "MOPS sodium salt", mw: 231.25 } }],
+  },
+  {
+    key: "acetate",
+    name: "Acetate",
+    pairs: [{ pKa: 4.76, dpKadT: -0.0002, acidCharge: 0, acid: { name: "Acetic acid", mw: 60.05 }, base: { name: "Sodium acetate", mw: 82.03 } }],
+  },
+  {
+    key: "citrate",
+    name: "Citrate",
+    pairs: [
+      { pKa: 3.13, dpKadT: -0.0024, acidCharge: 0, acid: { name: "Citric acid", mw: 192.12 }, base: { name: "Monosodium citrate", mw: 214.11 } },
+      { pKa: 4.76, dpKadT: -0.0016, acidCharge: -1, acid: { name: "Monosodium citrate", mw: 214.11 }, base: { name: "Disodium citrate", mw: 236.09 } },
+      { pKa: 6.40, dpKadT: 0, acidCharge: -2, acid: { name: "Disodium citrate", mw: 236.09 }, base: { name: "Trisodium citrate", mw: 258.07 } },
+    ],
+  },
+  {
+    key: "bicarbonate",
+    name: "Bicarbonate / Carbonate",
+    pairs: [
+      { pKa: 6.35, dpKadT: -0.0055, acidCharge: 0, acid: { name: "H₂CO₃ (dissolved CO₂)", mw: 62.03 }, base: { name: "NaHCO₃", mw: 84.01 } },
+      { pKa: 10.33, dpKadT: -0.009, acidCharge: -1, acid: { name: "NaHCO₃", mw: 84.01 }, base: { name: "Na₂CO₃", mw: 105.99 } },
+    ],
+  },
+];
+
+// Library buffers are translated by name; custom buffers and "Manual" keep the name they were saved with
+const bufferLabel = (name) => tValue("bufferNames", name);
+
+// Route parameter -> buffer: links use the key, entries reopened from history the stored name
+const findBuffer = (buffers, keyOrName) => (keyOrName ? buffers.find(b => b.key === keyOrName || b.name === keyOrName) : undefined);
+
+
+const BufferScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal)); // Optional patient the calculation is for
+    const [pH, setPh] = useState(params.pH || "");
+    const [pKa, setPka] = useState(params.pKa || "");
+    const [mwAcid, setMwAcid] = useState(params.mwAcid || "");
+    const [mwSalt, setMwSalt] = useState(params.mwSalt || "");
+    const [totalVol, setTotalVol] = useState(params.volume || ""); // mL
+    const [totalConc, setTotalConc] = useState(params.conc || ""); // M
+    const [bufferKey, setBufferKey] = useState(() => findBuffer(BUFFER_LIBRARY, params.buffer)?.key || "manual"); // Library/custom buffer key, or 'manual' entry
+    const [pairIndex, setPairIndex] = useState(null); // null = pick the pKa closest to the target pH
+    const [temperature, setTemperature] = useState(params.temperature || "25"); // °C
+    const [ionicStrength, setIonicStrength] = useState(params.ionicStrength || ""); // M, empty = no correction
+    const [customBuffers, setCustomBuffers] = useState([]);
+    const [customName, setCustomName] = useState("");
+    const [customDpKadT, setCustomDpKadT] = useState("");
+    const [mode, setMode] = useState(pickOption(params.mode, ["prepare", "reverse", "titrate"], "prepare")); // 'prepare' | 'reverse' | 'titrate'
+    const [reverseInput, setReverseInput] = useState(pickOption(params.reverseInput, ["mass", "stock"], "mass")); // 'mass' = grams weighed, 'stock' = stock volumes
+    const [massAcid, setMassAcid] = useState(params.massAcid || ""); // g
+    const [massBase, setMassBase] = useState(params.massBase || ""); // g
+    const [stockAcidVol, setStockAcidVol] = useState(params.stockAcidVol || ""); // mL
+    const [stockAcidConc, setStockAcidConc] = useState(params.stockAcidConc || ""); // M
+    const [stockBaseVol, setStockBaseVol] = useState(params.stockBaseVol || ""); // mL
+    const [stockBaseConc, setStockBaseConc] = useState(params.stockBaseConc || ""); // M
+    const [titrant, setTitrant] = useState(pickOption(params.titrant, ["base", "acid"], "base")); // 'base' = NaOH into weak acid, 'acid' = HCl into conjugate base
+    const [titrantConc, setTitrantConc] = useState(params.titrantConc || ""); // M
+    const [analyteConc, setAnalyteConc] = useState(params.analyteConc || ""); // M
+    const [analyteVol, setAnalyteVol] = useState(params.analyteVol || ""); // mL
 
-        // Calculate Mass (g) needed for each component
-        // Mass (g) = X * C (mol/L) * V (L) * MW (g/mol)
-        const V_L = convertUnit(V, 'mL', 'L', 'VOLUME');
+    useEffect(() => {
+        loadCustomBuffers(setCustomBuffers);
+    }, []);
 
-        const acidMass = X_Acid * C * V_L * MWa;
-        const saltMass = X_Salt * C * V_L * MWs;
+    // A custom buffer named in the route can only be selected once the saved buffers have loaded
+    useEffect(() => {
+        const linked = findBuffer(customBuffers, params.buffer);
+        if (linked && bufferKey === "manual") setBufferKey(linked.key);
+    }, [customBuffers]);
+
+    const allBuffers = useMemo(() => [...BUFFER_LIBRARY, ...customBuffers], [customBuffers]);
+    const buffer = allBuffers.find(b => b.key === bufferKey);
+    const targetPh = parseNumber(pH); // undefined when empty, NaN when invalid
+    const activePairIndex = buffer ? (pairIndex !== null ? pairIndex : closestPairIndex(buffer.pairs, targetPh)) : 0; // First pair until a valid pH is typed
+
+    // Manual entry behaves like a single-pair buffer; the engine validates its typed values
+    const manualPair = () => ({
+        pKa: parseNumber(pKa),
+        dpKadT: parseNumber(customDpKadT),
+        acidCharge: 0,
+        acid: { name: t("buffer.weakAcid"), mw: parseNumber(mwAcid) },
+        base: { name: t("buffer.conjugateSalt"), mw: parseNumber(mwSalt) },
+    });
+    const pair = buffer ? buffer.pairs[Math.min(activePairIndex, buffer.pairs.length - 1)] : manualPair();
+
+    // Apparent pKa at the working temperature (empty = 25 °C) and ionic strength; while it is invalid,
+    // its error is every mode's error
+    const pKaCalc = useMemo(
+        () => tryCalculation(() => effectivePka(pair, parseNumber(temperature), parseNumber(ionicStrength))),
+        [pair.pKa, pair.dpKadT, pair.acidCharge, temperature, ionicStrength]
+    );
+    const pKaEff = pKaCalc.result || 0;
+
+    // Ratio [A-]/[HA] and required mass of components (g)
+    const prepareCalc = useMemo(() => pKaCalc.error ? pKaCalc : tryCalculation(() => hendersonHasselbalch({
+        pH: parseNumber(pH),
+        pKa: pKaEff,
+        totalConc: parseNumber(totalConc),
+        volumeMl: parseNumber(totalVol),
+        mwAcid: pair.acid.mw,
+        mwBase: pair.base.mw,
+    })), [pH, pKaCalc, pair.acid.mw, pair.base.mw, totalVol, totalConc]);
+    const { ratio, acidMass, baseMass: saltMass } = prepareCalc.result || {};
+
+    // Reverse mode: pH from what was actually weighed out or pipetted
+    const reverseCalc = useMemo(() => {
+        // Left undefined while either factor is empty so the engine reports the amount as missing
+        const moles = (a, b, scale) => (a === undefined || b === undefined ? undefined : a * b * scale);
+        if (pKaCalc.error) return pKaCalc;
+        return tryCalculation(() => {
+            if (reverseInput === 'mass') {
+                requirePositive(pair.acid.mw, "mwAcid", "Acid molecular weight");
+                requirePositive(pair.base.mw, "mwBase", "Base molecular weight");
+            }
+            const nAcid = reverseInput === 'mass'
+                ? moles(parseNumber(massAcid), 1, 1 / pair.acid.mw)
+                : moles(parseNumber(stockAcidVol), parseNumber(stockAcidConc), 1 / 1000);
+            const nBase = reverseInput === 'mass'
+                ? moles(parseNumber(massBase), 1, 1 / pair.base.mw)
+                : moles(parseNumber(stockBaseVol), parseNumber(stockBaseConc), 1 / 1000);
+            return { pH: bufferPh({ pKa: pKaEff, acidMol: nAcid, baseMol: nBase }), nAcid, nBase };
+        });
+    }, [pKaCalc, reverseInput, massAcid, massBase, stockAcidVol, stockAcidConc, stockBaseVol, stockBaseConc, pair.acid.mw, pair.base.mw]);
+    const reversePh = reverseCalc.result;
+
+    // Titration mode: volume of NaOH/HCl to reach the target pH, plus the full curve
+    const titrationCalc = useMemo(() => pKaCalc.error ? pKaCalc : tryCalculation(() => calcTitration({
+        titrant,
+        pH: parseNumber(pH),
+        pKa: pKaEff,
+        C0: parseNumber(analyteConc),
+        V0: parseNumber(analyteVol),
+        Ct: parseNumber(titrantConc),
+    })), [titrant, pKaCalc, analyteConc, analyteVol, titrantConc, pH]);
+    const titration = titrationCalc.result || {};
+
+    const outsideRange = mode !== 'reverse' && Number.isFinite(targetPh) && pKaEff > 0 && Math.abs(targetPh - pKaEff) > 1;
+
+    const handleBuffer = (key) => {
+        setBufferKey(key);
+        setPairIndex(null);
+    };
 
-        return { ratio, acidMass, saltMass };
+    const saveCustomBuffer = async () => {
+        if (!customName.trim()) {
+            Alert.alert(t("common.inputError"), t("buffer.errorCustom"));
+            return;
+        }
+        const checked = tryCalculation(() => {
+            const typed = manualPair();
+            requirePositive(typed.pKa, "pKa");
+            requirePositive(typed.acid.mw, "mwAcid", "Acid molecular weight");
+            requirePositive(typed.base.mw, "mwBase", "Base molecular weight");
+            return { ...typed, dpKadT: optionalNumber(typed.dpKadT, "dpKadT", "dpKa/dT") || 0 };
+        });
+        if (checked.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(checked.error));
+            return;
+        }
+        const custom = {
+            key: `custom_${Date.now()}`,
+            name: customName.trim(),
+            custom: true,
+            pairs: [checked.result],
+        };
+        try {
+            await saveCustomBuffers([...customBuffers, custom], setCustomBuffers);
+            setBufferKey(custom.key);
+            setCustomName("");
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
 
-    }, [pH, pKa, mwAcid, mwSalt, totalVol, totalConc]);
+    const deleteCustomBuffer = () => {
+        Alert.alert(t("buffer.deleteTitle"), t("buffer.deleteConfirm", { name: buffer.name }), [
+            { text: t("common.cancel"), style: "cancel" },
+            { text: t("common.delete"), style: "destructive", onPress: async () => {
+                try {
+                    await saveCustomBuffers(customBuffers.filter(b => b.key !== buffer.key), setCustomBuffers);
+                    setBufferKey("manual");
+                } catch (e) {
+                    reportStorageError(e);
+                }
+            }}
+        ]);
+    };
 
     const calculate = () => {
-        if (acidMass > 0 && saltMass > 0) {
-            const inputs = { pH, pKa, mwAcid, mwSalt, totalVol, totalConc };
-            const result = { ratio, acidMass, saltMass };
-            const sentence = `Buffer calculated: Ratio [A-]/[HA] = ${fmt(ratio)}. Required: ${fmt(acidMass)} g Acid, ${fmt(saltMass)} g Salt for ${totalVol} mL of ${totalConc} M solution.`;
-            saveHistory({ type: "Buffer Calculation", inputs, result, sentence }, saveHistory);
+        const bufferName = buffer ? buffer.name : "Manual";
+        if (mode === 'reverse') {
+            if (reverseCalc.error) {
+                Alert.alert(t("common.inputError"), calcErrorMessage(reverseCalc.error));
+                return;
+            }
+            const amounts = reverseInput === 'mass'
+                ? { massAcid, massBase }
+                : { stockAcidVol, stockAcidConc, stockBaseVol, stockBaseConc };
+            const inputs = { mode, reverseInput, bufferName, pKa: pair.pKa, pKaEffective: pKaEff, temperature, ionicStrength, acidName: pair.acid.name, saltName: pair.base.name, ...amounts };
+            saveHistory({ type: "Buffer Calculation", animalId: selectedAnimalId, inputs, result: reversePh }, saveHistory);
+            return;
         }
+        if (mode === 'titrate') {
+            if (titrationCalc.error) {
+                Alert.alert(t("common.inputError"), calcErrorMessage(titrationCalc.error));
+                return;
+            }
+            if (!(titration.volume >= 0)) {
+                Alert.alert(t("common.inputError"), t("buffer.errorTitration"));
+                return;
+            }
+            const titrantName = titrant === 'base' ? 'NaOH' : 'HCl';
+            const analyteName = titrant === 'base' ? pair.acid.name : pair.base.name;
+            const inputs = { mode, bufferName, pH, titrant: titrantName, titrantConc, analyteConc, analyteVol, analyteName, pKa: pair.pKa, pKaEffective: pKaEff, temperature, ionicStrength };
+            const result = { titrantVolume: titration.volume, equivalenceVolume: titration.equivalenceVol };
+            saveHistory({ type: "Buffer Calculation", animalId: selectedAnimalId, inputs, result }, saveHistory);
+            return;
+        }
+        if (prepareCalc.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(prepareCalc.error));
+            return;
+        }
+        const inputs = { mode, bufferName, pH, pKa: pair.pKa, pKaEffective: pKaEff, temperature, ionicStrength, mwAcid: pair.acid.mw, mwSalt: pair.base.mw, acidName: pair.acid.name, saltName: pair.base.name, totalVol, totalConc };
+        const result = { ratio, acidMass, saltMass };
+        saveHistory({ type: "Buffer Calculation", animalId: selectedAnimalId, inputs, result }, saveHistory);
+    };
+
+    // The form as route parameters, for saving it as a preset
+    const formParams = {
+        animal: selectedAnimalId, buffer: bufferKey === 'manual' ? "" : bufferKey, mode, pH, volume: totalVol, conc: totalConc, temperature, ionicStrength, pKa, mwAcid, mwSalt,
+        reverseInput, massAcid, massBase, stockAcidVol, stockAcidConc, stockBaseVol, stockBaseConc, titrant, titrantConc, analyteConc, analyteVol,
     };
 
     return (
-<FormScreenWrapper title="⚖️ Buffer Solution (H-H Equation)" styles={styles}>
-<Text style={styles.label}>Target pH of Buffer</Text>
-<TextInput style={styles.input} onChangeText={(t) => setPh(filterNumeric(t))} value={pH} keyboardType="numeric" placeholder="pH (e.g., 7.4)" />
+<FormScreenWrapper title={t("buffer.title")} styles={styles}>
+<PresetBar styles={styles} screen="Buffer" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.patientOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} placeholder={t("picker.noPatient")} />
+<Text style={styles.label}>{t("buffer.system")}</Text>
+<View style={styles.pickerStyle}>
+<Picker selectedValue={bufferKey} onValueChange={handleBuffer} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+<Picker.Item label={t("buffer.manualEntry")} value="manual" />
+                    {allBuffers.map(b =><Picker.Item key={b.key} label={b.custom ? `★ ${b.name}` : bufferLabel(b.name)} value={b.key} />)}
+</Picker>
+</View>
+
+<Text style={styles.label}>{t("common.mode")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'prepare', label: t("buffer.modePrepare") }, { value: 'reverse', label: t("buffer.modeReverse") }, { value: 'titrate', label: t("buffer.modeTitrate") }]}
+                selectedValue={mode}
+                onSelect={setMode}
+            />
+
+            {mode !== 'reverse' && (
+<>
+<Text style={styles.label}>{t("buffer.targetPh")}</Text>
+<NumericInput styles={styles} value={pH} onChangeValue={setPh} placeholder={t("buffer.phPlaceholder")} />
+</>
+            )}
+
+            {buffer ? (
+<>
+                    {buffer.pairs.length > 1 && (
+<>
+<Text style={styles.label}>{t("buffer.pair")}</Text>
+<OptionChips
+                                styles={styles}
+                                options={[{ value: null, label: t("common.auto") }, ...buffer.pairs.map((pr, i) => ({ value: i, label: `pKa ${pr.pKa}` }))]}
+                                selectedValue={pairIndex}
+                                onSelect={setPairIndex}
+                            />
+</>
+                    )}
+<Text style={{ ...styles.label, fontSize: 12 }}>{pair.acid.name} (MW {pair.acid.mw}) / {pair.base.name} (MW {pair.base.mw})</Text>
+<Text style={{ ...styles.label, fontSize: 12, marginTop: 4 }}>{t("buffer.pairInfo", { pKa: pair.pKa, dpKadT: pair.dpKadT || 0 })}</Text>
+                    {buffer.custom && (
+<TouchableOpacity onPress={deleteCustomBuffer} style={{ marginTop: 6 }}>
+<Text style={{ color: '#ef4444', fontWeight: '700' }}>{t("buffer.deleteCustom")}</Text>
+</TouchableOpacity>
+                    )}
+</>
+            ) : (
+<>
+<Text style={styles.label}>{t("buffer.pKa")}</Text>
+<NumericInput styles={styles} value={pKa} onChangeValue={setPka} placeholder={t("buffer.pKaPlaceholder")} />
+<Text style={styles.label}>{t("buffer.mwAcid")}</Text>
+<NumericInput styles={styles} value={mwAcid} onChangeValue={setMwAcid} unit="g/mol" placeholder={t("buffer.mwAcidPlaceholder")} />
+<Text style={styles.label}>{t("buffer.mwSalt")}</Text>
+<NumericInput styles={styles} value={mwSalt} onChangeValue={setMwSalt} unit="g/mol" placeholder={t("buffer.mwSaltPlaceholder")} />
+<Text style={styles.label}>{t("buffer.dpKadT")}</Text>
+<TextInput style={styles.input} onChangeText={(t) => setCustomDpKadT(normalizeDigits(t).replace(/[^0-9.-]/g, ""))} value={customDpKadT} keyboardType="numbers-and-punctuation" placeholder={t("buffer.dpKadTPlaceholder")} />
+<Text style={styles.label}>{t("buffer.saveCustom")}</Text>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<TextInput style={[styles.input, { flex: 1 }]} onChangeText={setCustomName} value={customName} placeholder={t("buffer.namePlaceholder")} />
+<TouchableOpacity onPress={saveCustomBuffer} style={{ marginStart: 10, marginTop: 6, padding: 12, backgroundColor: '#2d7fe8', borderRadius: 10 }}>
+<MaterialIcons name="save" size={22} color="#fff" />
+</TouchableOpacity>
+</View>
+</>
+            )}
+
+<Text style={styles.label}>{t("buffer.temperature")}</Text>
+<NumericInput styles={styles} value={temperature} onChangeValue={setTemperature} unit="C" unitType="TEMP" placeholder={t("buffer.temperaturePlaceholder")} />
+<Text style={styles.label}>{t("buffer.ionicStrength")}</Text>
+<NumericInput styles={styles} value={ionicStrength} onChangeValue={setIonicStrength} unit="M" unitType="MOLARITY" placeholder={t("buffer.ionicStrengthPlaceholder")} />
+            {pKaEff > 0 && (
+<Text style={styles.result}>{t("buffer.effectivePka")} <Text style={{ color: '#4ade80' }}>{fmt(pKaEff, 3)}</Text></Text>
+            )}
+            {outsideRange && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("buffer.outsideRange")}</Text>
+            )}
 
-<Text style={styles.label}>pKa of Weak Acid</Text>
-<TextInput style={styles.input} onChangeText={(t) => setPka(filterNumeric(t))} value={pKa} keyboardType="numeric" placeholder="pKa (e.g., 6.86 for Phosphate)" />
+<View style={styles.sep} />
+            {mode === 'prepare' && (
+<>
+<Text style={styles.title}>{t("buffer.prepareTitle")}</Text>
+<Text style={styles.label}>{t("buffer.totalConc")}</Text>
+<NumericInput styles={styles} value={totalConc} onChangeValue={setTotalConc} unit="M" unitType="MOLARITY" placeholder={t("buffer.totalConcPlaceholder")} />
+<Text style={styles.label}>{t("buffer.totalVolume")}</Text>
+<NumericInput styles={styles} value={totalVol} onChangeValue={setTotalVol} unit="mL" unitType="VOLUME" placeholder={t("buffer.totalVolumePlaceholder")} />
+
+<TouchableOpacity style={styles.btn} onPress={calculate}>
+<Text style={styles.btnText}>{t("buffer.calculatePrepare")}</Text>
+</TouchableOpacity>
+
+<View style={styles.sep} />
+<Text style={styles.result}>{t("buffer.ratio")} <Text style={{ color: '#4ade80' }}>{fmt(ratio)}</Text></Text>
+<Text style={styles.result}>{t("buffer.massOf", { name: pair.acid.name })} <Text style={{ color: '#4ade80' }}>{fmt(acidMass)} g</Text></Text>
+<Text style={styles.result}>{t("buffer.massOf", { name: pair.base.name })} <Text style={{ color: '#4ade80' }}>{fmt(saltMass)} g</Text></Text>
+</>
+            )}
+
+            {mode === 'reverse' && (
+<>
+<Text style={styles.title}>{t("buffer.reverseTitle")}</Text>
+<OptionChips
+                        styles={styles}
+                        options={[{ value: 'mass', label: t("buffer.weighed") }, { value: 'stock', label: t("buffer.stockVolumes") }]}
+                        selectedValue={reverseInput}
+                        onSelect={setReverseInput}
+                    />
+                    {reverseInput === 'mass' ? (
+<>
+<Text style={styles.label}>{t("buffer.massLabel", { name: pair.acid.name })}</Text>
+<NumericInput styles={styles} value={massAcid} onChangeValue={setMassAcid} unit="g" unitType="MASS" placeholder={t("buffer.massAcidPlaceholder")} />
+<Text style={styles.label}>{t("buffer.massLabel", { name: pair.base.name })}</Text>
+<NumericInput styles={styles} value={massBase} onChangeValue={setMassBase} unit="g" unitType="MASS" placeholder={t("buffer.massBasePlaceholder")} />
+</>
+                    ) : (
+<>
+<Text style={styles.label}>{t("buffer.acidStock")}</Text>
+<View style={{ flexDirection: 'row' }}>
+<NumericInput styles={styles} style={{ flex: 1, marginEnd: 10 }} value={stockAcidVol} onChangeValue={setStockAcidVol} unit="mL" unitType="VOLUME" placeholder="mL" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={stockAcidConc} onChangeValue={setStockAcidConc} unit="M" unitType="MOLARITY" placeholder="M" />
+</View>
+<Text style={styles.label}>{t("buffer.baseStock")}</Text>
+<View style={{ flexDirection: 'row' }}>
+<NumericInput styles={styles} style={{ flex: 1, marginEnd: 10 }} value={stockBaseVol} onChangeValue={setStockBaseVol} unit="mL" unitType="VOLUME" placeholder="mL" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={stockBaseConc} onChangeValue={setStockBaseConc} unit="M" unitType="MOLARITY" placeholder="M" />
+</View>
+</>
+                    )}
+
+<TouchableOpacity style={styles.btn} onPress={calculate}>
+<Text style={styles.btnText}>{t("buffer.calculateReverse")}</Text>
+</TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.title}>Required Components for Preparation</Text>
-<Text style={styles.label}>Total Required Concentration (M)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setTotalConc(filterNumeric(t))} value={totalConc} keyboardType="numeric" placeholder="e.g., 0.1 M" />
-<Text style={styles.label}>Total Volume (mL)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setTotalVol(filterNumeric(t))} value={totalVol} keyboardType="numeric" placeholder="e.g., 1000 mL" />
+<Text style={styles.result}>{t("buffer.resultingPh")} <Text style={{ color: '#4ade80' }}>{reversePh ? fmt(reversePh.pH, 2) : '—'}</Text></Text>
+                    {reversePh && Math.abs(reversePh.pH - pKaEff) > 1 && (
+<Text style={{ ...styles.label, fontSize: 12, color: '#f59e0b' }}>{t("buffer.poorMixture")}</Text>
+                    )}
+</>
+            )}
 
-<Text style={styles.label}>MW of Weak Acid (g/mol)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setMwAcid(filterNumeric(t))} value={mwAcid} keyboardType="numeric" placeholder="MW of HA" />
-<Text style={styles.label}>MW of Conjugate Salt (g/mol)</Text>
-<TextInput style={styles.input} onChangeText={(t) => setMwSalt(filterNumeric(t))} value={mwSalt} keyboardType="numeric" placeholder="MW of A-" />
+            {mode === 'titrate' && (
+<>
+<Text style={styles.title}>{t("buffer.titrateTitle")}</Text>
+<OptionChips
+                        styles={styles}
+                        options={[{ value: 'base', label: t("buffer.titrantInto", { titrant: 'NaOH', name: pair.acid.name }) }, { value: 'acid', label: t("buffer.titrantInto", { titrant: 'HCl', name: pair.base.name }) }]}
+                        selectedValue={titrant}
+                        onSelect={setTitrant}
+                    />
+<Text style={styles.label}>{t("buffer.analyte", { name: titrant === 'base' ? pair.acid.name : pair.base.name })}</Text>
+<View style={{ flexDirection: 'row' }}>
+<NumericInput styles={styles} style={{ flex: 1, marginEnd: 10 }} value={analyteConc} onChangeValue={setAnalyteConc} unit="M" unitType="MOLARITY" placeholder="M" />
+<NumericInput styles={styles} style={{ flex: 1 }} value={analyteVol} onChangeValue={setAnalyteVol} unit="mL" unitType="VOLUME" placeholder="mL" />
+</View>
+<Text style={styles.label}>{t("buffer.titrantMolarity", { titrant: titrant === 'base' ? 'NaOH' : 'HCl' })}</Text>
+<NumericInput styles={styles} value={titrantConc} onChangeValue={setTitrantConc} unit="M" unitType="MOLARITY" placeholder={t("buffer.titrantPlaceholder")} />
 
 <TouchableOpacity style={styles.btn} onPress={calculate}>
-<Text style={styles.btnText}>Calculate Grams Needed</Text>
+<Text style={styles.btnText}>{t("buffer.calculateTitrate")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.result}>Ratio $[A^-]/[HA]$: <Text style={{ color: '#4ade80' }}>{fmt(ratio)}</Text></Text>
-<Text style={styles.result}>**Mass of Acid (HA): <Text style={{ color: '#4ade80' }}>{fmt(acidMass)} g</Text>**</Text>
-<Text style={styles.result}>**Mass of Conjugate Salt ($A^-$): <Text style={{ color: '#4ade80' }}>{fmt(saltMass)} g</Text>**</Text>
+<Text style={styles.result}>{t("buffer.toAdd", { titrant: titrant === 'base' ? 'NaOH' : 'HCl' })} <Text style={{ color: '#4ade80' }}>{fmt(titration.volume)} mL</Text></Text>
+<Text style={styles.result}>{t("buffer.equivalence")} <Text style={{ color: '#4ade80' }}>{fmt(titration.equivalenceVol)} mL</Text></Text>
+                    {titration.curve?.length > 1 && (
+<View style={{ paddingVertical: 10 }}>
+<Text style={styles.title}>{t("buffer.curveTitle")}</Text>
+<VictoryChart
+                                domain={{ y: [1, 13] }}
+                                padding={{ top: 20, bottom: 50, left: 50, right: 25 }}
+                                height={280}
+                                style={{ parent: { backgroundColor: styles.card.backgroundColor, borderRadius: 16 } }}
+>
+<VictoryArea
+                                    data={[{ x: 0, y: pKaEff + 1, y0: pKaEff - 1 }, { x: titration.equivalenceVol * 2, y: pKaEff + 1, y0: pKaEff - 1 }]}
+                                    style={{ data: { fill: "#4ade80", fillOpacity: 0.15 } }}
+                                />
+<VictoryAxis label={t("buffer.addedAxis", { titrant: titrant === 'base' ? 'NaOH' : 'HCl' })} style={{ axisLabel: { padding: 30, fill: styles.label.color }, tickLabels: { fill: styles.label.color, fontSize: 10 } }} />
+<VictoryAxis dependentAxis label="pH" style={{ axisLabel: { padding: 35, fill: styles.label.color }, tickLabels: { fill: styles.label.color, fontSize: 10 } }} />
+<VictoryLine data={titration.curve} style={{ data: { stroke: "#2d7fe8", strokeWidth: 3 } }} />
+                                {Number.isFinite(targetPh) && (
+<VictoryLine
+                                        data={[{ x: 0, y: targetPh }, { x: titration.equivalenceVol * 2, y: targetPh }]}
+                                        style={{ data: { stroke: "#f59e0b", strokeWidth: 1, strokeDasharray: "4,4" } }}
+                                    />
+                                )}
+                                {titration.volume >= 0 && (
+<VictoryScatter data={[{ x: titration.volume, y: targetPh }]} size={6} style={{ data: { fill: "#ef4444" } }} />
+                                )}
+</VictoryChart>
+<Text style={{ ...styles.label, fontSize: 11 }}>{t("buffer.curveLegend")}</Text>
+</View>
+                    )}
+</>
+            )}
 </FormScreenWrapper>
     );
 };
@@ -799,68 +3763,134 @@ const BufferScreen = ({ styles, saveHistory }) => {
 
 /* -------------------- 6. Conversion Screen -------------------- */
 
-const ConversionScreen = ({ styles, saveHistory }) => {
+const ConversionScreen = ({ styles, saveHistory, animals, params = {}, presetProps }) => {
+    const [selectedAnimalId, setSelectedAnimalId] = useState(knownAnimalId(animals, params.animal)); // Optional patient the calculation is for
     const categories = useMemo(() => ([
         { key: 'MASS', name: 'Mass (kg, g, mg, μg)' },
         { key: 'VOLUME', name: 'Volume (L, mL, uL)' },
         { key: 'MOLARITY', name: 'Molarity (M, mM, µM)' },
         { key: 'TEMP', name: 'Temperature (°C, °F, K)' },
+        { key: 'ANALYTE', name: 'Clinical Analyte (mg/dL, mmol/L, µmol/L, mEq/L)' },
+        { key: 'ION_AMOUNT', name: 'Ion Amount (mg, mmol, mEq)' },
     ]), []);
 
-    const [category, setCategory] = useState(categories[0].key);
-    const [value, setValue] = useState("");
-
-    const initialUnits = useMemo(() => Object.keys(UNITS_MAP[category]), [category]);
-
-    const [fromUnit, setFromUnit] = useState(initialUnits[1] || initialUnits[0]);
-    const [toUnit, setToUnit] = useState(initialUnits[0]);
-
-    // Update unit lists when category changes
-    useEffect(() => {
-        const units = Object.keys(UNITS_MAP[category] || UNITS_MAP.MASS);
-        if (units.length > 0) {
-            setFromUnit(units[1] || units[0]);
-            setToUnit(units[0]);
+    const [category, setCategory] = useState(pickOption(params.category, categories.map(c => c.key), categories[0].key));
+    const [value, setValue] = useState(params.value || "");
+    const [analyteKey, setAnalyteKey] = useState(() => {
+        const key = pickOption(params.analyte, [...Object.keys(ANALYTES), "custom"], "glucose");
+        return category === 'ION_AMOUNT' && key !== 'custom' && !ANALYTES[key].valence ? 'sodium' : key;
+    }); // Key of ANALYTES or 'custom'
+    const [customMw, setCustomMw] = useState(params.mw || "");
+    const [customValence, setCustomValence] = useState(params.valence || "");
+
+    const needsSubstance = category === 'ANALYTE' || category === 'ION_AMOUNT';
+    // A custom analyte's MW is checked by the conversion; its valence may be empty or 0 (no charge)
+    const customCalc = useMemo(() => tryCalculation(() => ({
+        name: "Custom",
+        mw: parseNumber(customMw),
+        valence: optionalAmount(parseNumber(customValence), "customValence", "Valence") || null,
+    })), [customMw, customValence]);
+    const usesCustom = needsSubstance && analyteKey === 'custom';
+    const substance = useMemo(() => {
+        if (!needsSubstance) return undefined;
+        if (analyteKey === 'custom') return customCalc.result || { name: "Custom", mw: NaN, valence: null };
+        return ANALYTES[analyteKey];
+    }, [needsSubstance, analyteKey, customCalc]);
+
+    const units = useMemo(() => unitsFor(category, substance), [category, substance]);
+
+    const [fromUnit, setFromUnit] = useState(pickOption(params.from, units, units[1] || units[0]));
+    const [toUnit, setToUnit] = useState(pickOption(params.to, units, units[0]));
+
+    // Reset the unit lists when the category changes
+    const handleCategory = (key) => {
+        setCategory(key);
+        const categoryUnits = unitsFor(key);
+        if (categoryUnits.length > 0) {
+            setFromUnit(categoryUnits[1] || categoryUnits[0]);
+            setToUnit(categoryUnits[0]);
         }
-    }, [category]);
+        if (key === 'ION_AMOUNT') {
+            setAnalyteKey(k => (ANALYTES[k] && !ANALYTES[k].valence ? 'sodium' : k));
+        }
+    };
 
-    const result = useMemo(() => {
-        const val = safeParse(value);
-        if (val === 0 || fromUnit === toUnit) return val;
-        return convertUnit(val, fromUnit, toUnit, category);
-    }, [value, fromUnit, toUnit, category]);
+    // Drop units the selected analyte cannot use (e.g., mEq/L for glucose)
+    useEffect(() => {
+        if (!needsSubstance || units.length === 0) return;
+        if (!units.includes(fromUnit)) setFromUnit(units.find(u => u !== toUnit) || units[0]);
+        if (!units.includes(toUnit)) setToUnit(units[0]);
+    }, [units, needsSubstance, fromUnit, toUnit]);
+
+    const conversion = useMemo(
+        () => (usesCustom && customCalc.error ? customCalc : tryCalculation(() => convertUnit(parseNumber(value), fromUnit, toUnit, category, substance))),
+        [value, fromUnit, toUnit, category, substance, usesCustom, customCalc]
+    );
+    const result = conversion.result ?? 0;
 
     const calculate = () => {
+        if (conversion.error) {
+            Alert.alert(t("common.inputError"), calcErrorMessage(conversion.error));
+            return;
+        }
         if (result !== 0) {
             const inputs = { value, fromUnit, toUnit, category };
+            if (needsSubstance) Object.assign(inputs, { analyte: substance.name, analyteKey, mw: substance.mw, valence: substance.valence });
             const resultObj = { convertedValue: result };
-            const sentence = `Converted ${value} ${fromUnit} to ${fmt(result)} ${toUnit} (${categories.find(c => c.key === category).name}).`;
-            saveHistory({ type: "Unit Conversion", inputs, result: resultObj, sentence }, saveHistory);
+            saveHistory({ type: "Unit Conversion", animalId: selectedAnimalId, inputs, result: resultObj }, saveHistory);
         }
     };
 
-    const units = Object.keys(UNITS_MAP[category] || {});
+    // The form as route parameters, for saving it as a preset
+    const formParams = { animal: selectedAnimalId, category, value, from: fromUnit, to: toUnit, analyte: analyteKey, mw: analyteKey === 'custom' ? customMw : "", valence: analyteKey === 'custom' ? customValence : "" };
 
     return (
-<FormScreenWrapper title="🔄 Comprehensive Unit Conversion" styles={styles}>
-<Text style={styles.label}>Select Category</Text>
+<FormScreenWrapper title={t("convert.title")} styles={styles}>
+<PresetBar styles={styles} screen="Convert" params={formParams} {...presetProps} />
+<Text style={styles.label}>{t("common.patientOptional")}</Text>
+<AnimalPicker styles={styles} animals={animals} selectedId={selectedAnimalId} onSelect={(id) => setSelectedAnimalId(id)} placeholder={t("picker.noPatient")} />
+<Text style={styles.label}>{t("convert.category")}</Text>
+<View style={styles.pickerStyle}>
+<Picker selectedValue={category} onValueChange={handleCategory} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+                    {categories.map(c =><Picker.Item key={c.key} label={tValue("conversionCategories", c.key, c.name)} value={c.key} />)}
+</Picker>
+</View>
+
+            {needsSubstance && (
+<>
+<Text style={styles.label}>{t("convert.analyte")}</Text>
 <View style={styles.pickerStyle}>
-<Picker selectedValue={category} onValueChange={setCategory} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
-                    {categories.map(c =><Picker.Item key={c.key} label={c.name} value={c.key} />)}
+<Picker selectedValue={analyteKey} onValueChange={setAnalyteKey} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
+                            {Object.keys(ANALYTES)
+                                .filter(k => category !== 'ION_AMOUNT' || ANALYTES[k].valence)
+                                .map(k =><Picker.Item key={k} label={tValue("analytes", k, ANALYTES[k].name)} value={k} />)}
+<Picker.Item label={t("convert.customAnalyte")} value="custom" />
 </Picker>
 </View>
+                    {analyteKey === 'custom' ? (
+<>
+<Text style={styles.label}>{t("convert.mw")}</Text>
+<NumericInput styles={styles} value={customMw} onChangeValue={setCustomMw} unit="g/mol" placeholder={t("convert.mwPlaceholder")} />
+<Text style={styles.label}>{t("convert.valence")}</Text>
+<NumericInput styles={styles} value={customValence} onChangeValue={setCustomValence} placeholder={t("convert.valencePlaceholder")} />
+</>
+                    ) : (
+<Text style={{ ...styles.label, fontSize: 12 }}>{substance.valence ? t("convert.substanceInfo", { mw: substance.mw, valence: substance.valence }) : t("convert.substanceNoCharge", { mw: substance.mw })}</Text>
+                    )}
+</>
+            )}
 
-<Text style={styles.label}>Value to Convert</Text>
-<TextInput style={styles.input} onChangeText={(t) => setValue(filterNumeric(t))} value={value} keyboardType="numeric" placeholder="Enter value" />
+<Text style={styles.label}>{t("convert.value")}</Text>
+<NumericInput styles={styles} value={value} onChangeValue={setValue} unit={fromUnit} unitType={category} substance={substance} placeholder={t("convert.valuePlaceholder")} />
 
-<Text style={styles.label}>From Unit</Text>
+<Text style={styles.label}>{t("convert.from")}</Text>
 <View style={styles.pickerStyle}>
 <Picker selectedValue={fromUnit} onValueChange={setFromUnit} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
                     {units.map(u =><Picker.Item key={u} label={u} value={u} />)}
 </Picker>
 </View>
 
-<Text style={styles.label}>To Unit</Text>
+<Text style={styles.label}>{t("convert.to")}</Text>
 <View style={styles.pickerStyle}>
 <Picker selectedValue={toUnit} onValueChange={setToUnit} itemStyle={styles.pickerItemStyle} dropdownIconColor={styles.isDark ? '#fff' : '#333'}>
                     {units.map(u =><Picker.Item key={u} label={u} value={u} />)}
@@ -868,94 +3898,478 @@ const ConversionScreen = ({ styles, saveHistory }) => {
 </View>
 
 <TouchableOpacity style={styles.btn} onPress={calculate}>
-<Text style={styles.btnText}>Calculate Conversion</Text>
+<Text style={styles.btnText}>{t("convert.calculate")}</Text>
 </TouchableOpacity>
 
 <View style={styles.sep} />
-<Text style={styles.result}>Result: <Text style={{ color: '#4ade80' }}>{fmt(result)} {toUnit}</Text></Text>
+<Text style={styles.result}>{t("convert.result")} <Text style={{ color: '#4ade80' }}>{fmt(result)} {toUnit}</Text></Text>
 </FormScreenWrapper>
     );
 };
 
 
+/* -------------------- 6b. Display & Rounding Settings Screen -------------------- */
+
+const PRECISION_DIGITS = [1, 2, 3, 4, 5, 6];
+const PRECISION_SAMPLES = [0.333333, 12.3456, 1234.5678, 0.000123456];
+const RETENTION_ITEMS = [300, 1000, 5000];
+const RETENTION_DAYS = [90, 365, 730];
+
+const retentionDaysLabel = (days) => {
+  if (days === 365) return t("settings.retentionYear");
+  return days % 365 === 0 ? t("settings.retentionYears", { years: localizeDigits(days / 365) }) : t("settings.retentionDays", { days: localizeDigits(days) });
+};
+
+const DisplaySettingsScreen = ({ styles, precision, setPrecision, language, setLanguage, retention, setRetention }) => {
+    const update = (changes) => saveDisplayPrecision({ ...precision, ...changes }, setPrecision);
+    const updateRetention = (changes) => setRetention({ ...retention, ...changes });
+
+    return (
+<FormScreenWrapper title={t("settings.title")} styles={styles}>
+<Text style={styles.label}>{t("settings.language")}</Text>
+<OptionChips
+                styles={styles}
+                options={Object.keys(LANGUAGES).map(code => ({ value: code, label: LANGUAGES[code].name }))}
+                selectedValue={language}
+                onSelect={setLanguage}
+            />
+
+<Text style={styles.label}>{t("settings.roundTo")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: 'decimals', label: t("settings.decimals") }, { value: 'sigfigs', label: t("settings.sigfigs") }]}
+                selectedValue={precision.mode}
+                onSelect={(mode) => update({ mode })}
+            />
+
+<Text style={styles.label}>{precision.mode === 'sigfigs' ? t("settings.sigfigs") : t("settings.decimals")}</Text>
+<OptionChips
+                styles={styles}
+                options={PRECISION_DIGITS.map(d => ({ value: d, label: String(d) }))}
+                selectedValue={precision.digits}
+                onSelect={(digits) => update({ digits })}
+            />
+
+<View style={styles.sep} />
+<Text style={styles.label}>{t("settings.preview")}</Text>
+            {PRECISION_SAMPLES.map(v => (
+<Text key={v} style={styles.result}>{localizeDigits(v)} → <Text style={{ color: '#4ade80' }}>{localizeDigits(fmt(v))}</Text></Text>
+            ))}
+<Text style={{ ...styles.label, fontSize: 12 }}>
+                {t("settings.note")}
+</Text>
+
+<View style={styles.sep} />
+<Text style={styles.label}>{t("settings.retention")}</Text>
+<Text style={styles.label}>{t("settings.retentionItems")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: null, label: t("settings.retentionAll") }, ...RETENTION_ITEMS.map(n => ({ value: n, label: localizeDigits(n) }))]}
+                selectedValue={retention.maxItems}
+                onSelect={(maxItems) => updateRetention({ maxItems })}
+            />
+<Text style={styles.label}>{t("settings.retentionAge")}</Text>
+<OptionChips
+                styles={styles}
+                options={[{ value: null, label: t("settings.retentionAll") }, ...RETENTION_DAYS.map(d => ({ value: d, label: retentionDaysLabel(d) }))]}
+                selectedValue={retention.maxAgeDays}
+                onSelect={(maxAgeDays) => updateRetention({ maxAgeDays })}
+            />
+<Text style={{ ...styles.label, fontSize: 12 }}>
+                {t("settings.retentionNote")}
+</Text>
+</FormScreenWrapper>
+    );
+};
+
 /* -------------------- 7. History Screen (Searchable & Exportable) -------------------- */
 
-const HistoryScreen = ({ styles, history, clearAllHistory }) => {
+// `history` holds the pages read so far; scrolling to the end of the list reads the next one. Searching or
+// filtering looks through every stored entry instead and pages through the matches.
+const HistoryScreen = ({ styles, history, historyTotal, loadMoreHistory, animals, clearAllHistory, updateEntry, deleteEntry, navigate }) => {
     const [searchText, setSearchText] = useState("");
+    const [showFilters, setShowFilters] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    const [exportFormat, setExportFormat] = useState("csv");
+    const [filterType, setFilterType] = useState(""); // Empty = all calculation types
+    const [filterAnimal, setFilterAnimal] = useState(""); // Empty = all patients
+    const [fromDate, setFromDate] = useState(""); // YYYY-MM-DD, empty = no lower bound
+    const [toDate, setToDate] = useState("");
+    const [expandedId, setExpandedId] = useState(null); // Entry showing its actions
+    const [noteId, setNoteId] = useState(null); // Entry whose note is being edited
+    const [noteText, setNoteText] = useState("");
+
+    // Linked entries show the animal's current name; archived ones the name it had when deleted
+    const patientLabel = (item) => {
+        if (item.archivedAnimal) return t("history.archivedName", { name: item.archivedAnimal.name });
+        return animals.find(a => a.id === item.animalId)?.name || null;
+    };
+
+    const indexedTexts = (item) => [
+        item.type,
+        tValue("historyType", item.type),
+        item.sentence,
+        describeEntry(item),
+        item.note,
+        patientLabel(item),
+        item.inputs?.animalName,
+        ...Object.values(flattenFields(item.inputs)),
+    ];
+
+    // The list and the export share the type, patient and date filters; a half-typed date is ignored until it is complete
+    const from = fromDate ? parseDateInput(fromDate) : null;
+    const to = toDate ? parseDateInput(toDate, true) : null;
+    const dateError = (fromDate && !from) || (toDate && !to);
+    const filters = { types: filterType ? [filterType] : [], animalId: filterAnimal, from, to };
+    const filterCount = [filterType, filterAnimal, fromDate, toDate].filter(Boolean).length;
+
+    const searching = Boolean(searchText.trim()) || showFilters || filterCount > 0;
+
+    // Built while searching, as storage reads each chunk, so every entry is indexed without all of them being held.
+    // Rebuilt when entries, patient names or the language change, not on every keystroke.
+    const [index, setIndex] = useState(null);
+    useEffect(() => {
+        if (!searching) {
+            setIndex(null);
+            return undefined;
+        }
+        let current = true;
+        const next = createHistoryIndex();
+        storage.scanHistory(item => addToHistoryIndex(next, item, indexedTexts))
+            .then(() => { if (current) setIndex(next); })
+            .catch(reportStorageError);
+        return () => { current = false; };
+    }, [searching, history, animals, getLanguage()]);
+
+    const historyTypes = index ? [...index.byType.keys()] : [];
+    const patientOptions = index ? animals.filter(a => index.byAnimal.has(a.id)) : [];
+
+    // The index narrows by words, type and patient; dates are checked per entry as the matches are read a page at a time
+    const ids = index && searchHistoryIndex(index, { text: searchText, type: filterType, animalId: filterAnimal });
+    const inRange = historyFilter({ from, to });
+    const matches = useHistoryLookup(
+        searching && index ? (item => (!ids || ids.has(item.id)) && inRange(item)) : null,
+        [index, searchText, filterType, filterAnimal, from?.getTime(), to?.getTime()]
+    );
+
+    const runExport = () => {
+        if (dateError) {
+            Alert.alert(t("common.inputError"), t("history.dateFormatError"));
+            return;
+        }
+        exportHistory(animals, exportFormat, filters);
+    };
 
+    // Pinned entries first, each group newest first
     const filteredHistory = useMemo(() => {
-        if (!searchText) return history;
-        const lowerSearch = searchText.toLowerCase();
-        return history.filter(item =>
-            item.type.toLowerCase().includes(lowerSearch) || 
-            item.sentence?.toLowerCase().includes(lowerSearch) ||
-            JSON.stringify(item.inputs).toLowerCase().includes(lowerSearch)
-        );
-    }, [history, searchText]);
+        const shown = searching ? matches.entries : history;
+        return [...shown.filter(item => item.pinned), ...shown.filter(item => !item.pinned)];
+    }, [searching, matches.entries, history]);
+
+    // Reopens the calculator with the entry's inputs; calculating there saves a new entry
+    const reopen = (item) => {
+        const route = historyRoute(item);
+        if (route) navigate(route.name, route.params);
+    };
+
+    const startNote = (item) => {
+        setNoteId(item.id);
+        setNoteText(item.note || "");
+    };
+
+    const saveNote = async (item) => {
+        await updateEntry(item, { note: noteText.trim() || undefined });
+        setNoteId(null);
+    };
+
+    const renderActions = (item) => (
+<View style={{ flexDirection: 'row', justifyContent: 'flex-end', marginTop: 10 }}>
+            {historyRoute(item) && (
+<TouchableOpacity onPress={() => reopen(item)} style={{ padding: 8, marginEnd: 10, backgroundColor: '#2d7fe8', borderRadius: 8 }} accessibilityLabel={t("history.reopen")}>
+<MaterialIcons name="replay" size={20} color="#fff" />
+</TouchableOpacity>
+            )}
+<TouchableOpacity onPress={() => updateEntry(item, { pinned: !item.pinned || undefined })} style={{ padding: 8, marginEnd: 10, backgroundColor: item.pinned ? '#6b7280' : '#8b5cf6', borderRadius: 8 }} accessibilityLabel={t(item.pinned ? "history.unpin" : "history.pin")}>
+<MaterialIcons name="push-pin" size={20} color="#fff" />
+</TouchableOpacity>
+<TouchableOpacity onPress={() => startNote(item)} style={{ padding: 8, marginEnd: 10, backgroundColor: '#f59e0b', borderRadius: 8 }} accessibilityLabel={t("history.editNote")}>
+<MaterialIcons name="edit-note" size={20} color="#fff" />
+</TouchableOpacity>
+<TouchableOpacity onPress={() => deleteEntry(item)} style={{ padding: 8, backgroundColor: '#ef4444', borderRadius: 8 }} accessibilityLabel={t("common.delete")}>
+<MaterialIcons name="delete" size={20} color="#fff" />
+</TouchableOpacity>
+</View>
+    );
+
+    const renderNoteEditor = (item) => (
+<View style={{ marginTop: 10 }}>
+<TextInput
+                style={[styles.input, { minHeight: 60 }]}
+                onChangeText={setNoteText}
+                value={noteText}
+                multiline
+                placeholder={t("history.notePlaceholder")}
+                placeholderTextColor={styles.isDark ? '#a0b0c0' : '#888'}
+            />
+<View style={{ flexDirection: 'row' }}>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginEnd: 10, marginTop: 10, padding: 10, backgroundColor: '#6b7280' }} onPress={() => setNoteId(null)}>
+<Text style={styles.btnText}>{t("common.cancel")}</Text>
+</TouchableOpacity>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginTop: 10, padding: 10, backgroundColor: '#10b981' }} onPress={() => saveNote(item)}>
+<Text style={styles.btnText}>{t("history.saveNote")}</Text>
+</TouchableOpacity>
+</View>
+</View>
+    );
 
     const renderItem = ({ item }) => {
-        const date = new Date(item.time).toLocaleDateString(undefined, { hour: '2-digit', minute: '2-digit' });
+        const date = formatDateTime(item.time);
         return (
-<View style={styles.historyItem}>
-<Text style={styles.historyType}>{item.type}</Text>
-<Text style={styles.historyInputs}>Inputs: {JSON.stringify(item.inputs).substring(0, 100)}...</Text>
-<Text style={styles.historyResult}>Result Summary: {item.sentence}</Text>
-<Text style={styles.historyDate}>Date: {date}</Text>
+<TouchableOpacity style={styles.historyItem} onPress={() => setExpandedId(expandedId === item.id ? null : item.id)} activeOpacity={0.8}>
+<View style={{ flexDirection: 'row', alignItems: 'center' }}>
+<Text style={{ ...styles.historyType, flex: 1 }}>{tValue("historyType", item.type)}</Text>
+                {item.pinned && <MaterialIcons name="push-pin" size={18} color="#8b5cf6" />}
 </View>
+            {patientLabel(item) && <Text style={styles.historyInputs}>{t("history.patient", { name: patientLabel(item) })}</Text>}
+<Text style={styles.historyInputs}>{t("history.inputs", { inputs: JSON.stringify(item.inputs).substring(0, 100) })}</Text>
+<Text style={styles.historyResult}>{t("history.summary", { summary: describeEntry(item) })}</Text>
+            {item.note && noteId !== item.id && <Text style={{ ...styles.historyInputs, marginTop: 4, fontStyle: 'italic' }}>{t("history.note", { note: item.note })}</Text>}
+<Text style={styles.historyDate}>{t("history.date", { date })}</Text>
+            {noteId === item.id ? renderNoteEditor(item) : expandedId === item.id && renderActions(item)}
+</TouchableOpacity>
         );
     };
 
     return (
 <SafeAreaView style={styles.container}>
 <View style={{ padding: 16 }}>
-<Text style={styles.title}>Calculation History ({filteredHistory.length} of {history.length})</Text>
+<Text style={styles.title}>{t("history.title", { shown: localizeDigits(filteredHistory.length), total: localizeDigits(historyTotal) })}</Text>
 <TextInput 
                     style={[styles.input, { marginBottom: 15 }]} 
                     onChangeText={setSearchText} 
                     value={searchText} 
                     placeholderTextColor={styles.isDark ? '#a0b0c0' : '#888'}
-                    placeholder="Search by calculation type or keywords..."
+                    placeholder={t("history.searchPlaceholder")}
                 />
 
 <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginBottom: 15 }}>
-<TouchableOpacity style={{ ...styles.btn, flex: 1, marginRight: 10, backgroundColor: '#f59e0b' }} onPress={() => exportHistoryCSV(history)}>
-<Text style={styles.btnText}>Export CSV</Text>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginEnd: 10, backgroundColor: '#2d7fe8' }} onPress={() => setShowFilters(!showFilters)}>
+<Text style={styles.btnText}>{filterCount ? t("history.filtersActive", { count: localizeDigits(filterCount) }) : t("history.filters")}</Text>
+</TouchableOpacity>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginEnd: 10, backgroundColor: '#f59e0b' }} onPress={() => setShowExport(!showExport)}>
+<Text style={styles.btnText}>{showExport ? t("history.hideExport") : t("history.showExport")}</Text>
 </TouchableOpacity>
 <TouchableOpacity style={{ ...styles.btn, flex: 1, backgroundColor: '#ef4444' }} onPress={clearAllHistory}>
-<Text style={styles.btnText}>Clear All</Text>
+<Text style={styles.btnText}>{t("history.clearAll")}</Text>
+</TouchableOpacity>
+</View>
+
+                {showFilters && (
+<View style={{ ...styles.card, padding: 12, marginTop: 0 }}>
+<Text style={{ ...styles.label, marginTop: 0 }}>{t("history.type")}</Text>
+<OptionChips
+                            styles={styles}
+                            options={[{ value: '', label: t("history.allTypes") }, ...historyTypes.map(type => ({ value: type, label: tValue("historyType", type) }))]}
+                            selectedValue={filterType}
+                            onSelect={setFilterType}
+                        />
+                        {patientOptions.length > 0 && (
+<>
+<Text style={styles.label}>{t("history.patientFilter")}</Text>
+<OptionChips
+                            styles={styles}
+                            options={[{ value: '', label: t("history.allPatients") }, ...patientOptions.map(a => ({ value: a.id, label: a.name }))]}
+                            selectedValue={filterAnimal}
+                            onSelect={setFilterAnimal}
+                        />
+</>
+                        )}
+<View style={{ flexDirection: 'row' }}>
+<View style={{ flex: 1, marginEnd: 10 }}>
+<Text style={styles.label}>{t("history.from")}</Text>
+<TextInput style={styles.input} onChangeText={setFromDate} value={fromDate} placeholder={t("history.anyDate")} placeholderTextColor={styles.isDark ? '#a0b0c0' : '#888'} />
+</View>
+<View style={{ flex: 1 }}>
+<Text style={styles.label}>{t("history.to")}</Text>
+<TextInput style={styles.input} onChangeText={setToDate} value={toDate} placeholder={t("history.anyDate")} placeholderTextColor={styles.isDark ? '#a0b0c0' : '#888'} />
+</View>
+</View>
+                        {dateError && <Text style={{ ...styles.label, fontSize: 12, color: '#ef4444' }}>{t("history.dateFormatError")}</Text>}
+                        {filterCount > 0 && (
+<TouchableOpacity style={{ ...styles.btn, backgroundColor: '#6b7280' }} onPress={() => { setFilterType(""); setFilterAnimal(""); setFromDate(""); setToDate(""); }}>
+<Text style={styles.btnText}>{t("history.clearFilters")}</Text>
+</TouchableOpacity>
+                        )}
+</View>
+                )}
+
+                {showExport && (
+<View style={{ ...styles.card, padding: 12, marginTop: 0 }}>
+<Text style={{ ...styles.label, marginTop: 0 }}>{t("history.format")}</Text>
+<OptionChips
+                            styles={styles}
+                            options={[{ value: 'csv', label: t("history.formatCsv") }, { value: 'json', label: 'JSON' }]}
+                            selectedValue={exportFormat}
+                            onSelect={setExportFormat}
+                        />
+<Text style={{ ...styles.label, fontSize: 12 }}>{t("history.exportFiltered")}</Text>
+<TouchableOpacity style={{ ...styles.btn, backgroundColor: '#10b981' }} onPress={runExport}>
+<Text style={styles.btnText}>{t("history.exportShare")}</Text>
 </TouchableOpacity>
 </View>
+                )}
 </View>
 
 <FlatList
                 data={filteredHistory}
                 renderItem={renderItem}
-                keyExtractor={item => item.time}
+                keyExtractor={item => item.id}
+                onEndReached={() => (searching ? matches.loadMore() : loadMoreHistory())}
+                onEndReachedThreshold={0.5}
                 contentContainerStyle={{ paddingHorizontal: 16, paddingBottom: 50 }}
-                ListEmptyComponent={<Text style={{ ...styles.label, textAlign: 'center', marginTop: 20 }}>No matching history found.</Text>}
+                ListEmptyComponent={<Text style={{ ...styles.label, textAlign: 'center', marginTop: 20 }}>{t("history.empty")}</Text>}
             />
 </SafeAreaView>
     );
 };
 
 
+/* -------------------- 7b. Backup & Restore Screen -------------------- */
+
+const backupSectionLabel = (name) => t(`backup.section_${name}`);
+
+const BackupScreen = ({ styles, onRestored }) => {
+    const [archive, setArchive] = useState(null);
+    const [summary, setSummary] = useState([]);
+    const [fileName, setFileName] = useState("");
+
+    const backup = async () => {
+        try {
+            const content = JSON.stringify(await createBackup(), null, 2);
+            await shareExportFile(exportFileName("backup", "json"), content, "application/json");
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const sharePresets = async () => {
+        try {
+            const archive = await createBackup(RECIPE_SECTIONS);
+            if (archive.data.presets.length === 0) {
+                Alert.alert(t("presets.noneTitle"), t("presets.noneMessage"));
+                return;
+            }
+            await shareExportFile(exportFileName("presets", "json"), JSON.stringify(archive, null, 2), "application/json");
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const pickBackup = async () => {
+        try {
+            const picked = await DocumentPicker.getDocumentAsync({ type: ["application/json", "*/*"], copyToCacheDirectory: true });
+            if (picked.canceled) return;
+            const asset = picked.assets[0];
+            const parsed = validateBackup(await new File(asset.uri).text());
+            setArchive(parsed);
+            setFileName(asset.name);
+            setSummary(await summarizeBackup(parsed));
+        } catch (e) {
+            setArchive(null);
+            Alert.alert(t("backup.invalidTitle"), e.message || t("backup.unreadable"));
+        }
+    };
+
+    const restore = async (mode) => {
+        try {
+            await restoreBackup(archive, mode);
+            await onRestored();
+            setArchive(null);
+            Alert.alert(t("backup.restoredTitle"), mode === 'merge' ? t("backup.merged") : t("backup.replaced"));
+        } catch (e) {
+            reportStorageError(e);
+        }
+    };
+
+    const confirmReplace = () => {
+        Alert.alert(t("backup.replaceTitle"), t("backup.replaceConfirm"), [
+            { text: t("common.cancel"), style: "cancel" },
+            { text: t("backup.replace"), style: "destructive", onPress: () => restore('replace') },
+        ]);
+    };
+
+    return (
+<FormScreenWrapper title={t("backup.title")} styles={styles}>
+<Text style={{ ...styles.label, marginTop: 0 }}>{t("backup.intro")}</Text>
+<TouchableOpacity style={styles.btn} onPress={backup}>
+<Text style={styles.btnText}>{t("backup.create")}</Text>
+</TouchableOpacity>
+<Text style={{ ...styles.label, fontSize: 12 }}>{t("backup.presetsHelp")}</Text>
+<TouchableOpacity style={{ ...styles.btn, marginTop: 10, backgroundColor: '#8b5cf6' }} onPress={sharePresets}>
+<Text style={styles.btnText}>{t("backup.sharePresets")}</Text>
+</TouchableOpacity>
+
+<View style={styles.sep} />
+<TouchableOpacity style={{ ...styles.btn, backgroundColor: '#f59e0b' }} onPress={pickBackup}>
+<Text style={styles.btnText}>{t("backup.choose")}</Text>
+</TouchableOpacity>
+
+            {archive && (
+<View style={{ ...styles.card, padding: 12, borderWidth: 1, borderColor: '#2d7fe8' }}>
+<Text style={styles.title}>{fileName}</Text>
+<Text style={styles.label}>{t("backup.created", { date: formatDateTime(archive.createdAt), version: localizeDigits(archive.version) })}</Text>
+                    {summary.map(sec => (
+<Text key={sec.name} style={styles.historyInputs}>
+                            {t("backup.sectionSummary", { section: backupSectionLabel(sec.name), total: localizeDigits(sec.total), fresh: localizeDigits(sec.fresh), existing: localizeDigits(sec.existing) })}
+</Text>
+                    ))}
+<Text style={{ ...styles.label, fontSize: 12 }}>{t("backup.modeHelp")}</Text>
+<View style={{ flexDirection: 'row' }}>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, marginEnd: 10, backgroundColor: '#10b981' }} onPress={() => restore('merge')}>
+<Text style={styles.btnText}>{t("backup.merge")}</Text>
+</TouchableOpacity>
+<TouchableOpacity style={{ ...styles.btn, flex: 1, backgroundColor: '#ef4444' }} onPress={confirmReplace}>
+<Text style={styles.btnText}>{t("backup.replaceAll")}</Text>
+</TouchableOpacity>
+</View>
+</View>
+            )}
+</FormScreenWrapper>
+    );
+};
+
 /* -------------------- 8. AI / Smart Suggestions (Mock Implementation) -------------------- */
 
-const SuggestionCard = ({ styles, history }) => {
-    // Mock AI Logic: Suggest a related calculation type based on the last history item
+const SuggestionCard = ({ styles, history, navigate }) => {
+    // Mock AI Logic: Suggest a related calculation type based on the last history item,
+    // opening it pre-filled with that calculation's patient and values
     const lastCalculation = history[0];
     const suggestion = useMemo(() => {
-        if (!lastCalculation) return { title: "Start Calculating!", desc: "Perform your first calculation to get smart suggestions.", screen: 'Dose' };
+        if (!lastCalculation) return { title: t("suggest.startTitle"), desc: t("suggest.startDesc"), screen: 'Dose', params: {} };
+        const inputs = lastCalculation.inputs || {};
+        const animal = lastCalculation.animalId;
 
         switch (lastCalculation.type) {
             case "Dose Calculation":
-                return { title: "Smart Suggestion: Serial Dilution", desc: "You calculated a dose. Need to prepare the solution from a higher concentration stock?", screen: 'Dilution' };
+                return {
+                    title: t("suggest.stockTitle"),
+                    desc: t("suggest.stockDesc"),
+                    screen: 'Stock',
+                    params: inputs.route === 'oral' ? { animal } : { animal, c2: inputs.conc, c2Unit: inputs.concUnit },
+                };
             case "Solution Calculation":
-                return { title: "Smart Suggestion: Unit Conversion", desc: "You prepared a solution. Do you need to convert the final concentration to a different unit (e.g., M to mM)?", screen: 'Convert' };
+                return {
+                    title: t("suggest.convertTitle"),
+                    desc: t("suggest.convertDesc"),
+                    screen: 'Convert',
+                    params: inputs.concUnit in UNITS_MAP.MOLARITY ? { animal, category: 'MOLARITY', value: inputs.conc, from: inputs.concUnit } : { animal },
+                };
             case "Buffer Calculation":
-                return { title: "Smart Suggestion: Animal Profile", desc: "Buffer calculation is complete. Time to check patient vitals or add a new animal profile?", screen: 'Animals' };
+                return animal
+                    ? { title: t("suggest.vitalsTitle"), desc: t("suggest.vitalsDesc"), screen: 'Vitals', params: { animal } }
+                    : { title: t("suggest.animalTitle"), desc: t("suggest.animalDesc"), screen: 'Animals', params: {} };
             default:
-                return { title: "Suggestion: Dose Calculation", desc: "Dose calculation is the most common task. Let's calculate a required drug amount.", screen: 'Dose' };
+                return { title: t("suggest.doseTitle"), desc: t("suggest.doseDesc"), screen: 'Dose', params: { animal } };
         }
     }, [lastCalculation]);
 
@@ -966,7 +4380,7 @@ const SuggestionCard = ({ styles, history }) => {
             name={suggestion.title} 
             desc={suggestion.desc} 
             iconColor="#facc15"
-            onPress={() => Alert.alert("AI Feature", `This would navigate to the ${suggestion.screen} screen to complete the suggested task.`)}
+            onPress={() => navigate(suggestion.screen, suggestion.params)}
         />
     );
 };
@@ -974,82 +4388,151 @@ const SuggestionCard = ({ styles, history }) => {
 
 /* -------------------- 9. Home Screen (Central Navigation) -------------------- */
 
-const HomeScreen = ({ styles, navigate, history, animals }) => (
+const CALCULATOR_ICONS = {
+  Dose: "eyedrop-outline",
+  CRI: "speedometer-outline",
+  Fluids: "medkit-outline",
+  Solution: "flask-outline",
+  Stock: "beaker-outline",
+  Dilution: "water-outline",
+  Buffer: "scale-outline",
+  Convert: "swap-horizontal-outline",
+};
+
+const HomeScreen = ({ styles, navigate, history, historyTotal, animals, presets }) => {
+  const favourites = presets.filter(p => p.favourite);
+  return (
 <ScrollView contentContainerStyle={{ padding: 16 }} style={{ flex: 1, backgroundColor: styles.container.backgroundColor }}>
-<Text style={styles.title}>Quick Access Calculations</Text>
+      {favourites.length > 0 && (
+<View>
+<Text style={styles.title}>{t("home.favourites")}</Text>
+<View style={{ marginVertical: 10 }}>
+          {favourites.map(p =><NavCard key={p.id} styles={styles} icon={CALCULATOR_ICONS[p.screen]} iconColor="#f59e0b" name={p.name} desc={t(`home.${p.screen}`)} onPress={() => navigate(p.screen, p.params)} />)}
+</View>
+<View style={styles.sep} />
+</View>
+      )}
+<Text style={styles.title}>{t("home.quickAccess")}</Text>
 <View style={{ marginVertical: 10 }}>
-<NavCard styles={styles} icon="eyedrop-outline" name="Dose & Infusion Rate" desc="Calculate drug doses, volumes, and infusion rates." onPress={() => navigate("Dose")} />
-<NavCard styles={styles} icon="flask-outline" name="Solution & Grams Needed" desc="Molarity, % w/v to mass (g) calculations." onPress={() => navigate("Solution")} />
-<NavCard styles={styles} icon="water-outline" name="Serial Dilution & Chart" desc="Calculate sequential dilutions and visualize results." onPress={() => navigate("Dilution")} />
-<NavCard styles={styles} icon="scale-outline" name="Buffer Solution (H-H)" desc="Calculate pH and required mass of buffer components." onPress={() => navigate("Buffer")} />
-<NavCard styles={styles} icon="swap-horizontal-outline" name="Comprehensive Unit Conversion" desc="Convert Mass, Volume, Molarity, and Temperature units." onPress={() => navigate("Convert")} />
+      {Object.entries(CALCULATOR_ICONS).map(([screen, icon]) =><NavCard key={screen} styles={styles} icon={icon} name={t(`home.${screen}`)} desc={t(`home.${screen}Desc`)} onPress={() => navigate(screen)} />)}
 </View>
 
 <View style={styles.sep} />
-<Text style={styles.title}>Management & Tools</Text>
+<Text style={styles.title}>{t("home.management")}</Text>
 <View style={{ marginVertical: 10 }}>
-<NavCard styles={styles} icon="paw-outline" name="Animal Health Management" desc={`Manage ${animals.length} animal records (Weight, Vitals, Condition).`} onPress={() => navigate("Animals")} />
-<NavCard styles={styles} icon="time-outline" name="Calculation History" desc={`View and search ${history.length} past calculations (CSV export).`} onPress={() => navigate("History")} />
+<NavCard styles={styles} icon="paw-outline" name={t("home.Animals")} desc={t("home.AnimalsDesc", { count: localizeDigits(animals.length) })} onPress={() => navigate("Animals")} />
+<NavCard styles={styles} icon="git-commit-outline" name={t("home.Timeline")} desc={t("home.TimelineDesc")} onPress={() => navigate("Timeline")} />
+<NavCard styles={styles} icon="pulse-outline" name={t("home.Vitals")} desc={t("home.VitalsDesc")} onPress={() => navigate("Vitals")} />
+<NavCard styles={styles} icon="document-text-outline" name={t("home.Lab")} desc={t("home.LabDesc")} onPress={() => navigate("Lab")} />
+<NavCard styles={styles} icon="time-outline" name={t("home.History")} desc={t("home.HistoryDesc", { count: localizeDigits(historyTotal) })} onPress={() => navigate("History")} />
+<NavCard styles={styles} icon="cloud-upload-outline" name={t("home.Backup")} desc={t("home.BackupDesc")} onPress={() => navigate("Backup")} />
+<NavCard styles={styles} icon="options-outline" name={t("home.Settings")} desc={t("home.SettingsDesc")} onPress={() => navigate("Settings")} />
 </View>
 
 <View style={styles.sep} />
-<SuggestionCard styles={styles} history={history} />
+<SuggestionCard styles={styles} history={history} navigate={navigate} />
 </ScrollView>
-);
+  );
+};
 
 /* -------------------- 10. Main App Component (Routing) -------------------- */
 
 export default function App() {
   const colorScheme = useColorScheme();
-  const [activeScreen, setActiveScreen] = useState("Home");
+  const [navigation, dispatchNavigation] = useReducer(navigationReducer, INITIAL_NAVIGATION);
   const [isDark, setIsDark] = useState(colorScheme === 'dark');
-  const [history, setHistory] = useState([]);
+  const [history, setHistory] = useState([]); // Entries read so far, newest first
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const historyPaging = useRef({ cursor: null, pending: null });
   const [animals, setAnimals] = useState([]);
-
-  // Load state on mount
-  useEffect(() => {
-    loadHistory(setHistory);
-    loadAnimals(setAnimals);
-  }, []);
-
-  const loadAnimals = async (setter) => {
-    try {
-        const raw = await AsyncStorage.getItem(ANIMALS_KEY);
-        setter(raw ? JSON.parse(raw) : []);
-    } catch (e) {
-        console.error("Failed to load animals:", e);
+  const [precision, setPrecision] = useState(DEFAULT_PRECISION);
+  const [language, setLanguageState] = useState(DEFAULT_LANGUAGE);
+  const [presets, setPresets] = useState([]);
+  const [retention, setRetention] = useState(DEFAULT_RETENTION);
+
+  const reloadHistory = () => loadHistory(historyPaging, setHistory, setHistoryTotal);
+
+  // Load state on mount, and again after a backup is restored
+  const reloadAll = () => Promise.all([
+    reloadHistory(),
+    loadAnimals(setAnimals),
+    loadDisplayPrecision(setPrecision),
+    loadLanguage(setLanguageState),
+    loadPresets(setPresets),
+    loadHistoryRetention(setRetention),
+  ]);
+
+  const route = currentRoute(navigation);
+  const navigate = (name, params) => dispatchNavigation({ type: "navigate", name, params });
+  const goBack = () => dispatchNavigation({ type: "back" });
+  const setRouteParams = (params) => dispatchNavigation({ type: "setParams", params });
+  // Reopens the calculator from a preset; `patient` (animal, weight) is kept from the form being replaced
+  const applyPreset = (preset, patient = {}) => dispatchNavigation({ type: "replace", name: preset.screen, params: { ...preset.params, ...patient } });
+  const presetProps = { presets, setPresets, applyPreset };
+
+  const openDeepLink = (url) => {
+    if (!url) return;
+    const link = parseDeepLink(url);
+    if (!link) {
+      Alert.alert(t("app.linkErrorTitle"), t("app.linkError"));
+      return;
     }
+    navigate(link.name, link.params);
   };
 
+  // Stored data is brought up to the current schema before anything reads it; a launch link is
+  // opened only once animals are loaded so it can pre-fill the patient
+  useEffect(() => {
+    storage.migrate()
+      .catch(reportStorageError)
+      .finally(() => reloadAll().finally(() => Linking.getInitialURL().then(openDeepLink)));
+    const subscription = Linking.addEventListener("url", ({ url }) => openDeepLink(url));
+    return () => subscription.remove();
+  }, []);
 
- const styles = useMemo(() => getStyles(isDark), [isDark]); 
+  // Android back steps through the stack; on Home it falls through and closes the app
+  useEffect(() => {
+    const subscription = BackHandler.addEventListener("hardwareBackPress", () => {
+      if (navigation.routes.length <= 1) return false;
+      goBack();
+      return true;
+    });
+    return () => subscription.remove();
+  }, [navigation.routes.length]);
+
+
+ // Text alignment follows the script direction of the active language
+ const rtl = isRTL();
+ const styles = useMemo(() => getStyles(isDark, rtl), [isDark, rtl]); 
   
   const currentStyles = styles; 
-  
-  const screenMap = useMemo(() => ({
-    Home: () =><HomeScreen styles={styles} navigate={setActiveScreen} history={history} animals={animals} />,
-    Dose: () =><DoseScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory)} animals={animals} />,
-    Solution: () =><SolutionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory)} />,
-    Dilution: () =><DilutionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory)} />,
-    Buffer: () =><BufferScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory)} />,
-    Convert: () =><ConversionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory)} />,
-    History: () =><HistoryScreen styles={styles} history={history} clearAllHistory={() => clearAllHistory(setHistory)} />,
-    Animals: () =><AnimalManagementScreen styles={styles} setAnimals={setAnimals} animals={animals} />,
-  }), [styles, history, animals]);
-
-  const CurrentScreenComponent = screenMap[activeScreen];
+
+  const openTimeline = (animalId) => navigate("Timeline", { animal: animalId });
+
+
+  // Render functions rather than components, so screens keep their state when history or animals change.
+  // Rebuilt on every render, so each screen gets the current state, setters and navigation callbacks.
+  const screenMap = {
+    Home: () =><HomeScreen styles={styles} navigate={navigate} history={history} historyTotal={historyTotal} animals={animals} presets={presets} />,
+    Dose: (params) =><DoseScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    CRI: (params) =><CriScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Fluids: (params) =><FluidScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Solution: (params) =><SolutionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Stock: (params) =><StockDilutionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Dilution: (params) =><DilutionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Buffer: (params) =><BufferScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    Convert: (params) =><ConversionScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} params={params} presetProps={presetProps} />,
+    History: () =><HistoryScreen styles={styles} history={history} historyTotal={historyTotal} loadMoreHistory={() => loadMoreHistory(historyPaging, setHistory)} animals={animals} navigate={navigate} clearAllHistory={() => clearAllHistory(setHistory, setHistoryTotal)} updateEntry={(entry, changes) => updateHistoryEntry(entry, changes, setHistory)} deleteEntry={(entry) => deleteHistoryEntry(entry, setHistory, setHistoryTotal)} />,
+    Animals: () =><AnimalManagementScreen styles={styles} setAnimals={setAnimals} animals={animals} history={history} reloadHistory={reloadHistory} openTimeline={openTimeline} />,
+    Timeline: (params) =><AnimalTimelineScreen styles={styles} animals={animals} history={history} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} initialAnimalId={knownAnimalId(animals, params.animal)} onAnimalChange={(id) => setRouteParams({ animal: id })} />,
+    Vitals: (params) =><VitalsScreen styles={styles} setAnimals={setAnimals} animals={animals} params={params} />,
+    Lab: (params) =><LabScreen styles={styles} saveHistory={(item) => saveHistory(item, setHistory, setHistoryTotal)} animals={animals} history={history} params={params} />,
+    Backup: () =><BackupScreen styles={styles} onRestored={reloadAll} />,
+    Settings: () =><DisplaySettingsScreen styles={styles} precision={precision} setPrecision={setPrecision} language={language} setLanguage={(code) => saveLanguage(code, setLanguageState)} retention={retention} setRetention={(next) => saveHistoryRetention(next, setRetention, setHistory, setHistoryTotal)} />,
+  };
 
   const getHeaderTitle = (screen) => {
-    switch (screen) {
-        case "Dose": return "محاسبه دوز و نرخ تزریق";
-        case "Solution": return "محاسبه غلظت محلول";
-        case "Dilution": return "رقت سریالی (Serial Dilution)";
-        case "Buffer": return "محلول بافر";
-        case "Convert": return "تبدیل واحد";
-        case "History": return "تاریخچه محاسبات";
-        case "Animals": return "مدیریت پرونده حیوانات";
-        default: return "VetLab Pro";
-    }
+    return screen === "Home" ? "VetLab Pro" : t(`screens.${screen}`);
   };
   
   // این تابع اصلاح شده مشکل "color of undefined" را حل می‌کند
@@ -1059,14 +4542,14 @@ export default function App() {
     
     return (
       <View style={currentStyles.header}>
-        {activeScreen !== "Home" && (
-          <TouchableOpacity onPress={() => setActiveScreen("Home")} style={{ position: 'absolute', left: 15, padding: 5 }}>
-            <Ionicons name="arrow-back" size={26} color={headerTextColor} />
+        {navigation.routes.length > 1 && (
+          <TouchableOpacity onPress={goBack} style={{ position: 'absolute', start: 15, padding: 5 }}>
+            <Ionicons name={rtl ? "arrow-forward" : "arrow-back"} size={26} color={headerTextColor} />
           </TouchableOpacity>
         )}
-        <Text style={currentStyles.headerTitle}>{getHeaderTitle(activeScreen)}</Text>
-        <View style={{ flexDirection: 'row', alignItems: 'center', position: 'absolute', right: 15 }}>
-          <Text style={{ color: headerTextColor, marginRight: 8, fontSize: 12 }}>Dark Mode</Text>
+        <Text style={currentStyles.headerTitle}>{getHeaderTitle(route.name)}</Text>
+        <View style={{ flexDirection: 'row', alignItems: 'center', position: 'absolute', end: 15 }}>
+          <Text style={{ color: headerTextColor, marginEnd: 8, fontSize: 12 }}>{t("app.darkMode")}</Text>
           <Switch
             trackColor={{ false: "#767577", true: "#81b0ff" }}
             thumbColor={isDark ? "#f4f3f4" : "#f4f3f4"}
@@ -1080,9 +4563,11 @@ export default function App() {
   };
 
   return (
-<SafeAreaView style={styles.container}>
+<SafeAreaView style={[styles.container, { direction: rtl ? 'rtl' : 'ltr' }]}>
       {renderHeader()}
-<CurrentScreenComponent />
+      {/* Called, not rendered as <Component />: screenMap is rebuilt on every render, and a new component type
+          would remount the screen and drop its state. The key resets it for each new route. */}
+<React.Fragment key={route.key}>{screenMap[route.name](route.params)}</React.Fragment>
 </SafeAreaView>
   );
 }
@@ -0,0 +1,465 @@
+import {
+  CalculationError,
+  parseNumber,
+  parseQuantity,
+  parseNumberList,
+  requirePositive,
+  optionalNumber,
+  optionalAmount,
+  ANALYTES,
+  unitsFor,
+  convertUnit,
+  calcBSA,
+  calcDose,
+  calcCri,
+  calcFluidPlan,
+  calcBolus,
+  calcSolutionMass,
+  solveC1V1,
+  repeatedFactors,
+  serialDilution,
+  dilutionProtocol,
+  effectivePka,
+  hendersonHasselbalch,
+  bufferPh,
+  calcTitration,
+  tryCalculation,
+  MAX_DILUTION_STEPS,
+} from "../engine";
+
+// Expects `fn` to throw a CalculationError for `field`
+const expectFieldError = (fn, field) => {
+  let error;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(CalculationError);
+  expect(error.field).toBe(field);
+};
+
+describe("parseNumber", () => {
+  it("treats empty text as not entered", () => {
+    expect(parseNumber("")).toBeUndefined();
+    expect(parseNumber("   ")).toBeUndefined();
+    expect(parseNumber(null)).toBeUndefined();
+  });
+
+  it("parses decimals, decimal commas and numbers", () => {
+    expect(parseNumber("2.5")).toBe(2.5);
+    expect(parseNumber("2,5")).toBe(2.5);
+    expect(parseNumber("1,000")).toBe(1000);
+    expect(parseNumber("1,5,0")).toBeNaN();
+    expect(parseNumber(7)).toBe(7);
+  });
+
+  it("returns NaN for unparsable text instead of zero", () => {
+    expect(parseNumber("abc")).toBeNaN();
+  });
+
+  it("accepts Persian and Arabic-Indic digits and the Persian decimal separator", () => {
+    expect(parseNumber("۲٫۵")).toBe(2.5);
+    expect(parseNumber("١٢٣")).toBe(123);
+    expect(parseNumber("۱٬۲۰۰")).toBe(1200);
+  });
+});
+
+describe("field validators", () => {
+  it("blocks invalid text instead of reading it as 0", () => {
+    expect(requirePositive(parseNumber("12,5"), "weight")).toBe(12.5);
+    expectFieldError(() => requirePositive(parseNumber("12kg"), "weight"), "weight");
+    expectFieldError(() => requirePositive(parseNumber(""), "weight"), "weight");
+    expect(optionalNumber(parseNumber(""), "temp")).toBeNull();
+    expect(optionalNumber(parseNumber("-1"), "temp")).toBe(-1);
+    expectFieldError(() => optionalNumber(parseNumber("abc"), "temp"), "temp");
+    expect(optionalAmount(parseNumber(" "), "customValence")).toBe(0);
+    expectFieldError(() => optionalAmount(parseNumber("-2"), "customValence"), "customValence");
+  });
+});
+
+describe("parseNumberList", () => {
+  it("separates items by semicolons, whitespace or a comma and a space", () => {
+    expect(parseNumberList("25; 50;100")).toEqual([25, 50, 100]);
+    expect(parseNumberList("25 50\t100")).toEqual([25, 50, 100]);
+    expect(parseNumberList("25, 50, 100")).toEqual([25, 50, 100]);
+    expect(parseNumberList("")).toEqual([]);
+    expect(parseNumberList(undefined)).toEqual([]);
+  });
+
+  it("keeps a bare comma with its number", () => {
+    expect(parseNumberList("2,5; 10")).toEqual([2.5, 10]);
+    expect(parseNumberList("1,000 2,5")).toEqual([1000, 2.5]);
+    expect(parseNumberList("۲٫۵؛ ۱۰")).toEqual([2.5, 10]);
+    expect(parseNumberList("2,5,10")[0]).toBeNaN();
+  });
+});
+
+describe("parseQuantity", () => {
+  it("treats empty text as not entered", () => {
+    expect(parseQuantity("")).toBeUndefined();
+    expect(parseQuantity("  ", { unit: "kg" })).toBeUndefined();
+  });
+
+  it("evaluates arithmetic with precedence, signs and parentheses", () => {
+    expect(parseQuantity("12.5*2")).toBe(25);
+    expect(parseQuantity("1 + 2 * 3")).toBe(7);
+    expect(parseQuantity("(1 + 2) × 3")).toBe(9);
+    expect(parseQuantity("-4")).toBe(-4);
+    expect(parseQuantity("10 ÷ 4")).toBe(2.5);
+    expect(parseQuantity("5e-3")).toBe(0.005);
+    expect(parseQuantity("۲٫۵*۲")).toBe(5);
+  });
+
+  it("converts a unit suffix into the field's unit", () => {
+    expect(parseQuantity("250 mcg", { unit: "mg", unitType: "MASS" })).toBeCloseTo(0.25, 10);
+    expect(parseQuantity("15 lb", { unit: "kg", unitType: "MASS" })).toBeCloseTo(6.804, 3);
+    expect(parseQuantity("100 °F", { unit: "C", unitType: "TEMP" })).toBeCloseTo(37.778, 3);
+    expect(parseQuantity("10 mcg/kg/min", { unit: "mg/kg/hr", unitType: "DOSE_RATE" })).toBeCloseTo(0.6, 10);
+    expect(parseQuantity("2 + 3 kg", { unit: "g" })).toBe(5000);
+  });
+
+  it("reads commas as thousands separators or a single decimal comma", () => {
+    expect(parseQuantity("1,000", { unit: "mL", unitType: "VOLUME" })).toBe(1000);
+    expect(parseQuantity("1,000.5", { unit: "mL", unitType: "VOLUME" })).toBe(1000.5);
+    expect(parseQuantity("12,500,000")).toBe(12500000);
+    expect(parseQuantity("1,5", { unit: "mL", unitType: "VOLUME" })).toBe(1.5);
+    expect(parseQuantity("0,25 L", { unit: "mL", unitType: "VOLUME" })).toBe(250);
+    expect(parseQuantity("1,5*2")).toBe(3);
+  });
+
+  it("rejects commas that could mean either", () => {
+    expectFieldError(() => parseQuantity("1.000,5"), "expression");
+    expectFieldError(() => parseQuantity("1,5,0"), "expression");
+    expectFieldError(() => parseQuantity("1,00,000"), "expression");
+    expectFieldError(() => parseQuantity(",500"), "expression");
+  });
+
+  it("passes the field's own unit through", () => {
+    expect(parseQuantity("5 mL", { unit: "mL", unitType: "VOLUME" })).toBe(5);
+    expect(parseQuantity("120 bpm", { unit: "bpm" })).toBe(120);
+  });
+
+  it("reports malformed expressions and unconvertible units", () => {
+    expectFieldError(() => parseQuantity("2 +"), "expression");
+    expectFieldError(() => parseQuantity("(2"), "expression");
+    expectFieldError(() => parseQuantity("1 / 0"), "expression");
+    expectFieldError(() => parseQuantity("3 kg"), "unit");
+    expectFieldError(() => parseQuantity("3 mL", { unit: "kg", unitType: "MASS" }), "unit");
+  });
+});
+
+describe("convertUnit", () => {
+  it("converts temperatures", () => {
+    expect(convertUnit(37, "C", "F", "TEMP")).toBeCloseTo(98.6, 10);
+    expect(convertUnit(0, "C", "K", "TEMP")).toBeCloseTo(273.15, 10);
+    expect(convertUnit(212, "F", "C", "TEMP")).toBeCloseTo(100, 10);
+  });
+
+  it("converts linear units", () => {
+    expect(convertUnit(1, "kg", "mg", "MASS")).toBe(1e6);
+    expect(convertUnit(250, "mL", "L", "VOLUME")).toBe(0.25);
+    expect(convertUnit(10, "mcg/kg/min", "mg/kg/hr", "DOSE_RATE")).toBeCloseTo(0.6, 10);
+    expect(convertUnit(1, "% w/v", "mg/mL", "CONC_DOSE")).toBe(10);
+  });
+
+  it("converts clinical analytes through the molecular weight and valence", () => {
+    expect(convertUnit(90, "mg/dL", "mmol/L", "ANALYTE", ANALYTES.glucose)).toBeCloseTo(4.9956, 4);
+    expect(convertUnit(10, "mg/dL", "mEq/L", "ANALYTE", ANALYTES.calcium)).toBeCloseTo(4.990, 3);
+    expect(convertUnit(1, "g", "mEq", "ION_AMOUNT", ANALYTES.sodium)).toBeCloseTo(43.497, 3);
+  });
+
+  it("hides mEq units for uncharged analytes", () => {
+    expect(unitsFor("ANALYTE", ANALYTES.glucose)).not.toContain("mEq/L");
+    expect(unitsFor("ANALYTE", ANALYTES.calcium)).toContain("mEq/L");
+  });
+
+  it("rejects invalid values, units and substances", () => {
+    expectFieldError(() => convertUnit(undefined, "g", "mg", "MASS"), "value");
+    expectFieldError(() => convertUnit(NaN, "g", "mg", "MASS"), "value");
+    expectFieldError(() => convertUnit(1, "g", "mL", "MASS"), "unit");
+    expectFieldError(() => convertUnit(1, "g", "mg", "WEIGHT"), "unitType");
+    expectFieldError(() => convertUnit(1, "mg/dL", "mmol/L", "ANALYTE", { name: "Custom", mw: 0 }), "mw");
+    expectFieldError(() => convertUnit(1, "mg/dL", "mEq/L", "ANALYTE", ANALYTES.glucose), "valence");
+  });
+});
+
+describe("calcDose", () => {
+  it("computes total dose, stock volume and infusion rate", () => {
+    const r = calcDose({ weightKg: 20, dose: 2, concentration: 50, infusionMinutes: 30 });
+    expect(r.totalDoseMg).toBe(40);
+    expect(r.mgPerKg).toBe(2);
+    expect(r.volumeMl).toBeCloseTo(0.8, 10);
+    expect(r.mlPerHr).toBeCloseTo(1.6, 10);
+    expect(r.dropsPerMin).toBeCloseTo(0.5333, 4);
+  });
+
+  it("converts the dose and concentration units", () => {
+    const r = calcDose({ weightKg: 10, dose: 500, doseUnit: "ug", concentration: 1, concUnit: "% w/v" });
+    expect(r.totalDoseMg).toBeCloseTo(5, 10);
+    expect(r.volumeMl).toBeCloseTo(0.5, 10);
+  });
+
+  it("leaves volume and rates empty when no concentration or time is given", () => {
+    const r = calcDose({ weightKg: 20, dose: 2 });
+    expect(r.volumeMl).toBeNull();
+    expect(r.mlPerHr).toBeNull();
+  });
+
+  it("doses per m² using the species BSA", () => {
+    expect(calcBSA(10, "Dog")).toBeCloseTo(0.4688, 4);
+    expect(calcBSA(10, "Horse")).toBeNull();
+    const r = calcDose({ weightKg: 10, dose: 100, doseBasis: "m2", species: "Dog" });
+    expect(r.totalDoseMg).toBeCloseTo(46.88, 2);
+    expect(r.mgPerM2).toBeCloseTo(100, 10);
+  });
+
+  it("rejects missing or invalid inputs", () => {
+    expectFieldError(() => calcDose({ dose: 2 }), "weight");
+    expectFieldError(() => calcDose({ weightKg: -5, dose: 2 }), "weight");
+    expectFieldError(() => calcDose({ weightKg: 20, dose: NaN }), "dose");
+    expectFieldError(() => calcDose({ weightKg: 20, dose: 2, concentration: 0 }), "concentration");
+    expectFieldError(() => calcDose({ weightKg: 20, dose: 2, doseBasis: "m2", species: "Horse" }), "species");
+  });
+});
+
+describe("calcCri", () => {
+  it("gives the stock rate for a syringe driver", () => {
+    // Dopamine 5 mcg/kg/min, 20 kg dog, 40 mg/mL: 0.3 mg/kg/hr = 6 mg/hr = 0.15 mL/hr
+    const r = calcCri({ weightKg: 20, rate: 5, rateUnit: "mcg/kg/min", concentration: 40 });
+    expect(r.amountPerHr).toBeCloseTo(6, 10);
+    expect(r.drugMlHr).toBeCloseTo(0.15, 10);
+    expect(r.dripRate).toBeCloseTo(0.05, 10);
+  });
+
+  it("gives the amount to add to a fluid bag", () => {
+    // Lidocaine 50 mcg/kg/min, 10 kg dog, 2% (20 mg/mL) into 500 mL run at 10 mL/hr:
+    // 30 mg/hr for 50 hours = 1500 mg = 75 mL of stock, 3 mg/mL in the bag
+    const r = calcCri({ weightKg: 10, rate: 50, concentration: 2, concUnit: "% w/v", mode: "bag", bagMl: 500, fluidRateMlHr: 10 });
+    expect(r.amountPerHr).toBeCloseTo(30, 10);
+    expect(r.bagHours).toBeCloseTo(50, 10);
+    expect(r.amountToAdd).toBeCloseTo(1500, 10);
+    expect(r.volumeToAdd).toBeCloseTo(75, 10);
+    expect(r.finalConc).toBeCloseTo(3, 10);
+    expect(r.dripRate).toBeCloseTo(10 / 3, 10);
+  });
+
+  it("doses in units with a U/mL stock", () => {
+    // Regular insulin 0.1 U/kg/hr, 5 kg cat, 100 U/mL
+    const r = calcCri({ weightKg: 5, rate: 0.1, rateUnit: "U/kg/hr", concentration: 100 });
+    expect(r.amountPerHr).toBeCloseTo(0.5, 10);
+    expect(r.drugMlHr).toBeCloseTo(0.005, 10);
+  });
+
+  it("rejects missing or invalid inputs", () => {
+    expectFieldError(() => calcCri({ rate: 5, concentration: 40 }), "weight");
+    expectFieldError(() => calcCri({ weightKg: 20, rate: 0, concentration: 40 }), "rate");
+    expectFieldError(() => calcCri({ weightKg: 20, rate: 5, concentration: NaN }), "concentration");
+    expectFieldError(() => calcCri({ weightKg: 20, rate: 5, concentration: 40, mode: "bag", fluidRateMlHr: 10 }), "bagSize");
+    expectFieldError(() => calcCri({ weightKg: 20, rate: 5, concentration: 40, mode: "bag", bagMl: 500 }), "fluidRate");
+  });
+});
+
+describe("calcBolus", () => {
+  it("gives the bolus volume, its rate and the shock dose", () => {
+    // 20 kg dog, 20 mL/kg over 15 minutes: 400 mL at 1600 mL/hr; shock dose 90 mL/kg = 1800 mL
+    const r = calcBolus({ weightKg: 20, species: "Dog", bolusMlPerKg: 20, minutes: 15 });
+    expect(r.volume).toBe(400);
+    expect(r.rate).toBeCloseTo(1600, 10);
+    expect(r.shockDose).toBe(1800);
+  });
+
+  it("rejects missing or invalid inputs", () => {
+    expectFieldError(() => calcBolus({ species: "Dog", bolusMlPerKg: 20, minutes: 15 }), "weight");
+    expectFieldError(() => calcBolus({ weightKg: 20, species: "Dog", bolusMlPerKg: -1, minutes: 15 }), "bolusDose");
+    expectFieldError(() => calcBolus({ weightKg: 20, species: "Dog", bolusMlPerKg: 20, minutes: 0 }), "bolusTime");
+  });
+});
+
+describe("calcFluidPlan", () => {
+  // Horse, 10 kg: maintenance 50 mL/kg/day = 500 mL/day; 5% dehydration = 500 mL deficit
+  const horse = { weightKg: 10, species: "Horse", dehydrationPct: 5, lossesPerDay: 240 };
+
+  it("adds maintenance, deficit and losses", () => {
+    const r = calcFluidPlan({ ...horse, periodHours: 24 });
+    expect(r.maintenanceDay).toBeCloseTo(500, 10);
+    expect(r.deficit).toBeCloseTo(500, 10);
+    expect(r.lossesHr).toBeCloseTo(10, 10);
+    expect(r.totalHr).toBeCloseTo(500 / 24 + 500 / 24 + 10, 10);
+    expect(r.total24h).toBeCloseTo(500 + 500 + 240, 10);
+  });
+
+  it("prorates the hour a fractional replacement period ends in", () => {
+    const r = calcFluidPlan({ ...horse, periodHours: 4.5 });
+    const afterDeficit = 500 / 24 + 10;
+    expect(r.chartData[3].y).toBeCloseTo(r.totalHr, 10);
+    expect(r.chartData[4].y).toBeCloseTo(afterDeficit + r.deficitHr / 2, 10);
+    expect(r.chartData[5].y).toBeCloseTo(afterDeficit, 10);
+    // The whole deficit and a day of maintenance and losses, not 5 hours of deficit rate
+    expect(r.total24h).toBeCloseTo(500 + 500 + 240, 10);
+  });
+
+  it("gives only the part of a longer deficit that falls in the first 24 hours", () => {
+    const r = calcFluidPlan({ ...horse, periodHours: 48 });
+    expect(r.total24h).toBeCloseTo(500 + 250 + 240, 10);
+  });
+
+  it("needs a replacement period only when there is a deficit", () => {
+    expect(calcFluidPlan({ weightKg: 10, species: "Horse" }).total24h).toBeCloseTo(500, 10);
+    expectFieldError(() => calcFluidPlan({ ...horse }), "period");
+    expectFieldError(() => calcFluidPlan({ ...horse, dehydrationPct: -1, periodHours: 24 }), "dehydration");
+    expectFieldError(() => calcFluidPlan({ species: "Horse" }), "weight");
+  });
+});
+
+describe("calcSolutionMass", () => {
+  it("computes grams for mass-per-volume concentrations", () => {
+    expect(calcSolutionMass({ concentration: 0.9, concUnit: "% w/v", volume: 1, volUnit: "L" })).toBeCloseTo(9, 10);
+    expect(calcSolutionMass({ concentration: 5, concUnit: "mg/mL", volume: 200 })).toBeCloseTo(1, 10);
+  });
+
+  it("computes grams for molar concentrations", () => {
+    expect(calcSolutionMass({ mw: 58.44, concentration: 0.1, concUnit: "M", volume: 500 })).toBeCloseTo(2.922, 10);
+    expect(calcSolutionMass({ mw: 180.16, concentration: 250, concUnit: "mM", volume: 100 })).toBeCloseTo(4.504, 10);
+  });
+
+  it("requires the molecular weight only for molar units", () => {
+    expectFieldError(() => calcSolutionMass({ concentration: 0.1, concUnit: "M", volume: 500 }), "mw");
+    expectFieldError(() => calcSolutionMass({ concentration: 0.1, concUnit: "M", volume: 0, mw: 58.44 }), "volume");
+  });
+});
+
+describe("solveC1V1", () => {
+  it("solves the stock volume and diluent", () => {
+    const r = solveC1V1({
+      values: { C1: 1, V1: undefined, C2: 100, V2: 10 },
+      units: { C1: "M", V1: "mL", C2: "mM", V2: "mL" },
+    });
+    expect(r.unknown).toBe("V1");
+    expect(r.solved).toBeCloseTo(1, 10);
+    expect(r.diluent).toBeCloseTo(9, 10);
+    expect(r.dilutionFactor).toBeCloseTo(10, 10);
+    expect(r.concentrating).toBe(false);
+  });
+
+  it("mixes molar and mass concentrations through the molecular weight", () => {
+    const r = solveC1V1({
+      values: { C1: 1, V1: 1, C2: undefined, V2: 100 },
+      units: { C1: "M", V1: "mL", C2: "mg/mL", V2: "mL" },
+      mw: 58.44,
+    });
+    expect(r.solved).toBeCloseTo(0.5844, 10);
+  });
+
+  it("flags a working concentration above the stock", () => {
+    const r = solveC1V1({
+      values: { C1: 1, V1: undefined, C2: 2, V2: 10 },
+      units: { C1: "M", V1: "mL", C2: "M", V2: "mL" },
+    });
+    expect(r.concentrating).toBe(true);
+  });
+
+  it("needs exactly one unknown and valid known values", () => {
+    const units = { C1: "M", V1: "mL", C2: "M", V2: "mL" };
+    expectFieldError(() => solveC1V1({ values: { C1: 1, V1: 1, C2: 1, V2: 1 }, units }), "fields");
+    expectFieldError(() => solveC1V1({ values: { C1: 1, C2: 1 }, units }), "fields");
+    expectFieldError(() => solveC1V1({ values: { C1: 0, V1: undefined, C2: 1, V2: 1 }, units }), "C1");
+    expectFieldError(() => solveC1V1({
+      values: { C1: 1, V1: undefined, C2: 1, V2: 1 },
+      units: { ...units, C2: "mg/mL" },
+    }), "mw");
+  });
+});
+
+describe("serial dilution", () => {
+  it("dilutes 1:10 three times", () => {
+    const concentrations = serialDilution({ startConc: 1, factors: repeatedFactors(10, 3) });
+    expect(concentrations).toHaveLength(4);
+    expect(concentrations[3]).toBeCloseTo(0.001, 12);
+  });
+
+  it("supports a different factor per step", () => {
+    expect(serialDilution({ startConc: 100, factors: [2, 5, 10] })).toEqual([100, 50, 10, 1]);
+  });
+
+  it("works the bench volumes backwards from the final volume", () => {
+    const factors = [10, 10];
+    const tubes = dilutionProtocol({ factors, concentrations: serialDilution({ startConc: 1, factors }), finalVolume: 9 });
+    expect(tubes[2]).toMatchObject({ tube: 2, transfer: 0.9, diluent: 8.1 });
+    expect(tubes[1].transfer).toBeCloseTo(0.99, 10);
+    expect(tubes[1].diluent).toBeCloseTo(8.91, 10);
+    expect(tubes[0].transfer).toBeCloseTo(9.99, 10);
+  });
+
+  it("rejects invalid factors and step counts", () => {
+    expectFieldError(() => repeatedFactors(1, 3), "factor");
+    expectFieldError(() => repeatedFactors(10, 2.5), "steps");
+    expectFieldError(() => serialDilution({ startConc: 1, factors: [10, 0.5] }), "factors");
+    expectFieldError(() => serialDilution({ startConc: 1, factors: Array(MAX_DILUTION_STEPS + 1).fill(2) }), "factors");
+    expectFieldError(() => serialDilution({ startConc: 0, factors: [10] }), "startConc");
+  });
+});
+
+describe("buffers", () => {
+  const acetate = { pKa: 4.76, mwAcid: 60.05, mwBase: 82.03 };
+
+  it("gives equal parts acid and base at pH = pKa", () => {
+    const r = hendersonHasselbalch({ pH: 4.76, pKa: acetate.pKa, totalConc: 0.1, volumeMl: 1000, mwAcid: acetate.mwAcid, mwBase: acetate.mwBase });
+    expect(r.ratio).toBeCloseTo(1, 10);
+    expect(r.acidMass).toBeCloseTo(3.0025, 10);
+    expect(r.baseMass).toBeCloseTo(4.1015, 10);
+  });
+
+  it("shifts the ratio tenfold per pH unit", () => {
+    const r = hendersonHasselbalch({ pH: 5.76, pKa: acetate.pKa, totalConc: 0.1, volumeMl: 1000, mwAcid: acetate.mwAcid, mwBase: acetate.mwBase });
+    expect(r.ratio).toBeCloseTo(10, 10);
+    expect(r.baseMol / r.acidMol).toBeCloseTo(10, 10);
+  });
+
+  it("reverses the calculation from the amounts used", () => {
+    expect(bufferPh({ pKa: 4.76, acidMol: 0.01, baseMol: 0.1 })).toBeCloseTo(5.76, 10);
+    expectFieldError(() => bufferPh({ pKa: 4.76, acidMol: 0, baseMol: 0.1 }), "acid");
+  });
+
+  it("corrects the pKa for temperature and ionic strength", () => {
+    const tris = { pKa: 8.06, dpKadT: -0.028, acidCharge: 1 };
+    expect(effectivePka(tris, 37, 0)).toBeCloseTo(7.724, 10);
+    expect(effectivePka({ pKa: 4.76 }, 25, 0)).toBe(4.76);
+    expect(effectivePka({ pKa: 4.76, acidCharge: 0 }, 25, 0.1)).toBeLessThan(4.76);
+  });
+
+  it("reads an empty temperature as 25 °C and rejects invalid corrections", () => {
+    const tris = { pKa: 8.06, dpKadT: -0.028, acidCharge: 1 };
+    expect(effectivePka(tris, undefined, undefined)).toBe(8.06);
+    expect(effectivePka(tris, null, null)).toBe(8.06);
+    expectFieldError(() => effectivePka(tris, NaN, null), "temperature");
+    expectFieldError(() => effectivePka(tris, 37, -0.1), "ionicStrength");
+    expectFieldError(() => effectivePka({ pKa: NaN }, 25, null), "pKa");
+  });
+
+  it("titrates to half-equivalence at pH = pKa", () => {
+    const r = calcTitration({ titrant: "base", pH: 4.76, pKa: 4.76, C0: 0.1, V0: 50, Ct: 0.1 });
+    expect(r.equivalenceVol).toBeCloseTo(50, 10);
+    expect(r.volume).toBeCloseTo(25, 0);
+    expect(r.curve.length).toBeGreaterThan(1);
+  });
+
+  it("reports unreachable pH as NaN and invalid inputs as errors", () => {
+    expect(calcTitration({ titrant: "base", pH: 2, pKa: 4.76, C0: 0.1, V0: 50, Ct: 0.1 }).volume).toBeNaN();
+    expectFieldError(() => hendersonHasselbalch({ pKa: 4.76, totalConc: 0.1, volumeMl: 1000, mwAcid: 60.05, mwBase: 82.03 }), "pH");
+    expectFieldError(() => calcTitration({ titrant: "base", pH: 5, pKa: 4.76, C0: 0.1, V0: 50 }), "titrantConc");
+  });
+});
+
+describe("tryCalculation", () => {
+  it("returns the result or the validation error", () => {
+    expect(tryCalculation(() => calcSolutionMass({ concentration: 1, concUnit: "mg/mL", volume: 1000 }))).toEqual({ result: 1, error: null });
+    const { result, error } = tryCalculation(() => calcDose({ weightKg: 0, dose: 1 }));
+    expect(result).toBeNull();
+    expect(error.field).toBe("weight");
+  });
+
+  it("rethrows programming errors", () => {
+    expect(() => tryCalculation(() => { throw new TypeError("bug"); })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,58 @@
+import { setLanguage, getLanguage, isRTL, t, tValue, localizeDigits, DEFAULT_LANGUAGE } from "../i18n";
+import en from "../locales/en";
+import fa from "../locales/fa";
+
+afterEach(() => setLanguage(DEFAULT_LANGUAGE));
+
+describe("setLanguage", () => {
+  it("switches language and direction, falling back to English for unknown codes", () => {
+    setLanguage("fa");
+    expect(getLanguage()).toBe("fa");
+    expect(isRTL()).toBe(true);
+    setLanguage("xx");
+    expect(getLanguage()).toBe("en");
+    expect(isRTL()).toBe(false);
+  });
+});
+
+describe("t", () => {
+  it("interpolates variables and leaves unknown ones in place", () => {
+    expect(t("history.title", { shown: 2, total: 5 })).toBe("Calculation History (2 of 5)");
+    expect(t("history.title", { shown: 2 })).toBe("Calculation History (2 of {total})");
+  });
+
+  it("falls back to English, then to the key", () => {
+    setLanguage("fa");
+    expect(t("screens.Dose")).toBe("محاسبه دوز و نرخ تزریق");
+    expect(t("no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("tValue", () => {
+  it("translates stored values and falls back to the given text", () => {
+    setLanguage("fa");
+    expect(tValue("species", "Cat")).toBe("گربه");
+    expect(tValue("species", "Llama")).toBe("Llama");
+    setLanguage("en");
+    expect(tValue("calcErrors", "weight", "Weight is required.")).toBe("Weight is required.");
+  });
+});
+
+describe("localizeDigits", () => {
+  it("only converts digits when Persian is active", () => {
+    expect(localizeDigits(12.5)).toBe("12.5");
+    setLanguage("fa");
+    expect(localizeDigits(12.5)).toBe("۱۲٫۵");
+    expect(localizeDigits("1:10")).toBe("۱:۱۰");
+  });
+});
+
+describe("string tables", () => {
+  it("defines every English key in Persian with the same placeholders", () => {
+    const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+    Object.keys(en).forEach(key => {
+      expect(fa[key]).toBeDefined();
+      expect(placeholders(fa[key])).toEqual(placeholders(en[key]));
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  INITIAL_NAVIGATION,
+  MAX_STACK_DEPTH,
+  navigationReducer,
+  currentRoute,
+  cleanParams,
+  encodeValueMap,
+  decodeValueMap,
+  historyRoute,
+  parseDeepLink,
+} from "../navigation";
+
+const navigateTo = (state, name, params) => navigationReducer(state, { type: "navigate", name, params });
+
+describe("navigationReducer", () => {
+  it("pushes screens and steps back through them", () => {
+    let state = navigateTo(INITIAL_NAVIGATION, "Animals");
+    state = navigateTo(state, "Timeline", { animal: "42" });
+    expect(state.routes.map(r => r.name)).toEqual(["Home", "Animals", "Timeline"]);
+    expect(currentRoute(state).params).toEqual({ animal: "42" });
+
+    state = navigationReducer(state, { type: "back" });
+    expect(currentRoute(state).name).toBe("Animals");
+    state = navigationReducer(state, { type: "back" });
+    expect(navigationReducer(state, { type: "back" })).toBe(state);
+  });
+
+  it("gives every pushed route a unique key", () => {
+    const state = navigateTo(navigateTo(INITIAL_NAVIGATION, "Dose"), "Dose");
+    const keys = state.routes.map(r => r.key);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it("returns to the bottom of the stack when navigating Home", () => {
+    const state = navigateTo(navigateTo(navigateTo(INITIAL_NAVIGATION, "Dose"), "Stock"), "Home");
+    expect(state.routes).toHaveLength(1);
+    expect(currentRoute(state).name).toBe("Home");
+  });
+
+  it("ignores unknown screens", () => {
+    expect(navigateTo(INITIAL_NAVIGATION, "Nowhere")).toBe(INITIAL_NAVIGATION);
+  });
+
+  it("caps the stack depth and keeps Home at the bottom", () => {
+    let state = INITIAL_NAVIGATION;
+    for (let i = 0; i < MAX_STACK_DEPTH + 5; i++) state = navigateTo(state, "Dose", { dose: String(i) });
+    expect(state.routes).toHaveLength(MAX_STACK_DEPTH);
+    expect(state.routes[0].name).toBe("Home");
+    expect(currentRoute(state).params.dose).toBe(String(MAX_STACK_DEPTH + 4));
+  });
+
+  it("updates the current route's parameters", () => {
+    let state = navigateTo(INITIAL_NAVIGATION, "Timeline", { animal: "1" });
+    state = navigationReducer(state, { type: "setParams", params: { animal: "2" } });
+    expect(currentRoute(state).params).toEqual({ animal: "2" });
+    state = navigationReducer(state, { type: "setParams", params: { animal: "" } });
+    expect(currentRoute(state).params).toEqual({});
+  });
+
+  it("replaces the current screen with a fresh route", () => {
+    const before = navigateTo(INITIAL_NAVIGATION, "Buffer", { pH: "7" });
+    const state = navigationReducer(before, { type: "replace", name: "Buffer", params: { pH: "7.4", buffer: "tris" } });
+    expect(state.routes.map(r => r.name)).toEqual(["Home", "Buffer"]);
+    expect(currentRoute(state).key).not.toBe(currentRoute(before).key);
+    expect(currentRoute(state).params).toEqual({ pH: "7.4", buffer: "tris" });
+    expect(navigationReducer(INITIAL_NAVIGATION, { type: "replace", name: "Dose" })).toBe(INITIAL_NAVIGATION);
+  });
+});
+
+describe("cleanParams", () => {
+  it("keeps accepted parameters as trimmed text", () => {
+    expect(cleanParams("Dose", { dose: 0.2, weight: " 12 ", colour: "red", conc: null, time: "" })).toEqual({ dose: "0.2", weight: "12" });
+    expect(cleanParams("History", { animal: "1" })).toEqual({});
+  });
+});
+
+describe("value maps", () => {
+  it("round-trips named values through one parameter", () => {
+    expect(encodeValueMap({ hct: 35, wbc: 12.5 })).toBe("hct:35,wbc:12.5");
+    expect(decodeValueMap("hct:35, wbc:12.5,broken,:4")).toEqual({ hct: "35", wbc: "12.5" });
+    expect(decodeValueMap(undefined)).toEqual({});
+  });
+});
+
+describe("historyRoute", () => {
+  it("reopens the calculator with the stored inputs as text", () => {
+    const item = {
+      type: "Dose Calculation",
+      animalId: "42",
+      inputs: { route: "injectable", drugName: "Meloxicam", weight: 12.5, dose: 0.2, doseUnit: "mg", doseBasis: "kg", conc: 5, concUnit: "mg/mL", time: "", syringeId: "auto", animalName: "Rex" },
+    };
+    expect(historyRoute(item)).toEqual({
+      name: "Dose",
+      params: { animal: "42", drug: "Meloxicam", route: "injectable", weight: "12.5", dose: "0.2", doseUnit: "mg", doseBasis: "kg", conc: "5", concUnit: "mg/mL", syringe: "auto" },
+    });
+  });
+
+  it("leaves the solved side of a stock dilution empty", () => {
+    const item = { type: "Stock Dilution", animalId: null, inputs: { C1: 1, V1: "", C2: 0.1, V2: 100, units: { C1: "M", V1: "mL", C2: "M", V2: "mL" }, mw: "", unknown: "V1" } };
+    expect(historyRoute(item).params).toEqual({ c1: "1", c1Unit: "M", v1Unit: "mL", c2: "0.1", c2Unit: "M", v2: "100", v2Unit: "mL" });
+  });
+
+  it("passes custom dilution factors only when they differ from the repeated factor", () => {
+    const repeated = { type: "Serial Dilution", inputs: { startConc: 1, dilutionFactor: 10, steps: 3, factors: [10, 10, 10], concUnit: "M" } };
+    const custom = { type: "Serial Dilution", inputs: { startConc: 1, dilutionFactor: 10, steps: 3, factors: [2, 5, 10], concUnit: "M" } };
+    expect(historyRoute(repeated).params.factors).toBeUndefined();
+    expect(historyRoute(custom).params.factors).toBe("2, 5, 10");
+  });
+
+  it("encodes lab values and maps titrants back to the screen's options", () => {
+    expect(historyRoute({ type: "Lab Panel", animalId: "7", inputs: { panel: "CBC", values: { hct: 35, wbc: 12 } } })).toEqual({
+      name: "Lab",
+      params: { animal: "7", panel: "CBC", values: "hct:35,wbc:12" },
+    });
+    expect(historyRoute({ type: "Buffer Calculation", inputs: { mode: "titrate", bufferName: "Tris", titrant: "HCl", pH: 7.4 } }).params)
+      .toEqual({ buffer: "Tris", mode: "titrate", titrant: "acid", pH: "7.4" });
+  });
+
+  it("returns null for entries no calculator produced", () => {
+    expect(historyRoute({ type: "Weight", inputs: {} })).toBeNull();
+    expect(historyRoute(null)).toBeNull();
+  });
+});
+
+describe("parseDeepLink", () => {
+  it("opens a calculator with its parameters", () => {
+    expect(parseDeepLink("vetlab://dose?animal=1712345678901&dose=0.2")).toEqual({
+      name: "Dose",
+      params: { animal: "1712345678901", dose: "0.2" },
+    });
+  });
+
+  it("decodes parameters and ignores case in the scheme and path", () => {
+    expect(parseDeepLink("VetLab://Convert?category=TEMP&value=37&from=C&to=F")).toEqual({
+      name: "Convert",
+      params: { category: "TEMP", value: "37", from: "C", to: "F" },
+    });
+    expect(parseDeepLink("vetlab://solution?concUnit=%25%20w%2Fv&conc=0.9").params).toEqual({ concUnit: "% w/v", conc: "0.9" });
+  });
+
+  it("drops unknown parameters and tolerates slashes", () => {
+    expect(parseDeepLink("vetlab:///timeline/?animal=7&debug=1")).toEqual({ name: "Timeline", params: { animal: "7" } });
+    expect(parseDeepLink("vetlab://")).toEqual({ name: "Home", params: {} });
+  });
+
+  it("rejects other schemes and unknown paths", () => {
+    expect(parseDeepLink("https://example.com/dose?dose=1")).toBeNull();
+    expect(parseDeepLink("vetlab://surgery")).toBeNull();
+    expect(parseDeepLink("")).toBeNull();
+    expect(parseDeepLink(null)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+import { tokenize, buildHistoryIndex, searchHistoryIndex } from "../search";
+
+const ENTRIES = [
+  { id: "a", type: "Dose Calculation", animalId: "1", sentence: "Meloxicam 0.2 mg/kg for Rex (12 kg)", note: "recheck tomorrow" },
+  { id: "b", type: "Buffer Calculation", animalId: null, sentence: "Tris buffer pH 7.4 at 25 °C" },
+  { id: "c", type: "Dose Calculation", animalId: "2", sentence: "Ketamine 5 mg/kg for Bella (4 kg)" },
+];
+
+const index = buildHistoryIndex(ENTRIES, (entry) => [entry.type, entry.sentence, entry.note]);
+const ids = (query) => {
+  const found = searchHistoryIndex(index, query);
+  return found === null ? null : [...found].sort();
+};
+
+describe("tokenize", () => {
+  it("splits on spaces and punctuation but keeps numbers and units whole", () => {
+    expect(tokenize("Meloxicam 0.2 mg/kg for Rex (12 kg).")).toEqual(["meloxicam", "0.2", "mg/kg", "for", "rex", "12", "kg"]);
+  });
+
+  it("converts Persian digits", () => {
+    expect(tokenize("دوز ۲٫۵ میلی‌گرم")).toEqual(["دوز", "2.5", "میلی‌گرم"]);
+  });
+});
+
+describe("searchHistoryIndex", () => {
+  it("returns null when nothing narrows the search", () => {
+    expect(ids({ text: "  " })).toBeNull();
+  });
+
+  it("matches every word as a prefix, in any indexed text", () => {
+    expect(ids({ text: "melox" })).toEqual(["a"]);
+    expect(ids({ text: "mg/kg" })).toEqual(["a", "c"]);
+    expect(ids({ text: "dose recheck" })).toEqual(["a"]);
+    expect(ids({ text: "tris ketamine" })).toEqual([]);
+  });
+
+  it("filters by type and animal through their own indexes", () => {
+    expect(ids({ type: "Dose Calculation" })).toEqual(["a", "c"]);
+    expect(ids({ type: "Dose Calculation", animalId: "2" })).toEqual(["c"]);
+    expect(ids({ text: "kg", animalId: "1" })).toEqual(["a"]);
+    expect(ids({ animalId: "9" })).toEqual([]);
+  });
+});
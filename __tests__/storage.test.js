@@ -0,0 +1,314 @@
+jest.mock("@react-native-async-storage/async-storage", () => require("@react-native-async-storage/async-storage/jest/async-storage-mock"));
+
+import {
+  createStorage,
+  createMemoryStorage,
+  STORAGE_KEYS,
+  HISTORY_CHUNK_SIZE,
+  HISTORY_PAGE_SIZE,
+  SCHEMA_VERSION,
+  StorageError,
+  expiredEntries,
+  historyId,
+} from "../storage";
+
+// Data as an install from before the schema version was recorded left it
+const legacyData = () => ({
+  [STORAGE_KEYS.animals]: JSON.stringify([
+    { id: "1", name: "Rex", type: "Dog", weight: 12, updatedAt: "2024-03-01T10:00:00.000Z" },
+    { id: "2", name: "Tom", type: "Cat", weight: 4 },
+    { id: "3", name: "Tom", type: "Cat", weight: 5 },
+  ]),
+  [STORAGE_KEYS.legacyHistory]: JSON.stringify([
+    { type: "Dose Calculation", time: "2024-03-02T10:00:00.000Z", inputs: { animalName: "Rex", weight: "12", dose: "0.5", units: "mg/kg" } },
+    { type: "Dose Calculation", time: "2024-03-01T10:00:00.000Z", inputs: { animalName: "Tom", weight: "4.0", strengths: "25, 50" } },
+  ]),
+});
+
+const stored = (backend, name) => JSON.parse(backend.dump()[STORAGE_KEYS[name]]);
+
+const entry = (n, extra = {}) => ({ type: "Dose Calculation", time: new Date(Date.UTC(2025, 0, 1) + n * 60000).toISOString(), inputs: { dose: String(n) }, ...extra });
+
+// Appends `count` entries, oldest first
+const fill = async (store, count, extra) => {
+  for (let n = 0; n < count; n++) await store.appendHistory(entry(n, extra));
+};
+
+const manifestOf = (backend) => JSON.parse(backend.dump()[STORAGE_KEYS.historyManifest]);
+
+describe("migrations", () => {
+  it("brings legacy data to the current schema and records the version", async () => {
+    const backend = createMemoryStorage(legacyData());
+    const store = createStorage(backend);
+
+    expect(await store.migrate()).toEqual([1, 2, 3, 4]);
+    expect(stored(backend, "schemaVersion")).toBe(SCHEMA_VERSION);
+
+    const [rex, tom] = await store.loadAnimals();
+    expect(rex.weightLog).toEqual([{ date: "2024-03-01T10:00:00.000Z", weight: 12 }]);
+    expect(tom.weightLog).toHaveLength(1);
+
+    const [rexEntry, tomEntry] = await store.loadHistory();
+    expect(rexEntry.animalId).toBe("1");
+    expect(tomEntry.animalId).toBeNull(); // Two animals are called Tom
+    expect(rexEntry.inputs).toEqual({ animalName: "Rex", weight: 12, dose: 0.5, units: "mg/kg" });
+    expect(tomEntry.inputs.strengths).toBe("25, 50");
+  });
+
+  it("skips migrations already applied and can re-run them over migrated data", async () => {
+    const backend = createMemoryStorage(legacyData());
+    const store = createStorage(backend);
+    await store.migrate();
+    const history = await store.loadHistory();
+    const animals = await store.loadAnimals();
+
+    expect(await store.migrate()).toEqual([]);
+    await store.migrate({ from: 0 });
+    expect(await store.loadHistory()).toEqual(history);
+    expect(await store.loadAnimals()).toEqual(animals);
+  });
+
+  it("moves the legacy history array into chunks with stable ids", async () => {
+    const legacy = [entry(2, { animalId: "1" }), entry(1, { animalId: "1" })];
+    const backend = createMemoryStorage({
+      [STORAGE_KEYS.legacyHistory]: JSON.stringify(legacy),
+      [STORAGE_KEYS.animals]: JSON.stringify([]),
+    });
+    const store = createStorage(backend);
+
+    expect(await store.migrate()).toEqual([1, 2, 3, 4]);
+    expect(backend.dump()[STORAGE_KEYS.legacyHistory]).toBeUndefined();
+    const history = await store.loadHistory();
+    expect(history.map(item => item.id)).toEqual(legacy.map(historyId));
+    expect(history[0].inputs.dose).toBe(2);
+
+    // Re-running over migrated data (as a restore does) changes nothing
+    await store.migrate({ from: 0 });
+    expect(await store.loadHistory()).toEqual(history);
+    expect(SCHEMA_VERSION).toBe(4);
+  });
+});
+
+describe("history", () => {
+  it("stores new entries first with numeric inputs as numbers", async () => {
+    const store = createStorage(createMemoryStorage());
+    await store.appendHistory({ type: "Dose Calculation", time: "2024-03-01T10:00:00.000Z", inputs: { weight: "10" } });
+    await store.appendHistory({ type: "CRI Calculation", time: "2024-03-02T10:00:00.000Z", inputs: { rate: "2.5" } });
+
+    const history = await store.loadHistory();
+    expect(history.map(item => item.type)).toEqual(["CRI Calculation", "Dose Calculation"]);
+    expect(history[0].inputs.rate).toBe(2.5);
+
+    await store.clearHistory();
+    expect(await store.loadHistory()).toEqual([]);
+  });
+});
+
+describe("history chunks", () => {
+  it("appends into fixed-size chunks and loads newest first", async () => {
+    const backend = createMemoryStorage();
+    const store = createStorage(backend);
+    await fill(store, HISTORY_CHUNK_SIZE + 3);
+
+    expect(manifestOf(backend).chunks.map(c => c.count)).toEqual([HISTORY_CHUNK_SIZE, 3]);
+    const history = await store.loadHistory();
+    expect(history).toHaveLength(HISTORY_CHUNK_SIZE + 3);
+    expect(history[0].inputs.dose).toBe(HISTORY_CHUNK_SIZE + 2);
+    expect(new Set(history.map(item => item.id)).size).toBe(history.length);
+  });
+
+  it("rewrites only the chunk holding an edited or deleted entry", async () => {
+    const backend = createMemoryStorage();
+    const store = createStorage(backend);
+    await fill(store, HISTORY_CHUNK_SIZE + 3);
+    const [newest] = await store.loadHistory();
+    const oldest = (await store.loadHistory()).pop();
+    const firstChunkKey = Object.keys(backend.dump()).find(key => key.endsWith("_chunk_0"));
+    const firstChunk = backend.dump()[firstChunkKey];
+
+    const updated = await store.updateHistoryEntry(newest, { pinned: true, note: "checked" });
+    expect(updated).toMatchObject({ id: newest.id, pinned: true, note: "checked" });
+    expect(backend.dump()[firstChunkKey]).toBe(firstChunk);
+
+    await store.deleteHistoryEntry(oldest);
+    const history = await store.loadHistory();
+    expect(history).toHaveLength(HISTORY_CHUNK_SIZE + 2);
+    expect(history.some(item => item.id === oldest.id)).toBe(false);
+    expect(history[0].note).toBe("checked");
+  });
+
+  it("reports an entry that is no longer stored", async () => {
+    const store = createStorage(createMemoryStorage());
+    await fill(store, 2);
+    await expect(store.updateHistoryEntry({ id: "gone", time: entry(1).time }, { note: "x" })).rejects.toThrow("history entry");
+  });
+});
+
+describe("history pages", () => {
+  const doses = (entries) => entries.map(item => item.inputs.dose);
+  const range = (from, to) => Array.from({ length: from - to + 1 }, (_, i) => from - i);
+
+  it("reads pages newest first across chunks, only as far as each page needs", async () => {
+    const backend = createMemoryStorage();
+    const store = createStorage(backend);
+    await fill(store, 2 * HISTORY_CHUNK_SIZE + 10);
+    const multiGet = jest.spyOn(backend, "multiGet");
+
+    const first = await store.loadHistoryPage();
+    expect(doses(first.entries)).toEqual(range(2 * HISTORY_CHUNK_SIZE + 9, 2 * HISTORY_CHUNK_SIZE + 10 - HISTORY_PAGE_SIZE));
+    expect(first.total).toBe(2 * HISTORY_CHUNK_SIZE + 10);
+    expect(multiGet.mock.calls.flat(2).some(key => key.endsWith("_chunk_0"))).toBe(false);
+
+    const pages = [...first.entries];
+    for (let page = first; page.cursor;) {
+      page = await store.loadHistoryPage({ cursor: page.cursor });
+      pages.push(...page.entries);
+    }
+    expect(pages).toEqual(await store.loadHistory());
+  });
+
+  it("continues from the cursor after newer entries are saved and the cursor entry is deleted", async () => {
+    const store = createStorage(createMemoryStorage());
+    await fill(store, 40);
+    const first = await store.loadHistoryPage();
+    await store.appendHistory(entry(99));
+    await store.deleteHistoryEntry(first.entries[first.entries.length - 1]);
+
+    const rest = await store.loadHistoryPage({ cursor: first.cursor, limit: Infinity });
+    expect(doses(rest.entries)).toEqual(range(9, 0));
+    expect(rest.cursor).toBeNull();
+    expect(rest.total).toBe(40);
+  });
+
+  it("reads pinned entries older than a page from the chunks holding them", async () => {
+    const backend = createMemoryStorage();
+    const store = createStorage(backend);
+    await store.appendHistory(entry(0, { pinned: true }));
+    await fill(store, 2 * HISTORY_CHUNK_SIZE);
+    const first = await store.loadHistoryPage();
+    const multiGet = jest.spyOn(backend, "multiGet");
+
+    const pinned = await store.loadPinnedHistory(first.cursor);
+    expect(pinned).toHaveLength(1);
+    expect(pinned[0].pinned).toBe(true);
+    expect(multiGet.mock.calls.flat(2)).toEqual([expect.stringMatching(/_chunk_0$/)]);
+  });
+
+  it("returns an empty last page for an empty history", async () => {
+    const store = createStorage(createMemoryStorage());
+    expect(await store.loadHistoryPage()).toEqual({ entries: [], cursor: null, total: 0 });
+  });
+
+  it("pages through the entries a lookup matches", async () => {
+    const store = createStorage(createMemoryStorage());
+    for (let n = 0; n < 2 * HISTORY_CHUNK_SIZE; n++) await store.appendHistory(entry(n, { animalId: n % 4 === 0 ? "7" : null }));
+    const match = (item) => item.animalId === "7";
+
+    const first = await store.loadHistoryPage({ match, limit: 10 });
+    expect(doses(first.entries)).toEqual(range(99, 60).filter(n => n % 4 === 0));
+    expect(first.total).toBe(2 * HISTORY_CHUNK_SIZE);
+
+    const rest = await store.loadHistoryPage({ match, cursor: first.cursor, limit: Infinity });
+    expect(doses(rest.entries)).toEqual(range(59, 0).filter(n => n % 4 === 0));
+    expect(rest.cursor).toBeNull();
+  });
+
+  it("counts an animal's linked entries in chunks no page has read, one chunk at a time", async () => {
+    const backend = createMemoryStorage();
+    const store = createStorage(backend);
+    for (let n = 0; n < HISTORY_CHUNK_SIZE + 5; n++) await store.appendHistory(entry(n, { animalId: n < 3 ? "7" : "8" }));
+    const multiGet = jest.spyOn(backend, "multiGet");
+
+    expect((await store.loadHistoryPage()).entries.some(item => item.animalId === "7")).toBe(false);
+    multiGet.mockClear();
+    expect(await store.countHistory(item => item.animalId === "7")).toBe(3);
+    expect(multiGet.mock.calls.every(([keys]) => keys.length === 1)).toBe(true);
+
+    const seen = [];
+    await store.scanHistory(item => seen.push(item));
+    expect(seen).toEqual(await store.loadHistory());
+  });
+});
+
+describe("history retention", () => {
+  it("keeps everything by default", async () => {
+    const store = createStorage(createMemoryStorage());
+    await fill(store, 120);
+    expect(await store.loadHistory()).toHaveLength(120);
+  });
+
+  it("drops the oldest unpinned entries beyond the item limit and reports their ids", async () => {
+    const store = createStorage(createMemoryStorage());
+    await store.saveHistoryRetention({ maxItems: 5, maxAgeDays: null });
+    await store.appendHistory(entry(0, { pinned: true }));
+    await fill(store, 5);
+    const { entry: last, removed } = await store.appendHistory(entry(9));
+
+    const history = await store.loadHistory();
+    expect(history).toHaveLength(5);
+    expect(history[0].id).toBe(last.id);
+    expect(history.some(item => item.pinned)).toBe(true);
+    expect(removed).toHaveLength(1);
+  });
+
+  it("previews what a policy would remove by age and count", () => {
+    const now = Date.UTC(2025, 0, 31);
+    const history = [
+      { id: "new", time: new Date(Date.UTC(2025, 0, 30)).toISOString() },
+      { id: "pinned", pinned: true, time: new Date(Date.UTC(2024, 0, 1)).toISOString() },
+      { id: "old", time: new Date(Date.UTC(2024, 5, 1)).toISOString() },
+    ];
+    expect(expiredEntries(history, { maxItems: null, maxAgeDays: 90 }, now).map(item => item.id)).toEqual(["old"]);
+    expect(expiredEntries(history, { maxItems: 1, maxAgeDays: null }, now).map(item => item.id)).toEqual(["old", "new"]);
+    expect(expiredEntries(history, { maxItems: null, maxAgeDays: null }, now)).toEqual([]);
+  });
+});
+
+describe("snapshots", () => {
+  it("round-trips every section into another store", async () => {
+    const source = createStorage(createMemoryStorage(legacyData()));
+    await source.migrate();
+    await source.saveCustomBuffers([{ key: "custom_1", name: "HEPES", pKa: 7.5 }]);
+    await source.saveDisplayPrecision({ mode: "sigfigs", digits: 3 });
+    const { schemaVersion, data } = await source.snapshot();
+
+    const target = createStorage(createMemoryStorage());
+    await target.writeSnapshot(data);
+    expect((await target.snapshot()).data).toEqual(data);
+    expect(schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it("leaves sections missing from the snapshot untouched", async () => {
+    const store = createStorage(createMemoryStorage());
+    await store.saveDisplayPrecision({ mode: "decimals", digits: 2 });
+    await store.writeSnapshot({ animals: [], displayPrecision: null });
+    expect(await store.loadDisplayPrecision()).toEqual({ mode: "decimals", digits: 2 });
+  });
+
+  it("restores a snapshot's history into chunks", async () => {
+    const store = createStorage(createMemoryStorage());
+    await fill(store, 3);
+    await store.writeSnapshot({ history: [entry(7, { id: "x" })], language: "fa" });
+    const { data } = await store.snapshot();
+    expect(data.history.map(item => item.id)).toEqual(["x"]);
+    expect(data.language).toBe("fa");
+  });
+});
+
+describe("errors", () => {
+  const failing = (method) => ({ ...createMemoryStorage(), [method]: async () => { throw new Error("disk full"); } });
+
+  it("reports a failed write as a StorageError naming the key", async () => {
+    const store = createStorage(failing("setItem"));
+    const error = await store.saveAnimals([]).catch(e => e);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.message).toBe("Could not save animals: disk full");
+    expect(error.key).toBe(STORAGE_KEYS.animals);
+  });
+
+  it("reports unreadable data and failed restores", async () => {
+    const store = createStorage(createMemoryStorage({ [STORAGE_KEYS.animals]: "{not json" }));
+    await expect(store.loadAnimals()).rejects.toThrow(StorageError);
+    await expect(createStorage(failing("multiSet")).writeSnapshot({ animals: [] })).rejects.toThrow("Could not restore data: disk full");
+  });
+});
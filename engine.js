@@ -0,0 +1,661 @@
+// engine.js - VetLab Pro: headless calculation engine
+// Pure functions with no React Native imports, so every calculator's math can be tested and reused.
+// Inputs are numbers (use parseNumber for text fields); invalid inputs throw a CalculationError
+// naming the offending field instead of quietly producing zeros.
+
+/* -------------------- Errors & Input Validation -------------------- */
+
+export class CalculationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = "CalculationError";
+    this.field = field;
+  }
+}
+
+// Persian (۰-۹) and Arabic-Indic (٠-٩) digits to ASCII; the Arabic decimal separator (٫) becomes "."
+// and the Arabic thousands separator (٬) is dropped
+export const normalizeDigits = (text) => String(text)
+  .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06f0))
+  .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+  .replace(/٫/g, ".")
+  .replace(/٬/g, "");
+
+const THOUSANDS = /^\d{1,3}(,\d{3})+(\.\d*)?$/;
+
+// Commas in each number of `text`: thousands separators ("1,000", "12,500.5") are dropped and a single
+// decimal comma ("1,5") becomes ".". A lone comma before exactly three digits could be either, so it is
+// read as thousands, as before decimal commas were accepted; anything else with a comma is ambiguous
+// and throws instead of silently giving a value off by a factor of 1000.
+export const normalizeCommas = (text) => text.replace(/[\d.]*,[\d.,]*/g, (token) => {
+  if (THOUSANDS.test(token)) return token.replace(/,/g, "");
+  if (/^\d*,\d*$/.test(token) && !/,\d{3}$/.test(token)) return token.replace(",", ".");
+  throw new CalculationError("expression", `"${token}" is ambiguous: use "." for decimals and "," only between thousands.`);
+});
+
+// Text field -> number: "" or whitespace = undefined (not entered), unparsable or ambiguous = NaN.
+// Accepts a decimal comma, thousands separators and Persian/Arabic-Indic digits.
+export const parseNumber = (text) => {
+  if (text === null || text === undefined) return undefined;
+  if (typeof text === "number") return text;
+  const trimmed = normalizeDigits(text).trim();
+  if (trimmed === "") return undefined;
+  try {
+    return Number(normalizeCommas(trimmed));
+  } catch (e) {
+    return NaN;
+  }
+};
+
+// List field -> numbers, each read by parseNumber (invalid items are NaN). Items are separated by ";" (or
+// the Arabic "؛") or whitespace; a bare comma belongs to its number ("2,5" is 2.5), so only a comma followed by a space
+// (as in "25, 50") also separates items.
+export const parseNumberList = (text) => normalizeDigits(text ?? "")
+  .split(/,?[;؛\s]+/)
+  .filter(Boolean)
+  .map(parseNumber);
+
+// Field validators; screens use them (through tryCalculation) for values they store without a calculation
+export const requireNumber = (value, field, label = field) => {
+  if (value === undefined || value === null) throw new CalculationError(field, `${label} is required.`);
+  if (typeof value !== "number" || !Number.isFinite(value)) throw new CalculationError(field, `${label} must be a number.`);
+  return value;
+};
+
+export const requirePositive = (value, field, label = field) => {
+  if (requireNumber(value, field, label) <= 0) throw new CalculationError(field, `${label} must be greater than zero.`);
+  return value;
+};
+
+// Optional inputs may be left empty (undefined/null) but must be valid when given
+export const optionalPositive = (value, field, label = field) =>
+  (value === undefined || value === null ? null : requirePositive(value, field, label));
+
+// Optional inputs of any sign: empty (undefined/null) = null
+export const optionalNumber = (value, field, label = field) =>
+  (value === undefined || value === null ? null : requireNumber(value, field, label));
+
+// Optional amounts where empty means none (0)
+export const optionalAmount = (value, field, label = field) => {
+  if (value === undefined || value === null) return 0;
+  if (requireNumber(value, field, label) < 0) throw new CalculationError(field, `${label} cannot be negative.`);
+  return value;
+};
+
+/* -------------------- Unit Definitions (Comprehensive System) -------------------- */
+
+export const UNITS_MAP = {
+  // Base unit: g
+  MASS: {
+    kg: 1000,
+    g: 1,
+    mg: 1e-3,
+    ug: 1e-6,
+    lb: 453.59237,
+  },
+  // Base unit: L
+  VOLUME: {
+    L: 1,
+    mL: 1e-3,
+    uL: 1e-6,
+  },
+  // Base unit: M
+  MOLARITY: {
+    M: 1,
+    mM: 1e-3,
+    uM: 1e-6,
+  },
+  // Base unit: °C (Celsius - non-linear)
+  TEMP: {
+    C: 1,
+    F: (c) => ((c * 9) / 5 + 32),
+    K: (c) => (c + 273.15),
+  },
+  // Base unit: mg/kg/hr (Constant Rate Infusion)
+  DOSE_RATE: {
+    "mcg/kg/min": 0.06,
+    "mg/kg/hr": 1,
+    "mcg/kg/hr": 1e-3,
+  },
+  // Base unit: mg/mL (Dose Concentration)
+  CONC_DOSE: {
+    "mg/mL": 1,
+    "g/L": 1,
+    "mcg/mL": 1e-3,
+    "% w/v": 10, // 1% w/v = 1g/100mL = 10mg/mL
+  },
+  // Base unit: mmol/L (Clinical Analyte Concentration)
+  // Substance-dependent factors take { mw, valence } (see ANALYTES)
+  ANALYTE: {
+    "mmol/L": 1,
+    "mg/dL": (sub) => 10 / sub.mw, // mg/dL × 10 = mg/L; mg/L ÷ MW = mmol/L
+    "µmol/L": 1e-3,
+    "mg/L": (sub) => 1 / sub.mw,
+    "mEq/L": (sub) => (sub.valence ? 1 / sub.valence : NaN), // mmol = mEq ÷ |charge|
+  },
+  // Base unit: mmol (Ion Amount)
+  ION_AMOUNT: {
+    mmol: 1,
+    mg: (sub) => 1 / sub.mw,
+    mEq: (sub) => (sub.valence ? 1 / sub.valence : NaN),
+    g: (sub) => 1000 / sub.mw,
+  },
+};
+
+// Analytes for ANALYTE / ION_AMOUNT conversions. MW in g/mol; valence is the absolute
+// ionic charge (null where mEq does not apply). BUN is expressed as urea nitrogen (2 × N).
+export const ANALYTES = {
+  glucose: { name: "Glucose", mw: 180.16, valence: null },
+  urea: { name: "Urea", mw: 60.06, valence: null },
+  bun: { name: "BUN (Urea Nitrogen)", mw: 28.02, valence: null },
+  creatinine: { name: "Creatinine", mw: 113.12, valence: null },
+  bilirubin: { name: "Bilirubin", mw: 584.66, valence: null },
+  cholesterol: { name: "Cholesterol", mw: 386.65, valence: null },
+  lactate: { name: "Lactate", mw: 89.07, valence: 1 },
+  sodium: { name: "Sodium (Na⁺)", mw: 22.99, valence: 1 },
+  potassium: { name: "Potassium (K⁺)", mw: 39.10, valence: 1 },
+  chloride: { name: "Chloride (Cl⁻)", mw: 35.45, valence: 1 },
+  bicarbonate: { name: "Bicarbonate (HCO₃⁻)", mw: 61.02, valence: 1 },
+  calcium: { name: "Calcium (Ca²⁺)", mw: 40.08, valence: 2 },
+  magnesium: { name: "Magnesium (Mg²⁺)", mw: 24.305, valence: 2 },
+  phosphorus: { name: "Phosphorus (as P)", mw: 30.97, valence: null },
+};
+
+// Resolves a unit's factor to the category base; substance-dependent factors need { mw, valence }
+export const unitFactor = (map, unit, substance) => {
+  const factor = map[unit];
+  if (typeof factor === "function") return substance && substance.mw > 0 ? factor(substance) : NaN;
+  return factor;
+};
+
+// Units of a category that are meaningful for the given substance (e.g., no mEq/L for glucose)
+export const unitsFor = (unitType, substance) => {
+  const map = UNITS_MAP[unitType] || {};
+  if (unitType === "TEMP") return Object.keys(map);
+  // Only the charge decides availability, so units stay listed while a custom MW is being typed
+  const probe = { mw: 1, valence: substance ? substance.valence : 1 };
+  return Object.keys(map).filter(u => Number.isFinite(unitFactor(map, u, probe)));
+};
+
+// Category of a concentration unit: 'MOLARITY' or 'CONC_DOSE' (mass per volume)
+export const concFamily = (unit) => (unit in UNITS_MAP.MOLARITY ? "MOLARITY" : "CONC_DOSE");
+
+// Universal unit converter (substance = { mw, valence } for ANALYTE and ION_AMOUNT)
+export const convertUnit = (value, fromUnit, toUnit, unitType, substance) => {
+  const map = UNITS_MAP[unitType];
+  if (!map) throw new CalculationError("unitType", `Unknown unit category "${unitType}".`);
+  requireNumber(value, "value", "Value");
+  [fromUnit, toUnit].forEach((unit) => {
+    if (!(unit in map)) throw new CalculationError("unit", `"${unit}" is not a ${unitType} unit.`);
+  });
+
+  if (unitType === "TEMP") {
+    let baseC = value;
+    if (fromUnit === "F") { baseC = (value - 32) * 5 / 9; }
+    else if (fromUnit === "K") { baseC = value - 273.15; }
+
+    if (toUnit === "C") return baseC;
+    if (toUnit === "F") return map.F(baseC);
+    return map.K(baseC);
+  }
+
+  // Linear conversions
+  const from = unitFactor(map, fromUnit, substance);
+  const to = unitFactor(map, toUnit, substance);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) {
+    const needsCharge = [fromUnit, toUnit].some(u => u.startsWith("mEq"));
+    throw needsCharge && substance?.mw > 0
+      ? new CalculationError("valence", `${substance.name || "This substance"} has no ionic charge, so mEq does not apply.`)
+      : new CalculationError("mw", "A molecular weight greater than zero is required for this conversion.");
+  }
+  return (value * from) / to;
+};
+
+/* -------------------- Typed Quantities -------------------- */
+
+const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+
+// Evaluates the arithmetic at the start of `source` (+ - * / × ÷, parentheses, unary minus, 5e-3 notation)
+// and returns the rest of the text, which is the unit suffix when there is one
+const parseExpressionPrefix = (source) => {
+  let pos = 0;
+  const fail = (message) => { throw new CalculationError("expression", message); };
+  const peek = () => {
+    while (source[pos] === " ") pos += 1;
+    return source[pos];
+  };
+
+  const primary = () => {
+    const c = peek();
+    if (c === "-" || c === "+") {
+      pos += 1;
+      return c === "-" ? -primary() : primary();
+    }
+    if (c === "(") {
+      pos += 1;
+      const value = sum();
+      if (peek() !== ")") fail("A closing parenthesis is missing.");
+      pos += 1;
+      return value;
+    }
+    const match = source.slice(pos).match(NUMBER_PATTERN);
+    if (!match) fail(c === undefined ? "The expression is incomplete." : `Unexpected "${c}" in the expression.`);
+    pos += match[0].length;
+    return Number(match[0]);
+  };
+
+  const product = () => {
+    let value = primary();
+    for (let op = peek(); op === "*" || op === "/" || op === "×" || op === "÷"; op = peek()) {
+      pos += 1;
+      const rhs = primary();
+      value = op === "*" || op === "×" ? value * rhs : value / rhs;
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    for (let op = peek(); op === "+" || op === "-"; op = peek()) {
+      pos += 1;
+      const rhs = product();
+      value = op === "+" ? value + rhs : value - rhs;
+    }
+    return value;
+  };
+
+  const value = sum();
+  const rest = source.slice(pos).trim();
+  if (rest && !/^[A-Za-z%°µμ]/.test(rest)) fail(`Unexpected "${rest[0]}" in the expression.`);
+  return { value, rest };
+};
+
+// Spelling-insensitive unit key: "µg", "mcg" and "ug" match, as do "°F" and "F"
+const unitKey = (unit) => unit.replace(/\s+/g, "").replace(/^°/, "").replace(/[µμ]/g, "u").toLowerCase().replace(/mcg/g, "ug");
+
+const UNIT_ALIASES = { lbs: "lb", cc: "ml", mcl: "ul", degc: "c", degf: "f" };
+
+const matchUnit = (suffix, map) => {
+  if (suffix in map) return suffix;
+  const key = unitKey(suffix);
+  const wanted = UNIT_ALIASES[key] || key;
+  return Object.keys(map).find(u => unitKey(u) === wanted);
+};
+
+// Typed field text -> number in the field's `unit`. Accepts arithmetic ("12.5*2"), negatives, 5e-3 notation
+// and a unit suffix ("15 lb", "250 mcg") converted through the category in `unitType` (one or several; all
+// categories when omitted). "" = undefined (not entered); anything else invalid throws a CalculationError.
+export const parseQuantity = (text, { unit, unitType, substance } = {}) => {
+  if (text === null || text === undefined) return undefined;
+  if (typeof text === "number") return text;
+  const source = normalizeCommas(normalizeDigits(text).trim());
+  if (source === "") return undefined;
+  const { value, rest } = parseExpressionPrefix(source);
+  if (!Number.isFinite(value)) throw new CalculationError("expression", "The expression does not give a finite number.");
+  if (!rest || (unit && unitKey(rest) === unitKey(unit))) return value;
+  if (!unit) throw new CalculationError("unit", "This field does not take a unit.");
+
+  const types = unitType ? [].concat(unitType) : Object.keys(UNITS_MAP);
+  for (const type of types) {
+    const map = UNITS_MAP[type];
+    const from = map && unit in map ? matchUnit(rest, map) : undefined;
+    if (from) return convertUnit(value, from, unit, type, substance);
+  }
+  throw new CalculationError("unit", `"${rest}" cannot be converted to ${unit}.`);
+};
+
+/* -------------------- Dose & Infusion -------------------- */
+
+// Body surface area constants (K) for BSA (m²) = K × BW(g)^(2/3) / 10^4
+export const BSA_K = { Dog: 10.1, Cat: 10.0 };
+
+// Body surface area in m², or null for species without a K constant
+export const calcBSA = (weightKg, species) => {
+  const K = BSA_K[species];
+  if (!K || !(weightKg > 0)) return null;
+  return (K * Math.pow(weightKg * 1000, 2 / 3)) / 1e4;
+};
+
+// Dose per kg (or per m² when doseBasis is 'm2') -> total mg, with the stock volume and infusion
+// rates when a concentration / infusion time is given (both optional).
+export const calcDose = ({
+  weightKg,
+  dose,
+  doseUnit = "mg",
+  doseBasis = "kg",
+  species = null,
+  concentration = null,
+  concUnit = "mg/mL",
+  infusionMinutes = null,
+  dropFactor = 20,
+}) => {
+  requirePositive(weightKg, "weight", "Weight");
+  requirePositive(dose, "dose", "Dose");
+  const concValue = optionalPositive(concentration, "concentration", "Stock concentration");
+  const minutes = optionalPositive(infusionMinutes, "infusionMinutes", "Infusion time");
+
+  const mgPerUnit = convertUnit(dose, doseUnit, "mg", "MASS");
+  const bsa = calcBSA(weightKg, species);
+  if (doseBasis === "m2" && !bsa) {
+    throw new CalculationError("species", "BSA constants are only available for dogs and cats.");
+  }
+
+  const totalDoseMg = doseBasis === "m2" ? mgPerUnit * bsa : weightKg * mgPerUnit;
+  const volumeMl = concValue ? totalDoseMg / convertUnit(concValue, concUnit, "mg/mL", "CONC_DOSE") : null;
+  const infusion = volumeMl && minutes
+    ? { mlPerHr: (volumeMl / minutes) * 60, dropsPerMin: (volumeMl * dropFactor) / minutes }
+    : { mlPerHr: null, dropsPerMin: null };
+
+  return {
+    totalDoseMg,
+    mgPerKg: totalDoseMg / weightKg,
+    mgPerM2: bsa ? totalDoseMg / bsa : null,
+    bsa,
+    volumeMl,
+    ...infusion,
+  };
+};
+
+// Rate units for a constant rate infusion: the DOSE_RATE units, plus U/kg/hr for drugs dosed in units
+export const CRI_RATE_UNITS = [...Object.keys(UNITS_MAP.DOSE_RATE), "U/kg/hr"];
+
+// Constant rate infusion. The rate is normalised to amount/kg/hr (mg, or U for U/kg/hr with a U/mL stock).
+// 'pump' gives the neat stock by syringe driver; 'bag' adds it to a fluid bag run at fluidRateMlHr, so the
+// bag holds what it delivers over its run time (bagMl / fluidRateMlHr hours).
+export const calcCri = ({
+  weightKg,
+  rate,
+  rateUnit = "mcg/kg/min",
+  concentration,
+  concUnit = "mg/mL",
+  mode = "pump",
+  bagMl = null,
+  fluidRateMlHr = null,
+  dropFactor = 20,
+}) => {
+  requirePositive(weightKg, "weight", "Weight");
+  requirePositive(rate, "rate", "Infusion rate");
+  requirePositive(concentration, "concentration", "Stock concentration");
+
+  const isUnits = rateUnit === "U/kg/hr";
+  const ratePerKgHr = isUnits ? rate : convertUnit(rate, rateUnit, "mg/kg/hr", "DOSE_RATE");
+  const stockPerMl = isUnits ? concentration : convertUnit(concentration, concUnit, "mg/mL", "CONC_DOSE");
+  const amountPerHr = ratePerKgHr * weightKg;
+  const drugMlHr = amountPerHr / stockPerMl;
+
+  if (mode === "pump") return { amountPerHr, drugMlHr, dripRate: (drugMlHr * dropFactor) / 60 };
+
+  requirePositive(bagMl, "bagSize", "Bag size");
+  requirePositive(fluidRateMlHr, "fluidRate", "Fluid rate");
+  const bagHours = bagMl / fluidRateMlHr;
+  const amountToAdd = amountPerHr * bagHours;
+  return {
+    amountPerHr,
+    drugMlHr,
+    bagHours,
+    amountToAdd,
+    volumeToAdd: amountToAdd / stockPerMl,
+    finalConc: amountToAdd / bagMl,
+    dripRate: (fluidRateMlHr * dropFactor) / 60,
+  };
+};
+
+/* -------------------- Fluid Therapy -------------------- */
+
+// Maintenance in mL/day; shock volume is the full mL/kg "shock dose", bolus the usual aliquot (mL/kg)
+export const FLUID_SPECIES = {
+  Dog: { maintenance: (w) => 132 * Math.pow(w, 0.75), formula: "132 × BW^0.75 mL/day", shockVolume: 90, bolus: 20 },
+  Cat: { maintenance: (w) => 80 * Math.pow(w, 0.75), formula: "80 × BW^0.75 mL/day", shockVolume: 60, bolus: 10 },
+  Horse: { maintenance: (w) => 50 * w, formula: "50 mL/kg/day", shockVolume: 60, bolus: 10 },
+  Cattle: { maintenance: (w) => 50 * w, formula: "50 mL/kg/day", shockVolume: 60, bolus: 10 },
+  Other: { maintenance: (w) => 30 * w + 70, formula: "30 × BW + 70 mL/day", shockVolume: 60, bolus: 10 },
+};
+
+// Maintenance + dehydration deficit (replaced over `periodHours`) + ongoing losses, in mL/hr.
+// chartData holds the mean rate of each hour 0-24, so an hour the deficit ends in is prorated,
+// and total24h is the volume actually given in the first 24 hours.
+export const calcFluidPlan = ({ weightKg, species, dehydrationPct = null, lossesPerDay = null, periodHours = null }) => {
+  requirePositive(weightKg, "weight", "Weight");
+  const dehydration = optionalAmount(dehydrationPct, "dehydration", "Dehydration");
+  const losses = optionalAmount(lossesPerDay, "losses", "Ongoing losses");
+
+  const maintenanceDay = (FLUID_SPECIES[species] || FLUID_SPECIES.Other).maintenance(weightKg);
+  const maintenanceHr = maintenanceDay / 24;
+  const deficit = weightKg * (dehydration / 100) * 1000; // mL (1 kg ≈ 1 L)
+  const period = deficit > 0 ? requirePositive(periodHours, "period", "Replacement period") : 0;
+  const deficitHr = deficit > 0 ? deficit / period : 0;
+  const lossesHr = losses / 24;
+  const rateAfterDeficit = maintenanceHr + lossesHr;
+
+  const chartData = [];
+  for (let h = 0; h <= 24; h++) {
+    chartData.push({ x: h, y: rateAfterDeficit + deficitHr * Math.min(Math.max(period - h, 0), 1) });
+  }
+
+  return {
+    maintenanceDay,
+    maintenanceHr,
+    deficit,
+    deficitHr,
+    lossesHr,
+    totalHr: rateAfterDeficit + deficitHr,
+    rateAfterDeficit,
+    total24h: rateAfterDeficit * 24 + deficitHr * Math.min(period, 24),
+    chartData,
+  };
+};
+
+// Shock bolus: the volume of a mL/kg aliquot, its rate when given over `minutes`, and the species' full shock dose
+export const calcBolus = ({ weightKg, species, bolusMlPerKg, minutes }) => {
+  requirePositive(weightKg, "weight", "Weight");
+  requirePositive(bolusMlPerKg, "bolusDose", "Bolus dose");
+  requirePositive(minutes, "bolusTime", "Bolus time");
+  const volume = weightKg * bolusMlPerKg;
+  return {
+    volume,
+    rate: (volume / minutes) * 60,
+    shockDose: weightKg * (FLUID_SPECIES[species] || FLUID_SPECIES.Other).shockVolume,
+  };
+};
+
+/* -------------------- Solutions & Dilutions -------------------- */
+
+// Grams of solute for a molar (needs MW) or mass-per-volume concentration in a volume
+export const calcSolutionMass = ({ mw = null, concentration, concUnit, volume, volUnit = "mL" }) => {
+  requirePositive(concentration, "concentration", "Concentration");
+  requirePositive(volume, "volume", "Volume");
+  const volumeL = convertUnit(volume, volUnit, "L", "VOLUME");
+
+  if (concFamily(concUnit) === "CONC_DOSE") {
+    // g/L × L = g (1% w/v = 10 g/L)
+    return convertUnit(concentration, concUnit, "g/L", "CONC_DOSE") * volumeL;
+  }
+  requirePositive(mw, "mw", "Molecular weight");
+  return convertUnit(concentration, concUnit, "M", "MOLARITY") * volumeL * mw;
+};
+
+export const DILUTION_FIELDS = ["C1", "V1", "C2", "V2"];
+
+// C1V1 = C2V2 for the one field left undefined. Concentrations may mix molar and mass units
+// when `mw` is given. Returns the solved value in its unit plus diluent/stock volumes in V2's unit.
+export const solveC1V1 = ({ values, units, mw = null }) => {
+  const missing = DILUTION_FIELDS.filter(k => values[k] === undefined || values[k] === null);
+  if (missing.length !== 1) throw new CalculationError("fields", "Fill in exactly three of C1, V1, C2 and V2.");
+  const unknown = missing[0];
+
+  // Molar and mass concentrations can only be mixed through the molecular weight
+  const mixed = concFamily(units.C1) !== concFamily(units.C2);
+  if (mixed) requirePositive(mw, "mw", "Molecular weight (to mix molar and mass concentrations)");
+  const baseFamily = mixed ? "CONC_DOSE" : concFamily(units.C1);
+  const baseUnit = baseFamily === "MOLARITY" ? "M" : "mg/mL";
+
+  // M × g/mol = g/L = mg/mL
+  const toBase = (value, unit) => (concFamily(unit) === baseFamily
+    ? convertUnit(value, unit, baseUnit, baseFamily)
+    : convertUnit(value, unit, "M", "MOLARITY") * mw);
+  const fromBase = (value, unit) => (concFamily(unit) === baseFamily
+    ? convertUnit(value, baseUnit, unit, baseFamily)
+    : convertUnit(value / mw, "M", unit, "MOLARITY"));
+
+  const v = {};
+  DILUTION_FIELDS.filter(k => k !== unknown).forEach((k) => {
+    requirePositive(values[k], k);
+    v[k] = k.startsWith("C") ? toBase(values[k], units[k]) : convertUnit(values[k], units[k], "L", "VOLUME");
+  });
+
+  if (unknown === "C1") v.C1 = (v.C2 * v.V2) / v.V1;
+  if (unknown === "V1") v.V1 = (v.C2 * v.V2) / v.C1;
+  if (unknown === "C2") v.C2 = (v.C1 * v.V1) / v.V2;
+  if (unknown === "V2") v.V2 = (v.C1 * v.V1) / v.C2;
+
+  return {
+    unknown,
+    solved: unknown.startsWith("C") ? fromBase(v[unknown], units[unknown]) : convertUnit(v[unknown], "L", units[unknown], "VOLUME"),
+    diluent: convertUnit(v.V2 - v.V1, "L", units.V2, "VOLUME"),
+    stockVolume: convertUnit(v.V1, "L", units.V2, "VOLUME"),
+    dilutionFactor: v.C1 / v.C2,
+    concentrating: v.C2 > v.C1 * (1 + 1e-9), // Working concentration above the stock
+  };
+};
+
+export const MAX_DILUTION_STEPS = 24;
+
+// Same factor repeated for `steps` tubes
+export const repeatedFactors = (factor, steps) => {
+  requireNumber(factor, "factor", "Dilution factor");
+  if (factor <= 1) throw new CalculationError("factor", "Dilution factor must be greater than 1.");
+  requireNumber(steps, "steps", "Number of steps");
+  if (!Number.isInteger(steps) || steps < 1) throw new CalculationError("steps", "Number of steps must be a whole number of at least 1.");
+  return Array(steps).fill(factor);
+};
+
+// Concentration after each step; element 0 is the starting concentration
+export const serialDilution = ({ startConc, factors }) => {
+  requirePositive(startConc, "startConc", "Starting concentration");
+  if (!Array.isArray(factors) || factors.length === 0) throw new CalculationError("factors", "At least one dilution step is required.");
+  if (factors.length > MAX_DILUTION_STEPS) throw new CalculationError("factors", `A maximum of ${MAX_DILUTION_STEPS} steps is supported.`);
+  factors.forEach((f, i) => {
+    if (!(f > 1)) throw new CalculationError("factors", `Step ${i + 1}: dilution factor must be greater than 1.`);
+  });
+  const concentrations = [startConc];
+  factors.forEach((f) => concentrations.push(concentrations[concentrations.length - 1] / f));
+  return concentrations;
+};
+
+// Per-tube bench volumes, worked backwards so every tube keeps finalVolume after its transfer out.
+// Tube 0 is the stock; its `transfer` is the stock volume to start with.
+export const dilutionProtocol = ({ factors, concentrations, finalVolume }) => {
+  requirePositive(finalVolume, "finalVolume", "Final volume");
+  const tubes = [];
+  let prepared = finalVolume; // Volume made up in the current tube before anything is taken out
+  for (let i = factors.length; i >= 1; i--) {
+    const transfer = prepared / factors[i - 1];
+    tubes.unshift({ tube: i, factor: factors[i - 1], transfer, diluent: prepared - transfer, conc: concentrations[i] });
+    prepared = finalVolume + transfer;
+  }
+  tubes.unshift({ tube: 0, factor: null, transfer: prepared, diluent: 0, conc: concentrations[0] });
+  return tubes;
+};
+
+/* -------------------- Buffers (Henderson-Hasselbalch) -------------------- */
+
+// Davies constant A for water at 25 °C
+export const DAVIES_A = 0.509;
+
+// Apparent pKa at a working temperature (°C; empty = 25 °C, where pKa values are tabulated) and ionic
+// strength I (M; empty or 0 skips the correction)
+export const effectivePka = (pair, temperature = null, ionicStrength = null) => {
+  requirePositive(pair.pKa, "pKa");
+  const dpKadT = pair.dpKadT === undefined || pair.dpKadT === null ? 0 : requireNumber(pair.dpKadT, "dpKadT", "dpKa/dT");
+  const T = temperature === undefined || temperature === null ? 25 : requireNumber(temperature, "temperature", "Temperature");
+  const I = optionalAmount(ionicStrength, "ionicStrength", "Ionic strength");
+  let pKa = pair.pKa + dpKadT * (T - 25);
+  if (I > 0) {
+    const sqrtI = Math.sqrt(I);
+    pKa += (2 * (pair.acidCharge || 0) - 1) * DAVIES_A * (sqrtI / (1 + sqrtI) - 0.3 * I);
+  }
+  return pKa;
+};
+
+// Ratio [A⁻]/[HA] and the grams of acid and conjugate base for a total buffer concentration (M) in volumeMl
+export const hendersonHasselbalch = ({ pH, pKa, totalConc, volumeMl, mwAcid, mwBase }) => {
+  requireNumber(pH, "pH");
+  requirePositive(pKa, "pKa");
+  requirePositive(totalConc, "totalConc", "Buffer concentration");
+  requirePositive(volumeMl, "volume", "Volume");
+  requirePositive(mwAcid, "mwAcid", "Acid molecular weight");
+  requirePositive(mwBase, "mwBase", "Base molecular weight");
+
+  const ratio = Math.pow(10, pH - pKa);
+  const totalMol = totalConc * convertUnit(volumeMl, "mL", "L", "VOLUME");
+  const acidMol = totalMol / (1 + ratio);
+  const baseMol = totalMol - acidMol;
+  return { ratio, acidMol, baseMol, acidMass: acidMol * mwAcid, baseMass: baseMol * mwBase };
+};
+
+// pH of a mixture from the moles of acid and conjugate base actually added
+export const bufferPh = ({ pKa, acidMol, baseMol }) => {
+  requirePositive(pKa, "pKa");
+  requirePositive(acidMol, "acid", "Amount of acid");
+  requirePositive(baseMol, "base", "Amount of base");
+  return pKa + Math.log10(baseMol / acidMol);
+};
+
+export const KW = 1e-14; // Ion product of water at 25 °C
+
+// Exact (charge-balance) titrant volume in mL to bring a single-pKa system to pH.
+// 'base': strong base (Ct M) into V0 mL of weak acid at C0 M.
+// 'acid': strong acid (Ct M) into V0 mL of conjugate base at C0 M.
+// Returns NaN when the pH cannot be reached with this titrant.
+export const titrantVolumeForPh = ({ titrant, pH, pKa, C0, V0, Ct }) => {
+  const h = Math.pow(10, -pH);
+  const Ka = Math.pow(10, -pKa);
+  const alpha = Ka / (Ka + h); // Fraction present as A-
+  const D = h - KW / h; // [H+] - [OH-]
+  const V = titrant === "base"
+    ? (V0 * (alpha * C0 - D)) / (Ct + D)
+    : (V0 * (C0 * (1 - alpha) + D)) / (Ct - D);
+  return V >= 0 && Number.isFinite(V) ? V : NaN;
+};
+
+// pH vs titrant volume (mL), sampled by pH so the steep equivalence region stays smooth
+export const titrationCurve = (params, maxVolume) => {
+  const points = [];
+  for (let pH = 1; pH <= 13.001; pH += 0.05) {
+    const V = titrantVolumeForPh({ ...params, pH });
+    if (V <= maxVolume) points.push({ x: V, y: pH });
+  }
+  return points.sort((a, b) => a.x - b.x);
+};
+
+// Titrant volume to reach pH (NaN if unreachable or pH not given), equivalence volume and curve
+export const calcTitration = ({ titrant, pH, pKa, C0, V0, Ct }) => {
+  requirePositive(pKa, "pKa");
+  requirePositive(C0, "analyteConc", "Analyte concentration");
+  requirePositive(V0, "analyteVol", "Analyte volume");
+  requirePositive(Ct, "titrantConc", "Titrant concentration");
+  const params = { titrant, pKa, C0, V0, Ct };
+  const equivalenceVol = (C0 * V0) / Ct;
+  return {
+    volume: Number.isFinite(pH) ? titrantVolumeForPh({ ...params, pH }) : NaN,
+    equivalenceVol,
+    curve: titrationCurve(params, equivalenceVol * 2),
+  };
+};
+
+// Index of the pKa pair closest to the target pH (the pair with the best buffering capacity)
+export const closestPairIndex = (pairs, pH) =>
+  pairs.reduce((best, pair, i) => (Math.abs(pair.pKa - pH) < Math.abs(pairs[best].pKa - pH) ? i : best), 0);
+
+/* -------------------- Screen Helper -------------------- */
+
+// Runs an engine call for a screen: { result } on success, { error } for a CalculationError.
+// Other exceptions are programming errors and are rethrown.
+export const tryCalculation = (fn) => {
+  try {
+    return { result: fn(), error: null };
+  } catch (e) {
+    if (e instanceof CalculationError) return { result: null, error: e };
+    throw e;
+  }
+};
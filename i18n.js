@@ -0,0 +1,81 @@
+// i18n.js - VetLab Pro: string tables, language switching and localised number/date display
+// The active language is module state (like the display precision in App.js) so plain helpers can
+// translate without threading it through every call; App.js re-renders screens when it changes.
+
+import en from "./locales/en";
+import fa from "./locales/fa";
+
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-US", rtl: false },
+  fa: { name: "فارسی", locale: "fa-IR", rtl: true },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+const TABLES = { en, fa };
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+export const setLanguage = (language) => {
+  currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+};
+
+export const getLanguage = () => currentLanguage;
+
+export const isRTL = () => LANGUAGES[currentLanguage].rtl;
+
+// t("dose.title"), t("animals.count", { count: 3 }). Missing keys fall back to English, then to the key itself.
+export const t = (key, vars) => {
+  const template = TABLES[currentLanguage][key] ?? en[key] ?? key;
+  if (!vars) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined || vars[name] === null ? match : String(vars[name])));
+};
+
+// Translated label for a stored value (species, history type, drug note, ...), or `fallback` when it has none
+export const tValue = (group, value, fallback = value) => {
+  const key = `${group}.${value}`;
+  return TABLES[currentLanguage][key] ?? en[key] ?? String(fallback ?? "");
+};
+
+/* -------------------- Numbers & Dates -------------------- */
+
+const PERSIAN_DIGITS = "۰۱۲۳۴۵۶۷۸۹";
+
+// Western digits -> Persian digits (and the Persian decimal separator) when Persian is active
+export const localizeDigits = (text) => {
+  if (currentLanguage !== "fa") return String(text);
+  return String(text)
+    .replace(/(\d)\.(\d)/g, "$1٫$2")
+    .replace(/\d/g, d => PERSIAN_DIGITS[d]);
+};
+
+export const formatDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  try {
+    return date.toLocaleDateString(LANGUAGES[currentLanguage].locale, { day: "numeric", month: "short", year: "numeric" });
+  } catch (e) {
+    return localizeDigits(date.toISOString().slice(0, 10));
+  }
+};
+
+// Short form for chart axes: day and month only
+export const formatDayMonth = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  try {
+    return date.toLocaleDateString(LANGUAGES[currentLanguage].locale, { day: "numeric", month: "short" });
+  } catch (e) {
+    return localizeDigits(date.toISOString().slice(5, 10));
+  }
+};
+
+export const formatDateTime = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  try {
+    return date.toLocaleString(LANGUAGES[currentLanguage].locale, { day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit" });
+  } catch (e) {
+    return localizeDigits(date.toISOString().slice(0, 16).replace("T", " "));
+  }
+};
@@ -0,0 +1,695 @@
+// English strings, the reference table other languages fall back to. Keys are "screen.name"; groups marked
+// "stored values" label data that stays English in storage. Engine errors, analyte names and drug notes are
+// absent on purpose: tValue falls back to the English text that ships with them.
+
+export default {
+  // App shell
+  "app.linkErrorTitle": "Link Error",
+  "app.linkError": "This link does not open a VetLab screen.",
+  "app.darkMode": "Dark Mode",
+
+  // Header titles
+  "screens.Dose": "Dose & Infusion Rate",
+  "screens.CRI": "Constant Rate Infusion (CRI)",
+  "screens.Fluids": "Fluid Therapy Plan",
+  "screens.Solution": "Solution Concentration",
+  "screens.Stock": "Stock Dilution (C1V1=C2V2)",
+  "screens.Dilution": "Serial Dilution",
+  "screens.Buffer": "Buffer Solution",
+  "screens.Convert": "Unit Conversion",
+  "screens.History": "Calculation History",
+  "screens.Animals": "Animal Records",
+  "screens.Timeline": "Treatment Timeline",
+  "screens.Vitals": "Vital Signs",
+  "screens.Lab": "Lab Results",
+  "screens.Backup": "Backup & Restore",
+  "screens.Settings": "Display & Language",
+
+  // Shared labels
+  "common.cancel": "Cancel",
+  "common.success": "Success",
+  "common.error": "Error",
+  "common.listSeparator": ", ",
+  "common.inputError": "Input Error",
+  "common.delete": "Delete",
+  "common.species": "Species",
+  "common.weightKg": "Weight (kg)",
+  "common.patient": "Patient",
+  "common.selectAnimal": "Select Animal",
+  "common.selectAnimalOptional": "Select Animal (Optional)",
+  "common.patientWeight": "Patient Weight (kg)",
+  "common.stockConc": "Stock Concentration",
+  "common.concPlaceholder": "Concentration value",
+  "common.dropsPerMin": "{value} drops/min",
+  "common.mode": "Mode",
+  "common.patientOptional": "Patient (Optional)",
+  "common.mwPlaceholder": "e.g., 58.44 (NaCl)",
+  "common.volumePlaceholder": "Volume value",
+  "common.value": "Value",
+  "common.copy": "Copy",
+  "common.auto": "Auto",
+  "common.showOlder": "Show Older Entries",
+
+  // Storage errors
+  "storage.errorTitle": "Storage Error",
+  "storage.errorMessage": "Could not access device storage.",
+
+  // Home
+  "home.favourites": "Favourite Presets",
+  "home.quickAccess": "Quick Access Calculations",
+  "home.management": "Management & Tools",
+  "home.Dose": "Dose & Infusion Rate",
+  "home.DoseDesc": "Calculate drug doses, volumes, and infusion rates.",
+  "home.CRI": "Constant Rate Infusion (CRI)",
+  "home.CRIDesc": "mcg/kg/min, mg/kg/hr or U/kg/hr via syringe pump or fluid bag.",
+  "home.Fluids": "Fluid Therapy Planner",
+  "home.FluidsDesc": "Maintenance, dehydration deficit, ongoing losses and shock boluses.",
+  "home.Solution": "Solution & Grams Needed",
+  "home.SolutionDesc": "Molarity, % w/v to mass (g) calculations.",
+  "home.Stock": "Stock Dilution (C1V1 = C2V2)",
+  "home.StockDesc": "Solve for any unknown and get the diluent volume to add.",
+  "home.Dilution": "Serial Dilution & Chart",
+  "home.DilutionDesc": "Sequential dilutions with per-tube bench protocol and plate layout.",
+  "home.Buffer": "Buffer Solution (H-H)",
+  "home.BufferDesc": "Buffer library, masses from pH, pH from masses and titration curves.",
+  "home.Convert": "Comprehensive Unit Conversion",
+  "home.ConvertDesc": "Convert Mass, Volume, Molarity, Temperature and clinical analyte units.",
+  "home.Timeline": "Treatment Timeline",
+  "home.TimelineDesc": "Chronological doses, fluid plans, labs, vitals and notes per animal.",
+  "home.Vitals": "Vital Signs Log",
+  "home.VitalsDesc": "Record temperature, HR, RR, CRT, mucous membranes and pain with species flags.",
+  "home.Lab": "Lab Results",
+  "home.LabDesc": "CBC and biochemistry panels flagged against species reference intervals.",
+  "home.Backup": "Backup & Restore",
+  "home.BackupDesc": "Move all animals, history and settings to another device.",
+  "home.Settings": "Display & Language",
+  "home.SettingsDesc": "App language, decimal places or significant figures for all results, and how long history is kept.",
+  "home.Animals": "Animal Health Management",
+  "home.AnimalsDesc": "Manage {count} animal records (Weight, Vitals, Condition).",
+  "home.History": "Calculation History",
+  "home.HistoryDesc": "View and search {count} past calculations (CSV/JSON export).",
+
+  // Suggestions
+  "suggest.startTitle": "Start Calculating!",
+  "suggest.startDesc": "Perform your first calculation to get smart suggestions.",
+  "suggest.stockTitle": "Smart Suggestion: Stock Dilution",
+  "suggest.stockDesc": "You calculated a dose. Need to prepare the solution from a higher concentration stock?",
+  "suggest.convertTitle": "Smart Suggestion: Unit Conversion",
+  "suggest.convertDesc": "You prepared a solution. Do you need to convert the final concentration to a different unit (e.g., M to mM)?",
+  "suggest.vitalsTitle": "Smart Suggestion: Patient Vitals",
+  "suggest.vitalsDesc": "Buffer calculation is complete. Time to record this patient's vital signs?",
+  "suggest.animalTitle": "Smart Suggestion: Animal Profile",
+  "suggest.animalDesc": "Buffer calculation is complete. Time to check patient vitals or add a new animal profile?",
+  "suggest.doseTitle": "Suggestion: Dose Calculation",
+  "suggest.doseDesc": "Dose calculation is the most common task. Let's calculate a required drug amount.",
+
+  // History
+  "history.clearTitle": "Clear History",
+  "history.clearConfirm": "Are you sure you want to delete all calculation history? This action is irreversible.",
+  "history.clearAll": "Clear All",
+  "history.cleared": "Calculation history successfully cleared.",
+  "history.dateFormatError": "Dates must be in YYYY-MM-DD format.",
+  "history.archivedName": "{name} (archived)",
+  "history.patient": "Patient: {name}",
+  "history.inputs": "Inputs: {inputs}...",
+  "history.summary": "Result Summary: {summary}",
+  "history.date": "Date: {date}",
+  "history.title": "Calculation History ({shown} of {total})",
+  "history.searchPlaceholder": "Search by calculation type or keywords...",
+  "history.hideExport": "Hide Export",
+  "history.showExport": "Export…",
+  "history.format": "Format",
+  "history.formatCsv": "CSV (Spreadsheet)",
+  "history.type": "Calculation Type",
+  "history.allTypes": "All",
+  "history.patientFilter": "Patient",
+  "history.allPatients": "All",
+  "history.from": "From (YYYY-MM-DD)",
+  "history.to": "To (YYYY-MM-DD)",
+  "history.anyDate": "Any",
+  "history.exportShare": "Export & Share",
+  "history.empty": "No matching history found.",
+  "history.unknownAnimal": "Unknown Animal",
+  "history.unspecifiedDrug": "Unspecified drug",
+  "history.filters": "Filter…",
+  "history.filtersActive": "Filters ({count})",
+  "history.clearFilters": "Clear Filters",
+  "history.exportFiltered": "Exports the entries matching the current filters.",
+  "history.reopen": "Open in calculator",
+  "history.pin": "Pin",
+  "history.unpin": "Unpin",
+  "history.editNote": "Edit note",
+  "history.note": "Note: {note}",
+  "history.notePlaceholder": "Add a note to this entry",
+  "history.saveNote": "Save Note",
+  "history.deleteTitle": "Delete Entry",
+  "history.deleteConfirm": "Delete this {type} entry from {date}?",
+
+  // History entry types (stored values)
+  "historyType.Dose Calculation": "Dose Calculation",
+  "historyType.CRI Calculation": "CRI Calculation",
+  "historyType.Fluid Therapy Plan": "Fluid Therapy Plan",
+  "historyType.Solution Calculation": "Solution Calculation",
+  "historyType.Stock Dilution": "Stock Dilution",
+  "historyType.Serial Dilution": "Serial Dilution",
+  "historyType.Buffer Calculation": "Buffer Calculation",
+  "historyType.Unit Conversion": "Unit Conversion",
+  "historyType.Lab Panel": "Lab Panel",
+  "historyType.Clinical Note": "Clinical Note",
+  "historyType.Weight": "Weight",
+  "historyType.Vitals": "Vitals",
+
+  // History summaries, rebuilt from stored inputs
+  "historySentence.dose": "{drug} dose for {animal} ({weight} kg){basis}: {mg} mg required, volume {volume} mL from {conc} {concUnit} stock.{draw} Infusion rate: {rate} mL/hr.",
+  "historySentence.doseBasisKg": " at {dose} {unit}/kg",
+  "historySentence.doseBasisM2": " at {dose} {unit}/m² (BSA {bsa} m²)",
+  "historySentence.doseDraw": " Draw {volume} mL on a {syringe} syringe ({actual} mg actual, {error}%).",
+  "historySentence.doseOral": "{drug} oral dose for {animal} ({weight} kg): target {mg} mg, give {combination} = {delivered} mg ({perKg} mg/kg, {deviation}%).",
+  "historySentence.range_low": " WARNING: below the species range.",
+  "historySentence.range_high": " WARNING: above the species range.",
+  "historySentence.rangeOf_low": " WARNING: below the {species} range ({range}).",
+  "historySentence.rangeOf_high": " WARNING: above the {species} range ({range}).",
+  "historySentence.criPump": "CRI for {animal} ({weight} kg) at {rate} {rateUnit}: {amount} {unit}/hr = {mlHr} mL/hr of {stock} stock.",
+  "historySentence.criBag": "CRI for {animal} ({weight} kg) at {rate} {rateUnit}: add {amount} {unit} ({volume} mL of {stock}) to a {bag} mL bag, run at {fluidRate} mL/hr ({drops} drops/min, {dropFactor} gtt/mL set).",
+  "historySentence.fluidPlan": "Fluid plan for {animal} ({species}, {weight} kg): maintenance {maintenance} mL/hr + deficit {deficit} mL over {period} hr + losses {losses} mL/hr = {total} mL/hr ({total24h} mL in 24 hr).",
+  "historySentence.fluidBolus": "Shock bolus for {animal} ({species}, {weight} kg): {volume} mL ({dose} mL/kg) over {minutes} min = {rate} mL/hr.",
+  "historySentence.fluidShock": " Full shock dose {volume} mL.",
+  "historySentence.solution": "To make a solution of {conc} {concUnit} in {volume} {volUnit} (MW: {mw}), {grams} grams are needed.",
+  "historySentence.stock": "C1V1 = C2V2: draw up {V1} of {C1} stock and add {diluent} {unit} diluent to make {V2} at {C2} (1:{factor}).",
+  "historySentence.serial": "Serial dilution of {start} {unit} with {factors} for {steps} steps. Final concentration: {final} {unit}.{volumes}",
+  "historySentence.serialFactor": "factor {factor}",
+  "historySentence.serialFactors": "factors {factors}",
+  "historySentence.serialVolumes": " Each tube ends with {volume} {unit}; start with {transfer} {unit} of stock.",
+  "historySentence.pKa": " (pKa {pKa})",
+  "historySentence.bufferPrepare": "{buffer} buffer pH {pH} at {temperature} °C{pKa}: ratio [A-]/[HA] = {ratio}. Required: {acidMass} g {acid}, {saltMass} g {base} for {volume} mL of {conc} M solution.",
+  "historySentence.bufferReverse": "{buffer} buffer from {acidMmol} mmol {acid} and {baseMmol} mmol {base} at {temperature} °C: pH {pH}.",
+  "historySentence.bufferTitrate": "Titrate {volume} mL of {conc} M {analyte} with {titrantVolume} mL of {titrantConc} M {titrant} to reach pH {pH}{pKa}.",
+  "historySentence.analyte": "analyte",
+  "historySentence.conversion": "Converted {value} {from} to {result} {to} ({category}).",
+  "historySentence.labAbnormal": "{panel} for {animal} ({species}): {count} analytes, abnormal: {abnormal}.",
+  "historySentence.labNormal": "{panel} for {animal} ({species}): {count} analytes, all within reference intervals.",
+
+  // Export
+  "export.copiedTitle": "Copied",
+  "export.copiedMessage": "Sharing is not available on this device, so the export was copied to the clipboard.",
+  "export.dialogTitle": "Export {fileName}",
+  "export.writeFailed": "Failed to write the export file.",
+  "export.emptyHistoryTitle": "Empty History",
+  "export.emptyHistoryMessage": "No history items match the export filters.",
+  "export.noAnimalsTitle": "No Animals",
+  "export.noAnimalsMessage": "There are no animal records to export.",
+  "export.csv": "Export CSV",
+  "export.json": "Export JSON",
+
+  // Backup & restore
+  "backup.errorJson": "The file is not valid JSON.",
+  "backup.errorKind": "The file is not a VetLab Pro backup.",
+  "backup.errorVersion": "Backup version {version} is not supported by this version of the app.",
+  "backup.errorNewer": "The backup was made by a newer version of the app. Update the app to restore it.",
+  "backup.errorSection": "The \"{section}\" section of the backup is malformed.",
+  "backup.section_animals": "Animal Records",
+  "backup.section_history": "History Entries",
+  "backup.section_customBuffers": "Custom Buffers",
+  "backup.section_presets": "Presets",
+  "backup.invalidTitle": "Invalid Backup",
+  "backup.unreadable": "The backup could not be read.",
+  "backup.restoredTitle": "Restored",
+  "backup.merged": "The backup was merged with your data.",
+  "backup.replaced": "Your data was replaced with the backup.",
+  "backup.replaceTitle": "Replace All Data",
+  "backup.replaceConfirm": "Every section in the backup (listed above) will overwrite the same data on this device. This cannot be undone.",
+  "backup.replace": "Replace",
+  "backup.title": "💾 Backup & Restore",
+  "backup.intro": "Save every animal record, history entry, custom buffer, preset and setting to a single JSON file you can keep or move to another device.",
+  "backup.create": "Create Backup File",
+  "backup.presetsHelp": "To share a standard recipe set with your group, export only the presets (with the custom buffers they use). Colleagues restore the file with Merge.",
+  "backup.sharePresets": "Share Presets File",
+  "backup.choose": "Choose Backup to Restore",
+  "backup.created": "Created {date} · format v{version}",
+  "backup.sectionSummary": "{section}: {total} in backup, {fresh} new (you have {existing})",
+  "backup.modeHelp": "Merge keeps your data and adds only new items (matched by id, or time for history). Replace discards what is on this device.",
+  "backup.merge": "Merge",
+  "backup.replaceAll": "Replace All",
+
+  // Presets
+  "presets.show": "Presets ({count})",
+  "presets.hide": "Hide presets ({count})",
+  "presets.empty": "No presets for this calculator yet.",
+  "presets.namePlaceholder": "Preset name (e.g., Tris 50 mM pH 7.4)",
+  "presets.saveCurrent": "Save Current Form as Preset",
+  "presets.errorName": "Enter a name for the preset.",
+  "presets.saved": "Preset \"{name}\" saved.",
+  "presets.updated": "Preset \"{name}\" updated with the current form.",
+  "presets.favourite": "Add to favourites",
+  "presets.unfavourite": "Remove from favourites",
+  "presets.deleteTitle": "Delete Preset",
+  "presets.deleteConfirm": "Delete the preset \"{name}\"?",
+  "presets.noneTitle": "No Presets",
+  "presets.noneMessage": "Save a calculator form as a preset first.",
+
+  // Animal records
+  "animals.errorNameWeight": "Please enter a valid name and weight.",
+  "animals.updated": "Animal updated successfully!",
+  "animals.added": "Animal added successfully!",
+  "animals.deleteTitle": "Delete Animal",
+  "animals.deleteConfirm": "Are you sure you want to delete this animal's record?",
+  "animals.deleteLinkedOne": "{name} has 1 linked history entry. Archive it under the animal's name, or delete it with the record?",
+  "animals.deleteLinkedMany": "{name} has {count} linked history entries. Archive them under the animal's name, or delete them with the record?",
+  "animals.archiveHistory": "Archive History",
+  "animals.deleteHistory": "Delete History",
+  "animals.errorWeight": "Please enter a valid weight.",
+  "animals.weightLog": "Weight Log",
+  "animals.errorLastWeight": "An animal record needs at least one weight entry.",
+  "animals.weightTrend": "{name} – Weight Trend",
+  "animals.admission": "Admission: {weight} kg ({date})",
+  "animals.latest": "Latest: {weight} kg",
+  "animals.changeSinceAdmission": "Change Since Admission: {change}%",
+  "animals.timelineButton": "Treatment Timeline ({count})",
+  "animals.weightAxis": "Weight (kg)",
+  "animals.recordWeight": "Record New Weight (kg)",
+  "animals.newWeightPlaceholder": "e.g., 15.2",
+  "animals.logEntry": "{date}: {weight} kg",
+  "animals.weightLine": "Weight: {weight} kg",
+  "animals.sinceAdmission": " ({change}% since admission)",
+  "animals.conditionLine": "Condition: {condition}",
+  "animals.healthy": "Healthy",
+  "animals.title": "🐾 Animal Health Management",
+  "animals.name": "Animal Name",
+  "animals.namePlaceholder": "e.g., Buddy",
+  "animals.weightPlaceholder": "e.g., 15.5",
+  "animals.condition": "Medical Condition",
+  "animals.conditionPlaceholder": "e.g., Renal Failure, Post-Op",
+  "animals.update": "Update Animal Record",
+  "animals.add": "Add New Animal",
+  "animals.registered": "Registered Animals ({count})",
+  "animals.tapHint": "Tap an animal to view its weight trend.",
+  "animals.empty": "No animals tracked yet.",
+
+  // Species (stored values)
+  "species.Dog": "Dog",
+  "species.Cat": "Cat",
+  "species.Horse": "Horse",
+  "species.Cattle": "Cattle",
+  "species.Other": "Other",
+
+  // Treatment timeline
+  "timeline.weightRecorded": "Weight recorded: {weight} kg",
+  "timeline.errorNote": "Select an animal and write a note.",
+  "timeline.title": "🗂️ Treatment Timeline",
+  "timeline.summary": "{species} · {weight} kg · {condition}",
+  "timeline.addNote": "Add Clinical Note",
+  "timeline.notePlaceholder": "e.g., Eating well, IV catheter replaced",
+  "timeline.events": "Events ({count})",
+  "timeline.empty": "No events recorded for {name} yet.",
+
+  // Vital signs
+  "vitals.mmShort": "MM",
+  "vitals.temp": "Temperature",
+  "vitals.hr": "Heart Rate",
+  "vitals.rr": "Respiratory Rate",
+  "vitals.crt": "CRT",
+  "vitals.pain": "Pain Score",
+  "vitals.errorAnimal": "Please select an animal first.",
+  "vitals.errorEmpty": "Please enter at least one vital sign.",
+  "vitals.deleteTitle": "Delete Reading",
+  "vitals.deleteConfirm": "Delete this set of vital signs?",
+  "vitals.title": "🩺 Vital Signs Log",
+  "vitals.noRanges": "No reference ranges for {species}; readings will not be flagged.",
+  "vitals.tempPlaceholder": "e.g., 38.5",
+  "vitals.hrLabel": "Heart Rate (bpm)",
+  "vitals.hrPlaceholder": "e.g., 100",
+  "vitals.rrLabel": "Respiratory Rate (breaths/min)",
+  "vitals.rrPlaceholder": "e.g., 24",
+  "vitals.crtLabel": "Capillary Refill Time (s)",
+  "vitals.crtPlaceholder": "e.g., 1.5",
+  "vitals.mmLabel": "Mucous Membrane Colour",
+  "vitals.painLabel": "Pain Score (0–10)",
+  "vitals.painPlaceholder": "e.g., 2",
+  "vitals.record": "Record Vital Signs",
+  "vitals.trend": "Trend",
+  "vitals.trendHint": "Record at least two readings to see a trend.",
+  "vitals.readings": "Readings ({count})",
+  "vitals.mmLine": "Mucous Membranes: {value}",
+
+  // Mucous membranes (stored values)
+  "mucousMembranes.Pink": "Pink",
+  "mucousMembranes.Pale": "Pale",
+  "mucousMembranes.White": "White",
+  "mucousMembranes.Cyanotic": "Cyanotic",
+  "mucousMembranes.Icteric": "Icteric",
+  "mucousMembranes.Injected": "Injected",
+
+  // Reference flags
+  "flags.low": "LOW",
+  "flags.high": "HIGH",
+
+  // Pickers
+  "picker.selectOrManual": "— Select or Manually Enter Weight —",
+  "picker.animalOption": "{name} ({weight} kg)",
+  "picker.weightUsed": "Weight Used",
+  "picker.weightLatest": "Latest: {weight} kg ({date})",
+  "picker.weightLogged": "Logged: {weight} kg ({date})",
+  "picker.selectAnimal": "— Select an Animal —",
+  "picker.noPatient": "— No Patient —",
+
+  // Lab results
+  "lab.errorAnimal": "Please select the animal these results belong to.",
+  "lab.errorEmpty": "Please enter at least one result.",
+  "lab.lowMark": "L ▼",
+  "lab.highMark": "H ▲",
+  "lab.resultPlaceholder": "Result",
+  "lab.prior": "Prior: {value} {unit}",
+  "lab.title": "🧪 Lab Results (CBC & Biochemistry)",
+  "lab.noRanges": "No reference intervals for {species}; results will not be flagged.",
+  "lab.panel": "Panel",
+  "lab.units": "Units (tap a unit to switch a single analyte)",
+  "lab.conventional": "Conventional",
+  "lab.compare": "Compare With Prior Panel",
+  "lab.noComparison": "— No Comparison —",
+  "lab.save": "Save {panel} Panel",
+  "lab.footnote": "*Reference intervals are typical adult values; use your laboratory's own intervals where available.",
+
+  // Lab panels
+  "labPanels.CBC": "Haematology (CBC)",
+  "labPanels.BIOCHEM": "Biochemistry",
+
+  // Lab analytes
+  "labAnalytes.neut": "Neutrophils",
+  "labAnalytes.lymph": "Lymphocytes",
+  "labAnalytes.hgb": "Haemoglobin",
+  "labAnalytes.hct": "Haematocrit",
+  "labAnalytes.plt": "Platelets",
+  "labAnalytes.glu": "Glucose",
+  "labAnalytes.bun": "Urea (BUN)",
+  "labAnalytes.crea": "Creatinine",
+  "labAnalytes.tbil": "Total Bilirubin",
+  "labAnalytes.tp": "Total Protein",
+  "labAnalytes.alb": "Albumin",
+  "labAnalytes.ca": "Calcium",
+  "labAnalytes.phos": "Phosphorus",
+  "labAnalytes.na": "Sodium",
+  "labAnalytes.k": "Potassium",
+  "labAnalytes.cl": "Chloride",
+
+  // Dose
+  "dose.errorConc": "Stock concentration is required.",
+  "dose.errorOral": "Enter weight, dose and at least one tablet or capsule strength.",
+  "dose.selectForRange": "Select an animal to check the dose against its species range.",
+  "dose.noRange": "No formulary range for {species}. Verify this dose manually.",
+  "dose.bsaSpecies": "BSA constants are only available for dogs and cats.",
+  "dose.withinRange": "✓ {dose} is within the {species} range ({range}).",
+  "dose.belowRange": "⚠️ {dose} is BELOW the {species} range for {drug} ({range}).",
+  "dose.aboveRange": "⚠️ {dose} is ABOVE the {species} range for {drug} ({range}).",
+  "dose.title": "💊 Dose & Infusion Rate Calculator",
+  "dose.drug": "Drug (Formulary)",
+  "dose.freeEntry": "— Free Entry (No Drug Check) —",
+  "dose.stockStrength": "Stock Strength",
+  "dose.route": "Route: {route}",
+  "dose.speciesRange": "{species} range: {range}",
+  "dose.basis": "Dose Basis",
+  "dose.perKg": "per kg (mg/kg)",
+  "dose.perM2": "per m² (BSA)",
+  "dose.bsaSpeciesLabel": "Species for BSA",
+  "dose.noBsa": "No BSA constant for {species}; per-m² dosing is only available for dogs and cats.",
+  "dose.dosePerM2": "Dose per m²",
+  "dose.dosePerKg": "Dose per kg",
+  "dose.dosePlaceholder": "Dose amount",
+  "dose.formulation": "Formulation",
+  "dose.injectable": "Injectable / Liquid",
+  "dose.oral": "Oral Tablet / Capsule",
+  "dose.syringe": "Syringe (Round Volume to Graduation)",
+  "dose.exactVolume": "— Exact Volume (No Rounding) —",
+  "dose.autoSyringe": "Auto (Smallest Syringe That Fits)",
+  "dose.syringeOption": "{syringe} — {graduation} mL marks",
+  "dose.infusionTime": "Infusion Time (minutes) (Optional for Rate)",
+  "dose.timePlaceholder": "e.g., 30 minutes",
+  "dose.tablet": "Tablet",
+  "dose.capsule": "Capsule",
+  "dose.strengths": "Available Strengths (mg, separated by ; or spaces)",
+  "dose.strengthsPlaceholder": "e.g., 25; 50; 100",
+  "dose.strengthsInvalid": "Separate strengths with \";\" or spaces (a comma is read as a decimal mark); each must be greater than zero.",
+  "dose.splitting": "Tablets Can Be",
+  "dose.whole": "Whole Only",
+  "dose.halved": "Halved",
+  "dose.quartered": "Quartered",
+  "dose.calculateOral": "Calculate Tablets per Dose",
+  "dose.calculate": "Calculate Dose and Volume",
+  "dose.bsa": "Body Surface Area:",
+  "dose.totalDose": "Total Dose Required:",
+  "dose.equivalent": "Equivalent Dose:",
+  "dose.volume": "Volume Needed from Stock:",
+  "dose.drawUp": "Draw Up ({syringe}):",
+  "dose.actualDose": "Actual Dose Given:",
+  "dose.roundingError": "Rounding Error: {error}%",
+  "dose.belowGraduation": "Volume is below half a graduation on this syringe. Dilute the stock or choose a smaller syringe.",
+  "dose.exceedsBarrel": "Exceeds the barrel: {fills} draws needed, or choose a larger syringe.",
+  "dose.givePerDose": "Give per Dose:",
+  "dose.delivered": "Delivered:",
+  "dose.deviation": "Deviation from Target: {deviation}%",
+  "dose.noCombination": "No combination is within ±{limit}% of the target; consider a compounded liquid.",
+  "dose.deliveredBelow": "⚠️ Delivered dose is below the {species} range ({range}).",
+  "dose.deliveredAbove": "⚠️ Delivered dose is above the {species} range ({range}).",
+  "dose.alternatives": "Alternatives: {list}",
+  "dose.infusionRate": "Infusion Rate:",
+  "dose.dropRate": "Drop Rate (20 gtt/mL set):",
+
+  // Syringes
+  "syringes.insulin-0.3": "Insulin 0.3 mL (U-100)",
+  "syringes.insulin-0.5": "Insulin 0.5 mL (U-100)",
+  "syringes.insulin-1": "Insulin 1 mL (U-100)",
+  "syringes.tb-1": "Tuberculin 1 mL",
+
+  // Constant rate infusion
+  "cri.title": "🩸 Constant Rate Infusion (CRI)",
+  "cri.rate": "Infusion Rate",
+  "cri.ratePlaceholder": "e.g., 5",
+  "cri.method": "Delivery Method",
+  "cri.pump": "Syringe Pump (Stock)",
+  "cri.bag": "Add to Fluid Bag",
+  "cri.bagSize": "Bag Size (mL)",
+  "cri.bagSizePlaceholder": "e.g., 500",
+  "cri.fluidRate": "Target Fluid Rate (mL/hr)",
+  "cri.fluidRatePlaceholder": "e.g., 30",
+  "cri.givingSet": "Giving Set (drops/mL)",
+  "cri.calculate": "Calculate CRI",
+  "cri.delivered": "Drug Delivered:",
+  "cri.stockRate": "Stock Infusion Rate:",
+  "cri.toAdd": "Drug to Add to Bag:",
+  "cri.toAddValue": "{amount} {unit} ({volume} mL stock)",
+  "cri.finalConc": "Final Bag Concentration:",
+  "cri.bagDuration": "Bag Duration:",
+  "cri.footnote": "*For accuracy, withdraw the same volume of fluid from the bag before adding the drug.",
+  "cri.dripRate": "Drip Rate ({dropFactor} gtt/mL set):",
+
+  // Fluid therapy
+  "fluids.title": "💧 Fluid Therapy Planner",
+  "fluids.plan": "Fluid Plan",
+  "fluids.bolus": "Shock Bolus",
+  "fluids.dehydration": "Dehydration (%)",
+  "fluids.dehydrationPlaceholder": "e.g., 7",
+  "fluids.losses": "Ongoing Losses (mL/day)",
+  "fluids.lossesPlaceholder": "Vomiting, diarrhoea, polyuria...",
+  "fluids.period": "Deficit Replacement Period (hours)",
+  "fluids.periodPlaceholder": "e.g., 24",
+  "fluids.bolusDose": "Bolus Dose (mL/kg)",
+  "fluids.bolusDosePlaceholder": "e.g., 20",
+  "fluids.bolusTime": "Bolus Time (minutes)",
+  "fluids.bolusTimePlaceholder": "e.g., 15",
+  "fluids.savePlan": "Save Fluid Plan",
+  "fluids.saveBolus": "Save Bolus",
+  "fluids.maintenance": "Maintenance ({formula}):",
+  "fluids.deficit": "Deficit:",
+  "fluids.ongoingLosses": "Ongoing Losses:",
+  "fluids.totalRate": "Total Rate:",
+  "fluids.rateAfter": "Rate After Deficit Replaced:",
+  "fluids.volume24h": "Volume in First 24 hr:",
+  "fluids.chartTitle": "Planned Rate Over 24 Hours",
+  "fluids.hourAxis": "Hour",
+  "fluids.rateAxis": "Rate (mL/hr)",
+  "fluids.bolusVolume": "Bolus Volume:",
+  "fluids.bolusRate": "Bolus Rate:",
+  "fluids.shockDose": "Full Shock Dose ({volume} mL/kg):",
+  "fluids.footnote": "*Reassess perfusion parameters after each bolus before repeating.",
+
+  // Solution
+  "solution.title": "🔬 Solution & Grams Needed",
+  "solution.mw": "Molecular Weight (MW - g/mol)",
+  "solution.targetConc": "Target Concentration",
+  "solution.finalVolume": "Final Volume",
+  "solution.calculate": "Calculate Grams Required",
+  "solution.grams": "Grams Required:",
+  "solution.footnote": "*MW is not required for % w/v calculation.",
+
+  // Stock dilution
+  "stock.concentrating": "Working concentration is higher than the stock; dilution cannot reach it.",
+  "stock.checkInputs": "Check Inputs",
+  "stock.c1": "Stock Concentration (C1)",
+  "stock.v1": "Stock Volume to Draw Up (V1)",
+  "stock.c2": "Working Concentration (C2)",
+  "stock.v2": "Final Volume (V2)",
+  "stock.title": "🧫 Stock Dilution (C1V1 = C2V2)",
+  "stock.hint": "Leave the value you want to solve for empty.",
+  "stock.mw": "Molecular Weight (g/mol) (Only to Mix Molar and Mass Units)",
+  "stock.solve": "Solve & Save",
+  "stock.drawUp": "Stock to Draw Up:",
+  "stock.diluent": "Diluent to Add:",
+  "stock.dilution": "Dilution:",
+
+  // Serial dilution
+  "dilution.pointStart": "Start: {conc}",
+  "dilution.pointStep": "Step {step}: {conc}",
+  "dilution.copiedTitle": "Protocol Copied!",
+  "dilution.copiedMessage": "The dilution protocol table was copied to the clipboard.",
+  "dilution.copyFailed": "Failed to copy data to clipboard.",
+  "dilution.errorFactors": "Enter the dilution factors in order, each greater than 1.",
+  "dilution.title": "📈 Serial Dilution & Chart",
+  "dilution.start": "Starting Concentration",
+  "dilution.factors": "Dilution Factors",
+  "dilution.sameFactor": "Same Factor Each Step",
+  "dilution.perStep": "Factor Per Step",
+  "dilution.factorList": "Factors in Order (separated by ; or spaces, max {max})",
+  "dilution.factorListPlaceholder": "e.g., 2; 2; 5; 10",
+  "dilution.factorInvalid": "Separate factors with \";\" or spaces (a comma is read as a decimal mark); every factor must be greater than 1.",
+  "dilution.factor": "Dilution Factor (e.g., 10 for 1:10)",
+  "dilution.factorPlaceholder": "e.g., 10",
+  "dilution.steps": "Number of Steps (Max {max})",
+  "dilution.stepsPlaceholder": "e.g., 5",
+  "dilution.tooManySteps": "A maximum of {max} steps is supported.",
+  "dilution.finalVolume": "Final Volume per Tube (Optional, for Protocol)",
+  "dilution.finalVolumePlaceholder": "e.g., 100",
+  "dilution.calculate": "Calculate & Visualize Dilution",
+  "dilution.chartTitle": "Concentration Over Steps (Log Scale)",
+  "dilution.stepAxis": "Dilution Step (x)",
+  "dilution.concAxis": "Concentration ({unit})",
+  "dilution.finalConc": "Final Concentration:",
+  "dilution.protocol": "Bench Protocol",
+  "dilution.protocolHint": "Make up each tube from the last one back, then transfer in order. Every tube, including the first, ends with {volume}.",
+  "dilution.colTube": "Tube",
+  "dilution.colWell": "Well",
+  "dilution.colTransfer": "Transfer",
+  "dilution.colDiluent": "Diluent",
+  "dilution.colConc": "Conc ({unit})",
+  "dilution.stock": "Stock",
+  "dilution.volumesNote": "Volumes in {unit}. \"Stock\" is the volume of starting solution to place in the first well.",
+  "dilution.plate": "96-Well Plate Layout",
+
+  // Buffer
+  "buffer.weakAcid": "Weak Acid (HA)",
+  "buffer.conjugateSalt": "Conjugate Salt (A⁻)",
+  "buffer.errorCustom": "Enter a name, pKa and both molecular weights to save a custom buffer.",
+  "buffer.deleteTitle": "Delete Custom Buffer",
+  "buffer.deleteConfirm": "Delete \"{name}\"?",
+  "buffer.errorTitration": "Enter the target pH, solution and titrant details. The target pH must be reachable with the selected titrant.",
+  "buffer.title": "⚖️ Buffer Solution (H-H Equation)",
+  "buffer.system": "Buffer System",
+  "buffer.manualEntry": "— Manual Entry (Custom pKa & MW) —",
+  "buffer.modePrepare": "pH → Masses",
+  "buffer.modeReverse": "Amounts → pH",
+  "buffer.modeTitrate": "Titrate to pH",
+  "buffer.targetPh": "Target pH of Buffer",
+  "buffer.phPlaceholder": "pH (e.g., 7.4)",
+  "buffer.pair": "Acid / Base Pair",
+  "buffer.pairInfo": "pKa {pKa} at 25 °C, dpKa/dT {dpKadT} per °C",
+  "buffer.deleteCustom": "Delete this custom buffer",
+  "buffer.pKa": "pKa of Weak Acid (at 25 °C)",
+  "buffer.pKaPlaceholder": "pKa (e.g., 6.86 for Phosphate)",
+  "buffer.mwAcid": "MW of Weak Acid (g/mol)",
+  "buffer.mwAcidPlaceholder": "MW of HA",
+  "buffer.mwSalt": "MW of Conjugate Salt (g/mol)",
+  "buffer.mwSaltPlaceholder": "MW of A-",
+  "buffer.dpKadT": "dpKa/dT per °C (Optional)",
+  "buffer.dpKadTPlaceholder": "e.g., -0.028",
+  "buffer.saveCustom": "Save as Custom Buffer",
+  "buffer.namePlaceholder": "Buffer name",
+  "buffer.temperature": "Working Temperature (°C)",
+  "buffer.temperaturePlaceholder": "e.g., 37",
+  "buffer.ionicStrength": "Ionic Strength (M) (Optional Activity Correction)",
+  "buffer.ionicStrengthPlaceholder": "e.g., 0.15 (physiological)",
+  "buffer.effectivePka": "Effective pKa:",
+  "buffer.outsideRange": "Target pH is more than 1 unit from the pKa; buffering capacity will be poor.",
+  "buffer.prepareTitle": "Required Components for Preparation",
+  "buffer.totalConc": "Total Required Concentration (M)",
+  "buffer.totalConcPlaceholder": "e.g., 0.1 M",
+  "buffer.totalVolume": "Total Volume (mL)",
+  "buffer.totalVolumePlaceholder": "e.g., 1000 mL",
+  "buffer.calculatePrepare": "Calculate Grams Needed",
+  "buffer.ratio": "Ratio [A⁻]/[HA]:",
+  "buffer.massOf": "Mass of {name}:",
+  "buffer.reverseTitle": "Amounts Actually Used",
+  "buffer.weighed": "Weighed Masses",
+  "buffer.stockVolumes": "Stock Volumes",
+  "buffer.massLabel": "Mass of {name} (g)",
+  "buffer.massAcidPlaceholder": "e.g., 1.2",
+  "buffer.massBasePlaceholder": "e.g., 1.4",
+  "buffer.acidStock": "Acid Stock: Volume (mL) and Concentration (M)",
+  "buffer.baseStock": "Base Stock: Volume (mL) and Concentration (M)",
+  "buffer.calculateReverse": "Calculate Resulting pH",
+  "buffer.resultingPh": "Resulting pH:",
+  "buffer.poorMixture": "pH is more than 1 unit from the pKa; the mixture buffers poorly.",
+  "buffer.titrateTitle": "Titration to Target pH",
+  "buffer.titrantInto": "{titrant} into {name}",
+  "buffer.analyte": "{name} Solution: Concentration (M) and Volume (mL)",
+  "buffer.titrantMolarity": "{titrant} Molarity (M)",
+  "buffer.titrantPlaceholder": "e.g., 1",
+  "buffer.calculateTitrate": "Calculate Titrant Volume",
+  "buffer.toAdd": "{titrant} to Add:",
+  "buffer.equivalence": "Equivalence Point:",
+  "buffer.curveTitle": "Titration Curve",
+  "buffer.addedAxis": "{titrant} Added (mL)",
+  "buffer.curveLegend": "Shaded band: buffer region (pKa ± 1). Dashed line: target pH.",
+
+  // Buffer library
+  "bufferNames.Phosphate": "Phosphate",
+  "bufferNames.Tris": "Tris",
+  "bufferNames.HEPES": "HEPES",
+  "bufferNames.MOPS": "MOPS",
+  "bufferNames.Acetate": "Acetate",
+  "bufferNames.Citrate": "Citrate",
+  "bufferNames.Bicarbonate / Carbonate": "Bicarbonate / Carbonate",
+  "bufferNames.Manual": "Manual",
+
+  // Unit conversion
+  "convert.title": "🔄 Comprehensive Unit Conversion",
+  "convert.category": "Select Category",
+  "convert.analyte": "Analyte / Ion",
+  "convert.customAnalyte": "Custom (enter MW and charge)",
+  "convert.mw": "Molecular Weight (g/mol)",
+  "convert.mwPlaceholder": "e.g., 24.305",
+  "convert.valence": "Ionic Charge (Valence, optional)",
+  "convert.valencePlaceholder": "e.g., 2 for Mg²⁺",
+  "convert.substanceInfo": "MW {mw} g/mol, charge {valence}",
+  "convert.substanceNoCharge": "MW {mw} g/mol, no mEq conversion",
+  "convert.value": "Value to Convert",
+  "convert.valuePlaceholder": "Enter value",
+  "convert.from": "From Unit",
+  "convert.to": "To Unit",
+  "convert.calculate": "Calculate Conversion",
+  "convert.result": "Result:",
+
+  // Conversion categories
+  "conversionCategories.MASS": "Mass (kg, g, mg, μg)",
+  "conversionCategories.VOLUME": "Volume (L, mL, uL)",
+  "conversionCategories.MOLARITY": "Molarity (M, mM, µM)",
+  "conversionCategories.TEMP": "Temperature (°C, °F, K)",
+  "conversionCategories.ANALYTE": "Clinical Analyte (mg/dL, mmol/L, µmol/L, mEq/L)",
+  "conversionCategories.ION_AMOUNT": "Ion Amount (mg, mmol, mEq)",
+
+  // Display & language settings
+  "settings.title": "🔢 Display & Language",
+  "settings.language": "Language",
+  "settings.roundTo": "Round Results To",
+  "settings.decimals": "Decimal Places",
+  "settings.sigfigs": "Significant Figures",
+  "settings.preview": "Preview",
+  "settings.note": "Applies to every calculator. History keeps the exact values; only the displayed text is rounded. Syringe rounding is chosen per dose on the Dose screen.",
+  "settings.retention": "Keep History",
+  "settings.retentionItems": "Most Recent Entries",
+  "settings.retentionAge": "Entries Newer Than",
+  "settings.retentionAll": "All",
+  "settings.retentionDays": "{days} days",
+  "settings.retentionYears": "{years} years",
+  "settings.retentionYear": "1 year",
+  "settings.retentionNote": "Older entries beyond these limits are deleted as new ones are saved. Pinned entries are always kept.",
+  "settings.retentionTitle": "Delete Older History?",
+  "settings.retentionConfirm": "{count} entries are outside the new limits and will be deleted. Pinned entries are kept.",
+};
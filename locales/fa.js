@@ -0,0 +1,782 @@
+// Persian strings. Keys missing here fall back to English (see locales/en.js); numbers inside the
+// sentences stay Western and are localised by i18n.js at display time. Units and chemical symbols stay Latin.
+
+export default {
+  // App shell
+  "app.linkErrorTitle": "خطای پیوند",
+  "app.linkError": "این پیوند هیچ صفحه‌ای از VetLab را باز نمی‌کند.",
+  "app.darkMode": "حالت تیره",
+
+  // Header titles
+  "screens.Dose": "محاسبه دوز و نرخ تزریق",
+  "screens.CRI": "انفوزیون با سرعت ثابت (CRI)",
+  "screens.Fluids": "برنامه مایع‌درمانی",
+  "screens.Solution": "محاسبه غلظت محلول",
+  "screens.Stock": "رقیق‌سازی محلول ذخیره (C1V1=C2V2)",
+  "screens.Dilution": "رقت سریالی (Serial Dilution)",
+  "screens.Buffer": "محلول بافر",
+  "screens.Convert": "تبدیل واحد",
+  "screens.History": "تاریخچه محاسبات",
+  "screens.Animals": "مدیریت پرونده حیوانات",
+  "screens.Timeline": "سابقه درمان حیوان",
+  "screens.Vitals": "ثبت علائم حیاتی",
+  "screens.Lab": "نتایج آزمایشگاه",
+  "screens.Backup": "پشتیبان‌گیری و بازیابی",
+  "screens.Settings": "نمایش و زبان",
+
+  // Shared labels
+  "common.cancel": "انصراف",
+  "common.success": "انجام شد",
+  "common.error": "خطا",
+  "common.listSeparator": "، ",
+  "common.inputError": "خطای ورودی",
+  "common.delete": "حذف",
+  "common.species": "گونه",
+  "common.weightKg": "وزن (kg)",
+  "common.patient": "بیمار",
+  "common.selectAnimal": "انتخاب حیوان",
+  "common.selectAnimalOptional": "انتخاب حیوان (اختیاری)",
+  "common.patientWeight": "وزن بیمار (kg)",
+  "common.stockConc": "غلظت محلول ذخیره",
+  "common.concPlaceholder": "مقدار غلظت",
+  "common.dropsPerMin": "{value} قطره در دقیقه",
+  "common.mode": "حالت",
+  "common.patientOptional": "بیمار (اختیاری)",
+  "common.mwPlaceholder": "مثلاً 58.44 (NaCl)",
+  "common.volumePlaceholder": "مقدار حجم",
+  "common.value": "مقدار",
+  "common.copy": "کپی",
+  "common.auto": "خودکار",
+  "common.showOlder": "نمایش موارد قدیمی‌تر",
+
+  // Storage errors
+  "storage.errorTitle": "خطای ذخیره‌سازی",
+  "storage.errorMessage": "دسترسی به حافظه دستگاه ممکن نشد.",
+
+  // Home
+  "home.favourites": "پیش‌تنظیم‌های برگزیده",
+  "home.quickAccess": "دسترسی سریع به محاسبات",
+  "home.management": "مدیریت و ابزارها",
+  "home.Dose": "دوز و نرخ تزریق",
+  "home.DoseDesc": "محاسبه دوز دارو، حجم و نرخ تزریق.",
+  "home.CRI": "انفوزیون با سرعت ثابت (CRI)",
+  "home.CRIDesc": "mcg/kg/min، mg/kg/hr یا U/kg/hr با پمپ سرنگ یا کیسه سرم.",
+  "home.Fluids": "برنامه‌ریز مایع‌درمانی",
+  "home.FluidsDesc": "نگهدارنده، کمبود ناشی از دهیدراتاسیون، هدررفت مداوم و بولوس شوک.",
+  "home.Solution": "محلول و گرم مورد نیاز",
+  "home.SolutionDesc": "محاسبه مولاریته و درصد w/v به جرم (g).",
+  "home.Stock": "رقیق‌سازی محلول ذخیره (C1V1 = C2V2)",
+  "home.StockDesc": "هر مجهولی را حل کنید و حجم رقیق‌کننده لازم را ببینید.",
+  "home.Dilution": "رقت سریالی و نمودار",
+  "home.DilutionDesc": "رقت‌های متوالی با پروتکل آزمایشگاهی هر لوله و چیدمان پلیت.",
+  "home.Buffer": "محلول بافر (H-H)",
+  "home.BufferDesc": "کتابخانه بافر، جرم از pH، pH از جرم و منحنی تیتراسیون.",
+  "home.Convert": "تبدیل جامع واحدها",
+  "home.ConvertDesc": "تبدیل جرم، حجم، مولاریته، دما و واحدهای آنالیت‌های بالینی.",
+  "home.Timeline": "سابقه درمان",
+  "home.TimelineDesc": "دوزها، برنامه‌های مایع‌درمانی، آزمایش‌ها، علائم حیاتی و یادداشت‌های هر حیوان به ترتیب زمان.",
+  "home.Vitals": "ثبت علائم حیاتی",
+  "home.VitalsDesc": "ثبت دما، ضربان قلب، تعداد تنفس، CRT، رنگ مخاط و نمره درد با هشدار بر اساس گونه.",
+  "home.Lab": "نتایج آزمایشگاه",
+  "home.LabDesc": "پنل‌های CBC و بیوشیمی با علامت‌گذاری بر اساس محدوده مرجع گونه.",
+  "home.Backup": "پشتیبان‌گیری و بازیابی",
+  "home.BackupDesc": "انتقال همه حیوانات، تاریخچه و تنظیمات به دستگاه دیگر.",
+  "home.Settings": "نمایش و زبان",
+  "home.SettingsDesc": "زبان برنامه، تعداد رقم اعشار یا ارقام معنادار همه نتایج و مدت نگهداری تاریخچه.",
+  "home.Animals": "مدیریت سلامت حیوانات",
+  "home.AnimalsDesc": "مدیریت {count} پرونده حیوان (وزن، علائم حیاتی، وضعیت).",
+  "home.History": "تاریخچه محاسبات",
+  "home.HistoryDesc": "مشاهده و جستجوی {count} محاسبه قبلی (خروجی CSV/JSON).",
+
+  // Suggestions
+  "suggest.startTitle": "محاسبه را شروع کنید!",
+  "suggest.startDesc": "اولین محاسبه خود را انجام دهید تا پیشنهادهای هوشمند دریافت کنید.",
+  "suggest.stockTitle": "پیشنهاد هوشمند: رقیق‌سازی محلول ذخیره",
+  "suggest.stockDesc": "دوز را محاسبه کردید. می‌خواهید محلول را از یک محلول ذخیره غلیظ‌تر آماده کنید؟",
+  "suggest.convertTitle": "پیشنهاد هوشمند: تبدیل واحد",
+  "suggest.convertDesc": "محلولی آماده کردید. می‌خواهید غلظت نهایی را به واحد دیگری (مثلاً M به mM) تبدیل کنید؟",
+  "suggest.vitalsTitle": "پیشنهاد هوشمند: علائم حیاتی بیمار",
+  "suggest.vitalsDesc": "محاسبه بافر کامل شد. وقت ثبت علائم حیاتی این بیمار است؟",
+  "suggest.animalTitle": "پیشنهاد هوشمند: پرونده حیوان",
+  "suggest.animalDesc": "محاسبه بافر کامل شد. وقت بررسی علائم حیاتی یا افزودن پرونده حیوان جدید است؟",
+  "suggest.doseTitle": "پیشنهاد: محاسبه دوز",
+  "suggest.doseDesc": "محاسبه دوز رایج‌ترین کار است. مقدار داروی مورد نیاز را محاسبه کنیم.",
+
+  // History
+  "history.clearTitle": "پاک کردن تاریخچه",
+  "history.clearConfirm": "آیا از حذف کل تاریخچه محاسبات مطمئن هستید؟ این کار برگشت‌پذیر نیست.",
+  "history.clearAll": "پاک کردن همه",
+  "history.cleared": "تاریخچه محاسبات با موفقیت پاک شد.",
+  "history.dateFormatError": "تاریخ‌ها باید به شکل YYYY-MM-DD باشند.",
+  "history.archivedName": "{name} (بایگانی‌شده)",
+  "history.patient": "بیمار: {name}",
+  "history.inputs": "ورودی‌ها: {inputs}...",
+  "history.summary": "خلاصه نتیجه: {summary}",
+  "history.date": "تاریخ: {date}",
+  "history.title": "تاریخچه محاسبات ({shown} از {total})",
+  "history.searchPlaceholder": "جستجو بر اساس نوع محاسبه یا کلیدواژه...",
+  "history.hideExport": "بستن خروجی",
+  "history.showExport": "خروجی…",
+  "history.format": "قالب",
+  "history.formatCsv": "CSV (صفحه‌گسترده)",
+  "history.type": "نوع محاسبه",
+  "history.allTypes": "همه",
+  "history.patientFilter": "بیمار",
+  "history.allPatients": "همه",
+  "history.from": "از (YYYY-MM-DD)",
+  "history.to": "تا (YYYY-MM-DD)",
+  "history.anyDate": "هر زمان",
+  "history.exportShare": "خروجی و اشتراک‌گذاری",
+  "history.empty": "موردی در تاریخچه یافت نشد.",
+  "history.unknownAnimal": "حیوان نامشخص",
+  "history.unspecifiedDrug": "داروی نامشخص",
+  "history.filters": "فیلتر…",
+  "history.filtersActive": "فیلترها ({count})",
+  "history.clearFilters": "حذف فیلترها",
+  "history.exportFiltered": "موارد منطبق با فیلترهای فعلی خروجی گرفته می‌شوند.",
+  "history.reopen": "باز کردن در ماشین‌حساب",
+  "history.pin": "سنجاق کردن",
+  "history.unpin": "برداشتن سنجاق",
+  "history.editNote": "ویرایش یادداشت",
+  "history.note": "یادداشت: {note}",
+  "history.notePlaceholder": "یادداشتی برای این مورد بنویسید",
+  "history.saveNote": "ذخیره یادداشت",
+  "history.deleteTitle": "حذف مورد",
+  "history.deleteConfirm": "این مورد {type} مربوط به {date} حذف شود؟",
+
+  // History entry types (stored values)
+  "historyType.Dose Calculation": "محاسبه دوز",
+  "historyType.CRI Calculation": "محاسبه CRI",
+  "historyType.Fluid Therapy Plan": "برنامه مایع‌درمانی",
+  "historyType.Solution Calculation": "محاسبه محلول",
+  "historyType.Stock Dilution": "رقیق‌سازی محلول ذخیره",
+  "historyType.Serial Dilution": "رقت سریالی",
+  "historyType.Buffer Calculation": "محاسبه بافر",
+  "historyType.Unit Conversion": "تبدیل واحد",
+  "historyType.Lab Panel": "پنل آزمایشگاهی",
+  "historyType.Clinical Note": "یادداشت بالینی",
+  "historyType.Weight": "وزن",
+  "historyType.Vitals": "علائم حیاتی",
+
+  // History summaries, rebuilt from stored inputs
+  "historySentence.dose": "دوز {drug} برای {animal} ({weight} kg){basis}: {mg} mg لازم است، حجم {volume} mL از محلول ذخیره {conc} {concUnit}.{draw} نرخ تزریق: {rate} mL/hr.",
+  "historySentence.doseBasisKg": " با {dose} {unit}/kg",
+  "historySentence.doseBasisM2": " با {dose} {unit}/m² (BSA {bsa} m²)",
+  "historySentence.doseDraw": " {volume} mL با سرنگ {syringe} کشیده شود ({actual} mg واقعی، {error}%).",
+  "historySentence.doseOral": "دوز خوراکی {drug} برای {animal} ({weight} kg): هدف {mg} mg، تجویز {combination} = {delivered} mg ({perKg} mg/kg، {deviation}%).",
+  "historySentence.range_low": " هشدار: کمتر از محدوده گونه.",
+  "historySentence.range_high": " هشدار: بیشتر از محدوده گونه.",
+  "historySentence.rangeOf_low": " هشدار: کمتر از محدوده {species} ({range}).",
+  "historySentence.rangeOf_high": " هشدار: بیشتر از محدوده {species} ({range}).",
+  "historySentence.criPump": "CRI برای {animal} ({weight} kg) با {rate} {rateUnit}: {amount} {unit}/hr = {mlHr} mL/hr از محلول ذخیره {stock}.",
+  "historySentence.criBag": "CRI برای {animal} ({weight} kg) با {rate} {rateUnit}: {amount} {unit} ({volume} mL از {stock}) به کیسه {bag} mL اضافه و با {fluidRate} mL/hr ({drops} قطره در دقیقه با ست {dropFactor} gtt/mL) تزریق شود.",
+  "historySentence.fluidPlan": "برنامه مایع‌درمانی {animal} ({species}، {weight} kg): نگهدارنده {maintenance} mL/hr + کمبود {deficit} mL در {period} ساعت + هدررفت {losses} mL/hr = {total} mL/hr ({total24h} mL در ۲۴ ساعت).",
+  "historySentence.fluidBolus": "بولوس شوک برای {animal} ({species}، {weight} kg): {volume} mL ({dose} mL/kg) در {minutes} دقیقه = {rate} mL/hr.",
+  "historySentence.fluidShock": " دوز کامل شوک {volume} mL.",
+  "historySentence.solution": "برای ساخت محلول {conc} {concUnit} در {volume} {volUnit} (MW: {mw})، {grams} گرم لازم است.",
+  "historySentence.stock": "C1V1 = C2V2: {V1} از محلول ذخیره {C1} بکشید و {diluent} {unit} رقیق‌کننده اضافه کنید تا {V2} با غلظت {C2} به دست آید (1:{factor}).",
+  "historySentence.serial": "رقت سریالی {start} {unit} با {factors} در {steps} مرحله. غلظت نهایی: {final} {unit}.{volumes}",
+  "historySentence.serialFactor": "ضریب {factor}",
+  "historySentence.serialFactors": "ضرایب {factors}",
+  "historySentence.serialVolumes": " حجم نهایی هر لوله {volume} {unit} است؛ با {transfer} {unit} از محلول ذخیره شروع کنید.",
+  "historySentence.pKa": " (pKa {pKa})",
+  "historySentence.bufferPrepare": "بافر {buffer} با pH {pH} در {temperature} °C{pKa}: نسبت [A-]/[HA] = {ratio}. مورد نیاز: {acidMass} g {acid} و {saltMass} g {base} برای {volume} mL محلول {conc} M.",
+  "historySentence.bufferReverse": "بافر {buffer} از {acidMmol} mmol {acid} و {baseMmol} mmol {base} در {temperature} °C: pH {pH}.",
+  "historySentence.bufferTitrate": "تیتراسیون {volume} mL {analyte} {conc} M با {titrantVolume} mL {titrant} {titrantConc} M تا رسیدن به pH {pH}{pKa}.",
+  "historySentence.analyte": "آنالیت",
+  "historySentence.conversion": "{value} {from} به {result} {to} تبدیل شد ({category}).",
+  "historySentence.labAbnormal": "{panel} برای {animal} ({species}): {count} آنالیت، غیرطبیعی: {abnormal}.",
+  "historySentence.labNormal": "{panel} برای {animal} ({species}): {count} آنالیت، همه در محدوده مرجع.",
+
+  // Export
+  "export.copiedTitle": "کپی شد",
+  "export.copiedMessage": "اشتراک‌گذاری روی این دستگاه در دسترس نیست، بنابراین خروجی در کلیپ‌بورد کپی شد.",
+  "export.dialogTitle": "خروجی {fileName}",
+  "export.writeFailed": "نوشتن فایل خروجی ناموفق بود.",
+  "export.emptyHistoryTitle": "تاریخچه خالی",
+  "export.emptyHistoryMessage": "هیچ موردی از تاریخچه با فیلترهای خروجی مطابقت ندارد.",
+  "export.noAnimalsTitle": "حیوانی ثبت نشده",
+  "export.noAnimalsMessage": "پرونده حیوانی برای خروجی وجود ندارد.",
+  "export.csv": "خروجی CSV",
+  "export.json": "خروجی JSON",
+
+  // Backup & restore
+  "backup.errorJson": "این فایل JSON معتبر نیست.",
+  "backup.errorKind": "این فایل پشتیبان VetLab Pro نیست.",
+  "backup.errorVersion": "نسخه پشتیبان {version} توسط این نسخه از برنامه پشتیبانی نمی‌شود.",
+  "backup.errorNewer": "این پشتیبان با نسخه جدیدتری از برنامه ساخته شده است. برای بازیابی، برنامه را به‌روزرسانی کنید.",
+  "backup.errorSection": "بخش «{section}» در فایل پشتیبان نامعتبر است.",
+  "backup.section_animals": "پرونده حیوانات",
+  "backup.section_history": "موارد تاریخچه",
+  "backup.section_customBuffers": "بافرهای سفارشی",
+  "backup.section_presets": "پیش‌تنظیم‌ها",
+  "backup.invalidTitle": "پشتیبان نامعتبر",
+  "backup.unreadable": "فایل پشتیبان خوانده نشد.",
+  "backup.restoredTitle": "بازیابی شد",
+  "backup.merged": "پشتیبان با داده‌های شما ادغام شد.",
+  "backup.replaced": "داده‌های شما با پشتیبان جایگزین شد.",
+  "backup.replaceTitle": "جایگزینی همه داده‌ها",
+  "backup.replaceConfirm": "هر بخشی که در پشتیبان هست (فهرست بالا) جایگزین همان داده‌ها در این دستگاه می‌شود. این کار برگشت‌پذیر نیست.",
+  "backup.replace": "جایگزینی",
+  "backup.title": "💾 پشتیبان‌گیری و بازیابی",
+  "backup.intro": "همه پرونده‌های حیوانات، موارد تاریخچه، بافرهای سفارشی، پیش‌تنظیم‌ها و تنظیمات را در یک فایل JSON ذخیره کنید تا نگه دارید یا به دستگاه دیگری منتقل کنید.",
+  "backup.create": "ساخت فایل پشتیبان",
+  "backup.presetsHelp": "برای اشتراک یک مجموعه دستور استاندارد با گروه، فقط پیش‌تنظیم‌ها (همراه بافرهای سفارشی مورد استفاده) را خروجی بگیرید. همکاران فایل را با «ادغام» بازیابی می‌کنند.",
+  "backup.sharePresets": "اشتراک فایل پیش‌تنظیم‌ها",
+  "backup.choose": "انتخاب پشتیبان برای بازیابی",
+  "backup.created": "ساخته‌شده در {date} · قالب v{version}",
+  "backup.sectionSummary": "{section}: {total} در پشتیبان، {fresh} مورد جدید (شما {existing} مورد دارید)",
+  "backup.modeHelp": "ادغام، داده‌های شما را نگه می‌دارد و فقط موارد جدید را اضافه می‌کند (بر اساس شناسه، یا زمان برای تاریخچه). جایگزینی، داده‌های این دستگاه را دور می‌ریزد.",
+  "backup.merge": "ادغام",
+  "backup.replaceAll": "جایگزینی همه",
+
+  // Presets
+  "presets.show": "پیش‌تنظیم‌ها ({count})",
+  "presets.hide": "پنهان کردن پیش‌تنظیم‌ها ({count})",
+  "presets.empty": "هنوز پیش‌تنظیمی برای این ماشین‌حساب نیست.",
+  "presets.namePlaceholder": "نام پیش‌تنظیم (مثلاً Tris 50 mM pH 7.4)",
+  "presets.saveCurrent": "ذخیره فرم فعلی به‌عنوان پیش‌تنظیم",
+  "presets.errorName": "نامی برای پیش‌تنظیم وارد کنید.",
+  "presets.saved": "پیش‌تنظیم «{name}» ذخیره شد.",
+  "presets.updated": "پیش‌تنظیم «{name}» با فرم فعلی به‌روز شد.",
+  "presets.favourite": "افزودن به برگزیده‌ها",
+  "presets.unfavourite": "حذف از برگزیده‌ها",
+  "presets.deleteTitle": "حذف پیش‌تنظیم",
+  "presets.deleteConfirm": "پیش‌تنظیم «{name}» حذف شود؟",
+  "presets.noneTitle": "پیش‌تنظیمی نیست",
+  "presets.noneMessage": "ابتدا فرم یک ماشین‌حساب را به‌عنوان پیش‌تنظیم ذخیره کنید.",
+
+  // Animal records
+  "animals.errorNameWeight": "لطفاً نام و وزن معتبر وارد کنید.",
+  "animals.updated": "پرونده حیوان با موفقیت به‌روزرسانی شد!",
+  "animals.added": "حیوان با موفقیت اضافه شد!",
+  "animals.deleteTitle": "حذف حیوان",
+  "animals.deleteConfirm": "آیا از حذف پرونده این حیوان مطمئن هستید؟",
+  "animals.deleteLinkedOne": "{name} یک مورد تاریخچه مرتبط دارد. آن را با نام حیوان بایگانی می‌کنید یا همراه پرونده حذف می‌کنید؟",
+  "animals.deleteLinkedMany": "{name} {count} مورد تاریخچه مرتبط دارد. آن‌ها را با نام حیوان بایگانی می‌کنید یا همراه پرونده حذف می‌کنید؟",
+  "animals.archiveHistory": "بایگانی تاریخچه",
+  "animals.deleteHistory": "حذف تاریخچه",
+  "animals.errorWeight": "لطفاً وزن معتبر وارد کنید.",
+  "animals.weightLog": "سابقه وزن",
+  "animals.errorLastWeight": "پرونده حیوان باید دست‌کم یک وزن ثبت‌شده داشته باشد.",
+  "animals.weightTrend": "{name} – روند وزن",
+  "animals.admission": "هنگام پذیرش: {weight} kg ({date})",
+  "animals.latest": "آخرین: {weight} kg",
+  "animals.changeSinceAdmission": "تغییر نسبت به پذیرش: {change}٪",
+  "animals.timelineButton": "سابقه درمان ({count})",
+  "animals.weightAxis": "وزن (kg)",
+  "animals.recordWeight": "ثبت وزن جدید (kg)",
+  "animals.newWeightPlaceholder": "مثلاً 15.2",
+  "animals.logEntry": "{date}: {weight} kg",
+  "animals.weightLine": "وزن: {weight} kg",
+  "animals.sinceAdmission": " ({change}٪ نسبت به پذیرش)",
+  "animals.conditionLine": "وضعیت: {condition}",
+  "animals.healthy": "سالم",
+  "animals.title": "🐾 مدیریت سلامت حیوانات",
+  "animals.name": "نام حیوان",
+  "animals.namePlaceholder": "مثلاً پاپی",
+  "animals.weightPlaceholder": "مثلاً 15.5",
+  "animals.condition": "وضعیت بالینی",
+  "animals.conditionPlaceholder": "مثلاً نارسایی کلیه، پس از جراحی",
+  "animals.update": "به‌روزرسانی پرونده حیوان",
+  "animals.add": "افزودن حیوان جدید",
+  "animals.registered": "حیوانات ثبت‌شده ({count})",
+  "animals.tapHint": "برای دیدن روند وزن، روی حیوان بزنید.",
+  "animals.empty": "هنوز حیوانی ثبت نشده است.",
+
+  // Species (stored values)
+  "species.Dog": "سگ",
+  "species.Cat": "گربه",
+  "species.Horse": "اسب",
+  "species.Cattle": "گاو",
+  "species.Other": "سایر",
+
+  // Treatment timeline
+  "timeline.weightRecorded": "وزن ثبت شد: {weight} kg",
+  "timeline.errorNote": "یک حیوان انتخاب کنید و یادداشت بنویسید.",
+  "timeline.title": "🗂️ سابقه درمان",
+  "timeline.summary": "{species} · {weight} kg · {condition}",
+  "timeline.addNote": "افزودن یادداشت بالینی",
+  "timeline.notePlaceholder": "مثلاً اشتهای خوب، کاتتر وریدی تعویض شد",
+  "timeline.events": "رویدادها ({count})",
+  "timeline.empty": "هنوز رویدادی برای {name} ثبت نشده است.",
+
+  // Vital signs
+  "vitals.mmShort": "مخاط",
+  "vitals.temp": "دما",
+  "vitals.hr": "ضربان قلب",
+  "vitals.rr": "تعداد تنفس",
+  "vitals.crt": "CRT",
+  "vitals.pain": "نمره درد",
+  "vitals.errorAnimal": "لطفاً ابتدا یک حیوان انتخاب کنید.",
+  "vitals.errorEmpty": "لطفاً دست‌کم یک علامت حیاتی وارد کنید.",
+  "vitals.deleteTitle": "حذف اندازه‌گیری",
+  "vitals.deleteConfirm": "این مجموعه علائم حیاتی حذف شود؟",
+  "vitals.title": "🩺 ثبت علائم حیاتی",
+  "vitals.noRanges": "محدوده مرجعی برای {species} وجود ندارد؛ اندازه‌ها علامت‌گذاری نمی‌شوند.",
+  "vitals.tempPlaceholder": "مثلاً 38.5",
+  "vitals.hrLabel": "ضربان قلب (bpm)",
+  "vitals.hrPlaceholder": "مثلاً 100",
+  "vitals.rrLabel": "تعداد تنفس (در دقیقه)",
+  "vitals.rrPlaceholder": "مثلاً 24",
+  "vitals.crtLabel": "زمان پرشدگی مویرگی (s)",
+  "vitals.crtPlaceholder": "مثلاً 1.5",
+  "vitals.mmLabel": "رنگ مخاط",
+  "vitals.painLabel": "نمره درد (۰ تا ۱۰)",
+  "vitals.painPlaceholder": "مثلاً 2",
+  "vitals.record": "ثبت علائم حیاتی",
+  "vitals.trend": "روند",
+  "vitals.trendHint": "برای دیدن روند، دست‌کم دو اندازه‌گیری ثبت کنید.",
+  "vitals.readings": "اندازه‌گیری‌ها ({count})",
+  "vitals.mmLine": "رنگ مخاط: {value}",
+
+  // Mucous membranes (stored values)
+  "mucousMembranes.Pink": "صورتی",
+  "mucousMembranes.Pale": "رنگ‌پریده",
+  "mucousMembranes.White": "سفید",
+  "mucousMembranes.Cyanotic": "سیانوتیک",
+  "mucousMembranes.Icteric": "زرد (ایکتریک)",
+  "mucousMembranes.Injected": "پرخون",
+
+  // Reference flags
+  "flags.low": "پایین",
+  "flags.high": "بالا",
+
+  // Pickers
+  "picker.selectOrManual": "— انتخاب یا ورود دستی وزن —",
+  "picker.animalOption": "{name} ({weight} kg)",
+  "picker.weightUsed": "وزن مورد استفاده",
+  "picker.weightLatest": "آخرین: {weight} kg ({date})",
+  "picker.weightLogged": "ثبت‌شده: {weight} kg ({date})",
+  "picker.selectAnimal": "— انتخاب حیوان —",
+  "picker.noPatient": "— بدون بیمار —",
+
+  // Lab results
+  "lab.errorAnimal": "لطفاً حیوانی را که این نتایج متعلق به آن است انتخاب کنید.",
+  "lab.errorEmpty": "لطفاً دست‌کم یک نتیجه وارد کنید.",
+  "lab.lowMark": "L ▼",
+  "lab.highMark": "H ▲",
+  "lab.resultPlaceholder": "نتیجه",
+  "lab.prior": "قبلی: {value} {unit}",
+  "lab.title": "🧪 نتایج آزمایشگاه (CBC و بیوشیمی)",
+  "lab.noRanges": "محدوده مرجعی برای {species} وجود ندارد؛ نتایج علامت‌گذاری نمی‌شوند.",
+  "lab.panel": "پنل",
+  "lab.units": "واحدها (برای تغییر یک آنالیت، روی واحد آن بزنید)",
+  "lab.conventional": "متداول",
+  "lab.compare": "مقایسه با پنل قبلی",
+  "lab.noComparison": "— بدون مقایسه —",
+  "lab.save": "ذخیره پنل {panel}",
+  "lab.footnote": "*محدوده‌های مرجع، مقادیر معمول بالغین هستند؛ در صورت امکان از محدوده‌های آزمایشگاه خود استفاده کنید.",
+
+  // Lab panels
+  "labPanels.CBC": "هماتولوژی (CBC)",
+  "labPanels.BIOCHEM": "بیوشیمی",
+
+  // Lab analytes
+  "labAnalytes.neut": "نوتروفیل",
+  "labAnalytes.lymph": "لنفوسیت",
+  "labAnalytes.hgb": "هموگلوبین",
+  "labAnalytes.hct": "هماتوکریت",
+  "labAnalytes.plt": "پلاکت",
+  "labAnalytes.glu": "گلوکز",
+  "labAnalytes.bun": "اوره (BUN)",
+  "labAnalytes.crea": "کراتینین",
+  "labAnalytes.tbil": "بیلی‌روبین تام",
+  "labAnalytes.tp": "پروتئین تام",
+  "labAnalytes.alb": "آلبومین",
+  "labAnalytes.ca": "کلسیم",
+  "labAnalytes.phos": "فسفر",
+  "labAnalytes.na": "سدیم",
+  "labAnalytes.k": "پتاسیم",
+  "labAnalytes.cl": "کلر",
+
+  // Dose
+  "dose.errorConc": "غلظت محلول ذخیره لازم است.",
+  "dose.errorOral": "وزن، دوز و دست‌کم یک قدرت قرص یا کپسول را وارد کنید.",
+  "dose.selectForRange": "برای بررسی دوز با محدوده گونه، یک حیوان انتخاب کنید.",
+  "dose.noRange": "محدوده دارویی برای {species} وجود ندارد. این دوز را دستی بررسی کنید.",
+  "dose.bsaSpecies": "ضرایب BSA فقط برای سگ و گربه موجود است.",
+  "dose.withinRange": "✓ {dose} در محدوده {species} است ({range}).",
+  "dose.belowRange": "⚠️ {dose} کمتر از محدوده {species} برای {drug} است ({range}).",
+  "dose.aboveRange": "⚠️ {dose} بیشتر از محدوده {species} برای {drug} است ({range}).",
+  "dose.title": "💊 محاسبه‌گر دوز و نرخ تزریق",
+  "dose.drug": "دارو (فارماکوپه)",
+  "dose.freeEntry": "— ورود آزاد (بدون بررسی دارو) —",
+  "dose.stockStrength": "قدرت محلول ذخیره",
+  "dose.route": "راه تجویز: {route}",
+  "dose.speciesRange": "محدوده {species}: {range}",
+  "dose.basis": "مبنای دوز",
+  "dose.perKg": "به ازای kg (mg/kg)",
+  "dose.perM2": "به ازای m² (BSA)",
+  "dose.bsaSpeciesLabel": "گونه برای BSA",
+  "dose.noBsa": "ضریب BSA برای {species} وجود ندارد؛ دوز بر حسب m² فقط برای سگ و گربه در دسترس است.",
+  "dose.dosePerM2": "دوز به ازای m²",
+  "dose.dosePerKg": "دوز به ازای kg",
+  "dose.dosePlaceholder": "مقدار دوز",
+  "dose.formulation": "فرمولاسیون",
+  "dose.injectable": "تزریقی / مایع",
+  "dose.oral": "قرص / کپسول خوراکی",
+  "dose.syringe": "سرنگ (گرد کردن حجم به درجه‌بندی)",
+  "dose.exactVolume": "— حجم دقیق (بدون گرد کردن) —",
+  "dose.autoSyringe": "خودکار (کوچک‌ترین سرنگ مناسب)",
+  "dose.syringeOption": "{syringe} — درجه‌بندی {graduation} mL",
+  "dose.infusionTime": "زمان تزریق (دقیقه) (اختیاری برای نرخ)",
+  "dose.timePlaceholder": "مثلاً 30 دقیقه",
+  "dose.tablet": "قرص",
+  "dose.capsule": "کپسول",
+  "dose.strengths": "قدرت‌های موجود (mg، جدا شده با ; یا فاصله)",
+  "dose.strengthsPlaceholder": "مثلاً 25; 50; 100",
+  "dose.strengthsInvalid": "قدرت‌ها را با «;» یا فاصله جدا کنید (ویرگول ممیز اعشار خوانده می‌شود)؛ هر قدرت باید بزرگ‌تر از صفر باشد.",
+  "dose.splitting": "قرص‌ها قابل",
+  "dose.whole": "فقط کامل",
+  "dose.halved": "نصف کردن",
+  "dose.quartered": "یک‌چهارم کردن",
+  "dose.calculateOral": "محاسبه تعداد قرص در هر دوز",
+  "dose.calculate": "محاسبه دوز و حجم",
+  "dose.bsa": "سطح بدن (BSA):",
+  "dose.totalDose": "کل دوز لازم:",
+  "dose.equivalent": "دوز معادل:",
+  "dose.volume": "حجم لازم از محلول ذخیره:",
+  "dose.drawUp": "کشیدن با ({syringe}):",
+  "dose.actualDose": "دوز واقعی تجویزشده:",
+  "dose.roundingError": "خطای گرد کردن: {error}٪",
+  "dose.belowGraduation": "حجم کمتر از نیم درجه این سرنگ است. محلول ذخیره را رقیق کنید یا سرنگ کوچک‌تری انتخاب کنید.",
+  "dose.exceedsBarrel": "بیش از ظرفیت سرنگ: {fills} بار کشیدن لازم است، یا سرنگ بزرگ‌تری انتخاب کنید.",
+  "dose.givePerDose": "تجویز در هر دوز:",
+  "dose.delivered": "دوز داده‌شده:",
+  "dose.deviation": "انحراف از هدف: {deviation}٪",
+  "dose.noCombination": "هیچ ترکیبی در محدوده ±{limit}٪ هدف نیست؛ تهیه شربت ترکیبی را در نظر بگیرید.",
+  "dose.deliveredBelow": "⚠️ دوز داده‌شده کمتر از محدوده {species} است ({range}).",
+  "dose.deliveredAbove": "⚠️ دوز داده‌شده بیشتر از محدوده {species} است ({range}).",
+  "dose.alternatives": "گزینه‌های دیگر: {list}",
+  "dose.infusionRate": "نرخ تزریق:",
+  "dose.dropRate": "تعداد قطره (ست 20 gtt/mL):",
+
+  // Syringes
+  "syringes.insulin-0.3": "انسولین 0.3 mL (U-100)",
+  "syringes.insulin-0.5": "انسولین 0.5 mL (U-100)",
+  "syringes.insulin-1": "انسولین 1 mL (U-100)",
+  "syringes.tb-1": "توبرکولین 1 mL",
+
+  // Constant rate infusion
+  "cri.title": "🩸 انفوزیون با سرعت ثابت (CRI)",
+  "cri.rate": "نرخ انفوزیون",
+  "cri.ratePlaceholder": "مثلاً 5",
+  "cri.method": "روش تجویز",
+  "cri.pump": "پمپ سرنگ (محلول ذخیره)",
+  "cri.bag": "افزودن به کیسه سرم",
+  "cri.bagSize": "حجم کیسه (mL)",
+  "cri.bagSizePlaceholder": "مثلاً 500",
+  "cri.fluidRate": "نرخ هدف مایع (mL/hr)",
+  "cri.fluidRatePlaceholder": "مثلاً 30",
+  "cri.givingSet": "ست سرم (قطره در mL)",
+  "cri.calculate": "محاسبه CRI",
+  "cri.delivered": "داروی تجویزشده:",
+  "cri.stockRate": "نرخ تزریق محلول ذخیره:",
+  "cri.toAdd": "داروی افزودنی به کیسه:",
+  "cri.toAddValue": "{amount} {unit} ({volume} mL محلول ذخیره)",
+  "cri.finalConc": "غلظت نهایی کیسه:",
+  "cri.bagDuration": "مدت مصرف کیسه:",
+  "cri.footnote": "*برای دقت، پیش از افزودن دارو همان حجم مایع را از کیسه خارج کنید.",
+  "cri.dripRate": "تعداد قطره (ست {dropFactor} gtt/mL):",
+
+  // Fluid therapy
+  "fluids.title": "💧 برنامه‌ریز مایع‌درمانی",
+  "fluids.plan": "برنامه مایع",
+  "fluids.bolus": "بولوس شوک",
+  "fluids.dehydration": "دهیدراتاسیون (٪)",
+  "fluids.dehydrationPlaceholder": "مثلاً 7",
+  "fluids.losses": "هدررفت مداوم (mL در روز)",
+  "fluids.lossesPlaceholder": "استفراغ، اسهال، پرادراری...",
+  "fluids.period": "مدت جبران کمبود (ساعت)",
+  "fluids.periodPlaceholder": "مثلاً 24",
+  "fluids.bolusDose": "دوز بولوس (mL/kg)",
+  "fluids.bolusDosePlaceholder": "مثلاً 20",
+  "fluids.bolusTime": "زمان بولوس (دقیقه)",
+  "fluids.bolusTimePlaceholder": "مثلاً 15",
+  "fluids.savePlan": "ذخیره برنامه مایع",
+  "fluids.saveBolus": "ذخیره بولوس",
+  "fluids.maintenance": "نگهدارنده ({formula}):",
+  "fluids.deficit": "کمبود:",
+  "fluids.ongoingLosses": "هدررفت مداوم:",
+  "fluids.totalRate": "نرخ کل:",
+  "fluids.rateAfter": "نرخ پس از جبران کمبود:",
+  "fluids.volume24h": "حجم ۲۴ ساعت اول:",
+  "fluids.chartTitle": "نرخ برنامه‌ریزی‌شده در ۲۴ ساعت",
+  "fluids.hourAxis": "ساعت",
+  "fluids.rateAxis": "نرخ (mL/hr)",
+  "fluids.bolusVolume": "حجم بولوس:",
+  "fluids.bolusRate": "نرخ بولوس:",
+  "fluids.shockDose": "دوز کامل شوک ({volume} mL/kg):",
+  "fluids.footnote": "*پیش از تکرار، پس از هر بولوس شاخص‌های خون‌رسانی را دوباره ارزیابی کنید.",
+
+  // Solution
+  "solution.title": "🔬 محلول و گرم مورد نیاز",
+  "solution.mw": "وزن مولکولی (MW - g/mol)",
+  "solution.targetConc": "غلظت هدف",
+  "solution.finalVolume": "حجم نهایی",
+  "solution.calculate": "محاسبه گرم مورد نیاز",
+  "solution.grams": "گرم مورد نیاز:",
+  "solution.footnote": "*برای محاسبه درصد w/v به وزن مولکولی نیازی نیست.",
+
+  // Stock dilution
+  "stock.concentrating": "غلظت کاری از محلول ذخیره بیشتر است؛ با رقیق‌سازی به آن نمی‌رسید.",
+  "stock.checkInputs": "بررسی ورودی‌ها",
+  "stock.c1": "غلظت محلول ذخیره (C1)",
+  "stock.v1": "حجم محلول ذخیره برای کشیدن (V1)",
+  "stock.c2": "غلظت کاری (C2)",
+  "stock.v2": "حجم نهایی (V2)",
+  "stock.title": "🧫 رقیق‌سازی محلول ذخیره (C1V1 = C2V2)",
+  "stock.hint": "مقداری را که می‌خواهید محاسبه شود خالی بگذارید.",
+  "stock.mw": "وزن مولکولی (g/mol) (فقط برای ترکیب واحدهای مولار و جرمی)",
+  "stock.solve": "حل و ذخیره",
+  "stock.drawUp": "محلول ذخیره برای کشیدن:",
+  "stock.diluent": "رقیق‌کننده برای افزودن:",
+  "stock.dilution": "رقت:",
+
+  // Serial dilution
+  "dilution.pointStart": "شروع: {conc}",
+  "dilution.pointStep": "مرحله {step}: {conc}",
+  "dilution.copiedTitle": "پروتکل کپی شد!",
+  "dilution.copiedMessage": "جدول پروتکل رقت در کلیپ‌بورد کپی شد.",
+  "dilution.copyFailed": "کپی داده‌ها در کلیپ‌بورد ناموفق بود.",
+  "dilution.errorFactors": "ضرایب رقت را به ترتیب وارد کنید؛ هر کدام بزرگ‌تر از ۱.",
+  "dilution.title": "📈 رقت سریالی و نمودار",
+  "dilution.start": "غلظت اولیه",
+  "dilution.factors": "ضرایب رقت",
+  "dilution.sameFactor": "ضریب یکسان در هر مرحله",
+  "dilution.perStep": "ضریب هر مرحله",
+  "dilution.factorList": "ضرایب به ترتیب (جدا شده با ; یا فاصله، حداکثر {max})",
+  "dilution.factorListPlaceholder": "مثلاً 2; 2; 5; 10",
+  "dilution.factorInvalid": "ضرایب را با «;» یا فاصله جدا کنید (ویرگول ممیز اعشار خوانده می‌شود)؛ هر ضریب باید بزرگ‌تر از ۱ باشد.",
+  "dilution.factor": "ضریب رقت (مثلاً 10 برای 1:10)",
+  "dilution.factorPlaceholder": "مثلاً 10",
+  "dilution.steps": "تعداد مراحل (حداکثر {max})",
+  "dilution.stepsPlaceholder": "مثلاً 5",
+  "dilution.tooManySteps": "حداکثر {max} مرحله پشتیبانی می‌شود.",
+  "dilution.finalVolume": "حجم نهایی هر لوله (اختیاری، برای پروتکل)",
+  "dilution.finalVolumePlaceholder": "مثلاً 100",
+  "dilution.calculate": "محاسبه و نمایش رقت",
+  "dilution.chartTitle": "غلظت در مراحل (مقیاس لگاریتمی)",
+  "dilution.stepAxis": "مرحله رقت (x)",
+  "dilution.concAxis": "غلظت ({unit})",
+  "dilution.finalConc": "غلظت نهایی:",
+  "dilution.protocol": "پروتکل آزمایشگاهی",
+  "dilution.protocolHint": "هر لوله را از آخرین به اولین آماده کنید، سپس به ترتیب انتقال دهید. هر لوله، از جمله اولین، در پایان {volume} دارد.",
+  "dilution.colTube": "لوله",
+  "dilution.colWell": "چاهک",
+  "dilution.colTransfer": "انتقال",
+  "dilution.colDiluent": "رقیق‌کننده",
+  "dilution.colConc": "غلظت ({unit})",
+  "dilution.stock": "ذخیره",
+  "dilution.volumesNote": "حجم‌ها بر حسب {unit}. «ذخیره» حجم محلول اولیه‌ای است که در چاهک اول ریخته می‌شود.",
+  "dilution.plate": "چیدمان پلیت ۹۶ چاهکی",
+
+  // Buffer
+  "buffer.weakAcid": "اسید ضعیف (HA)",
+  "buffer.conjugateSalt": "نمک مزدوج (A⁻)",
+  "buffer.errorCustom": "برای ذخیره بافر سفارشی، نام، pKa و هر دو وزن مولکولی را وارد کنید.",
+  "buffer.deleteTitle": "حذف بافر سفارشی",
+  "buffer.deleteConfirm": "«{name}» حذف شود؟",
+  "buffer.errorTitration": "pH هدف و مشخصات محلول و تیترانت را وارد کنید. pH هدف باید با تیترانت انتخاب‌شده قابل دستیابی باشد.",
+  "buffer.title": "⚖️ محلول بافر (معادله H-H)",
+  "buffer.system": "سیستم بافر",
+  "buffer.manualEntry": "— ورود دستی (pKa و MW سفارشی) —",
+  "buffer.modePrepare": "pH ← جرم‌ها",
+  "buffer.modeReverse": "مقادیر ← pH",
+  "buffer.modeTitrate": "تیتراسیون تا pH",
+  "buffer.targetPh": "pH هدف بافر",
+  "buffer.phPlaceholder": "pH (مثلاً 7.4)",
+  "buffer.pair": "جفت اسید / باز",
+  "buffer.pairInfo": "pKa {pKa} در 25 °C، dpKa/dT {dpKadT} به ازای هر °C",
+  "buffer.deleteCustom": "حذف این بافر سفارشی",
+  "buffer.pKa": "pKa اسید ضعیف (در 25 °C)",
+  "buffer.pKaPlaceholder": "pKa (مثلاً 6.86 برای فسفات)",
+  "buffer.mwAcid": "وزن مولکولی اسید ضعیف (g/mol)",
+  "buffer.mwAcidPlaceholder": "MW اسید HA",
+  "buffer.mwSalt": "وزن مولکولی نمک مزدوج (g/mol)",
+  "buffer.mwSaltPlaceholder": "MW نمک A-",
+  "buffer.dpKadT": "dpKa/dT به ازای هر °C (اختیاری)",
+  "buffer.dpKadTPlaceholder": "مثلاً -0.028",
+  "buffer.saveCustom": "ذخیره به عنوان بافر سفارشی",
+  "buffer.namePlaceholder": "نام بافر",
+  "buffer.temperature": "دمای کار (°C)",
+  "buffer.temperaturePlaceholder": "مثلاً 37",
+  "buffer.ionicStrength": "قدرت یونی (M) (اصلاح اکتیویته، اختیاری)",
+  "buffer.ionicStrengthPlaceholder": "مثلاً 0.15 (فیزیولوژیک)",
+  "buffer.effectivePka": "pKa مؤثر:",
+  "buffer.outsideRange": "pH هدف بیش از یک واحد با pKa فاصله دارد؛ ظرفیت بافری ضعیف خواهد بود.",
+  "buffer.prepareTitle": "اجزای لازم برای تهیه",
+  "buffer.totalConc": "غلظت کل مورد نیاز (M)",
+  "buffer.totalConcPlaceholder": "مثلاً 0.1 M",
+  "buffer.totalVolume": "حجم کل (mL)",
+  "buffer.totalVolumePlaceholder": "مثلاً 1000 mL",
+  "buffer.calculatePrepare": "محاسبه گرم مورد نیاز",
+  "buffer.ratio": "نسبت [A⁻]/[HA]:",
+  "buffer.massOf": "جرم {name}:",
+  "buffer.reverseTitle": "مقادیر واقعاً مصرف‌شده",
+  "buffer.weighed": "جرم‌های توزین‌شده",
+  "buffer.stockVolumes": "حجم محلول‌های ذخیره",
+  "buffer.massLabel": "جرم {name} (g)",
+  "buffer.massAcidPlaceholder": "مثلاً 1.2",
+  "buffer.massBasePlaceholder": "مثلاً 1.4",
+  "buffer.acidStock": "محلول ذخیره اسید: حجم (mL) و غلظت (M)",
+  "buffer.baseStock": "محلول ذخیره باز: حجم (mL) و غلظت (M)",
+  "buffer.calculateReverse": "محاسبه pH حاصل",
+  "buffer.resultingPh": "pH حاصل:",
+  "buffer.poorMixture": "pH بیش از یک واحد با pKa فاصله دارد؛ این مخلوط بافر ضعیفی است.",
+  "buffer.titrateTitle": "تیتراسیون تا pH هدف",
+  "buffer.titrantInto": "{titrant} در {name}",
+  "buffer.analyte": "محلول {name}: غلظت (M) و حجم (mL)",
+  "buffer.titrantMolarity": "مولاریته {titrant} (M)",
+  "buffer.titrantPlaceholder": "مثلاً 1",
+  "buffer.calculateTitrate": "محاسبه حجم تیترانت",
+  "buffer.toAdd": "{titrant} برای افزودن:",
+  "buffer.equivalence": "نقطه هم‌ارزی:",
+  "buffer.curveTitle": "منحنی تیتراسیون",
+  "buffer.addedAxis": "{titrant} افزوده‌شده (mL)",
+  "buffer.curveLegend": "نوار سایه‌دار: ناحیه بافری (pKa ± 1). خط‌چین: pH هدف.",
+
+  // Buffer library
+  "bufferNames.Phosphate": "فسفات",
+  "bufferNames.Tris": "Tris",
+  "bufferNames.HEPES": "HEPES",
+  "bufferNames.MOPS": "MOPS",
+  "bufferNames.Acetate": "استات",
+  "bufferNames.Citrate": "سیترات",
+  "bufferNames.Bicarbonate / Carbonate": "بی‌کربنات / کربنات",
+  "bufferNames.Manual": "دستی",
+
+  // Unit conversion
+  "convert.title": "🔄 تبدیل جامع واحدها",
+  "convert.category": "انتخاب دسته",
+  "convert.analyte": "آنالیت / یون",
+  "convert.customAnalyte": "سفارشی (وزن مولکولی و بار را وارد کنید)",
+  "convert.mw": "وزن مولکولی (g/mol)",
+  "convert.mwPlaceholder": "مثلاً 24.305",
+  "convert.valence": "بار یونی (ظرفیت، اختیاری)",
+  "convert.valencePlaceholder": "مثلاً 2 برای Mg²⁺",
+  "convert.substanceInfo": "MW {mw} g/mol، بار {valence}",
+  "convert.substanceNoCharge": "MW {mw} g/mol، بدون تبدیل mEq",
+  "convert.value": "مقدار برای تبدیل",
+  "convert.valuePlaceholder": "مقدار را وارد کنید",
+  "convert.from": "از واحد",
+  "convert.to": "به واحد",
+  "convert.calculate": "محاسبه تبدیل",
+  "convert.result": "نتیجه:",
+
+  // Conversion categories
+  "conversionCategories.MASS": "جرم (kg، g، mg، μg)",
+  "conversionCategories.VOLUME": "حجم (L، mL، uL)",
+  "conversionCategories.MOLARITY": "مولاریته (M، mM، µM)",
+  "conversionCategories.TEMP": "دما (°C، °F، K)",
+  "conversionCategories.ANALYTE": "آنالیت بالینی (mg/dL، mmol/L، µmol/L، mEq/L)",
+  "conversionCategories.ION_AMOUNT": "مقدار یون (mg، mmol، mEq)",
+
+  // Display & language settings
+  "settings.title": "🔢 نمایش و زبان",
+  "settings.language": "زبان",
+  "settings.roundTo": "گرد کردن نتایج بر اساس",
+  "settings.decimals": "رقم اعشار",
+  "settings.sigfigs": "ارقام معنادار",
+  "settings.preview": "پیش‌نمایش",
+  "settings.note": "برای همه محاسبه‌گرها اعمال می‌شود. تاریخچه مقادیر دقیق را نگه می‌دارد و فقط متن نمایشی گرد می‌شود. گرد کردن سرنگ برای هر دوز در صفحه دوز انتخاب می‌شود.",
+  "settings.retention": "نگهداری تاریخچه",
+  "settings.retentionItems": "جدیدترین موارد",
+  "settings.retentionAge": "موارد جدیدتر از",
+  "settings.retentionAll": "همه",
+  "settings.retentionDays": "{days} روز",
+  "settings.retentionYears": "{years} سال",
+  "settings.retentionYear": "۱ سال",
+  "settings.retentionNote": "با ذخیره موارد جدید، موارد قدیمی‌تر خارج از این محدودیت‌ها حذف می‌شوند. موارد سنجاق‌شده همیشه نگه داشته می‌شوند.",
+  "settings.retentionTitle": "حذف تاریخچه قدیمی‌تر؟",
+  "settings.retentionConfirm": "{count} مورد خارج از محدودیت‌های جدید است و حذف خواهد شد. موارد سنجاق‌شده نگه داشته می‌شوند.",
+
+  // Engine errors, by field
+  "calcErrors.weight": "وزن باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.dose": "دوز باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.concentration": "غلظت باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.volume": "حجم باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.dehydration": "درصد دهیدراتاسیون باید عددی صفر یا بزرگ‌تر باشد.",
+  "calcErrors.losses": "تلفات جاری باید عددی صفر یا بزرگ‌تر باشد.",
+  "calcErrors.period": "برای جبران کمبود، مدت جبران باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.rate": "نرخ انفوزیون باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.bagSize": "حجم کیسه باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.fluidRate": "نرخ مایع باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.bolusDose": "دوز بولوس باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.bolusTime": "مدت تزریق بولوس باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.mw": "برای این تبدیل، وزن مولکولی بزرگ‌تر از صفر لازم است.",
+  "calcErrors.fields": "دقیقاً سه مورد از C1، V1، C2 و V2 را پر کنید.",
+  "calcErrors.C1": "C1 باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.V1": "V1 باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.C2": "C2 باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.V2": "V2 باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.factor": "ضریب رقت باید بزرگ‌تر از ۱ باشد.",
+  "calcErrors.steps": "تعداد مراحل باید عددی صحیح و دست‌کم ۱ باشد.",
+  "calcErrors.factors": "ضرایب رقت را بررسی کنید: دست‌کم یک مرحله لازم است و هر ضریب باید بزرگ‌تر از ۱ باشد.",
+  "calcErrors.startConc": "غلظت اولیه باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.finalVolume": "حجم نهایی باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.pH": "pH باید عدد باشد.",
+  "calcErrors.pKa": "pKa باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.dpKadT": "dpKa/dT باید عدد باشد.",
+  "calcErrors.temperature": "دما باید عدد باشد.",
+  "calcErrors.ionicStrength": "قدرت یونی باید عددی صفر یا بزرگ‌تر باشد.",
+  "calcErrors.totalConc": "غلظت بافر باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.mwAcid": "وزن مولکولی اسید باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.mwBase": "وزن مولکولی باز باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.acid": "مقدار اسید باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.base": "مقدار باز باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.analyteConc": "غلظت آنالیت باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.analyteVol": "حجم آنالیت باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.titrantConc": "غلظت تیترانت باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.unitType": "دسته واحد ناشناخته است.",
+  "calcErrors.unit": "این واحد برای این فیلد قابل تبدیل نیست.",
+  "calcErrors.expression": "عبارت عددی نامعتبر است.",
+  "calcErrors.valence": "این ماده بار یونی ندارد، بنابراین mEq کاربرد ندارد.",
+  "calcErrors.species": "ضرایب BSA فقط برای سگ و گربه موجود است.",
+  "calcErrors.value": "مقدار باید عدد باشد.",
+  "calcErrors.customValence": "ظرفیت باید عددی صفر یا بزرگ‌تر باشد.",
+  "calcErrors.temp": "دما باید عدد باشد.",
+  "calcErrors.hr": "ضربان قلب باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.rr": "تعداد تنفس باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.crt": "زمان پرشدگی مویرگی باید عددی بزرگ‌تر از صفر باشد.",
+  "calcErrors.pain": "نمره درد باید عدد باشد.",
+
+  // Conversion analytes
+  "analytes.glucose": "گلوکز",
+  "analytes.urea": "اوره",
+  "analytes.bun": "نیتروژن اوره خون (BUN)",
+  "analytes.creatinine": "کراتینین",
+  "analytes.bilirubin": "بیلی‌روبین",
+  "analytes.cholesterol": "کلسترول",
+  "analytes.lactate": "لاکتات",
+  "analytes.sodium": "سدیم (Na⁺)",
+  "analytes.potassium": "پتاسیم (K⁺)",
+  "analytes.chloride": "کلر (Cl⁻)",
+  "analytes.bicarbonate": "بی‌کربنات (HCO₃⁻)",
+  "analytes.calcium": "کلسیم (Ca²⁺)",
+  "analytes.magnesium": "منیزیم (Mg²⁺)",
+  "analytes.phosphorus": "فسفر",
+
+  // Formulary notes, by drug name
+  "drugNotes.Acepromazine": "در بیماران دچار کاهش حجم خون استفاده نشود. نژادهای غول‌پیکر و باکسرها حساس هستند.",
+  "drugNotes.Atropine": "مسمومیت با ارگانوفسفره به دوزهای بسیار بالاتر نیاز دارد (تا رسیدن به اثر).",
+  "drugNotes.Butorphanol": "مدت بی‌دردی کوتاه است (۱ تا ۲ ساعت در سگ).",
+  "drugNotes.Carboplatin": "سیتوتوکسیک - با احتیاط‌های شیمی‌درمانی جابه‌جا شود. پیش از هر دوز شمار نوتروفیل را بررسی کنید؛ در نارسایی کلیه دوز را کاهش دهید.",
+  "drugNotes.Cyclophosphamide": "سیتوتوکسیک. برای کاهش خطر سیستیت خونریزی‌دهنده استریل، فوروزماید بدهید و ادرار را افزایش دهید.",
+  "drugNotes.Dexamethasone": "محدوده ضدالتهابی. با NSAIDها ترکیب نشود. ممکن است در اواخر آبستنی سقط ایجاد کند.",
+  "drugNotes.Dexmedetomidine": "با آتیپامزول برگشت‌پذیر است. در بیماری قلبی-عروقی استفاده نشود.",
+  "drugNotes.Diazepam": "تزریق وریدی آهسته انجام شود. مصرف خوراکی در گربه با نکروز کبدی همراه است.",
+  "drugNotes.Doxorubicin": "سیتوتوکسیک تاول‌زا - نشت به اطراف رگ نکروز شدید ایجاد می‌کند. سگ‌های زیر ۱۰ kg معمولاً 1 mg/kg دریافت می‌کنند. سمیت قلبی تجمعی دارد.",
+  "drugNotes.Enrofloxacin": "در گربه از 5 mg/kg/day بیشتر نشود (سمیت شبکیه). در حیوانات در حال رشد استفاده نشود.",
+  "drugNotes.Flunixin meglumine": "تزریق عضلانی در اسب خطر میوزیت کلستریدیایی دارد. در سگ حداکثر ۳ روز.",
+  "drugNotes.Furosemide": "الکترولیت‌ها و وضعیت آب بدن را پایش کنید.",
+  "drugNotes.Ketamine": "همیشه با یک آرام‌بخش یا بنزودیازپین ترکیب شود. دوزهای وریدی در انتهای پایین محدوده هستند.",
+  "drugNotes.Lidocaine": "محدوده بولوس وریدی نشان داده شده است. گربه‌ها به سمیت بسیار حساس‌اند. هرگز فرآورده‌های حاوی آدرنالین را وریدی تزریق نکنید.",
+  "drugNotes.Maropitant": "تزریق زیرجلدی ممکن است دردناک باشد؛ نگهداری ویال در یخچال درد را کم می‌کند.",
+  "drugNotes.Meloxicam": "دوز بارگیری در سگ 0.2 mg/kg و سپس 0.1 mg/kg. در نارسایی کلیه یا دهیدراتاسیون استفاده نشود.",
+  "drugNotes.Oxytetracycline LA": "در گاو حداکثر 10 mL در هر محل تزریق. دوره منع مصرف گوشت و شیر رعایت شود.",
+  "drugNotes.Propofol": "طی ۶۰ ثانیه تا رسیدن به اثر تزریق شود. در صورت پیش‌داروی بیهوشی، انتهای پایین محدوده.",
+  "drugNotes.Vincristine": "سیتوتوکسیک تاول‌زا - فقط وریدی. کالی‌ها و سایر نژادهای دارای جهش MDR1 به کاهش دوز نیاز دارند.",
+  "drugNotes.Xylazine": "گاو حدود یک‌دهم دوز اسب را نیاز دارد. در گربه استفراغ‌آور است.",
+};
@@ -0,0 +1,184 @@
+// navigation.js - VetLab Pro: screen stack, route parameters and vetlab:// deep links
+// Pure state logic with no React Native imports; App.js connects it to the header back button,
+// Android hardware back and incoming links.
+
+export const DEEP_LINK_SCHEME = "vetlab";
+
+// Oldest screens are dropped beyond this depth (Home always stays at the bottom)
+export const MAX_STACK_DEPTH = 20;
+
+/* -------------------- Routes -------------------- */
+
+// Screen name -> deep-link path and the parameters it accepts. Parameters are kept as text,
+// exactly as a screen would hold them in its input fields.
+export const ROUTES = {
+  Home: { path: "home", params: [] },
+  Dose: {
+    path: "dose",
+    params: ["animal", "weight", "dose", "doseUnit", "doseBasis", "conc", "concUnit", "time", "drug", "route", "oralForm", "strengths", "splitting", "syringe"],
+  },
+  CRI: { path: "cri", params: ["animal", "weight", "rate", "rateUnit", "conc", "concUnit", "mode", "fluidRate", "bagSize", "dropFactor"] },
+  Fluids: { path: "fluids", params: ["animal", "species", "weight", "mode", "dehydration", "losses", "period", "bolusDose", "bolusTime"] },
+  Solution: { path: "solution", params: ["animal", "mw", "conc", "concUnit", "volume", "volUnit"] },
+  Stock: { path: "stock", params: ["animal", "c1", "c1Unit", "v1", "v1Unit", "c2", "c2Unit", "v2", "v2Unit", "mw"] },
+  Dilution: { path: "dilution", params: ["animal", "start", "concUnit", "factor", "steps", "factors", "finalVolume", "volUnit"] },
+  Buffer: {
+    path: "buffer",
+    params: [
+      "animal", "buffer", "mode", "pH", "volume", "conc", "temperature", "ionicStrength", "pKa", "mwAcid", "mwSalt",
+      "reverseInput", "massAcid", "massBase", "stockAcidVol", "stockAcidConc", "stockBaseVol", "stockBaseConc",
+      "titrant", "titrantConc", "analyteConc", "analyteVol",
+    ],
+  },
+  Convert: { path: "convert", params: ["animal", "category", "value", "from", "to", "analyte", "mw", "valence"] },
+  History: { path: "history", params: [] },
+  Animals: { path: "animals", params: [] },
+  Timeline: { path: "timeline", params: ["animal"] },
+  Vitals: { path: "vitals", params: ["animal"] },
+  Lab: { path: "lab", params: ["animal", "panel", "values"] },
+  Backup: { path: "backup", params: [] },
+  Settings: { path: "settings", params: [] },
+};
+
+// Keeps only the parameters the route accepts, as non-empty text
+export const cleanParams = (name, params) => {
+  const allowed = ROUTES[name]?.params || [];
+  const out = {};
+  allowed.forEach((key) => {
+    const value = params?.[key];
+    if (value === undefined || value === null) return;
+    const text = String(value).trim();
+    if (text !== "") out[key] = text;
+  });
+  return out;
+};
+
+// { hct: 35, wbc: 12 } -> "hct:35,wbc:12", for a parameter that carries several named values
+export const encodeValueMap = (values) => Object.entries(values || {}).map(([key, value]) => `${key}:${value}`).join(",");
+
+// "hct:35,wbc:12" -> { hct: "35", wbc: "12" }; malformed pairs are dropped
+export const decodeValueMap = (text) => {
+  const out = {};
+  String(text || "").split(",").forEach((pair) => {
+    const [key, value] = pair.split(":").map(part => part.trim());
+    if (key && value) out[key] = value;
+  });
+  return out;
+};
+
+/* -------------------- Stack -------------------- */
+
+export const INITIAL_NAVIGATION = { routes: [{ key: "Home-0", name: "Home", params: {} }], nextKey: 1 };
+
+// Reducer for useReducer. Actions: navigate { name, params }, replace { name, params }, back, setParams { params }.
+// Navigating to Home returns to the bottom of the stack instead of pushing a second copy; replace swaps the
+// current screen for a fresh one (new key, so its form starts over from the parameters).
+export const navigationReducer = (state, action) => {
+  switch (action.type) {
+    case "navigate": {
+      if (!ROUTES[action.name]) return state;
+      if (action.name === "Home") return { ...state, routes: state.routes.slice(0, 1) };
+      const route = { key: `${action.name}-${state.nextKey}`, name: action.name, params: cleanParams(action.name, action.params) };
+      const routes = [...state.routes, route];
+      if (routes.length > MAX_STACK_DEPTH) routes.splice(1, routes.length - MAX_STACK_DEPTH);
+      return { routes, nextKey: state.nextKey + 1 };
+    }
+    case "replace": {
+      if (!ROUTES[action.name] || state.routes.length === 1) return state;
+      const route = { key: `${action.name}-${state.nextKey}`, name: action.name, params: cleanParams(action.name, action.params) };
+      return { routes: [...state.routes.slice(0, -1), route], nextKey: state.nextKey + 1 };
+    }
+    case "back":
+      return state.routes.length > 1 ? { ...state, routes: state.routes.slice(0, -1) } : state;
+    case "setParams": {
+      const routes = [...state.routes];
+      const top = routes[routes.length - 1];
+      routes[routes.length - 1] = { ...top, params: cleanParams(top.name, { ...top.params, ...action.params }) };
+      return { ...state, routes };
+    }
+    default:
+      return state;
+  }
+};
+
+export const currentRoute = (state) => state.routes[state.routes.length - 1];
+
+/* -------------------- History Entries -------------------- */
+
+// Custom factors are only passed on when they are not simply `steps` repeats of one factor
+const customFactors = (inputs) => {
+  const factors = inputs.factors || [];
+  const repeated = factors.length === Number(inputs.steps) && factors.every(f => f === Number(inputs.dilutionFactor));
+  return repeated ? undefined : factors.join(", ");
+};
+
+// History type -> the screen that produced it and how the stored inputs map onto that screen's parameters
+const HISTORY_ROUTES = {
+  "Dose Calculation": ["Dose", (i) => ({
+    drug: i.drugName, route: i.route, weight: i.weight, dose: i.dose, doseUnit: i.doseUnit, doseBasis: i.doseBasis,
+    conc: i.conc, concUnit: i.concUnit, time: i.time, syringe: i.syringeId, oralForm: i.oralForm, strengths: i.strengths, splitting: i.splitting,
+  })],
+  "CRI Calculation": ["CRI", (i) => ({
+    weight: i.weight, rate: i.rate, rateUnit: i.rateUnit, conc: i.conc, concUnit: i.concUnit, mode: i.mode, fluidRate: i.fluidRate, bagSize: i.bagSize, dropFactor: i.dropFactor,
+  })],
+  "Fluid Therapy Plan": ["Fluids", (i) => ({
+    species: i.species, weight: i.weight, mode: i.mode, dehydration: i.dehydration, losses: i.losses, period: i.period, bolusDose: i.bolusDose, bolusTime: i.bolusTime,
+  })],
+  "Solution Calculation": ["Solution", (i) => ({ mw: i.mw, conc: i.conc, concUnit: i.concUnit, volume: i.volume, volUnit: i.volUnit })],
+  // The solved side is left empty so the screen solves for it again
+  "Stock Dilution": ["Stock", (i) => {
+    const units = i.units || {};
+    const known = (k) => (k === i.unknown ? undefined : i[k]);
+    return {
+      c1: known("C1"), c1Unit: units.C1, v1: known("V1"), v1Unit: units.V1, c2: known("C2"), c2Unit: units.C2, v2: known("V2"), v2Unit: units.V2, mw: i.mw,
+    };
+  }],
+  "Serial Dilution": ["Dilution", (i) => ({
+    start: i.startConc, concUnit: i.concUnit, factor: i.dilutionFactor, steps: i.steps, factors: customFactors(i), finalVolume: i.finalVolume, volUnit: i.volUnit,
+  })],
+  // Buffers are stored by name and titrants by formula; the screen resolves both
+  "Buffer Calculation": ["Buffer", (i) => ({
+    ...i, buffer: i.bufferName, volume: i.totalVol, conc: i.totalConc, titrant: { NaOH: "base", HCl: "acid" }[i.titrant],
+  })],
+  "Unit Conversion": ["Convert", (i) => ({
+    category: i.category, value: i.value, from: i.fromUnit, to: i.toUnit, analyte: i.analyteKey, mw: i.analyteKey === "custom" ? i.mw : undefined, valence: i.analyteKey === "custom" ? i.valence : undefined,
+  })],
+  "Lab Panel": ["Lab", (i) => ({ panel: i.panel, values: encodeValueMap(i.values) })],
+  "Clinical Note": ["Timeline", () => ({})],
+};
+
+// Screen and parameters that reopen the calculator a history entry came from with its inputs filled in,
+// or null for entry types no screen produces
+export const historyRoute = (item) => {
+  const route = HISTORY_ROUTES[item?.type];
+  if (!route) return null;
+  const [name, toParams] = route;
+  return { name, params: cleanParams(name, { ...toParams(item.inputs || {}), animal: item.animalId }) };
+};
+
+/* -------------------- Deep Links -------------------- */
+
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, " "));
+  } catch (e) {
+    return text;
+  }
+};
+
+// "vetlab://dose?animal=123&dose=0.2" -> { name: "Dose", params: { animal: "123", dose: "0.2" } }.
+// Returns null for other schemes and unknown paths; unknown parameters are dropped.
+export const parseDeepLink = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^?#]*)(?:\?([^#]*))?/i.exec(String(url || "").trim());
+  if (!match || match[1].toLowerCase() !== DEEP_LINK_SCHEME) return null;
+  const path = match[2].replace(/^\/+|\/+$/g, "").toLowerCase() || "home";
+  const name = Object.keys(ROUTES).find(n => ROUTES[n].path === path);
+  if (!name) return null;
+
+  const query = {};
+  (match[3] || "").split("&").filter(Boolean).forEach((pair) => {
+    const [key, value = ""] = pair.split("=");
+    query[decode(key)] = decode(value);
+  });
+  return { name, params: cleanParams(name, query) };
+};
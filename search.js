@@ -0,0 +1,56 @@
+// search.js - VetLab Pro: history search index
+// Built once per history change, an entry at a time as the stored chunks are read, so typing in the search box
+// looks words up in the index instead of scanning every entry's text again on each keystroke. No React Native imports.
+
+import { normalizeDigits } from "./engine";
+
+// Lowercase words with Western digits (so "۲٫۵" finds "2.5"); punctuation between words is dropped but kept
+// inside numbers and units ("0.9", "mg/kg")
+export const tokenize = (text) => normalizeDigits(text ?? "")
+  .toLowerCase()
+  .split(/[\s,;:()[\]{}"'!?،؛«»]+/)
+  .map(word => word.replace(/^[.\-–]+|[.\-–]+$/g, ""))
+  .filter(Boolean);
+
+const addTo = (map, key, id) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(id);
+};
+
+export const createHistoryIndex = () => ({
+  words: new Map(), // word -> ids of the entries containing it
+  byType: new Map(),
+  byAnimal: new Map(),
+});
+
+// `textsOf(entry)` lists the texts to index for an entry (sentence, note, patient, input values, ...)
+export const addToHistoryIndex = (index, entry, textsOf) => {
+  addTo(index.byType, entry.type, entry.id);
+  if (entry.animalId) addTo(index.byAnimal, entry.animalId, entry.id);
+  textsOf(entry).forEach(text => tokenize(text).forEach(word => addTo(index.words, word, entry.id)));
+  return index;
+};
+
+export const buildHistoryIndex = (entries, textsOf) => entries.reduce(
+  (index, entry) => addToHistoryIndex(index, entry, textsOf),
+  createHistoryIndex()
+);
+
+// Ids of the entries of the given type and animal that contain every word of `text` (each as a word prefix),
+// or null when nothing narrows the search
+export const searchHistoryIndex = (index, { text = "", type = "", animalId = "" } = {}) => {
+  let result = null;
+  const narrow = (ids) => {
+    result = result === null ? new Set(ids) : new Set([...result].filter(id => ids.has(id)));
+  };
+  if (type) narrow(index.byType.get(type) || new Set());
+  if (animalId) narrow(index.byAnimal.get(animalId) || new Set());
+  tokenize(text).forEach((query) => {
+    const ids = new Set();
+    index.words.forEach((wordIds, word) => {
+      if (word.startsWith(query)) wordIds.forEach(id => ids.add(id));
+    });
+    narrow(ids);
+  });
+  return result;
+};
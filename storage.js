@@ -0,0 +1,472 @@
+// storage.js - VetLab Pro: persistence layer
+// Owns every AsyncStorage key, records the data schema version and runs ordered migrations on startup.
+// Failed reads and writes throw a StorageError so the UI can tell the user instead of losing data silently.
+// History is kept in append-only chunks listed by a manifest, so saving a calculation rewrites one small
+// chunk rather than every entry, and is trimmed only by the retention policy the user chose. It is read
+// a page at a time, newest first, so startup does not read every chunk.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+/* -------------------- Keys & Limits -------------------- */
+
+// Key names keep their historical suffixes so existing installs keep their data;
+// the data format is tracked by the schema version, not by the key name.
+export const STORAGE_KEYS = {
+  schemaVersion: "@vetlab_schema_version",
+  legacyHistory: "@vetlab_history_v3", // One array of every entry, before schema 4
+  historyManifest: "@vetlab_history_manifest_v1",
+  historyRetention: "@vetlab_history_retention_v1",
+  animals: "@vetlab_animals_v1",
+  customBuffers: "@vetlab_custom_buffers_v1",
+  displayPrecision: "@vetlab_display_precision_v1",
+  language: "@vetlab_language_v1",
+  presets: "@vetlab_presets_v1",
+};
+
+// Each history chunk has its own key: prefix + chunk number
+const HISTORY_CHUNK_PREFIX = "@vetlab_history_chunk_";
+export const HISTORY_CHUNK_SIZE = 50;
+// Entries per page when the history is read newest first
+export const HISTORY_PAGE_SIZE = 30;
+
+// Sections holding user data (everything except the schema version). "history" spans the manifest and its chunks.
+export const DATA_SECTIONS = ["animals", "history", "customBuffers", "presets", "displayPrecision", "language", "historyRetention"];
+
+// Single-value settings (null when never saved); every other section is a list
+const SETTING_SECTIONS = ["displayPrecision", "language", "historyRetention"];
+
+// null = no limit; the default keeps every entry
+export const DEFAULT_RETENTION = { maxItems: null, maxAgeDays: null };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class StorageError extends Error {
+  constructor(operation, key, cause) {
+    super(`Could not ${operation}${cause?.message ? `: ${cause.message}` : "."}`);
+    this.name = "StorageError";
+    this.operation = operation;
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+/* -------------------- Record Normalisation -------------------- */
+
+// Records saved before the weight log existed get their current weight as the first entry
+export const migrateAnimal = (animal) => {
+  if (Array.isArray(animal.weightLog) && animal.weightLog.length > 0) return animal;
+  return { ...animal, weightLog: [{ date: animal.updatedAt || new Date().toISOString(), weight: animal.weight }] };
+};
+
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?$/;
+
+// Numeric text fields ("15.5") become numbers; units, lists ("25, 50") and free text stay strings
+export const typedInputs = (inputs) => {
+  if (!inputs || typeof inputs !== "object" || Array.isArray(inputs)) return inputs;
+  const out = {};
+  Object.entries(inputs).forEach(([key, value]) => {
+    if (typeof value === "string" && NUMERIC_TEXT.test(value.trim())) out[key] = Number(value);
+    else if (value && typeof value === "object" && !Array.isArray(value)) out[key] = typedInputs(value);
+    else out[key] = value;
+  });
+  return out;
+};
+
+// Legacy entries only carried `inputs.animalName`; link them when exactly one animal has that name
+const linkHistoryToAnimals = (history, animals) => history.map(item => {
+  if (item.animalId !== undefined) return item;
+  const matches = animals.filter(a => a.name === item.inputs?.animalName);
+  return { ...item, animalId: matches.length === 1 ? matches[0].id : null };
+});
+
+/* -------------------- History Entries & Retention -------------------- */
+
+export const newHistoryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Entries saved before ids existed are identified by time and type, as backups always matched them
+export const historyId = (item) => item.id || `${item.time}|${item.type}`;
+
+const timeOf = (item) => new Date(item.time).getTime();
+
+// How many entries are over the item limit and the time before which entries are too old (null = no age limit)
+const retentionLimits = (retention, total, now) => ({
+  excess: retention?.maxItems ? total - retention.maxItems : 0,
+  cutoff: retention?.maxAgeDays ? now - retention.maxAgeDays * DAY_MS : null,
+});
+
+// Walks entries oldest first and picks the unpinned ones the policy removes: those older than `cutoff`, and the
+// oldest ones while `excess` is above zero. Returns them with the excess still left.
+const pickExpired = (oldestFirst, excess, cutoff) => {
+  const expired = [];
+  let left = excess;
+  oldestFirst.forEach((item) => {
+    if (item.pinned) return;
+    if (left > 0 || (cutoff !== null && timeOf(item) < cutoff)) {
+      expired.push(item);
+      left -= 1;
+    }
+  });
+  return { expired, excess: left };
+};
+
+// Entries of `history` (newest first, as the app holds it) that `retention` would remove
+export const expiredEntries = (history, retention, now = Date.now()) => {
+  const { excess, cutoff } = retentionLimits(retention, history.length, now);
+  return pickExpired([...history].reverse(), excess, cutoff).expired;
+};
+
+/* -------------------- Migrations -------------------- */
+
+// Ordered and idempotent: restoring an older backup re-runs them over already migrated data.
+// `read`/`write` of "history" use the legacy array while it exists and the chunks after that.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Weight log on every animal record",
+    up: async ({ read, write }) => {
+      const animals = await read("animals", []);
+      await write("animals", animals.map(migrateAnimal));
+    },
+  },
+  {
+    version: 2,
+    description: "Animal id on every history entry",
+    up: async ({ read, write }) => {
+      const [history, animals] = [await read("history", []), await read("animals", [])];
+      await write("history", linkHistoryToAnimals(history, animals));
+    },
+  },
+  {
+    version: 3,
+    description: "Numeric history inputs stored as numbers",
+    up: async ({ read, write }) => {
+      const history = await read("history", []);
+      await write("history", history.map(item => ({ ...item, inputs: typedInputs(item.inputs) })));
+    },
+  },
+  {
+    version: 4,
+    description: "History in append-only chunks with a stable id on every entry",
+    up: async ({ read, remove, replaceHistory }) => {
+      const history = await read("history", []);
+      // The chunks are complete before the legacy array goes, so an interrupted run loses nothing
+      await replaceHistory(history.map(item => ({ ...item, id: historyId(item) })));
+      await remove("legacyHistory");
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/* -------------------- Storage Factory -------------------- */
+
+// `backend` is anything with the AsyncStorage API; tests pass createMemoryStorage()
+export const createStorage = (backend = AsyncStorage) => {
+  const read = async (name, fallback) => {
+    const key = STORAGE_KEYS[name];
+    try {
+      const raw = await backend.getItem(key);
+      return raw === null || raw === undefined ? fallback : JSON.parse(raw);
+    } catch (e) {
+      throw new StorageError(`read ${name}`, key, e);
+    }
+  };
+
+  const write = async (name, value) => {
+    const key = STORAGE_KEYS[name];
+    try {
+      await backend.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      throw new StorageError(`save ${name}`, key, e);
+    }
+    return value;
+  };
+
+  const remove = async (name) => {
+    const key = STORAGE_KEYS[name];
+    try {
+      await backend.removeItem(key);
+    } catch (e) {
+      throw new StorageError(`clear ${name}`, key, e);
+    }
+  };
+
+  const historyError = (operation, keys, e) => new StorageError(operation, keys.join(", "), e);
+
+  const readChunks = async (ids) => {
+    const keys = ids.map(id => `${HISTORY_CHUNK_PREFIX}${id}`);
+    try {
+      const pairs = keys.length ? await backend.multiGet(keys) : [];
+      return pairs.map(([, raw]) => (raw === null || raw === undefined ? [] : JSON.parse(raw)));
+    } catch (e) {
+      throw historyError("read history", keys, e);
+    }
+  };
+
+  const readManifest = () => read("historyManifest", { chunks: [], nextChunk: 0 });
+
+  const chunkMeta = (id, entries) => ({
+    id,
+    count: entries.length,
+    pinned: entries.filter(item => item.pinned).length,
+    first: entries[0]?.time,
+    last: entries[entries.length - 1]?.time,
+  });
+
+  // Writes the changed chunks (id -> entries, oldest first) together with the manifest, then deletes chunks left empty
+  const commitChunks = async (manifest, changed) => {
+    const chunks = manifest.chunks
+      .map(c => (changed.has(c.id) ? chunkMeta(c.id, changed.get(c.id)) : c))
+      .filter(c => c.count > 0);
+    const pairs = [...changed]
+      .filter(([, entries]) => entries.length > 0)
+      .map(([id, entries]) => [`${HISTORY_CHUNK_PREFIX}${id}`, JSON.stringify(entries)]);
+    pairs.push([STORAGE_KEYS.historyManifest, JSON.stringify({ ...manifest, chunks })]);
+    const emptied = [...changed].filter(([, entries]) => entries.length === 0).map(([id]) => `${HISTORY_CHUNK_PREFIX}${id}`);
+    try {
+      await backend.multiSet(pairs);
+      if (emptied.length) await backend.multiRemove(emptied);
+    } catch (e) {
+      throw historyError("save history", pairs.map(([key]) => key), e);
+    }
+  };
+
+  // Every entry, newest first
+  const loadHistory = async () => {
+    const manifest = await readManifest();
+    return (await readChunks(manifest.chunks.map(c => c.id))).flat().reverse();
+  };
+
+  // The entries of chunk `meta` (oldest first) before `cursor`: the cursor marks the oldest entry already read,
+  // and its time places it if that entry has been deleted since
+  const olderThan = (cursor, meta, stored) => {
+    if (!cursor || meta.id !== cursor.chunk) return stored;
+    const at = stored.findIndex(item => item.id === cursor.id);
+    return at >= 0 ? stored.slice(0, at) : stored.filter(item => timeOf(item) < new Date(cursor.time).getTime());
+  };
+
+  // One page of entries older than `cursor` (all of them without one), newest first, reading chunks newest first
+  // only as far as the page needs. Chunk ids grow with time, so chunks emptied since the last page are skipped.
+  // `match` narrows the page to the entries it accepts (per-animal and search lookups). The returned cursor is
+  // null once nothing older is left; `total` counts every stored entry.
+  const loadHistoryPage = async ({ cursor = null, limit = HISTORY_PAGE_SIZE, match = null } = {}) => {
+    const manifest = await readManifest();
+    const total = manifest.chunks.reduce((sum, c) => sum + c.count, 0);
+    const chunks = manifest.chunks.filter(c => !cursor || c.id <= cursor.chunk).reverse();
+    const entries = [];
+    let last = null;
+    let more = false;
+    for (const meta of chunks) {
+      if (entries.length >= limit) {
+        more = true;
+        break;
+      }
+      const stored = olderThan(cursor, meta, (await readChunks([meta.id]))[0]);
+      const older = match ? stored.filter(match) : stored;
+      const take = Math.min(limit - entries.length, older.length);
+      if (take === 0) continue;
+      entries.push(...older.slice(older.length - take).reverse());
+      last = { chunk: meta.id, id: entries[entries.length - 1].id, time: entries[entries.length - 1].time };
+      if (take < older.length) {
+        more = true;
+        break;
+      }
+    }
+    return { entries, cursor: more ? last : null, total };
+  };
+
+  // Calls `visit` with every entry, newest first, reading one chunk at a time so the whole history is never held
+  const scanHistory = async (visit) => {
+    const manifest = await readManifest();
+    for (const meta of [...manifest.chunks].reverse()) {
+      const [entries] = await readChunks([meta.id]);
+      [...entries].reverse().forEach(visit);
+    }
+  };
+
+  // How many stored entries `match` accepts
+  const countHistory = async (match) => {
+    let count = 0;
+    await scanHistory((item) => {
+      if (match(item)) count += 1;
+    });
+    return count;
+  };
+
+  // Pinned entries older than `cursor`, newest first, so pinned entries show before their page is read. Only
+  // chunks holding pinned entries are read (manifests written before the count was kept read every chunk).
+  const loadPinnedHistory = async (cursor) => {
+    const chunks = (await readManifest()).chunks.filter(c => c.id <= cursor.chunk && c.pinned !== 0);
+    const stored = await readChunks(chunks.map(c => c.id));
+    return chunks.flatMap((meta, i) => olderThan(cursor, meta, stored[i]).filter(item => item.pinned)).reverse();
+  };
+
+  // Rewrites the whole history into fresh chunks, written in the same batch as the manifest that lists them;
+  // the previous chunks are deleted afterwards
+  const replaceHistory = async (history) => {
+    const manifest = await readManifest();
+    const oldestFirst = [...history].sort((a, b) => timeOf(a) - timeOf(b));
+    const next = { chunks: [], nextChunk: manifest.nextChunk };
+    const changed = new Map();
+    for (let i = 0; i < oldestFirst.length; i += HISTORY_CHUNK_SIZE) {
+      const id = next.nextChunk++;
+      next.chunks.push({ id, count: 0 });
+      changed.set(id, oldestFirst.slice(i, i + HISTORY_CHUNK_SIZE));
+    }
+    manifest.chunks.forEach(c => changed.set(c.id, []));
+    await commitChunks({ ...next, chunks: [...next.chunks, ...manifest.chunks] }, changed);
+    return oldestFirst.reverse();
+  };
+
+  // Removes what the retention policy (default: the saved one) no longer keeps, reading chunks oldest first
+  // only as far as needed; returns the ids of the removed entries
+  const applyRetention = async (retention) => {
+    const policy = retention || (await read("historyRetention", null)) || DEFAULT_RETENTION;
+    const manifest = await readManifest();
+    const total = manifest.chunks.reduce((sum, c) => sum + c.count, 0);
+    let { excess, cutoff } = retentionLimits(policy, total, Date.now());
+    const changed = new Map();
+    const removed = [];
+    for (const meta of manifest.chunks) {
+      if (excess <= 0 && (cutoff === null || new Date(meta.first).getTime() >= cutoff)) break;
+      const [entries] = await readChunks([meta.id]);
+      const picked = pickExpired(entries, excess, cutoff);
+      excess = picked.excess;
+      if (picked.expired.length === 0) continue;
+      changed.set(meta.id, entries.filter(item => !picked.expired.includes(item)));
+      removed.push(...picked.expired.map(item => item.id));
+    }
+    if (changed.size > 0) await commitChunks(manifest, changed);
+    return removed;
+  };
+
+  // Adds to the newest chunk (starting another when it is full), then applies the retention policy.
+  // Returns the stored entry, now with its id, and the ids the policy removed.
+  const appendHistory = async (item) => {
+    const entry = { ...item, id: item.id || newHistoryId(), inputs: typedInputs(item.inputs) };
+    const manifest = await readManifest();
+    const last = manifest.chunks[manifest.chunks.length - 1];
+    if (last && last.count < HISTORY_CHUNK_SIZE) {
+      const [entries] = await readChunks([last.id]);
+      await commitChunks(manifest, new Map([[last.id, [...entries, entry]]]));
+    } else {
+      const id = manifest.nextChunk;
+      await commitChunks({ chunks: [...manifest.chunks, { id, count: 0 }], nextChunk: id + 1 }, new Map([[id, [entry]]]));
+    }
+    return { entry, removed: await applyRetention() };
+  };
+
+  // Rewrites only the chunk holding `entry`, found by its time range; `change` returns the new entry or null to delete
+  const rewriteEntry = async (entry, change) => {
+    const manifest = await readManifest();
+    const time = timeOf(entry);
+    const inRange = manifest.chunks.filter(c => new Date(c.first).getTime() <= time && time <= new Date(c.last).getTime());
+    for (const meta of inRange.length ? inRange : manifest.chunks) {
+      const [entries] = await readChunks([meta.id]);
+      const index = entries.findIndex(item => item.id === entry.id);
+      if (index === -1) continue;
+      const updated = change(entries[index]);
+      const next = updated ? entries.map((item, i) => (i === index ? updated : item)) : entries.filter((_, i) => i !== index);
+      await commitChunks(manifest, new Map([[meta.id, next]]));
+      return updated;
+    }
+    throw new StorageError("find the history entry", STORAGE_KEYS.historyManifest);
+  };
+
+  // `transform` receives every entry and returns the new list (for changes that touch many entries)
+  const updateHistory = async (transform) => replaceHistory(transform(await loadHistory()));
+
+  // Until schema 4 the history is one array under the legacy key; migrations and backups read and write
+  // whichever layout is present
+  const readSection = async (name, fallback) => {
+    if (name !== "history") return read(name, fallback);
+    const legacy = await read("legacyHistory", null);
+    return legacy !== null ? legacy : loadHistory();
+  };
+
+  const writeSection = async (name, value) => {
+    if (name !== "history") return write(name, value);
+    return (await read("legacyHistory", null)) !== null ? write("legacyHistory", value) : replaceHistory(value);
+  };
+
+  // Runs every migration newer than `from` (default: the stored schema version), recording progress after each
+  const migrate = async ({ from } = {}) => {
+    const start = from === undefined ? await read("schemaVersion", 0) : from;
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= start) continue;
+      await migration.up({ read: readSection, write: writeSection, remove, replaceHistory });
+      await write("schemaVersion", migration.version);
+      applied.push(migration.version);
+    }
+    return applied;
+  };
+
+  // Every data section plus the schema version they are in
+  const snapshot = async () => {
+    const data = {};
+    for (const name of DATA_SECTIONS) {
+      data[name] = await readSection(name, SETTING_SECTIONS.includes(name) ? null : []);
+    }
+    return { schemaVersion: await read("schemaVersion", 0), data };
+  };
+
+  // Writes the given sections in one batch (history through its chunks); absent or null sections are left untouched
+  const writeSnapshot = async (data) => {
+    const present = DATA_SECTIONS.filter(name => data[name] !== undefined && data[name] !== null);
+    const pairs = present
+      .filter(name => name !== "history")
+      .map(name => [STORAGE_KEYS[name], JSON.stringify(data[name])]);
+    try {
+      await backend.multiSet(pairs);
+    } catch (e) {
+      throw new StorageError("restore data", pairs.map(([key]) => key).join(", "), e);
+    }
+    if (present.includes("history")) await writeSection("history", data.history);
+  };
+
+  return {
+    migrate,
+    loadHistory,
+    loadHistoryPage,
+    loadPinnedHistory,
+    scanHistory,
+    countHistory,
+    appendHistory,
+    updateHistoryEntry: (entry, changes) => rewriteEntry(entry, (item) => ({ ...item, ...changes })),
+    deleteHistoryEntry: (entry) => rewriteEntry(entry, () => null),
+    updateHistory,
+    clearHistory: () => replaceHistory([]),
+    applyRetention,
+    loadHistoryRetention: async () => ({ ...DEFAULT_RETENTION, ...(await read("historyRetention", null)) }),
+    saveHistoryRetention: (retention) => write("historyRetention", retention),
+    loadAnimals: () => read("animals", []),
+    saveAnimals: (animals) => write("animals", animals),
+    loadCustomBuffers: () => read("customBuffers", []),
+    saveCustomBuffers: (buffers) => write("customBuffers", buffers),
+    loadPresets: () => read("presets", []),
+    savePresets: (presets) => write("presets", presets),
+    loadDisplayPrecision: () => read("displayPrecision", null),
+    saveDisplayPrecision: (precision) => write("displayPrecision", precision),
+    loadLanguage: () => read("language", null),
+    saveLanguage: (language) => write("language", language),
+    snapshot,
+    writeSnapshot,
+  };
+};
+
+// AsyncStorage-compatible in-memory backend for unit tests
+export const createMemoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: async (key) => (data.has(key) ? data.get(key) : null),
+    setItem: async (key, value) => { data.set(key, String(value)); },
+    removeItem: async (key) => { data.delete(key); },
+    multiGet: async (keys) => keys.map(key => [key, data.has(key) ? data.get(key) : null]),
+    multiSet: async (pairs) => { pairs.forEach(([key, value]) => data.set(key, String(value))); },
+    multiRemove: async (keys) => { keys.forEach(key => data.delete(key)); },
+    dump: () => Object.fromEntries(data),
+  };
+};
+
+export const storage = createStorage();